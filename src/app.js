@@ -6,13 +6,20 @@ const oauthRoutes = require('./routes/oauth');
 const webhookRoutes = require('./routes/webhook');
 const crmCardRoutes = require('./routes/crmCard');
 const analysisRoutes = require('./routes/analysis');
+const adminRoutes = require('./routes/admin');
+const { jobQueue } = require('./services/jobQueue');
+const { startSweepScheduler } = require('./services/sweepService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw body: HubSpot signs the exact bytes it sends
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Health check endpoint
@@ -25,6 +32,7 @@ app.use('/oauth', oauthRoutes);
 app.use('/webhooks', webhookRoutes);
 app.use('/crm-card', crmCardRoutes);
 app.use('/api/analysis', analysisRoutes);
+app.use('/admin', adminRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -49,7 +57,8 @@ app.get('/', (req, res) => {
       oauth: '/oauth',
       webhooks: '/webhooks',
       crmCard: '/crm-card',
-      analysis: '/api/analysis'
+      analysis: '/api/analysis',
+      admin: '/admin'
     }
   });
 });
@@ -69,6 +78,14 @@ if (require.main === module) {
     console.log(`HubSpot Multi-Threading Score App running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/health`);
   });
+  
+  // Pick up jobs queued before the last shutdown
+  jobQueue.restore()
+    .then(count => count > 0 && console.log(`Restored ${count} queued job(s)`))
+    .catch(error => console.error('Job queue restore error:', error));
+  
+  // Sweep open deals on each portal's schedule so time-based alerts fire
+  startSweepScheduler();
 }
 
 module.exports = app;
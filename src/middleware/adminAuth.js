@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+/**
+ * Require the admin API key in the x-admin-api-key header
+ * Admin endpoints are disabled until ADMIN_API_KEY is set.
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const received = crypto.createHash('sha256').update(req.get('x-admin-api-key') || '').digest();
+  if (!crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({ error: 'Invalid admin API key' });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdminKey
+};
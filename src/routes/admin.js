@@ -0,0 +1,278 @@
+const express = require('express');
+const router = express.Router();
+const { requireAdminKey } = require('../middleware/adminAuth');
+const { jobQueue } = require('../services/jobQueue');
+const {
+  getSchedule,
+  updateSchedule,
+  queuePortalSweep,
+  registerSweepHandler,
+  getSweepStatus,
+  MIN_INTERVAL_MINUTES
+} = require('../services/sweepService');
+const {
+  getScoringConfig,
+  getScoringConfigDetails,
+  saveScoringConfig,
+  listScoringConfigVersions,
+  activateScoringConfigVersion,
+  validateScoringConfig
+} = require('../services/scoringConfigService');
+const { describePipelines, validateStageMapping, saveStageMapping } = require('../services/pipelineStageService');
+const { recordAuditEvent, AUDIT_ACTIONS } = require('../services/auditLogService');
+const HubSpotService = require('../services/hubspotService');
+const oauthRoutes = require('./oauth');
+
+// Run queued portal sweeps with the portal's access token
+registerSweepHandler({ getAccessToken: oauthRoutes.getAccessToken });
+
+// Every admin endpoint requires the admin API key
+router.use(requireAdminKey);
+
+/**
+ * Queue statistics and the jobs waiting or running
+ */
+router.get('/jobs', (req, res) => {
+  res.json({
+    stats: jobQueue.getStats(),
+    jobs: jobQueue.getJobs()
+  });
+});
+
+/**
+ * Jobs that failed every attempt
+ */
+router.get('/jobs/dead-letter', async (req, res) => {
+  try {
+    const jobs = await jobQueue.getDeadLetters();
+    res.json({ count: jobs.length, jobs });
+  } catch (error) {
+    console.error('Dead letter listing error:', error);
+    res.status(500).json({ error: 'Failed to list dead-lettered jobs' });
+  }
+});
+
+/**
+ * Run a dead-lettered job again
+ */
+router.post('/jobs/dead-letter/:jobId/replay', async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await jobQueue.replayDeadLetter(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Dead-lettered job not found' });
+    }
+    res.json({ success: true, replayedJobId: jobId, jobId: job.id });
+  } catch (error) {
+    console.error('Dead letter replay error:', error);
+    res.status(500).json({ error: 'Failed to replay job' });
+  }
+});
+
+/**
+ * Discard a dead-lettered job
+ */
+router.delete('/jobs/dead-letter/:jobId', async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const deleted = await jobQueue.discardDeadLetter(jobId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Dead-lettered job not found' });
+    }
+    res.json({ success: true, jobId });
+  } catch (error) {
+    console.error('Dead letter discard error:', error);
+    res.status(500).json({ error: 'Failed to discard job' });
+  }
+});
+
+/**
+ * Sweep schedules and the outcome of the last sweep of every portal
+ */
+router.get('/sweeps', async (req, res) => {
+  try {
+    const schedules = await getSweepStatus();
+    res.json({ count: schedules.length, schedules });
+  } catch (error) {
+    console.error('Sweep status error:', error);
+    res.status(500).json({ error: 'Failed to get sweep status' });
+  }
+});
+
+/**
+ * A portal's sweep schedule
+ */
+router.get('/sweeps/:portalId', async (req, res) => {
+  try {
+    res.json(await getSchedule(req.params.portalId));
+  } catch (error) {
+    console.error('Sweep schedule error:', error);
+    res.status(500).json({ error: 'Failed to get sweep schedule' });
+  }
+});
+
+/**
+ * Enable, disable or change the interval of a portal's sweeps
+ */
+router.put('/sweeps/:portalId', async (req, res) => {
+  const { enabled, intervalMinutes } = req.body;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be true or false' });
+  }
+  if (intervalMinutes !== undefined && !(Number.isInteger(intervalMinutes) && intervalMinutes >= MIN_INTERVAL_MINUTES)) {
+    return res.status(400).json({ error: `intervalMinutes must be a whole number of at least ${MIN_INTERVAL_MINUTES}` });
+  }
+
+  try {
+    res.json(await updateSchedule(req.params.portalId, { enabled, intervalMinutes }));
+  } catch (error) {
+    console.error('Sweep schedule update error:', error);
+    res.status(500).json({ error: 'Failed to update sweep schedule' });
+  }
+});
+
+/**
+ * Sweep a portal now, regardless of its schedule
+ */
+router.post('/sweeps/:portalId/run', async (req, res) => {
+  try {
+    const job = await queuePortalSweep(req.params.portalId);
+    res.json({ success: true, jobId: job.id });
+  } catch (error) {
+    console.error('Sweep run error:', error);
+    res.status(500).json({ error: 'Failed to queue sweep' });
+  }
+});
+
+/**
+ * A portal's active scoring configuration: its overrides and the merged result
+ */
+router.get('/scoring-config/:portalId', async (req, res) => {
+  try {
+    res.json(await getScoringConfigDetails(req.params.portalId));
+  } catch (error) {
+    console.error('Scoring config error:', error);
+    res.status(500).json({ error: 'Failed to get scoring configuration' });
+  }
+});
+
+/**
+ * Save new overrides as the portal's next scoring configuration version
+ * The overrides replace the active version's; send {} to score with the defaults.
+ */
+router.put('/scoring-config/:portalId', async (req, res) => {
+  const { portalId } = req.params;
+  const { config, note, updatedBy } = req.body;
+
+  const errors = validateScoringConfig(config);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid scoring configuration', details: errors });
+  }
+
+  try {
+    const version = await saveScoringConfig(portalId, config, { note, actor: updatedBy });
+    await recordAuditEvent(AUDIT_ACTIONS.SCORING_CONFIG_CHANGED, {
+      portalId,
+      actor: version.actor,
+      details: { version: version.version }
+    });
+    res.json(version);
+  } catch (error) {
+    console.error('Scoring config update error:', error);
+    res.status(500).json({ error: 'Failed to save scoring configuration' });
+  }
+});
+
+/**
+ * Every scoring configuration version of a portal, newest first
+ */
+router.get('/scoring-config/:portalId/versions', async (req, res) => {
+  try {
+    const versions = await listScoringConfigVersions(req.params.portalId);
+    res.json({ count: versions.length, versions });
+  } catch (error) {
+    console.error('Scoring config versions error:', error);
+    res.status(500).json({ error: 'Failed to list scoring configuration versions' });
+  }
+});
+
+/**
+ * Roll a portal back to an earlier scoring configuration (version 0 restores the defaults)
+ */
+router.post('/scoring-config/:portalId/versions/:version/activate', async (req, res) => {
+  const { portalId } = req.params;
+  const versionNumber = Number(req.params.version);
+
+  if (!Number.isInteger(versionNumber) || versionNumber < 0) {
+    return res.status(400).json({ error: 'version must be a whole number' });
+  }
+
+  try {
+    const version = await activateScoringConfigVersion(portalId, versionNumber, { actor: req.body?.updatedBy });
+    if (!version) {
+      return res.status(404).json({ error: 'Scoring configuration version not found' });
+    }
+    await recordAuditEvent(AUDIT_ACTIONS.SCORING_CONFIG_CHANGED, {
+      portalId,
+      actor: version.actor,
+      details: { version: version.version, restoredVersion: versionNumber }
+    });
+    res.json(version);
+  } catch (error) {
+    console.error('Scoring config rollback error:', error);
+    res.status(500).json({ error: 'Failed to activate scoring configuration version' });
+  }
+});
+
+/**
+ * A portal's deal pipelines with the phase each stage is scored in
+ */
+router.get('/pipelines/:portalId', async (req, res) => {
+  const { portalId } = req.params;
+
+  try {
+    const accessToken = await oauthRoutes.getAccessToken(portalId);
+    const pipelines = await new HubSpotService(accessToken, { portalId }).getDealPipelines();
+    const scoringConfig = await getScoringConfig(portalId);
+
+    res.json({ portalId, configVersion: scoringConfig.version, ...describePipelines(pipelines, scoringConfig) });
+  } catch (error) {
+    console.error('Pipelines error:', error);
+    res.status(500).json({ error: 'Failed to get deal pipelines' });
+  }
+});
+
+/**
+ * Map pipeline stages to phases (early, mid, late, closed); null removes a stage's mapping
+ * Saved as the portal's next scoring configuration version.
+ */
+router.put('/pipelines/:portalId/stage-mapping', async (req, res) => {
+  const { portalId } = req.params;
+  const { stageMapping, updatedBy } = req.body || {};
+
+  try {
+    const accessToken = await oauthRoutes.getAccessToken(portalId);
+    const pipelines = await new HubSpotService(accessToken, { portalId }).getDealPipelines();
+
+    const errors = validateStageMapping(stageMapping, pipelines);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid stage mapping', details: errors });
+    }
+
+    const version = await saveStageMapping(portalId, stageMapping, { actor: updatedBy });
+    await recordAuditEvent(AUDIT_ACTIONS.SCORING_CONFIG_CHANGED, {
+      portalId,
+      actor: version.actor,
+      details: { version: version.version, stageMapping }
+    });
+    res.json(version);
+  } catch (error) {
+    console.error('Stage mapping update error:', error);
+    res.status(500).json({ error: 'Failed to save stage mapping' });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const HubSpotService = require('../services/hubspotService');
-const { calculateMultiThreadingScore, generateRecommendations } = require('../services/scoringService');
+const { calculateMultiThreadingScore, generateRecommendations, compareEngagementModels } = require('../services/scoringService');
 const { calculateCoverageAnalysis, generateMissingChecklist, trackStakeholderLifecycle, calculateChampionStrength } = require('../services/coverageAnalysisService');
 const { predictDealRisk, analyzeStageVelocity } = require('../services/riskPredictionService');
 const { generateThreadingAlerts, sendAlerts } = require('../services/alertService');
 const { handleWorkflowAction, getAvailableActions } = require('../services/workflowActionsService');
 const { generateDealHealthReport, generateCoachingPacket, generatePipelineDashboard, generateTimelineEvents, formatReportAsHtml } = require('../services/reportService');
 const { getContextualRecommendations, renderEmailTemplate, EMAIL_TEMPLATES, PLAYBOOKS, ROLE_CHECKLISTS } = require('../services/playbookService');
+const { getReviewQueue, decideRole, canWriteRole, DEFAULT_ROLE_REVIEW_CONFIG } = require('../services/roleReviewService');
+const { getDealEventHistory } = require('../services/webhookEventService');
+const { recordScoreSnapshot, getLatestSnapshot, getSnapshotAt, getScoreHistory } = require('../services/dealSnapshotService');
+const { getScoringConfig } = require('../services/scoringConfigService');
+const { explainScore } = require('../services/scoreExplanationService');
 const oauthRoutes = require('./oauth');
 
+// Period the pipeline dashboard's score trends cover by default, and at most
+const DEFAULT_TREND_DAYS = 30;
+const MAX_TREND_DAYS = 365;
+
 /**
  * Get coverage analysis (breadth vs depth) for a deal
  */
@@ -19,13 +28,14 @@ router.get('/coverage/:dealId', async (req, res) => {
   
   try {
     const accessToken = await oauthRoutes.getAccessToken(portalId);
-    const hubspotService = new HubSpotService(accessToken);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
     const dealData = await hubspotService.getDealWithContacts(dealId);
+    const scoringConfig = await getScoringConfig(portalId);
     
-    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true });
+    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true, scoringConfig });
     const coverageAnalysis = calculateCoverageAnalysis(
       dealData.contacts || [],
-      { dealStage: dealData.deal?.dealstage }
+      { dealStage: dealData.deal?.dealstage, deal: dealData.deal, scoringConfig }
     );
     
     res.json({
@@ -33,7 +43,7 @@ router.get('/coverage/:dealId', async (req, res) => {
       dealName: dealData.deal?.dealname,
       score: scoreData.overallScore,
       coverage: coverageAnalysis,
-      missingChecklist: generateMissingChecklist(coverageAnalysis)
+      missingChecklist: generateMissingChecklist(coverageAnalysis, { scoringConfig })
     });
   } catch (error) {
     console.error('Coverage analysis error:', error);
@@ -41,6 +51,225 @@ router.get('/coverage/:dealId', async (req, res) => {
   }
 });
 
+/**
+ * Explain a deal's score: points per component, role and contact, and what-if projections
+ */
+router.get('/explain/:dealId', async (req, res) => {
+  const { dealId } = req.params;
+  const { portalId } = req.query;
+  
+  try {
+    const accessToken = await oauthRoutes.getAccessToken(portalId);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
+    const dealData = await hubspotService.getDealWithContacts(dealId);
+    const scoringConfig = await getScoringConfig(portalId);
+    
+    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true, scoringConfig });
+    
+    res.json({
+      dealId,
+      dealName: dealData.deal?.dealname,
+      explanation: explainScore(dealData, scoreData, { enableRoleInference: true, scoringConfig })
+    });
+  } catch (error) {
+    console.error('Score explanation error:', error);
+    res.status(500).json({ error: 'Failed to explain score' });
+  }
+});
+
+/**
+ * Score a deal with each engagement model, to compare the classic and decayed models
+ */
+router.get('/engagement/:dealId', async (req, res) => {
+  const { dealId } = req.params;
+  const { portalId } = req.query;
+  
+  try {
+    const accessToken = await oauthRoutes.getAccessToken(portalId);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
+    const dealData = await hubspotService.getDealWithContacts(dealId);
+    const scoringConfig = await getScoringConfig(portalId);
+    
+    res.json({
+      dealId,
+      dealName: dealData.deal?.dealname,
+      ...compareEngagementModels(dealData, { enableRoleInference: true, scoringConfig })
+    });
+  } catch (error) {
+    console.error('Engagement model comparison error:', error);
+    res.status(500).json({ error: 'Failed to compare engagement models' });
+  }
+});
+
+/**
+ * Suggest company contacts to add to a deal for each missing key role
+ */
+router.get('/stakeholders/:dealId', async (req, res) => {
+  const { dealId } = req.params;
+  const { portalId, maxPerRole } = req.query;
+  
+  try {
+    const accessToken = await oauthRoutes.getAccessToken(portalId);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
+    const dealData = await hubspotService.getDealWithContacts(dealId);
+    const scoringConfig = await getScoringConfig(portalId);
+    
+    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true, scoringConfig });
+    const discovery = await hubspotService.getSuggestedStakeholders(dealId, scoreData.missingKeyRoles, {
+      excludeContactIds: (dealData.contacts || []).map(c => c.id),
+      maxPerRole: parseInt(maxPerRole, 10) || undefined
+    });
+    
+    res.json({
+      dealId,
+      dealName: dealData.deal?.dealname,
+      missingKeyRoles: scoreData.missingKeyRoles,
+      suggestions: discovery.suggestions,
+      candidatesReviewed: discovery.candidatesReviewed,
+      companyIds: discovery.companyIds,
+      truncated: discovery.truncated
+    });
+  } catch (error) {
+    console.error('Stakeholder discovery error:', error);
+    res.status(500).json({ error: 'Failed to suggest stakeholders' });
+  }
+});
+
+/**
+ * Get inferred role suggestions waiting for a rep's review
+ */
+router.get('/roles/review', async (req, res) => {
+  const { portalId, dealId } = req.query;
+  
+  try {
+    const queue = await getReviewQueue(portalId, { dealId });
+    res.json({ count: queue.length, reviews: queue });
+  } catch (error) {
+    console.error('Role review queue error:', error);
+    res.status(500).json({ error: 'Failed to get role review queue' });
+  }
+});
+
+/**
+ * Get a deal's score history: overall, engagement, participation, role coverage,
+ * breadth and depth scores from each scoring run
+ */
+router.get('/history/:dealId', async (req, res) => {
+  const { dealId } = req.params;
+  const { portalId, days, limit } = req.query;
+  
+  try {
+    const since = parseInt(days, 10) > 0
+      ? new Date(Date.now() - parseInt(days, 10) * 24 * 60 * 60 * 1000)
+      : null;
+    const history = await getScoreHistory(portalId, dealId, { since, limit: parseInt(limit, 10) || undefined });
+    res.json({ dealId, count: history.length, history });
+  } catch (error) {
+    console.error('Score history error:', error);
+    res.status(500).json({ error: 'Failed to get score history' });
+  }
+});
+
+/**
+ * Get the webhook events received for a deal and its contacts, and what was done with each
+ */
+router.get('/events/:dealId', async (req, res) => {
+  const { dealId } = req.params;
+  const { portalId, limit } = req.query;
+  
+  try {
+    const events = await getDealEventHistory(portalId, dealId, { limit: parseInt(limit, 10) || undefined });
+    res.json({ dealId, count: events.length, events });
+  } catch (error) {
+    console.error('Deal event history error:', error);
+    res.status(500).json({ error: 'Failed to get deal event history' });
+  }
+});
+
+/**
+ * Accept or reject an inferred role suggestion
+ * Accepted roles are written to the configured contact property.
+ */
+router.post('/roles/review/:contactId', async (req, res) => {
+  const { contactId } = req.params;
+  const { portalId, role, decision, decidedBy } = req.body;
+  
+  if (!role || !['accept', 'reject'].includes(decision)) {
+    return res.status(400).json({ error: 'role and decision (accept or reject) are required' });
+  }
+  
+  try {
+    const review = await decideRole(portalId, contactId, role, decision === 'accept', decidedBy);
+    if (!review) {
+      return res.status(404).json({ error: 'Role suggestion not found' });
+    }
+    
+    let written = false;
+    const property = DEFAULT_ROLE_REVIEW_CONFIG.writebackProperty;
+    if (decision === 'accept' && canWriteRole(role, property)) {
+      const accessToken = await oauthRoutes.getAccessToken(portalId);
+      const hubspotService = new HubSpotService(accessToken, { portalId });
+      await hubspotService.updateContactRoles([{ contactId, role, property }], { dealId: review.dealId });
+      written = true;
+    }
+    
+    res.json({ review, written, property: written ? property : null });
+  } catch (error) {
+    console.error('Role review error:', error);
+    res.status(500).json({ error: 'Failed to record role decision' });
+  }
+});
+
+/**
+ * Create or update the deal properties scores are written to
+ */
+router.post('/properties/install', async (req, res) => {
+  const { portalId } = req.body;
+  
+  try {
+    const accessToken = await oauthRoutes.getAccessToken(portalId);
+    const hubspotService = new HubSpotService(accessToken, { portalId });
+    const result = await hubspotService.installScoreProperties();
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Score property install error:', error);
+    res.status(500).json({ error: 'Failed to install score properties' });
+  }
+});
+
+/**
+ * Recalculate a deal's score and write it to the deal's properties
+ */
+router.post('/score/:dealId/sync', async (req, res) => {
+  const { dealId } = req.params;
+  const { portalId, force = false } = req.body;
+  
+  try {
+    const accessToken = await oauthRoutes.getAccessToken(portalId);
+    const hubspotService = new HubSpotService(accessToken, { portalId });
+    const dealData = await hubspotService.getDealWithContacts(dealId);
+    const scoringConfig = await getScoringConfig(portalId);
+    
+    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true, scoringConfig });
+    const coverageAnalysis = calculateCoverageAnalysis(
+      dealData.contacts || [],
+      { dealStage: dealData.deal?.dealstage, deal: dealData.deal, scoringConfig }
+    );
+    const updated = await hubspotService.updateDealScore(dealId, scoreData, {
+      coverageAnalysis,
+      currentValues: dealData.deal,
+      force
+    });
+    await recordScoreSnapshot(portalId, dealId, scoreData, { coverageAnalysis, source: 'sync', scoringConfig });
+    
+    res.json({ dealId, score: scoreData.overallScore, updated });
+  } catch (error) {
+    console.error('Score sync error:', error);
+    res.status(500).json({ error: 'Failed to sync deal score' });
+  }
+});
+
 /**
  * Get champion strength analysis for a deal
  */
@@ -50,10 +279,11 @@ router.get('/champion/:dealId', async (req, res) => {
   
   try {
     const accessToken = await oauthRoutes.getAccessToken(portalId);
-    const hubspotService = new HubSpotService(accessToken);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
     const dealData = await hubspotService.getDealWithContacts(dealId);
+    const scoringConfig = await getScoringConfig(portalId);
     
-    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true });
+    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true, scoringConfig });
     
     // Find champion(s)
     const champions = scoreData.contacts.filter(c => 
@@ -100,12 +330,13 @@ router.get('/risk/:dealId', async (req, res) => {
   
   try {
     const accessToken = await oauthRoutes.getAccessToken(portalId);
-    const hubspotService = new HubSpotService(accessToken);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
     const dealData = await hubspotService.getDealWithContacts(dealId);
+    const scoringConfig = await getScoringConfig(portalId);
     
-    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true });
-    const riskPrediction = predictDealRisk(dealData, scoreData, {});
-    const stageVelocity = analyzeStageVelocity(dealData);
+    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true, scoringConfig });
+    const riskPrediction = predictDealRisk(dealData, scoreData, { scoringConfig });
+    const stageVelocity = analyzeStageVelocity(dealData, { scoringConfig });
     
     res.json({
       dealId,
@@ -129,16 +360,17 @@ router.post('/alerts/:dealId', async (req, res) => {
   
   try {
     const accessToken = await oauthRoutes.getAccessToken(portalId);
-    const hubspotService = new HubSpotService(accessToken);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
     const dealData = await hubspotService.getDealWithContacts(dealId);
+    const scoringConfig = await getScoringConfig(portalId);
     
-    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true });
+    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true, scoringConfig });
     const coverageAnalysis = calculateCoverageAnalysis(
       dealData.contacts || [],
-      { dealStage: dealData.deal?.dealstage }
+      { dealStage: dealData.deal?.dealstage, deal: dealData.deal, scoringConfig }
     );
     
-    const alerts = generateThreadingAlerts(dealData, scoreData, coverageAnalysis, null);
+    const alerts = generateThreadingAlerts({ ...dealData, portalId }, scoreData, coverageAnalysis, null, { scoringConfig });
     
     let sendResults = null;
     if (sendNotifications && alerts.length > 0) {
@@ -165,10 +397,11 @@ router.post('/workflow/action', async (req, res) => {
   
   try {
     const accessToken = await oauthRoutes.getAccessToken(portalId);
-    const hubspotService = new HubSpotService(accessToken);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
     const dealData = await hubspotService.getDealWithContacts(dealId);
+    const scoringConfig = await getScoringConfig(portalId);
     
-    const result = handleWorkflowAction(actionType, params, dealData);
+    const result = handleWorkflowAction(actionType, params, dealData, { scoringConfig });
     
     res.json({
       dealId,
@@ -199,10 +432,11 @@ router.get('/report/:dealId', async (req, res) => {
   
   try {
     const accessToken = await oauthRoutes.getAccessToken(portalId);
-    const hubspotService = new HubSpotService(accessToken);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
     const dealData = await hubspotService.getDealWithContacts(dealId);
+    const scoringConfig = await getScoringConfig(portalId);
     
-    const report = generateDealHealthReport(dealData, { includeContacts: true });
+    const report = generateDealHealthReport(dealData, { includeContacts: true, includeExplanation: true, scoringConfig });
     
     if (format === 'html') {
       res.set('Content-Type', 'text/html');
@@ -224,25 +458,18 @@ router.post('/report/coaching', async (req, res) => {
   
   try {
     const accessToken = await oauthRoutes.getAccessToken(portalId);
-    const hubspotService = new HubSpotService(accessToken);
-    
-    // Fetch deals in parallel for better performance
-    const dealPromises = dealIds.map(dealId => 
-      hubspotService.getDealWithContacts(dealId)
-        .catch(err => {
-          console.error(`Failed to fetch deal ${dealId}:`, err.message);
-          return null;
-        })
-    );
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
     
-    const dealResults = await Promise.allSettled(dealPromises);
-    const deals = dealResults
-      .filter(result => result.status === 'fulfilled' && result.value !== null)
-      .map(result => result.value);
+    // Deals that still fail after retries are reported instead of silently dropped
+    const { deals, partialResults } = await hubspotService.getDealsWithContacts(dealIds);
+    partialResults.failed.forEach(failure => {
+      console.error(`Failed to fetch deal ${failure.dealId}:`, failure.error);
+    });
     
-    const packet = generateCoachingPacket(deals, { repName, period });
+    const scoringConfig = await getScoringConfig(portalId);
+    const packet = generateCoachingPacket(deals, { repName, period, scoringConfig });
     
-    res.json(packet);
+    res.json({ ...packet, partialResults });
   } catch (error) {
     console.error('Coaching packet error:', error);
     res.status(500).json({ error: 'Failed to generate coaching packet' });
@@ -255,27 +482,39 @@ router.post('/report/coaching', async (req, res) => {
 router.post('/report/dashboard', async (req, res) => {
   const { dealIds, portalId, groupByStage = true } = req.body;
   
+  const requestedTrendDays = Number(req.body.trendDays ?? DEFAULT_TREND_DAYS);
+  if (!Number.isInteger(requestedTrendDays) || requestedTrendDays < 1) {
+    return res.status(400).json({ error: 'trendDays must be a whole number of at least 1' });
+  }
+  const trendDays = Math.min(requestedTrendDays, MAX_TREND_DAYS);
+  
   try {
     const accessToken = await oauthRoutes.getAccessToken(portalId);
-    const hubspotService = new HubSpotService(accessToken);
-    
-    // Fetch deals in parallel for better performance
-    const dealPromises = dealIds.map(dealId => 
-      hubspotService.getDealWithContacts(dealId)
-        .catch(err => {
-          console.error(`Failed to fetch deal ${dealId}:`, err.message);
-          return null;
-        })
-    );
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
     
-    const dealResults = await Promise.allSettled(dealPromises);
-    const deals = dealResults
-      .filter(result => result.status === 'fulfilled' && result.value !== null)
-      .map(result => result.value);
+    // Deals that still fail after retries are reported instead of silently dropped
+    const { deals, partialResults } = await hubspotService.getDealsWithContacts(dealIds);
+    partialResults.failed.forEach(failure => {
+      console.error(`Failed to fetch deal ${failure.dealId}:`, failure.error);
+    });
+    
+    // Trends compare each deal's latest score with its score at the start of the period
+    const periodStart = new Date(Date.now() - trendDays * 24 * 60 * 60 * 1000);
+    const scoreHistory = await Promise.all(deals.map(async (deal) => ({
+      dealId: deal.dealId,
+      previous: await getSnapshotAt(portalId, deal.dealId, periodStart),
+      current: await getLatestSnapshot(portalId, deal.dealId)
+    })));
     
-    const dashboard = generatePipelineDashboard(deals, { groupByStage });
+    const scoringConfig = await getScoringConfig(portalId);
+    const dashboard = generatePipelineDashboard(deals, {
+      groupByStage,
+      scoreHistory,
+      trendPeriodDays: trendDays,
+      scoringConfig
+    });
     
-    res.json(dashboard);
+    res.json({ ...dashboard, partialResults });
   } catch (error) {
     console.error('Dashboard generation error:', error);
     res.status(500).json({ error: 'Failed to generate dashboard' });
@@ -291,11 +530,12 @@ router.get('/playbooks/:dealId', async (req, res) => {
   
   try {
     const accessToken = await oauthRoutes.getAccessToken(portalId);
-    const hubspotService = new HubSpotService(accessToken);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
     const dealData = await hubspotService.getDealWithContacts(dealId);
+    const scoringConfig = await getScoringConfig(portalId);
     
-    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true });
-    const recommendations = getContextualRecommendations(scoreData, dealData.deal?.dealstage);
+    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true, scoringConfig });
+    const recommendations = getContextualRecommendations(scoreData, dealData.deal?.dealstage, { scoringConfig });
     
     res.json({
       dealId,
@@ -343,15 +583,31 @@ router.post('/lifecycle/:dealId', async (req, res) => {
   
   try {
     const accessToken = await oauthRoutes.getAccessToken(portalId);
-    const hubspotService = new HubSpotService(accessToken);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
     const dealData = await hubspotService.getDealWithContacts(dealId);
+    const scoringConfig = await getScoringConfig(portalId);
+    
+    const currentSnapshot = calculateMultiThreadingScore(dealData, { enableRoleInference: true, scoringConfig });
+    const coverageAnalysis = calculateCoverageAnalysis(
+      dealData.contacts || [],
+      { dealStage: dealData.deal?.dealstage, deal: dealData.deal, scoringConfig }
+    );
     
-    const currentSnapshot = calculateMultiThreadingScore(dealData, { enableRoleInference: true });
-    const lifecycle = trackStakeholderLifecycle(currentSnapshot, previousSnapshot);
-    const timelineEvents = generateTimelineEvents(previousSnapshot, currentSnapshot, dealData);
+    // Without a previous snapshot in the request, compare against the deal's stored history
+    const previous = previousSnapshot || await getLatestSnapshot(portalId, dealId);
+    const recorded = await recordScoreSnapshot(portalId, dealId, currentSnapshot, {
+      coverageAnalysis,
+      source: 'lifecycle',
+      scoringConfig
+    });
+    const lifecycle = previousSnapshot
+      ? trackStakeholderLifecycle(currentSnapshot, previousSnapshot, { scoringConfig })
+      : recorded.lifecycle;
+    const timelineEvents = generateTimelineEvents(previous, currentSnapshot, dealData);
     
     res.json({
       dealId,
+      previousSnapshotAt: previous?.takenAt || null,
       currentSnapshot: {
         overallScore: currentSnapshot.overallScore,
         threadDepth: currentSnapshot.threadDepth,
@@ -1,10 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const HubSpotService = require('../services/hubspotService');
-const { calculateMultiThreadingScore, generateRecommendations } = require('../services/scoringService');
+const { calculateMultiThreadingScore, generateRecommendations, getReportedScore } = require('../services/scoringService');
 const { calculateCoverageAnalysis, generateMissingChecklist, calculateChampionStrength } = require('../services/coverageAnalysisService');
 const { predictDealRisk } = require('../services/riskPredictionService');
 const { getContextualRecommendations } = require('../services/playbookService');
+const { invalidateDeal } = require('../services/cacheService');
+const { processInferredRoles } = require('../services/roleReviewService');
+const { recordScoreSnapshot } = require('../services/dealSnapshotService');
+const { getScoringConfig, SCORE_MODES } = require('../services/scoringConfigService');
+const { explainScore } = require('../services/scoreExplanationService');
 const oauthRoutes = require('./oauth');
 
 /**
@@ -46,37 +51,79 @@ router.get('/deal', async (req, res) => {
           type: 'IFRAME',
           width: 500,
           height: 300,
-          uri: `${process.env.APP_BASE_URL || 'http://localhost:3000'}/oauth/authorize`,
+          uri: `${process.env.APP_BASE_URL || 'http://localhost:3000'}/oauth/authorize` +
+            (portalId ? `?returnTo=${encodeURIComponent(`https://app.hubspot.com/contacts/${portalId}/deal/${hs_object_id}`)}` : ''),
           label: 'Authorize App'
         }
       });
     }
     
-    const hubspotService = new HubSpotService(accessToken);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
     
     // Get deal data with contacts
     const dealData = await hubspotService.getDealWithContacts(hs_object_id);
     
-    // Calculate multi-threading score with role inference enabled
-    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true });
+    // Calculate multi-threading score with role inference enabled, weighted for this portal
+    const scoringConfig = await getScoringConfig(portalId);
+    const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true, scoringConfig });
+    
+    // Look for company contacts who could fill missing roles; suggestions are cached per deal
+    // so renders stay within the card timeout, and the card still renders without them
+    const { missingRoles } = getReportedScore(scoreData);
+    let suggestedStakeholders = {};
+    if (missingRoles.length > 0) {
+      try {
+        const discovery = await hubspotService.getSuggestedStakeholders(hs_object_id, missingRoles, {
+          excludeContactIds: (dealData.contacts || []).map(c => c.id)
+        });
+        suggestedStakeholders = discovery.suggestions;
+      } catch (discoveryError) {
+        console.error('Stakeholder discovery error:', discoveryError);
+      }
+    }
     
     // Generate recommendations
-    const recommendations = generateRecommendations(scoreData);
+    const recommendations = generateRecommendations(scoreData, { suggestedStakeholders, scoringConfig });
     
     // Calculate coverage analysis (breadth vs depth)
     const coverageAnalysis = calculateCoverageAnalysis(
       dealData.contacts || [],
-      { dealStage: dealData.deal?.dealstage }
+      { dealStage: dealData.deal?.dealstage, deal: dealData.deal, scoringConfig }
     );
     
     // Generate missing checklist
-    const missingChecklist = generateMissingChecklist(coverageAnalysis);
+    const missingChecklist = generateMissingChecklist(coverageAnalysis, { scoringConfig });
     
     // Get risk prediction
-    const riskPrediction = predictDealRisk(dealData, scoreData, {});
+    const riskPrediction = predictDealRisk(dealData, scoreData, { scoringConfig });
     
     // Get contextual playbook recommendations
-    const playbookRecs = getContextualRecommendations(scoreData, dealData.deal?.dealstage);
+    const playbookRecs = getContextualRecommendations(scoreData, dealData.deal?.dealstage, { scoringConfig });
+    
+    // Add this run to the deal's score history; the card still renders if it can't be stored
+    try {
+      await recordScoreSnapshot(portalId, dealData.dealId, scoreData, { coverageAnalysis, source: 'crm-card', scoringConfig });
+    } catch (snapshotError) {
+      console.error('Score snapshot error:', snapshotError);
+    }
+    
+    // Keep the deal's score properties in sync; the card still renders if the write fails
+    try {
+      await hubspotService.updateDealScore(dealData.dealId, scoreData, {
+        coverageAnalysis,
+        currentValues: dealData.deal
+      });
+    } catch (writeError) {
+      console.error('Score write-back error:', writeError);
+    }
+    
+    // Write confident role inferences back and queue the rest for review
+    try {
+      const { toWrite } = await processInferredRoles(portalId, dealData.dealId, scoreData.contacts);
+      await hubspotService.updateContactRoles(toWrite, { dealId: dealData.dealId });
+    } catch (roleError) {
+      console.error('Role write-back error:', roleError);
+    }
     
     // Format response for HubSpot CRM Card
     const cardResponse = formatCrmCardResponse(
@@ -111,24 +158,37 @@ router.get('/deal', async (req, res) => {
  */
 function formatCrmCardResponse(scoreData, recommendations, dealId, coverageAnalysis = null, missingChecklist = null, riskPrediction = null, playbookRecs = null) {
   const results = [];
+  const reported = getReportedScore(scoreData);
+  const stageMode = reported.scoreMode === SCORE_MODES.STAGE;
+  
+  // Main score card; in stage mode the stage-adjusted score leads and the absolute score follows
+  const scoreProperties = [
+    {
+      label: reported.label,
+      dataType: 'NUMERIC',
+      value: reported.overallScore
+    }
+  ];
+  if (stageMode) {
+    scoreProperties.push({
+      label: 'Absolute Score',
+      dataType: 'NUMERIC',
+      value: scoreData.overallScore
+    });
+  }
   
-  // Main score card
   results.push({
     objectId: 1,
     title: 'Multi-Threading Score',
     link: null,
     properties: [
-      {
-        label: 'Overall Score',
-        dataType: 'NUMERIC',
-        value: scoreData.overallScore
-      },
+      ...scoreProperties,
       {
         label: 'Risk Level',
         dataType: 'STATUS',
-        value: scoreData.riskLevel,
-        optionType: scoreData.riskLevel === 'LOW' ? 'SUCCESS' : 
-                    scoreData.riskLevel === 'MEDIUM' ? 'WARNING' : 'DANGER'
+        value: reported.riskLevel,
+        optionType: reported.riskLevel === 'LOW' ? 'SUCCESS' : 
+                    reported.riskLevel === 'MEDIUM' ? 'WARNING' : 'DANGER'
       },
       {
         label: 'Stakeholders',
@@ -139,6 +199,11 @@ function formatCrmCardResponse(scoreData, recommendations, dealId, coverageAnaly
         label: 'Engaged Contacts',
         dataType: 'NUMERIC',
         value: scoreData.threadDepth
+      },
+      {
+        label: 'Expectation Profile',
+        dataType: 'STRING',
+        value: scoreData.expectationProfile.description
       }
     ]
   });
@@ -197,11 +262,18 @@ function formatCrmCardResponse(scoreData, recommendations, dealId, coverageAnaly
     ]
   };
   
-  if (scoreData.missingKeyRoles.length > 0) {
+  if (reported.missingRoles.length > 0) {
+    roleInfo.properties.push({
+      label: stageMode ? 'Missing for This Stage' : 'Missing Key Roles',
+      dataType: 'STRING',
+      value: reported.missingRoles.map(r => r.toLowerCase().replace('_', ' ')).join(', ')
+    });
+  }
+  if (stageMode && scoreData.stageAdjusted.missingRecommendedRoles.length > 0) {
     roleInfo.properties.push({
-      label: 'Missing Key Roles',
+      label: 'Recommended for This Stage',
       dataType: 'STRING',
-      value: scoreData.missingKeyRoles.map(r => r.toLowerCase().replace('_', ' ')).join(', ')
+      value: scoreData.stageAdjusted.missingRecommendedRoles.map(r => r.toLowerCase().replace('_', ' ')).join(', ')
     });
   }
   
@@ -307,8 +379,14 @@ function formatCrmCardResponse(scoreData, recommendations, dealId, coverageAnaly
  */
 router.post('/refresh', async (req, res) => {
   const { hs_object_id } = req.body;
+  const portalId = req.body.portalId || req.query.portalId;
   
   try {
+    // Drop the cached snapshot so the reloaded card fetches fresh data
+    if (hs_object_id) {
+      await invalidateDeal(portalId, hs_object_id);
+    }
+    
     // The refresh is handled by the card reloading
     res.json({
       message: 'Score refresh triggered',
@@ -338,16 +416,18 @@ router.get('/details', async (req, res) => {
     try {
       accessToken = await oauthRoutes.getAccessToken(portalId);
     } catch (authError) {
-      return res.redirect('/oauth/authorize');
+      return res.redirect(`/oauth/authorize?returnTo=${encodeURIComponent(req.originalUrl)}`);
     }
     
-    const hubspotService = new HubSpotService(accessToken);
+    const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
     const dealData = await hubspotService.getDealWithContacts(dealId);
-    const scoreData = calculateMultiThreadingScore(dealData);
-    const recommendations = generateRecommendations(scoreData);
+    const scoringConfig = await getScoringConfig(portalId);
+    const scoreData = calculateMultiThreadingScore(dealData, { scoringConfig });
+    const recommendations = generateRecommendations(scoreData, { scoringConfig });
+    const explanation = explainScore(dealData, scoreData, { scoringConfig });
     
     // Send HTML response for detailed view
-    res.send(generateDetailedHtml(dealData, scoreData, recommendations));
+    res.send(generateDetailedHtml(dealData, scoreData, recommendations, explanation));
   } catch (error) {
     console.error('Details error:', error);
     res.status(500).send('Error loading details');
@@ -357,7 +437,10 @@ router.get('/details', async (req, res) => {
 /**
  * Generate HTML for detailed view iframe
  */
-function generateDetailedHtml(dealData, scoreData, recommendations) {
+function generateDetailedHtml(dealData, scoreData, recommendations, explanation) {
+  const reported = getReportedScore(scoreData);
+  const { stageAdjusted } = scoreData;
+  
   return `
 <!DOCTYPE html>
 <html lang="en">
@@ -385,7 +468,7 @@ function generateDetailedHtml(dealData, scoreData, recommendations) {
       width: 80px;
       height: 80px;
       border-radius: 50%;
-      background: ${scoreData.riskColor};
+      background: ${reported.riskColor};
       color: white;
       display: flex;
       align-items: center;
@@ -410,7 +493,7 @@ function generateDetailedHtml(dealData, scoreData, recommendations) {
     }
     .score-grid {
       display: grid;
-      grid-template-columns: repeat(4, 1fr);
+      grid-template-columns: repeat(5, 1fr);
       gap: 15px;
     }
     .score-item {
@@ -466,11 +549,20 @@ function generateDetailedHtml(dealData, scoreData, recommendations) {
       font-weight: 500;
     }
     .badge.role { background: #eaf0f6; color: #33475b; }
+    .summary { font-size: 14px; margin-bottom: 15px; }
+    .what-if {
+      display: flex;
+      justify-content: space-between;
+      padding: 8px 0;
+      border-bottom: 1px solid #eaf0f6;
+      font-size: 13px;
+    }
+    .what-if .delta { font-weight: bold; color: #00a4bd; }
   </style>
 </head>
 <body>
   <div class="header">
-    <div class="score-circle">${scoreData.overallScore}</div>
+    <div class="score-circle">${reported.overallScore}</div>
     <h1>${dealData.deal.dealname || 'Deal'}</h1>
     <p>Multi-Threading Stakeholder Coverage Analysis</p>
   </div>
@@ -482,6 +574,10 @@ function generateDetailedHtml(dealData, scoreData, recommendations) {
         <div class="value">${scoreData.overallScore}</div>
         <div class="label">Overall Score</div>
       </div>
+      <div class="score-item">
+        <div class="value">${stageAdjusted.overallScore}</div>
+        <div class="label">Stage-Adjusted</div>
+      </div>
       <div class="score-item">
         <div class="value">${scoreData.engagementScore}</div>
         <div class="label">Engagement</div>
@@ -497,6 +593,41 @@ function generateDetailedHtml(dealData, scoreData, recommendations) {
     </div>
   </div>
 
+  <div class="card">
+    <h2>Why This Score</h2>
+    <p class="summary">${explanation.summary}</p>
+    <table class="contact-table">
+      <thead>
+        <tr>
+          <th>Component</th>
+          <th>Score</th>
+          <th>Weight</th>
+          <th>Points</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${explanation.components.map(component => `
+          <tr>
+            <td>${component.label}</td>
+            <td>${component.score}/100</td>
+            <td>${Math.round(component.weight * 100)}%</td>
+            <td><strong>${component.points}</strong> of ${component.maxPoints}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  </div>
+
+  <div class="card">
+    <h2>What Would Raise It</h2>
+    ${explanation.whatIf.length > 0 ? explanation.whatIf.map(scenario => `
+      <div class="what-if">
+        <span>${scenario.title}</span>
+        <span class="delta">${scenario.delta >= 0 ? '+' : ''}${scenario.delta} → ${scenario.projectedScore}</span>
+      </div>
+    `).join('') : '<p>No contacts to project from yet.</p>'}
+  </div>
+
   <div class="card">
     <h2>Recommendations</h2>
     ${recommendations.map(rec => `
@@ -518,6 +649,7 @@ function generateDetailedHtml(dealData, scoreData, recommendations) {
           <th>Job Title</th>
           <th>Engagement</th>
           <th>Score</th>
+          <th>Points</th>
         </tr>
       </thead>
       <tbody>
@@ -533,6 +665,7 @@ function generateDetailedHtml(dealData, scoreData, recommendations) {
               <small>${contact.engagements.emails}📧 ${contact.engagements.meetings}📅 ${contact.engagements.calls}📞</small>
             </td>
             <td><strong>${contact.engagementScore}</strong>/100</td>
+            <td>${explanation.contacts.find(c => c.contactId === contact.contactId)?.totalPoints ?? 0}</td>
           </tr>
         `).join('')}
       </tbody>
@@ -543,6 +676,9 @@ function generateDetailedHtml(dealData, scoreData, recommendations) {
     <h2>Role Coverage</h2>
     <p><strong>Covered:</strong> ${scoreData.coveredRoles.length > 0 ? scoreData.coveredRoles.join(', ') : 'None'}</p>
     ${scoreData.missingKeyRoles.length > 0 ? `<p><strong>Missing Key Roles:</strong> ${scoreData.missingKeyRoles.join(', ')}</p>` : ''}
+    <p><strong>Expectation Profile:</strong> ${scoreData.expectationProfile.description}</p>
+    <p><strong>Expected at ${stageAdjusted.dealStage}${stageAdjusted.stagePhase ? ` (${stageAdjusted.stagePhase} phase)` : ''}:</strong> ${[...stageAdjusted.requiredRoles, ...stageAdjusted.recommendedRoles.map(role => `${role} (recommended)`)].join(', ') || 'None'}</p>
+    ${stageAdjusted.missingRequiredRoles.length > 0 ? `<p><strong>Missing for This Stage:</strong> ${stageAdjusted.missingRequiredRoles.join(', ')}</p>` : ''}
   </div>
 </body>
 </html>
@@ -1,31 +1,78 @@
 const express = require('express');
 const router = express.Router();
+const axios = require('axios');
+const HubSpotService = require('../services/hubspotService');
+const { saveTokens, getTokens, listPortals } = require('../services/tokenStore');
+const { createState, verifyState, getStateCookie, STATE_COOKIE, STATE_TTL_MS } = require('../services/oauthStateService');
+const { purgePortalData } = require('../services/portalPurgeService');
+const { recordAuditEvent, AUDIT_ACTIONS } = require('../services/auditLogService');
+const { requireAdminKey } = require('../middleware/adminAuth');
 
 const HUBSPOT_CLIENT_ID = process.env.HUBSPOT_CLIENT_ID;
 const HUBSPOT_CLIENT_SECRET = process.env.HUBSPOT_CLIENT_SECRET;
 const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+const HUBSPOT_API_URL = process.env.HUBSPOT_API_BASE_URL || 'https://api.hubapi.com';
 
 // Required scopes for the app
 const SCOPES = [
   'crm.objects.deals.read',
   'crm.objects.deals.write',
   'crm.objects.contacts.read',
-  'crm.objects.contacts.write'
+  'crm.objects.contacts.write',
+  'crm.objects.companies.read',
+  'crm.schemas.deals.read',
+  'crm.schemas.deals.write',
+  'crm.schemas.contacts.read',
+  'crm.schemas.contacts.write'
 ].join(' ');
 
-// In-memory token storage (use a database in production)
-const tokenStore = new Map();
+// Token refreshes in flight, keyed by portal ID
+const pendingRefreshes = new Map();
+
+/**
+ * Get the private app access token, if the deployment uses one instead of OAuth
+ * Read on each call so the mode follows the environment.
+ * @returns {string|null} Private app access token
+ */
+function getPrivateAppToken() {
+  return process.env.HUBSPOT_PRIVATE_APP_TOKEN || null;
+}
+
+/**
+ * Disable the install flow when a private app token is configured
+ */
+function requireOAuthMode(req, res, next) {
+  if (getPrivateAppToken()) {
+    return res.status(404).json({
+      error: 'OAuth is disabled: this deployment uses a private app access token'
+    });
+  }
+  next();
+}
+
+// The state cookie must survive the top-level redirect back from HubSpot
+const STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: APP_BASE_URL.startsWith('https://'),
+  path: '/oauth'
+};
 
 /**
  * OAuth initiation endpoint
- * Redirects user to HubSpot authorization page
+ * Redirects user to HubSpot authorization page with a signed state value.
+ * Pass ?returnTo= to send the user back to where they started (e.g. a deal record).
  */
-router.get('/authorize', (req, res) => {
+router.get('/authorize', requireOAuthMode, (req, res) => {
+  const { state, nonce } = createState({ returnTo: req.query.returnTo });
+  
   const authUrl = `https://app.hubspot.com/oauth/authorize?` +
     `client_id=${HUBSPOT_CLIENT_ID}` +
     `&redirect_uri=${encodeURIComponent(APP_BASE_URL + '/oauth/callback')}` +
-    `&scope=${encodeURIComponent(SCOPES)}`;
+    `&scope=${encodeURIComponent(SCOPES)}` +
+    `&state=${encodeURIComponent(state)}`;
   
+  res.cookie(STATE_COOKIE, nonce, { ...STATE_COOKIE_OPTIONS, maxAge: STATE_TTL_MS });
   res.redirect(authUrl);
 });
 
@@ -33,17 +80,23 @@ router.get('/authorize', (req, res) => {
  * OAuth callback endpoint
  * Exchanges authorization code for access token
  */
-router.get('/callback', async (req, res) => {
-  const { code } = req.query;
+router.get('/callback', requireOAuthMode, async (req, res) => {
+  const { code, state } = req.query;
   
   if (!code) {
     return res.status(400).json({ error: 'No authorization code provided' });
   }
   
+  // Reject callbacks this browser didn't start, or that were forged or replayed
+  const stateCheck = verifyState(state, getStateCookie(req));
+  res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+  if (!stateCheck.valid) {
+    return res.status(400).json({ error: 'Invalid OAuth state', reason: stateCheck.reason });
+  }
+  
   try {
-    const axios = require('axios');
     const tokenResponse = await axios.post(
-      'https://api.hubapi.com/oauth/v1/token',
+      `${HUBSPOT_API_URL}/oauth/v1/token`,
       new URLSearchParams({
         grant_type: 'authorization_code',
         client_id: HUBSPOT_CLIENT_ID,
@@ -60,17 +113,38 @@ router.get('/callback', async (req, res) => {
     
     const { access_token, refresh_token, expires_in } = tokenResponse.data;
     
-    // Store tokens (use portal ID as key in production)
-    const portalId = 'default';
-    tokenStore.set(portalId, {
+    // The token info tells us which portal just installed the app
+    const tokenInfo = await getTokenInfo(access_token);
+    const portalId = String(tokenInfo.hub_id);
+    
+    await saveTokens(portalId, {
       accessToken: access_token,
       refreshToken: refresh_token,
-      expiresAt: Date.now() + (expires_in * 1000)
+      expiresAt: Date.now() + (expires_in * 1000),
+      hubDomain: tokenInfo.hub_domain || null,
+      installedBy: tokenInfo.user || null,
+      scopes: tokenInfo.scopes || [],
+      installedAt: new Date().toISOString()
     });
     
+    // Create the deal properties scores are written to. Authorization still
+    // succeeds if this fails; it can be retried from /api/analysis/properties/install.
+    let propertyInstall = null;
+    try {
+      propertyInstall = await new HubSpotService(access_token, { portalId }).installScoreProperties();
+    } catch (installError) {
+      console.error('Score property install error:', installError.body || installError.message);
+    }
+    
+    if (stateCheck.returnTo) {
+      return res.redirect(stateCheck.returnTo);
+    }
+    
     res.json({
       success: true,
-      message: 'Authorization successful! You can now use the Multi-Threading Score app.'
+      message: 'Authorization successful! You can now use the Multi-Threading Score app.',
+      portalId,
+      propertyInstall
     });
   } catch (error) {
     console.error('OAuth error:', error.response?.data || error.message);
@@ -82,53 +156,177 @@ router.get('/callback', async (req, res) => {
 });
 
 /**
- * Get stored access token (refreshing if needed)
+ * Look up the portal and user an access token belongs to
+ * @param {string} accessToken - OAuth access token
+ * @returns {Promise<Object>} Token info including hub_id
+ */
+async function getTokenInfo(accessToken) {
+  const response = await axios.get(`${HUBSPOT_API_URL}/oauth/v1/access-tokens/${encodeURIComponent(accessToken)}`);
+  return response.data;
+}
+
+/**
+ * Work out which portal a request is for
+ * Requests without a portal ID are allowed while exactly one portal is installed.
  */
-async function getAccessToken(portalId = 'default') {
-  const tokens = tokenStore.get(portalId);
+async function resolvePortalId(portalId) {
+  if (portalId) {
+    return String(portalId);
+  }
+  
+  const portals = await listPortals();
+  if (portals.length === 1) {
+    return portals[0];
+  }
+  throw new Error(portals.length === 0
+    ? 'No tokens found. Please authorize the app first.'
+    : 'A portal ID is required when more than one portal is installed.');
+}
+
+/**
+ * Exchange a portal's refresh token for a new access token
+ */
+async function refreshTokens(portalId, tokens) {
+  try {
+    const refreshResponse = await axios.post(
+      `${HUBSPOT_API_URL}/oauth/v1/token`,
+      new URLSearchParams({
+        grant_type: 'refresh_token',
+        client_id: HUBSPOT_CLIENT_ID,
+        client_secret: HUBSPOT_CLIENT_SECRET,
+        refresh_token: tokens.refreshToken
+      }).toString(),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        }
+      }
+    );
+    
+    const { access_token, refresh_token, expires_in } = refreshResponse.data;
+    
+    await saveTokens(portalId, {
+      ...tokens,
+      accessToken: access_token,
+      refreshToken: refresh_token,
+      expiresAt: Date.now() + (expires_in * 1000)
+    });
+    
+    return access_token;
+  } catch (error) {
+    console.error('Token refresh error:', error.response?.data || error.message);
+    throw new Error('Failed to refresh access token');
+  }
+}
+
+/**
+ * Get stored access token for a portal (refreshing if needed)
+ * With a private app token configured, that token is used for every request.
+ */
+async function getAccessToken(portalId) {
+  const privateAppToken = getPrivateAppToken();
+  if (privateAppToken) {
+    // A private app token only works for the portal it was created in
+    const privatePortalId = process.env.HUBSPOT_PORTAL_ID;
+    if (portalId && privatePortalId && String(portalId) !== String(privatePortalId)) {
+      throw new Error(`This deployment only serves portal ${privatePortalId}.`);
+    }
+    return privateAppToken;
+  }
+  
+  const resolvedPortalId = await resolvePortalId(portalId);
+  const tokens = await getTokens(resolvedPortalId);
   
   if (!tokens) {
-    throw new Error('No tokens found. Please authorize the app first.');
+    throw new Error(`No tokens found for portal ${resolvedPortalId}. Please authorize the app first.`);
   }
   
   // Refresh token if expired or about to expire
   if (tokens.expiresAt < Date.now() + 60000) {
-    try {
-      const axios = require('axios');
-      const refreshResponse = await axios.post(
-        'https://api.hubapi.com/oauth/v1/token',
-        new URLSearchParams({
-          grant_type: 'refresh_token',
-          client_id: HUBSPOT_CLIENT_ID,
-          client_secret: HUBSPOT_CLIENT_SECRET,
-          refresh_token: tokens.refreshToken
-        }).toString(),
-        {
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded'
-          }
-        }
+    // Concurrent requests share one refresh; HubSpot may rotate the refresh token
+    if (!pendingRefreshes.has(resolvedPortalId)) {
+      pendingRefreshes.set(
+        resolvedPortalId,
+        refreshTokens(resolvedPortalId, tokens).finally(() => pendingRefreshes.delete(resolvedPortalId))
       );
-      
-      const { access_token, refresh_token, expires_in } = refreshResponse.data;
-      
-      tokenStore.set(portalId, {
-        accessToken: access_token,
-        refreshToken: refresh_token,
-        expiresAt: Date.now() + (expires_in * 1000)
-      });
-      
-      return access_token;
-    } catch (error) {
-      console.error('Token refresh error:', error.response?.data || error.message);
-      throw new Error('Failed to refresh access token');
     }
+    return pendingRefreshes.get(resolvedPortalId);
   }
   
   return tokens.accessToken;
 }
 
+/**
+ * Revoke a portal's refresh token with HubSpot, which also invalidates its access tokens
+ * @param {Object} tokens - Stored tokens
+ * @returns {Promise<boolean>} Whether HubSpot accepted the revocation
+ */
+async function revokeTokens(tokens) {
+  try {
+    await axios.delete(`${HUBSPOT_API_URL}/oauth/v1/refresh-tokens/${encodeURIComponent(tokens.refreshToken)}`);
+    return true;
+  } catch (error) {
+    // Tokens of a portal that already uninstalled the app in HubSpot are gone
+    console.error('Token revocation error:', error.response?.data || error.message);
+    return false;
+  }
+}
+
+/**
+ * Uninstall the app for a portal: revoke its tokens, purge its data and audit the result
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} options - actor performing the uninstall
+ * @returns {Promise<Object>} Revocation and purge summary
+ */
+async function uninstallPortal(portalId, options = {}) {
+  // Let an in-flight refresh finish, or it would store fresh tokens after the purge
+  if (pendingRefreshes.has(portalId)) {
+    await pendingRefreshes.get(portalId).catch(() => {});
+  }
+  
+  const tokens = await getTokens(portalId);
+  const tokensRevoked = tokens ? await revokeTokens(tokens) : false;
+  
+  const { removed, failed } = await purgePortalData(portalId);
+  
+  const auditEvent = await recordAuditEvent(AUDIT_ACTIONS.PORTAL_UNINSTALLED, {
+    portalId,
+    actor: options.actor || 'admin',
+    details: { hadTokens: Boolean(tokens), tokensRevoked, removed, failed }
+  });
+  
+  return {
+    portalId,
+    tokensRevoked,
+    removed,
+    failed,
+    auditEventId: auditEvent.id
+  };
+}
+
+/**
+ * Uninstall endpoint
+ * Revokes the portal's tokens and deletes everything the app stores for it.
+ * Requires the admin API key.
+ */
+router.delete('/portals/:portalId', requireAdminKey, async (req, res) => {
+  const { portalId } = req.params;
+  
+  try {
+    const result = await uninstallPortal(portalId, { actor: 'admin' });
+    
+    if (result.failed.length > 0) {
+      return res.status(500).json({ error: 'Failed to purge all portal data', ...result });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Portal uninstall error:', error);
+    res.status(500).json({ error: 'Failed to uninstall portal' });
+  }
+});
+
 // Export token getter for use in other modules
 router.getAccessToken = getAccessToken;
+router.uninstallPortal = uninstallPortal;
 
 module.exports = router;
@@ -1,75 +1,131 @@
 const express = require('express');
 const router = express.Router();
-const crypto = require('crypto');
+const { verifySignature } = require('../services/webhookSignatureService');
+const { invalidateDeal, getContactDealIds, invalidateContact } = require('../services/cacheService');
+const { recordWebhookEvent, EVENT_STATUS } = require('../services/webhookEventService');
+const {
+  enqueueDealRecalculation,
+  enqueueContactRecalculation,
+  registerRecalculationHandlers,
+  isScoreProperty
+} = require('../services/recalculationService');
+const oauthRoutes = require('./oauth');
 
-const HUBSPOT_CLIENT_SECRET = process.env.HUBSPOT_CLIENT_SECRET;
+// Run queued recalculations with the portal's access token
+registerRecalculationHandlers({ getAccessToken: oauthRoutes.getAccessToken });
 
 /**
- * Verify HubSpot webhook signature
+ * Whether every webhook request must carry a valid signature
+ * On in production, or anywhere with WEBHOOK_STRICT_SIGNATURES=true.
  */
-function verifySignature(req, res, next) {
-  const signature = req.headers['x-hubspot-signature-v3'];
-  const timestamp = req.headers['x-hubspot-request-timestamp'];
+function isStrictMode() {
+  return process.env.WEBHOOK_STRICT_SIGNATURES === 'true' || process.env.NODE_ENV === 'production';
+}
+
+/**
+ * Rebuild the URL HubSpot called, which is part of v2 and v3 signatures
+ * APP_BASE_URL is preferred over the Host header, which proxies may rewrite.
+ */
+function getRequestUri(req) {
+  const baseUrl = process.env.APP_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${baseUrl.replace(/\/$/, '')}${req.originalUrl}`;
+}
+
+/**
+ * Verify HubSpot webhook signature against the raw request body
+ * Outside strict mode, requests are let through unverified while no client secret is
+ * configured, and unsigned requests are accepted when NODE_ENV is development.
+ */
+function verifyHubSpotSignature(req, res, next) {
+  const secret = process.env.HUBSPOT_CLIENT_SECRET;
+  const strict = isStrictMode();
   
-  if (!signature || !timestamp) {
-    // Skip verification in development or if no secret configured
-    if (process.env.NODE_ENV === 'development' || !HUBSPOT_CLIENT_SECRET) {
-      return next();
+  if (!secret) {
+    if (strict) {
+      console.error('Webhook signature verification requires HUBSPOT_CLIENT_SECRET');
+      return res.status(500).json({ error: 'Webhook signature verification is not configured' });
     }
-    return res.status(401).json({ error: 'Missing signature headers' });
+    console.warn('Accepting webhook without signature verification: HUBSPOT_CLIENT_SECRET is not set');
+    return next();
   }
   
-  // Verify timestamp is within 5 minutes
-  const requestTime = parseInt(timestamp, 10);
-  const currentTime = Date.now();
-  if (Math.abs(currentTime - requestTime) > 300000) {
-    return res.status(401).json({ error: 'Request timestamp too old' });
+  const signed = req.get('x-hubspot-signature-v3') || req.get('x-hubspot-signature');
+  if (!signed && !strict && process.env.NODE_ENV === 'development') {
+    console.warn('Accepting unsigned webhook request in development');
+    return next();
   }
   
-  // Calculate expected signature
-  const sourceString = `${req.method}https://${req.headers.host}${req.originalUrl}${JSON.stringify(req.body)}${timestamp}`;
-  const expectedSignature = crypto
-    .createHmac('sha256', HUBSPOT_CLIENT_SECRET)
-    .update(sourceString)
-    .digest('base64');
+  const result = verifySignature({
+    headers: req.headers,
+    method: req.method,
+    uri: getRequestUri(req),
+    rawBody: req.rawBody
+  }, secret);
   
-  if (signature !== expectedSignature) {
-    return res.status(401).json({ error: 'Invalid signature' });
+  if (!result.valid) {
+    return res.status(401).json({ error: 'Invalid signature', reason: result.reason });
   }
   
   next();
 }
 
+/**
+ * Count recorded events by outcome for the webhook response
+ */
+function summarizeEvents(entries) {
+  return {
+    processed: entries.filter(entry => entry.status === EVENT_STATUS.PROCESSED).length,
+    duplicates: entries.filter(entry => entry.status === EVENT_STATUS.DUPLICATE).length,
+    stale: entries.filter(entry => entry.status === EVENT_STATUS.STALE).length
+  };
+}
+
 /**
  * Webhook endpoint for deal changes
  * Triggered when deals are created or updated
  */
-router.post('/deal', verifySignature, async (req, res) => {
+router.post('/deal', verifyHubSpotSignature, async (req, res) => {
   try {
     const events = Array.isArray(req.body) ? req.body : [req.body];
     
     console.log(`Received ${events.length} webhook event(s)`);
     
+    const entries = [];
     for (const event of events) {
-      const { objectId, subscriptionType, propertyName, propertyValue } = event;
+      const { objectId, portalId, subscriptionType, propertyName, propertyValue } = event;
+      
+      // HubSpot retries deliveries and may send a batch out of order
+      const entry = await recordWebhookEvent(event, 'deal');
+      entries.push(entry);
+      if (entry.status !== EVENT_STATUS.PROCESSED) {
+        console.log(`Skipping ${entry.status.toLowerCase()} webhook: ${subscriptionType} for deal ${objectId}`);
+        continue;
+      }
       
       console.log(`Processing webhook: ${subscriptionType} for deal ${objectId}`);
       
+      // Any change to the deal makes its cached snapshot stale
+      await invalidateDeal(portalId, objectId);
+      
       // Handle different subscription types
       switch (subscriptionType) {
         case 'deal.creation':
           console.log(`New deal created: ${objectId}`);
-          // Could trigger initial score calculation here
+          await enqueueDealRecalculation(portalId, objectId, subscriptionType);
           break;
         
         case 'deal.propertyChange':
           console.log(`Deal ${objectId} property changed: ${propertyName} = ${propertyValue}`);
-          // Could trigger score recalculation based on specific property changes
+          // The app's own score write-back would otherwise trigger endless recalculation
+          if (!isScoreProperty(propertyName)) {
+            await enqueueDealRecalculation(portalId, objectId, subscriptionType);
+          }
           break;
         
         case 'deal.associationChange':
           console.log(`Deal ${objectId} associations changed`);
-          // Trigger score recalculation when contacts are added/removed
+          // Contacts were added or removed
+          await enqueueDealRecalculation(portalId, objectId, subscriptionType);
           break;
         
         default:
@@ -78,7 +134,7 @@ router.post('/deal', verifySignature, async (req, res) => {
     }
     
     // Acknowledge receipt
-    res.status(200).json({ received: true });
+    res.status(200).json({ received: true, ...summarizeEvents(entries) });
   } catch (error) {
     console.error('Webhook processing error:', error);
     res.status(500).json({ error: 'Webhook processing failed' });
@@ -88,18 +144,37 @@ router.post('/deal', verifySignature, async (req, res) => {
 /**
  * Webhook endpoint for contact changes
  */
-router.post('/contact', verifySignature, async (req, res) => {
+router.post('/contact', verifyHubSpotSignature, async (req, res) => {
   try {
     const events = Array.isArray(req.body) ? req.body : [req.body];
     
     console.log(`Received ${events.length} contact webhook event(s)`);
     
+    const entries = [];
     for (const event of events) {
       console.log(`Contact event: ${event.subscriptionType} for contact ${event.objectId}`);
-      // Could trigger score recalculation for associated deals
+      
+      // Record the event under the cached deals this contact appears in, so they show it
+      // in their event history
+      const cachedDealIds = await getContactDealIds(event.portalId, event.objectId);
+      const entry = await recordWebhookEvent(event, 'contact', { dealIds: cachedDealIds });
+      entries.push(entry);
+      if (entry.status !== EVENT_STATUS.PROCESSED) {
+        console.log(`Skipping ${entry.status.toLowerCase()} contact event for contact ${event.objectId}`);
+        continue;
+      }
+      
+      // Drop cached snapshots of every deal this contact appears in
+      const dealIds = await invalidateContact(event.portalId, event.objectId);
+      if (dealIds.length > 0) {
+        console.log(`Invalidated cached deals for contact ${event.objectId}: ${dealIds.join(', ')}`);
+      }
+      
+      // Rescore every deal the contact is on; cached deals cover contacts that were deleted
+      await enqueueContactRecalculation(event.portalId, event.objectId, event.subscriptionType, dealIds);
     }
     
-    res.status(200).json({ received: true });
+    res.status(200).json({ received: true, ...summarizeEvents(entries) });
   } catch (error) {
     console.error('Contact webhook error:', error);
     res.status(500).json({ error: 'Webhook processing failed' });
@@ -6,9 +6,26 @@
  * 2. Slack webhook integration
  * 3. Email alert formatting
  * 4. Alert prioritization and throttling
+ * 5. Retries of failed Slack deliveries through the job queue
  */
 
 const axios = require('axios');
+const crypto = require('crypto');
+const { jobQueue } = require('./jobQueue');
+const { DEFAULT_SCORING_CONFIG } = require('./scoringConfigService');
+
+const ALERT_JOB_TYPE = 'alert.deliver';
+
+// Slack outages tend to last minutes, not seconds
+const ALERT_RETRY_POLICY = {
+  maxAttempts: 6,
+  baseDelayMs: 30000,
+  maxDelayMs: 30 * 60 * 1000
+};
+
+// Webhook URLs of queued retries, keyed by job key. Anyone with a Slack webhook URL can
+// post to its channel, so the URL stays in memory and never in the persisted job.
+const retryWebhookUrls = new Map();
 
 // Alert types and their configurations
 const ALERT_CONFIGS = {
@@ -59,14 +76,19 @@ const ALERT_CONFIGS = {
 // In-memory alert tracking for throttling (use Redis in production)
 const alertHistory = new Map();
 
+function getHistoryKey(portalId, dealId, alertType) {
+  return `${portalId || 'default'}:${dealId}-${alertType}`;
+}
+
 /**
  * Check if alert should be throttled
  * @param {string} dealId - Deal identifier
  * @param {string} alertType - Type of alert
+ * @param {string} portalId - HubSpot portal ID
  * @returns {boolean} Whether to throttle
  */
-function shouldThrottle(dealId, alertType) {
-  const key = `${dealId}-${alertType}`;
+function shouldThrottle(dealId, alertType, portalId = null) {
+  const key = getHistoryKey(portalId, dealId, alertType);
   const lastSent = alertHistory.get(key);
   
   if (!lastSent) {
@@ -83,9 +105,10 @@ function shouldThrottle(dealId, alertType) {
  * Record that an alert was sent
  * @param {string} dealId - Deal identifier
  * @param {string} alertType - Type of alert
+ * @param {string} portalId - HubSpot portal ID
  */
-function recordAlertSent(dealId, alertType) {
-  const key = `${dealId}-${alertType}`;
+function recordAlertSent(dealId, alertType, portalId = null) {
+  const key = getHistoryKey(portalId, dealId, alertType);
   alertHistory.set(key, Date.now());
 }
 
@@ -95,19 +118,23 @@ function recordAlertSent(dealId, alertType) {
  * @param {Object} scoreData - Multi-threading score analysis
  * @param {Object} coverageAnalysis - Coverage analysis data
  * @param {Object} lifecycleData - Stakeholder lifecycle tracking data
+ * @param {Object} options - The portal's scoringConfig, whose alerts section holds the thresholds
  * @returns {Array} Generated alerts
  */
-function generateThreadingAlerts(dealData, scoreData, coverageAnalysis = null, lifecycleData = null) {
+function generateThreadingAlerts(dealData, scoreData, coverageAnalysis = null, lifecycleData = null, options = {}) {
+  const { alerts: thresholds } = options.scoringConfig || DEFAULT_SCORING_CONFIG;
   const alerts = [];
   const dealId = dealData.dealId || dealData.deal?.hs_object_id;
   const dealName = dealData.deal?.dealname || 'Unknown Deal';
+  const portalId = dealData.portalId || null;
   
   // Alert: Single-threaded deal
-  if (scoreData.contactCount <= 1 && !shouldThrottle(dealId, 'SINGLE_THREADED')) {
+  if (scoreData.contactCount <= thresholds.singleThreadedMaxContacts && !shouldThrottle(dealId, 'SINGLE_THREADED', portalId)) {
     alerts.push({
       type: 'SINGLE_THREADED',
       ...ALERT_CONFIGS.SINGLE_THREADED,
       dealId,
+      portalId,
       dealName,
       message: `This deal has only ${scoreData.contactCount} contact(s). High risk of deal loss if this contact becomes unavailable.`,
       recommendation: 'Add additional stakeholders to reduce single-thread exposure.',
@@ -118,16 +145,18 @@ function generateThreadingAlerts(dealData, scoreData, coverageAnalysis = null, l
     });
   }
   
-  // Alert: No new contacts in 14 days
+  // Alert: No new contacts in 14 days (by default)
   if (lifecycleData?.changes) {
     const recentNewStakeholders = lifecycleData.changes.filter(c => c.type === 'NEW_STAKEHOLDER');
-    const daysSinceSnapshot = lifecycleData.daysSinceLastSnapshot || 0;
+    // Stored snapshots carry the date a stakeholder was last added
+    const daysSinceSnapshot = lifecycleData.daysSinceNewContact ?? lifecycleData.daysSinceLastSnapshot ?? 0;
     
-    if (recentNewStakeholders.length === 0 && daysSinceSnapshot >= 14 && !shouldThrottle(dealId, 'NO_NEW_CONTACTS')) {
+    if (recentNewStakeholders.length === 0 && daysSinceSnapshot >= thresholds.noNewContactsDays && !shouldThrottle(dealId, 'NO_NEW_CONTACTS', portalId)) {
       alerts.push({
         type: 'NO_NEW_CONTACTS',
         ...ALERT_CONFIGS.NO_NEW_CONTACTS,
         dealId,
+        portalId,
         dealName,
         message: `Deal has gone ${daysSinceSnapshot} days without new contact involvement.`,
         recommendation: 'Consider expanding stakeholder engagement to reduce deal risk.',
@@ -145,11 +174,12 @@ function generateThreadingAlerts(dealData, scoreData, coverageAnalysis = null, l
   ) || [];
   
   championContacts.forEach(champion => {
-    if (champion.engagementScore < 30 && !shouldThrottle(dealId, 'CHAMPION_DISENGAGED')) {
+    if (champion.engagementScore < thresholds.championEngagementMin && !shouldThrottle(dealId, 'CHAMPION_DISENGAGED', portalId)) {
       alerts.push({
         type: 'CHAMPION_DISENGAGED',
         ...ALERT_CONFIGS.CHAMPION_DISENGAGED,
         dealId,
+        portalId,
         dealName,
         message: `Champion "${champion.name}" has dropped below engagement threshold (Score: ${champion.engagementScore}/100).`,
         recommendation: 'Re-engage your champion with a check-in call or meeting.',
@@ -167,11 +197,12 @@ function generateThreadingAlerts(dealData, scoreData, coverageAnalysis = null, l
     (c.effectiveRole || '').toUpperCase() === 'DECISION_MAKER'
   ) || [];
   
-  if (dmContacts.length === 0 && scoreData.contactCount > 0 && !shouldThrottle(dealId, 'DM_NOT_ENGAGED')) {
+  if (dmContacts.length === 0 && scoreData.contactCount > 0 && !shouldThrottle(dealId, 'DM_NOT_ENGAGED', portalId)) {
     alerts.push({
       type: 'DM_NOT_ENGAGED',
       ...ALERT_CONFIGS.DM_NOT_ENGAGED,
       dealId,
+      portalId,
       dealName,
       message: 'No Decision Maker has been identified or engaged on this deal.',
       recommendation: 'Identify and engage the decision maker through your champion.',
@@ -181,11 +212,12 @@ function generateThreadingAlerts(dealData, scoreData, coverageAnalysis = null, l
     });
   } else {
     dmContacts.forEach(dm => {
-      if (dm.engagementScore < 20 && !shouldThrottle(dealId, 'DM_NOT_ENGAGED')) {
+      if (dm.engagementScore < thresholds.decisionMakerEngagementMin && !shouldThrottle(dealId, 'DM_NOT_ENGAGED', portalId)) {
         alerts.push({
           type: 'DM_NOT_ENGAGED',
           ...ALERT_CONFIGS.DM_NOT_ENGAGED,
           dealId,
+          portalId,
           dealName,
           message: `Decision Maker "${dm.name}" has very low engagement (Score: ${dm.engagementScore}/100).`,
           recommendation: 'Schedule an executive briefing or proposal review meeting.',
@@ -201,11 +233,12 @@ function generateThreadingAlerts(dealData, scoreData, coverageAnalysis = null, l
   // Alert: Score dropped significantly
   if (lifecycleData?.changes) {
     const scoreChange = lifecycleData.changes.find(c => c.type === 'SCORE_CHANGE');
-    if (scoreChange && scoreChange.change <= -15 && !shouldThrottle(dealId, 'SCORE_DROPPED')) {
+    if (scoreChange && scoreChange.change <= -thresholds.scoreDropPoints && !shouldThrottle(dealId, 'SCORE_DROPPED', portalId)) {
       alerts.push({
         type: 'SCORE_DROPPED',
         ...ALERT_CONFIGS.SCORE_DROPPED,
         dealId,
+        portalId,
         dealName,
         message: `Multi-threading score dropped from ${scoreChange.previousScore} to ${scoreChange.currentScore} (${scoreChange.change} points).`,
         recommendation: 'Review stakeholder engagement and address any gaps.',
@@ -218,14 +251,32 @@ function generateThreadingAlerts(dealData, scoreData, coverageAnalysis = null, l
     }
   }
   
+  // Alert: Key stakeholders inactive (by default champion 9+ days, decision maker 14+ days)
+  const inactiveAlerts = (lifecycleData?.alerts || []).filter(a => a.type === 'CHAMPION_INACTIVE' || a.type === 'DM_INACTIVE');
+  if (inactiveAlerts.length > 0 && !shouldThrottle(dealId, 'STAKEHOLDER_INACTIVE', portalId)) {
+    alerts.push({
+      type: 'STAKEHOLDER_INACTIVE',
+      ...ALERT_CONFIGS.STAKEHOLDER_INACTIVE,
+      dealId,
+      portalId,
+      dealName,
+      message: inactiveAlerts.map(a => a.message).join('. ') + '.',
+      recommendation: inactiveAlerts[0].action,
+      data: {
+        inactiveStakeholders: inactiveAlerts.map(a => ({ type: a.type, title: a.title }))
+      }
+    });
+  }
+  
   // Alert: Coverage gap
-  if (coverageAnalysis && !coverageAnalysis.meetsStageExpectations && !shouldThrottle(dealId, 'COVERAGE_GAP')) {
+  if (coverageAnalysis && !coverageAnalysis.meetsStageExpectations && !shouldThrottle(dealId, 'COVERAGE_GAP', portalId)) {
     const missingRoles = coverageAnalysis.breadth?.stageAnalysis?.missingRequired || [];
     if (missingRoles.length > 0) {
       alerts.push({
         type: 'COVERAGE_GAP',
         ...ALERT_CONFIGS.COVERAGE_GAP,
         dealId,
+        portalId,
         dealName,
         message: `Deal does not meet stage expectations. Missing: ${missingRoles.join(', ')}.`,
         recommendation: 'Address role coverage gaps before advancing the deal stage.',
@@ -372,7 +423,7 @@ async function sendSlackAlert(alert, webhookUrl) {
     await axios.post(webhookUrl, payload);
     
     // Record that alert was sent for throttling
-    recordAlertSent(alert.dealId, alert.type);
+    recordAlertSent(alert.dealId, alert.type, alert.portalId);
     
     return { success: true, alertType: alert.type, dealId: alert.dealId };
   } catch (error) {
@@ -381,14 +432,64 @@ async function sendSlackAlert(alert, webhookUrl) {
   }
 }
 
+/**
+ * Queue a failed Slack alert to be delivered again later
+ * The job holds only the alert; the webhook URL is kept in memory for the retry.
+ * @param {Object} alert - Alert object
+ * @param {string} webhookUrl - Slack webhook URL
+ * @returns {Promise<Object>} Queued job
+ */
+function queueAlertDelivery(alert, webhookUrl) {
+  const messageHash = crypto.createHash('sha256').update(alert.message || '').digest('hex').slice(0, 12);
+  const key = `alert:${alert.portalId || 'default'}:${alert.dealId}:${alert.type}:${messageHash}`;
+  retryWebhookUrls.set(key, webhookUrl);
+  return jobQueue.enqueue(
+    ALERT_JOB_TYPE,
+    // Portal IDs from JSON bodies may be numbers; the uninstall purge matches strings
+    { portalId: alert.portalId ? String(alert.portalId) : null, alert },
+    { key, debounceMs: ALERT_RETRY_POLICY.baseDelayMs }
+  );
+}
+
+/**
+ * Deliver a queued alert, throwing so the queue retries if Slack is still failing
+ * Alerts go to the webhook URL they were first sent to, or after a restart to
+ * ALERT_SLACK_WEBHOOK_URL.
+ * @param {Object} data - alert
+ * @param {Object} job - The queued job
+ * @returns {Promise<Object>} Send result
+ */
+async function deliverQueuedAlert({ alert }, job = {}) {
+  // An identical alert may have gone out while this one waited
+  if (shouldThrottle(alert.dealId, alert.type, alert.portalId)) {
+    retryWebhookUrls.delete(job.key);
+    return { success: false, skipped: 'throttled' };
+  }
+
+  const webhookUrl = retryWebhookUrls.get(job.key) || process.env.ALERT_SLACK_WEBHOOK_URL;
+  if (!webhookUrl) {
+    throw Object.assign(new Error('No Slack webhook URL for the alert; set ALERT_SLACK_WEBHOOK_URL and replay it'), { retryable: false });
+  }
+
+  const result = await sendSlackAlert(alert, webhookUrl);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  retryWebhookUrls.delete(job.key);
+  return result;
+}
+
+jobQueue.registerHandler(ALERT_JOB_TYPE, deliverQueuedAlert, ALERT_RETRY_POLICY);
+
 /**
  * Send multiple alerts
+ * Failed Slack deliveries are queued for retry unless retryFailed is false.
  * @param {Array} alerts - Array of alerts
  * @param {Object} config - Notification configuration
  * @returns {Promise<Object>} Send results
  */
 async function sendAlerts(alerts, config = {}) {
-  const { slackWebhookUrl, emailEnabled = false } = config;
+  const { slackWebhookUrl, emailEnabled = false, retryFailed = true } = config;
   const results = {
     sent: [],
     failed: [],
@@ -397,7 +498,7 @@ async function sendAlerts(alerts, config = {}) {
   
   for (const alert of alerts) {
     // Check throttling
-    if (shouldThrottle(alert.dealId, alert.type)) {
+    if (shouldThrottle(alert.dealId, alert.type, alert.portalId)) {
       results.throttled.push({ type: alert.type, dealId: alert.dealId });
       continue;
     }
@@ -408,7 +509,11 @@ async function sendAlerts(alerts, config = {}) {
       if (slackResult.success) {
         results.sent.push({ type: alert.type, dealId: alert.dealId, channel: 'slack' });
       } else {
-        results.failed.push({ type: alert.type, dealId: alert.dealId, channel: 'slack', error: slackResult.error });
+        const failure = { type: alert.type, dealId: alert.dealId, channel: 'slack', error: slackResult.error };
+        if (retryFailed) {
+          failure.retryJobId = (await queueAlertDelivery(alert, slackWebhookUrl)).id;
+        }
+        results.failed.push(failure);
       }
     }
     
@@ -429,6 +534,30 @@ async function sendAlerts(alerts, config = {}) {
  */
 function clearAlertHistory() {
   alertHistory.clear();
+  retryWebhookUrls.clear();
+}
+
+/**
+ * Remove a portal's alert history
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {number} Entries removed
+ */
+function clearPortalAlertHistory(portalId) {
+  const prefix = `${portalId}:`;
+  let removed = 0;
+  Array.from(alertHistory.keys()).forEach(key => {
+    if (key.startsWith(prefix)) {
+      alertHistory.delete(key);
+      removed++;
+    }
+  });
+  // Webhook URLs of the portal's queued retries go with its jobs
+  Array.from(retryWebhookUrls.keys()).forEach(key => {
+    if (key.startsWith(`alert:${prefix}`)) {
+      retryWebhookUrls.delete(key);
+    }
+  });
+  return removed;
 }
 
 module.exports = {
@@ -437,7 +566,12 @@ module.exports = {
   formatEmailAlert,
   sendSlackAlert,
   sendAlerts,
+  queueAlertDelivery,
+  deliverQueuedAlert,
   shouldThrottle,
+  recordAlertSent,
   clearAlertHistory,
-  ALERT_CONFIGS
+  clearPortalAlertHistory,
+  ALERT_CONFIGS,
+  ALERT_JOB_TYPE
 };
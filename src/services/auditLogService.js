@@ -0,0 +1,61 @@
+/**
+ * Audit Log Service - Append-only record of sensitive operations
+ *
+ * This service provides:
+ * 1. Persistent audit entries (see dataStore for backends)
+ * 2. Lookup by portal and action
+ *
+ * Entries outlive the data they describe (e.g. a portal's uninstall), so they
+ * must not hold personal data: IDs, counts and outcomes only.
+ */
+
+const crypto = require('crypto');
+const { createStore } = require('./dataStore');
+
+const store = createStore('audit');
+
+const AUDIT_ACTIONS = {
+  PORTAL_UNINSTALLED: 'portal.uninstalled',
+  SCORING_CONFIG_CHANGED: 'scoring_config.changed'
+};
+
+/**
+ * Record an audit entry
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} entry - portalId, actor and details of the operation
+ * @returns {Promise<Object>} Stored entry
+ */
+async function recordAuditEvent(action, entry = {}) {
+  const event = {
+    id: crypto.randomUUID(),
+    action,
+    portalId: entry.portalId ? String(entry.portalId) : null,
+    actor: entry.actor || 'system',
+    details: entry.details || {},
+    recordedAt: new Date().toISOString()
+  };
+  await store.set(event.id, event);
+  return event;
+}
+
+/**
+ * Get audit entries
+ * @param {Object} filters - Optional portalId and action
+ * @returns {Promise<Array>} Matching entries, newest first
+ */
+async function getAuditEvents(filters = {}) {
+  const entries = await store.entries();
+  return entries
+    .map(([, event]) => event)
+    .filter(event =>
+      (!filters.portalId || event.portalId === String(filters.portalId)) &&
+      (!filters.action || event.action === filters.action)
+    )
+    .sort((a, b) => b.recordedAt.localeCompare(a.recordedAt));
+}
+
+module.exports = {
+  recordAuditEvent,
+  getAuditEvents,
+  AUDIT_ACTIONS
+};
@@ -0,0 +1,357 @@
+/**
+ * Cache Service - Caches deal/contact snapshots fetched from HubSpot
+ *
+ * This service provides:
+ * 1. Pluggable backends: in-memory for local use, any Redis-compatible client in production
+ * 2. getDealWithContacts results keyed by portal and deal, with TTLs
+ * 3. Stakeholder suggestions keyed by portal and deal, so CRM card renders don't repeat
+ *    company contact discovery
+ * 4. Invalidation of a deal's snapshots and suggestions when deal or contact webhooks arrive
+ * 5. Hit/miss statistics
+ * 6. Removal of everything cached for a portal when it uninstalls the app
+ */
+
+// Time-to-live for cached deal snapshots
+const DEFAULT_TTL_SECONDS = parseInt(process.env.DEAL_CACHE_TTL_SECONDS, 10) || 300;
+
+const KEY_PREFIX = 'mts';
+
+// A deal is cached once per engagement scope combination, since each produces different counts
+const DEAL_VARIANTS = ['deal', 'deal+company', 'all'];
+
+/**
+ * In-memory backend with the same string get/set/del semantics as Redis
+ */
+class MemoryCacheBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {number} options.maxEntries - Entries kept before the oldest are evicted
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    // Maps iterate in insertion order, so the first key is the oldest write
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async del(...keys) {
+    keys.forEach(key => this.entries.delete(key));
+  }
+
+  async deletePrefix(prefix) {
+    let removed = 0;
+    Array.from(this.entries.keys()).forEach(key => {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    });
+    return removed;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Adapter for Redis-compatible clients (ioredis-style `set(key, value, 'EX', seconds)`)
+ */
+class RedisCacheBackend {
+  /**
+   * @param {Object} client - Connected Redis client
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  async get(key) {
+    return this.client.get(key);
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(key, value, 'EX', ttlSeconds);
+  }
+
+  async del(...keys) {
+    if (keys.length > 0) {
+      await this.client.del(...keys);
+    }
+  }
+
+  async deletePrefix(prefix) {
+    // SCAN rather than KEYS, so a large keyspace doesn't block the server
+    let cursor = '0';
+    let removed = 0;
+    do {
+      const [nextCursor, keys] = await this.client.scan(cursor, 'MATCH', `${prefix}*`, 'COUNT', 100);
+      await this.del(...keys);
+      removed += keys.length;
+      cursor = nextCursor;
+    } while (cursor !== '0');
+    return removed;
+  }
+}
+
+let backend = new MemoryCacheBackend();
+const stats = { hits: 0, misses: 0, writes: 0, invalidations: 0, errors: 0 };
+
+/**
+ * Replace the cache backend (e.g. with a RedisCacheBackend in production)
+ * @param {Object} newBackend - Object implementing async get, set, del and deletePrefix
+ */
+function setCacheBackend(newBackend) {
+  backend = newBackend;
+}
+
+/**
+ * Get the current cache backend
+ * @returns {Object} Cache backend
+ */
+function getCacheBackend() {
+  return backend;
+}
+
+/**
+ * Get the cache variant for a set of getDealWithContacts options
+ * @param {Object} options - engagementScope and includeCompanyActivity
+ * @returns {string} One of DEAL_VARIANTS
+ */
+function getDealVariant(options = {}) {
+  if (options.engagementScope === 'all') {
+    return 'all';
+  }
+  return options.includeCompanyActivity ? 'deal+company' : 'deal';
+}
+
+function getDealKey(portalId, dealId, variant) {
+  return `${KEY_PREFIX}:deal:${portalId || 'default'}:${dealId}:${variant}`;
+}
+
+function getStakeholdersKey(portalId, dealId) {
+  return `${KEY_PREFIX}:stakeholders:${portalId || 'default'}:${dealId}`;
+}
+
+function getContactIndexKey(portalId, contactId) {
+  return `${KEY_PREFIX}:contact-deals:${portalId || 'default'}:${contactId}`;
+}
+
+/**
+ * Read a JSON value, treating backend failures as a miss
+ */
+async function readJson(key) {
+  try {
+    const value = await backend.get(key);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    stats.errors++;
+    console.error(`Cache read failed for ${key}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Get a cached deal snapshot
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} dealId - Deal ID
+ * @param {string} variant - One of DEAL_VARIANTS
+ * @returns {Promise<Object|null>} Cached getDealWithContacts result
+ */
+async function getCachedDeal(portalId, dealId, variant = 'deal') {
+  const dealData = await readJson(getDealKey(portalId, dealId, variant));
+  if (dealData) {
+    stats.hits++;
+  } else {
+    stats.misses++;
+  }
+  return dealData;
+}
+
+/**
+ * Cache a deal snapshot and index it under each of its contacts
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} dealId - Deal ID
+ * @param {string} variant - One of DEAL_VARIANTS
+ * @param {Object} dealData - getDealWithContacts result
+ * @param {number} ttlSeconds - Time-to-live
+ */
+async function cacheDeal(portalId, dealId, variant, dealData, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  try {
+    await backend.set(getDealKey(portalId, dealId, variant), JSON.stringify(dealData), ttlSeconds);
+    stats.writes++;
+
+    // Index contacts so a contact webhook can find the deals it affects. The index lives
+    // at least as long as the snapshots it points to.
+    for (const contact of dealData.contacts || []) {
+      const indexKey = getContactIndexKey(portalId, contact.id);
+      const dealIds = (await readJson(indexKey)) || [];
+      if (!dealIds.includes(String(dealId))) {
+        dealIds.push(String(dealId));
+      }
+      await backend.set(indexKey, JSON.stringify(dealIds), ttlSeconds);
+    }
+  } catch (error) {
+    stats.errors++;
+    console.error(`Cache write failed for deal ${dealId}:`, error.message);
+  }
+}
+
+/**
+ * Get cached stakeholder suggestions for a deal
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} dealId - Deal ID
+ * @param {string} signature - Missing roles and ranking options the suggestions were made for
+ * @returns {Promise<Object|null>} Cached getSuggestedStakeholders result
+ */
+async function getCachedStakeholders(portalId, dealId, signature) {
+  const entry = await readJson(getStakeholdersKey(portalId, dealId));
+  // Suggestions made for other missing roles don't answer this request
+  if (entry && entry.signature === signature) {
+    stats.hits++;
+    return entry.discovery;
+  }
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Cache stakeholder suggestions for a deal, replacing any made for other missing roles
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} dealId - Deal ID
+ * @param {string} signature - Missing roles and ranking options the suggestions were made for
+ * @param {Object} discovery - getSuggestedStakeholders result
+ * @param {number} ttlSeconds - Time-to-live
+ */
+async function cacheStakeholders(portalId, dealId, signature, discovery, ttlSeconds = DEFAULT_TTL_SECONDS) {
+  try {
+    await backend.set(getStakeholdersKey(portalId, dealId), JSON.stringify({ signature, discovery }), ttlSeconds);
+    stats.writes++;
+  } catch (error) {
+    stats.errors++;
+    console.error(`Cache write failed for stakeholders of deal ${dealId}:`, error.message);
+  }
+}
+
+/**
+ * Drop every cached snapshot and stakeholder suggestion of a deal
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} dealId - Deal ID
+ */
+async function invalidateDeal(portalId, dealId) {
+  try {
+    await backend.del(
+      ...DEAL_VARIANTS.map(variant => getDealKey(portalId, dealId, variant)),
+      getStakeholdersKey(portalId, dealId)
+    );
+    stats.invalidations++;
+  } catch (error) {
+    stats.errors++;
+    console.error(`Cache invalidation failed for deal ${dealId}:`, error.message);
+  }
+}
+
+/**
+ * Get the deals a contact appears in among the cached snapshots
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Array<string>>} Deal IDs
+ */
+async function getContactDealIds(portalId, contactId) {
+  return (await readJson(getContactIndexKey(portalId, contactId))) || [];
+}
+
+/**
+ * Drop cached snapshots of every deal a contact appears in
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} contactId - Contact ID
+ * @returns {Promise<Array<string>>} IDs of the invalidated deals
+ */
+async function invalidateContact(portalId, contactId) {
+  const indexKey = getContactIndexKey(portalId, contactId);
+  const dealIds = await getContactDealIds(portalId, contactId);
+
+  for (const dealId of dealIds) {
+    await invalidateDeal(portalId, dealId);
+  }
+
+  try {
+    await backend.del(indexKey);
+  } catch (error) {
+    stats.errors++;
+    console.error(`Cache invalidation failed for contact ${contactId}:`, error.message);
+  }
+
+  return dealIds;
+}
+
+/**
+ * Drop every snapshot, suggestion and contact index cached for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Promise<number>} Keys removed
+ */
+async function purgePortalCache(portalId) {
+  let removed = 0;
+  for (const type of ['deal', 'stakeholders', 'contact-deals']) {
+    removed += await backend.deletePrefix(`${KEY_PREFIX}:${type}:${portalId}:`);
+  }
+  stats.invalidations++;
+  return removed;
+}
+
+/**
+ * Get cache statistics
+ * @returns {Object} Hit, miss, write, invalidation and error counts
+ */
+function getCacheStats() {
+  return { ...stats };
+}
+
+/**
+ * Reset the in-memory cache and statistics (for testing)
+ */
+async function clearCache() {
+  if (typeof backend.clear === 'function') {
+    await backend.clear();
+  }
+  Object.keys(stats).forEach(key => { stats[key] = 0; });
+}
+
+module.exports = {
+  MemoryCacheBackend,
+  RedisCacheBackend,
+  setCacheBackend,
+  getCacheBackend,
+  getDealVariant,
+  getCachedDeal,
+  cacheDeal,
+  getCachedStakeholders,
+  cacheStakeholders,
+  invalidateDeal,
+  getContactDealIds,
+  invalidateContact,
+  purgePortalCache,
+  getCacheStats,
+  clearCache,
+  DEFAULT_TTL_SECONDS,
+  DEAL_VARIANTS
+};
@@ -8,68 +8,28 @@
  * 4. Champion Reliability Scoring
  */
 
-const { BUYING_ROLE_WEIGHTS, KEY_ROLES } = require('./scoringService');
+const {
+  DEFAULT_SCORING_CONFIG,
+  getStageExpectations,
+  getExpectationProfile,
+  getStagePhase
+} = require('./scoringConfigService');
+const { calculateContactResponsiveness, summarizeExpectationProfile } = require('./scoringService');
 
-// Engagement recency weights (more recent = higher weight)
-const RECENCY_WEIGHTS = {
-  LAST_7_DAYS: 1.0,
-  LAST_14_DAYS: 0.8,
-  LAST_30_DAYS: 0.6,
-  LAST_60_DAYS: 0.4,
-  OLDER: 0.2
-};
-
-// Deal stage expectations for role coverage
-const STAGE_ROLE_EXPECTATIONS = {
-  // Early stages: Need Champion + Influencer
-  'appointmentscheduled': {
-    required: ['CHAMPION', 'INFLUENCER'],
-    recommended: [],
-    thresholdMultiplier: 0.6
-  },
-  'qualifiedtobuy': {
-    required: ['CHAMPION', 'INFLUENCER'],
-    recommended: ['DECISION_MAKER'],
-    thresholdMultiplier: 0.7
-  },
-  // Mid stages: Need Decision Maker + Finance
-  'presentationscheduled': {
-    required: ['CHAMPION', 'DECISION_MAKER'],
-    recommended: ['BUDGET_HOLDER'],
-    thresholdMultiplier: 0.8
-  },
-  'decisionmakerboughtin': {
-    required: ['DECISION_MAKER', 'BUDGET_HOLDER', 'CHAMPION'],
-    recommended: ['INFLUENCER'],
-    thresholdMultiplier: 0.9
-  },
-  // Late stages: Need Legal + Procurement
-  'contractsent': {
-    required: ['DECISION_MAKER', 'BUDGET_HOLDER', 'CHAMPION'],
-    recommended: ['LEGAL', 'PROCUREMENT'],
-    thresholdMultiplier: 1.0
-  },
-  'closedwon': {
-    required: ['DECISION_MAKER', 'BUDGET_HOLDER'],
-    recommended: [],
-    thresholdMultiplier: 1.0
-  },
-  // Default for unknown stages
-  'default': {
-    required: ['CHAMPION'],
-    recommended: ['DECISION_MAKER', 'BUDGET_HOLDER'],
-    thresholdMultiplier: 0.7
-  }
-};
+// Default recency weights and stage expectations; portals can override both (see scoringConfigService)
+const RECENCY_WEIGHTS = DEFAULT_SCORING_CONFIG.coverage.recencyWeights;
+const STAGE_ROLE_EXPECTATIONS = DEFAULT_SCORING_CONFIG.coverage.stageExpectations;
 
 /**
  * Calculate breadth score - measures diversity of roles represented
  * @param {Array} contacts - Array of contacts with roles
- * @param {Object} options - Additional options
+ * @param {Object} options - dealStage, the deal's properties (for its expectation
+ *   profile), and the portal's scoringConfig
  * @returns {Object} Breadth analysis
  */
 function calculateBreadthScore(contacts, options = {}) {
-  const { dealStage = 'default' } = options;
+  const { dealStage = 'default', deal, scoringConfig = DEFAULT_SCORING_CONFIG } = options;
+  const expectationProfile = getExpectationProfile(scoringConfig, deal);
   
   const coveredRoles = new Set();
   const roleContacts = {};
@@ -84,7 +44,7 @@ function calculateBreadthScore(contacts, options = {}) {
     roleContacts[role].push(contact);
   });
   
-  const stageExpectations = STAGE_ROLE_EXPECTATIONS[dealStage] || STAGE_ROLE_EXPECTATIONS.default;
+  const stageExpectations = getStageExpectations(scoringConfig, dealStage, expectationProfile);
   
   // Check required roles coverage
   const missingRequired = stageExpectations.required.filter(role => !coveredRoles.has(role));
@@ -108,23 +68,26 @@ function calculateBreadthScore(contacts, options = {}) {
     roleContacts,
     stageAnalysis: {
       dealStage,
+      stagePhase: getStagePhase(scoringConfig, dealStage),
       requiredRoles: stageExpectations.required,
       recommendedRoles: stageExpectations.recommended,
       missingRequired,
       missingRecommended,
       coveredRequired,
       thresholdMultiplier: stageExpectations.thresholdMultiplier
-    }
+    },
+    expectationProfile: summarizeExpectationProfile(expectationProfile)
   };
 }
 
 /**
  * Calculate depth score for a specific role - measures engagement strength
  * @param {Array} roleContacts - Contacts in this role
- * @param {Object} options - Additional options including recency data
+ * @param {Object} options - Additional options including recency data, and the portal's scoringConfig
  * @returns {Object} Depth analysis for the role
  */
 function calculateRoleDepthScore(roleContacts, options = {}) {
+  const { scoringConfig = DEFAULT_SCORING_CONFIG } = options;
   if (!roleContacts || roleContacts.length === 0) {
     return {
       depthScore: 0,
@@ -148,7 +111,7 @@ function calculateRoleDepthScore(roleContacts, options = {}) {
     totalEngagementScore += frequencyScore;
     
     // Recency score based on last engagement
-    const recencyScore = calculateRecencyScore(lastEngagement);
+    const recencyScore = calculateRecencyScore(lastEngagement, scoringConfig.coverage.recencyWeights);
     totalRecencyScore += recencyScore;
     
     if (engagements.total > 0) {
@@ -187,9 +150,10 @@ function calculateRoleDepthScore(roleContacts, options = {}) {
 /**
  * Calculate recency score based on last engagement date
  * @param {Date|string|null} lastEngagementDate - Date of last engagement
+ * @param {Object} recencyWeights - Weight per recency band (defaults to RECENCY_WEIGHTS)
  * @returns {number} Recency score 0-100
  */
-function calculateRecencyScore(lastEngagementDate) {
+function calculateRecencyScore(lastEngagementDate, recencyWeights = RECENCY_WEIGHTS) {
   if (!lastEngagementDate) {
     return 0;
   }
@@ -199,15 +163,15 @@ function calculateRecencyScore(lastEngagementDate) {
   const daysSince = Math.floor((now - lastDate) / (1000 * 60 * 60 * 24));
   
   if (daysSince <= 7) {
-    return 100 * RECENCY_WEIGHTS.LAST_7_DAYS;
+    return 100 * recencyWeights.LAST_7_DAYS;
   } else if (daysSince <= 14) {
-    return 100 * RECENCY_WEIGHTS.LAST_14_DAYS;
+    return 100 * recencyWeights.LAST_14_DAYS;
   } else if (daysSince <= 30) {
-    return 100 * RECENCY_WEIGHTS.LAST_30_DAYS;
+    return 100 * recencyWeights.LAST_30_DAYS;
   } else if (daysSince <= 60) {
-    return 100 * RECENCY_WEIGHTS.LAST_60_DAYS;
+    return 100 * recencyWeights.LAST_60_DAYS;
   } else {
-    return 100 * RECENCY_WEIGHTS.OLDER;
+    return 100 * recencyWeights.OLDER;
   }
 }
 
@@ -262,21 +226,23 @@ function calculateDepthScore(contacts, options = {}) {
 /**
  * Calculate coverage analysis combining breadth and depth
  * @param {Array} contacts - Array of contacts
- * @param {Object} options - Options including dealStage
+ * @param {Object} options - Options including dealStage, the deal's properties, and the
+ *   portal's scoringConfig
  * @returns {Object} Complete coverage analysis
  */
 function calculateCoverageAnalysis(contacts, options = {}) {
+  const { coverage } = options.scoringConfig || DEFAULT_SCORING_CONFIG;
   const breadthAnalysis = calculateBreadthScore(contacts, options);
   const depthAnalysis = calculateDepthScore(contacts, options);
   
-  // Combined coverage score (50% breadth, 50% depth)
+  // Combined coverage score (by default 50% breadth, 50% depth)
   const coverageScore = Math.round(
-    breadthAnalysis.breadthScore * 0.5 + 
-    depthAnalysis.overallDepthScore * 0.5
+    breadthAnalysis.breadthScore * coverage.breadthWeight + 
+    depthAnalysis.overallDepthScore * coverage.depthWeight
   );
   
-  // Apply stage-specific threshold
-  const adjustedThreshold = 70 * (breadthAnalysis.stageAnalysis.thresholdMultiplier || 1);
+  // Apply the stage's threshold, scaled by the deal's expectation profile
+  const adjustedThreshold = Math.min(coverage.baseThreshold * (breadthAnalysis.stageAnalysis.thresholdMultiplier || 1), 100);
   const meetsStageExpectations = coverageScore >= adjustedThreshold;
   
   return {
@@ -284,7 +250,8 @@ function calculateCoverageAnalysis(contacts, options = {}) {
     breadth: breadthAnalysis,
     depth: depthAnalysis,
     meetsStageExpectations,
-    adjustedThreshold: Math.round(adjustedThreshold)
+    adjustedThreshold: Math.round(adjustedThreshold),
+    expectationProfile: breadthAnalysis.expectationProfile
   };
 }
 
@@ -292,9 +259,11 @@ function calculateCoverageAnalysis(contacts, options = {}) {
  * Track stakeholder engagement changes over time
  * @param {Object} currentSnapshot - Current engagement snapshot
  * @param {Object} previousSnapshot - Previous engagement snapshot (from storage)
+ * @param {Object} options - The portal's scoringConfig
  * @returns {Object} Lifecycle changes and alerts
  */
-function trackStakeholderLifecycle(currentSnapshot, previousSnapshot = null) {
+function trackStakeholderLifecycle(currentSnapshot, previousSnapshot = null, options = {}) {
+  const { lifecycle: thresholds } = options.scoringConfig || DEFAULT_SCORING_CONFIG;
   const alerts = [];
   const changes = [];
   
@@ -349,7 +318,7 @@ function trackStakeholderLifecycle(currentSnapshot, previousSnapshot = null) {
     const engagementChange = currentEngagement - previousEngagement;
     
     // Significant engagement changes
-    if (engagementChange <= -20) {
+    if (engagementChange <= -thresholds.engagementChangePoints) {
       const change = {
         type: 'ENGAGEMENT_DECREASED',
         contactId,
@@ -380,7 +349,7 @@ function trackStakeholderLifecycle(currentSnapshot, previousSnapshot = null) {
           action: 'Request a meeting with the decision maker through your champion'
         });
       }
-    } else if (engagementChange >= 20) {
+    } else if (engagementChange >= thresholds.engagementChangePoints) {
       changes.push({
         type: 'ENGAGEMENT_INCREASED',
         contactId,
@@ -426,7 +395,7 @@ function trackStakeholderLifecycle(currentSnapshot, previousSnapshot = null) {
     if (lastEngagement) {
       const daysSince = Math.floor((now - lastEngagement) / (1000 * 60 * 60 * 24));
       
-      if (role === 'DECISION_MAKER' && daysSince >= 14) {
+      if (role === 'DECISION_MAKER' && daysSince >= thresholds.decisionMakerInactiveDays) {
         alerts.push({
           priority: 'HIGH',
           type: 'DM_INACTIVE',
@@ -434,7 +403,7 @@ function trackStakeholderLifecycle(currentSnapshot, previousSnapshot = null) {
           message: `${contact.name} (Decision Maker) last engaged ${daysSince} days ago`,
           action: 'Reach out to re-engage the decision maker'
         });
-      } else if (role === 'CHAMPION' && daysSince >= 9) {
+      } else if (role === 'CHAMPION' && daysSince >= thresholds.championInactiveDays) {
         alerts.push({
           priority: 'MEDIUM',
           type: 'CHAMPION_INACTIVE',
@@ -448,7 +417,7 @@ function trackStakeholderLifecycle(currentSnapshot, previousSnapshot = null) {
   
   // Overall score change
   const scoreDelta = (currentSnapshot.overallScore || 0) - (previousSnapshot.overallScore || 0);
-  if (Math.abs(scoreDelta) >= 10) {
+  if (Math.abs(scoreDelta) >= thresholds.scoreChangePoints) {
     changes.push({
       type: 'SCORE_CHANGE',
       previousScore: previousSnapshot.overallScore,
@@ -485,7 +454,8 @@ function trackStakeholderLifecycle(currentSnapshot, previousSnapshot = null) {
  * Calculate Champion Reliability Score
  * Based on responsiveness, advocacy indicators, meeting attendance, and influence
  * @param {Object} champion - Champion contact data
- * @param {Object} options - Additional data for scoring
+ * @param {Object} options - Additional data for scoring; responseRate defaults to the
+ *   champion's reply rate to the rep's emails
  * @returns {Object} Champion strength analysis
  */
 function calculateChampionStrength(champion, options = {}) {
@@ -502,16 +472,20 @@ function calculateChampionStrength(champion, options = {}) {
   let totalScore = 0;
   
   const engagements = champion.engagements || { emails: 0, meetings: 0, calls: 0, total: 0 };
-  const { responseRate = null, advocacyIndicators = [], meetingAttendance = null } = options;
+  const responsiveness = champion.responsiveness || calculateContactResponsiveness(champion.engagements);
+  const { responseRate = responsiveness.replyRate, advocacyIndicators = [], meetingAttendance = null } = options;
   
   // Factor 1: Responsiveness (0-25 points)
   if (responseRate !== null) {
     const responsivenessScore = Math.min(responseRate * 25, 25);
+    const replyTime = options.responseRate === undefined && responsiveness.medianReplyHours !== null
+      ? `, median reply in ${responsiveness.medianReplyHours} hours`
+      : '';
     factors.push({
       name: 'Responsiveness',
       score: Math.round(responsivenessScore),
       maxScore: 25,
-      description: `Response rate: ${Math.round(responseRate * 100)}%`
+      description: `Response rate: ${Math.round(responseRate * 100)}%${replyTime}`
     });
     totalScore += responsivenessScore;
   } else {
@@ -618,9 +592,11 @@ function calculateChampionStrength(champion, options = {}) {
 /**
  * Generate "What's Missing?" checklist based on analysis
  * @param {Object} analysisData - Coverage analysis and score data
+ * @param {Object} options - The portal's scoringConfig
  * @returns {Array} Checklist items with status
  */
-function generateMissingChecklist(analysisData) {
+function generateMissingChecklist(analysisData, options = {}) {
+  const { keyRoles } = options.scoringConfig || DEFAULT_SCORING_CONFIG;
   const checklist = [];
   const { breadth, depth, coverageScore } = analysisData;
   
@@ -655,7 +631,7 @@ function generateMissingChecklist(analysisData) {
   // Low depth roles
   if (depth?.roleDepths) {
     Object.entries(depth.roleDepths).forEach(([role, roleDepth]) => {
-      if (roleDepth.engagementLevel === 'LOW' && KEY_ROLES.includes(role)) {
+      if (roleDepth.engagementLevel === 'LOW' && keyRoles.includes(role)) {
         checklist.push({
           category: 'LOW_ENGAGEMENT',
           priority: 'MEDIUM',
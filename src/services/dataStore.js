@@ -0,0 +1,181 @@
+/**
+ * Data Store - Pluggable key/value persistence for app state
+ *
+ * This service provides:
+ * 1. Namespaced stores (tokens, reviews, jobs, ...) with a common async API
+ * 2. A JSON file backend so state survives restarts locally
+ * 3. An in-memory backend for tests and throwaway environments
+ * 4. Registration of other backends (e.g. a database) without touching callers
+ *
+ * Every store exposes: get(key), set(key, value), delete(key), entries() and clear().
+ * Values must be JSON-serializable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+/**
+ * Store that keeps values in memory
+ */
+class MemoryStore {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(key) {
+    return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+  }
+
+  async set(key, value) {
+    this.data.set(key, JSON.stringify(value));
+  }
+
+  async delete(key) {
+    return this.data.delete(key);
+  }
+
+  async entries() {
+    return Array.from(this.data.entries()).map(([key, value]) => [key, JSON.parse(value)]);
+  }
+
+  async clear() {
+    this.data.clear();
+  }
+}
+
+/**
+ * Store that persists one namespace to a JSON file
+ * Writes go to a temporary file that is renamed into place, so a crash mid-write
+ * can't leave a truncated file.
+ */
+class FileStore {
+  /**
+   * @param {string} filePath - JSON file holding the namespace
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+    this.loading = null;
+    this.writeChain = Promise.resolve();
+  }
+
+  load() {
+    // Callers share one read, so a write made while another caller loads isn't lost
+    this.loading ??= (async () => {
+      try {
+        const contents = await fs.promises.readFile(this.filePath, 'utf8');
+        this.data = new Map(Object.entries(JSON.parse(contents)));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          // Let the next caller try again
+          this.loading = null;
+          throw error;
+        }
+        this.data = new Map();
+      }
+      return this.data;
+    })();
+    return this.loading;
+  }
+
+  persist() {
+    // Chain writes so they land in the order they were made. A failed write is reported
+    // to its caller only, so later writes still run.
+    this.writeChain = this.writeChain.catch(() => {}).then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.data), null, 2), { mode: 0o600 });
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+    return this.writeChain;
+  }
+
+  async get(key) {
+    const data = await this.load();
+    return data.has(key) ? structuredClone(data.get(key)) : null;
+  }
+
+  async set(key, value) {
+    const data = await this.load();
+    data.set(key, structuredClone(value));
+    await this.persist();
+  }
+
+  async delete(key) {
+    const data = await this.load();
+    const existed = data.delete(key);
+    if (existed) {
+      await this.persist();
+    }
+    return existed;
+  }
+
+  async entries() {
+    const data = await this.load();
+    return Array.from(data.entries()).map(([key, value]) => [key, structuredClone(value)]);
+  }
+
+  async clear() {
+    const data = await this.load();
+    data.clear();
+    await this.persist();
+  }
+}
+
+// Backend factories keyed by DATA_STORE value
+const backends = {
+  memory: () => new MemoryStore(),
+  file: (namespace) => new FileStore(path.join(process.env.DATA_DIR || DEFAULT_DATA_DIR, `${namespace}.json`))
+};
+
+// One store per namespace, so every module sharing a namespace sees the same data
+const stores = new Map();
+
+function getBackendName() {
+  return process.env.DATA_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+}
+
+/**
+ * Register a storage backend
+ * @param {string} name - Name selected with the DATA_STORE environment variable
+ * @param {Function} factory - Called with a namespace, returns a store
+ */
+function registerStoreBackend(name, factory) {
+  backends[name] = factory;
+}
+
+/**
+ * Get the store for a namespace
+ * @param {string} namespace - Store name (e.g. 'tokens')
+ * @returns {Object} Store with get, set, delete, entries and clear
+ */
+function createStore(namespace) {
+  if (!stores.has(namespace)) {
+    const backendName = getBackendName();
+    const factory = backends[backendName];
+    if (!factory) {
+      throw new Error(`Unknown data store backend: ${backendName}`);
+    }
+    stores.set(namespace, factory(namespace));
+  }
+  return stores.get(namespace);
+}
+
+/**
+ * Clear every store (for testing)
+ */
+async function clearStores() {
+  for (const store of stores.values()) {
+    await store.clear();
+  }
+}
+
+module.exports = {
+  createStore,
+  registerStoreBackend,
+  clearStores,
+  MemoryStore,
+  FileStore
+};
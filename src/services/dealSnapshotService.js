@@ -0,0 +1,205 @@
+/**
+ * Deal Snapshot Service - Score history of each deal
+ *
+ * This service provides:
+ * 1. A snapshot of every scoring run per deal (see dataStore for backends)
+ * 2. Lifecycle tracking of a fresh score against the deal's previous snapshot
+ * 3. The date a stakeholder was last added, carried from snapshot to snapshot
+ * 4. Score history as a time series, and lookup of past scores for trends
+ *
+ * A run whose scores and stakeholders match the latest snapshot updates that
+ * snapshot's scoredAt instead of adding another, so frequent card views don't
+ * crowd out the history.
+ */
+
+const { createStore } = require('./dataStore');
+const { trackStakeholderLifecycle } = require('./coverageAnalysisService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Snapshots kept per deal; the oldest are dropped first
+const SCORE_HISTORY_LIMIT = parseInt(process.env.SCORE_HISTORY_LIMIT, 10) || 500;
+
+// Scores recorded in each snapshot and returned by the history API
+const SCORE_FIELDS = [
+  'overallScore',
+  'engagementScore',
+  'participationScore',
+  'roleCoverageScore',
+  'coverageScore',
+  'breadthScore',
+  'depthScore'
+];
+
+const store = createStore('deal-snapshots');
+
+function getSnapshotKey(portalId, dealId) {
+  return `${portalId || 'default'}:${dealId}`;
+}
+
+/**
+ * Reduce score data to what history and lifecycle tracking use
+ * @param {Object} scoreData - Result of calculateMultiThreadingScore
+ * @param {Object} options - coverageAnalysis, source (what scored the deal), takenAt and
+ *   lastNewContactAt (ISO strings)
+ * @returns {Object} Snapshot
+ */
+function buildSnapshot(scoreData, options = {}) {
+  const {
+    coverageAnalysis = null,
+    source = null,
+    takenAt = new Date().toISOString(),
+    lastNewContactAt = takenAt
+  } = options;
+
+  return {
+    takenAt,
+    scoredAt: takenAt,
+    lastNewContactAt,
+    source,
+    overallScore: scoreData.overallScore,
+    engagementScore: scoreData.engagementScore ?? null,
+    participationScore: scoreData.participationScore ?? null,
+    roleCoverageScore: scoreData.roleCoverageScore ?? null,
+    coverageScore: coverageAnalysis?.coverageScore ?? null,
+    breadthScore: coverageAnalysis?.breadth?.breadthScore ?? null,
+    depthScore: coverageAnalysis?.depth?.overallDepthScore ?? null,
+    riskLevel: scoreData.riskLevel || null,
+    configVersion: scoreData.configVersion ?? null,
+    threadDepth: scoreData.threadDepth,
+    contactCount: scoreData.contactCount,
+    coveredRoles: scoreData.coveredRoles || [],
+    contacts: (scoreData.contacts || []).map(contact => ({
+      contactId: contact.contactId,
+      name: contact.name,
+      role: contact.role,
+      effectiveRole: contact.effectiveRole,
+      engagementScore: contact.engagementScore,
+      lastEngagementDate: contact.lastEngagementDate || null
+    }))
+  };
+}
+
+/**
+ * Whether two snapshots record the same scores and stakeholders
+ */
+function isUnchanged(previous, current) {
+  const stakeholders = snapshot => snapshot.contacts.map(c => [c.contactId, c.effectiveRole, c.engagementScore]);
+  return SCORE_FIELDS.every(field => previous[field] === current[field])
+    && previous.riskLevel === current.riskLevel
+    && previous.configVersion === current.configVersion
+    && JSON.stringify(stakeholders(previous)) === JSON.stringify(stakeholders(current));
+}
+
+/**
+ * Get a deal's latest snapshot
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} dealId - Deal ID
+ * @returns {Promise<Object|null>} Snapshot
+ */
+async function getLatestSnapshot(portalId, dealId) {
+  const history = await store.get(getSnapshotKey(portalId, dealId)) || [];
+  return history[history.length - 1] || null;
+}
+
+/**
+ * Get the snapshot that was current at a point in time
+ * Falls back to the oldest snapshot when the history doesn't reach back that far.
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} dealId - Deal ID
+ * @param {Date} time - Point in time
+ * @returns {Promise<Object|null>} Snapshot
+ */
+async function getSnapshotAt(portalId, dealId, time) {
+  const history = await store.get(getSnapshotKey(portalId, dealId)) || [];
+  const before = history.filter(snapshot => new Date(snapshot.takenAt) <= time);
+  return before[before.length - 1] || history[0] || null;
+}
+
+/**
+ * Store a snapshot of a scoring run and track lifecycle changes since the previous one
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} dealId - Deal ID
+ * @param {Object} scoreData - Result of calculateMultiThreadingScore
+ * @param {Object} options - coverageAnalysis, source, the portal's scoringConfig (for lifecycle
+ *   thresholds), and now (for testing)
+ * @returns {Promise<Object>} The stored snapshot, and the trackStakeholderLifecycle result
+ *   plus previousSnapshotAt and daysSinceNewContact
+ */
+async function recordScoreSnapshot(portalId, dealId, scoreData, options = {}) {
+  const { coverageAnalysis = null, source = null, scoringConfig, now = new Date() } = options;
+  const key = getSnapshotKey(portalId, dealId);
+  const history = await store.get(key) || [];
+  const previous = history[history.length - 1] || null;
+
+  const current = buildSnapshot(scoreData, { coverageAnalysis, source, takenAt: now.toISOString() });
+  const lifecycle = trackStakeholderLifecycle(current, previous, { scoringConfig });
+
+  const addedStakeholder = lifecycle.changes.some(change => change.type === 'NEW_STAKEHOLDER');
+  if (previous && !addedStakeholder) {
+    current.lastNewContactAt = previous.lastNewContactAt || previous.takenAt;
+  }
+
+  let snapshot = current;
+  if (previous && isUnchanged(previous, current)) {
+    snapshot = { ...previous, scoredAt: current.scoredAt, contacts: current.contacts };
+    history[history.length - 1] = snapshot;
+  } else {
+    history.push(current);
+  }
+  await store.set(key, history.slice(-SCORE_HISTORY_LIMIT));
+
+  return {
+    snapshot,
+    lifecycle: {
+      ...lifecycle,
+      previousSnapshotAt: previous?.scoredAt || previous?.takenAt || null,
+      daysSinceNewContact: Math.floor((now - new Date(current.lastNewContactAt)) / DAY_MS)
+    }
+  };
+}
+
+/**
+ * Get a deal's score history, oldest first
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} dealId - Deal ID
+ * @param {Object} options - since (Date) and limit (most recent snapshots to return)
+ * @returns {Promise<Array>} Snapshots without their stakeholder details
+ */
+async function getScoreHistory(portalId, dealId, options = {}) {
+  const { since = null, limit = SCORE_HISTORY_LIMIT } = options;
+  const history = await store.get(getSnapshotKey(portalId, dealId)) || [];
+
+  return history
+    .filter(snapshot => !since || new Date(snapshot.scoredAt || snapshot.takenAt) >= since)
+    .slice(-limit)
+    .map(({ contacts, coveredRoles, lastNewContactAt, ...scores }) => scores);
+}
+
+/**
+ * Remove every snapshot stored for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Promise<number>} Deals whose history was removed
+ */
+async function purgePortalSnapshots(portalId) {
+  const prefix = `${portalId}:`;
+  let removed = 0;
+  for (const [key] of await store.entries()) {
+    if (key.startsWith(prefix)) {
+      await store.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  buildSnapshot,
+  recordScoreSnapshot,
+  getLatestSnapshot,
+  getSnapshotAt,
+  getScoreHistory,
+  purgePortalSnapshots,
+  SCORE_FIELDS,
+  SCORE_HISTORY_LIMIT
+};
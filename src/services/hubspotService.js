@@ -1,39 +1,280 @@
 const { Client } = require('@hubspot/api-client');
+const { getScheduler, getStatusCode } = require('./requestScheduler');
+const {
+  getDealVariant,
+  getCachedDeal,
+  cacheDeal,
+  getCachedStakeholders,
+  cacheStakeholders,
+  invalidateDeal
+} = require('./cacheService');
+const { rankStakeholderSuggestions } = require('./roleInferenceService');
+const { matchEmailReplies } = require('./scoringService');
+const { getScoringConfig } = require('./scoringConfigService');
+const {
+  buildScoreProperties,
+  getChangedScoreProperties,
+  planScorePropertyInstall,
+  PROPERTY_GROUP,
+  SCORE_PROPERTIES,
+  SCORE_PROPERTY_NAMES,
+  CONTACT_ROLE_PROPERTIES
+} = require('./scorePropertiesService');
+
+// Properties fetched for deals and contacts. Current score values are read so
+// unchanged scores aren't written back.
+const DEAL_PROPERTIES = ['dealname', 'amount', 'dealstage', 'closedate', 'createdate', ...SCORE_PROPERTY_NAMES];
+const CONTACT_PROPERTIES = [
+  'firstname',
+  'lastname',
+  'email',
+  'jobtitle',
+  'hs_buying_role',
+  'hs_lead_status',
+  'hs_lifecyclestage'
+];
+
+// Engagement object types fetched per contact. Notes are logged by the rep rather
+// than exchanged with the contact, so they date activity but are not counted in `total`.
+const ENGAGEMENT_TYPES = ['emails', 'meetings', 'calls', 'notes'];
+const INTERACTION_TYPES = ['emails', 'meetings', 'calls'];
+const ENGAGEMENT_DATE_PROPERTIES = ['hs_timestamp', 'hs_createdate'];
+// Email direction, thread and delivery, and meeting length, feed the decayed engagement
+// model and contact responsiveness
+const ENGAGEMENT_PROPERTIES = {
+  emails: [...ENGAGEMENT_DATE_PROPERTIES, 'hs_email_direction', 'hs_email_thread_id', 'hs_email_status', 'hs_email_open_count'],
+  meetings: [...ENGAGEMENT_DATE_PROPERTIES, 'hs_meeting_start_time', 'hs_meeting_end_time'],
+  calls: ENGAGEMENT_DATE_PROPERTIES,
+  notes: ENGAGEMENT_DATE_PROPERTIES
+};
+
+// HubSpot email directions; forwarded emails are sent by the rep
+const INBOUND_EMAIL_DIRECTIONS = ['INCOMING_EMAIL'];
+const OUTBOUND_EMAIL_DIRECTIONS = ['EMAIL', 'FORWARDED_EMAIL'];
+
+// Company contacts are only ranked by role, so engagement isn't fetched for them
+const COMPANY_CONTACT_PROPERTIES = [...CONTACT_PROPERTIES, 'notes_last_contacted'];
+const DEFAULT_MAX_COMPANY_CONTACTS = 200;
+
+// Which of a contact's activities count toward a deal
+// - deal: activities associated with the deal, or dated on/after the deal's create date
+// - all: every activity ever associated with the contact
+const ENGAGEMENT_SCOPES = {
+  DEAL: 'deal',
+  ALL: 'all'
+};
+
+// HubSpot API limits
+const BATCH_READ_LIMIT = 100;
+const ASSOCIATION_PAGE_LIMIT = 500;
+const SEARCH_PAGE_LIMIT = 100;
+
+// Open deals loaded per portal sweep; HubSpot search stops paging at 10,000 results
+const DEFAULT_MAX_OPEN_DEALS = parseInt(process.env.SWEEP_MAX_DEALS, 10) || 1000;
+
+// Maximum number of HubSpot requests in flight per service instance
+const DEFAULT_CONCURRENCY = 5;
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Split an array into chunks of the given size
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Normalize a HubSpot date value to an ISO string
+ */
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Read the details of an engagement object that the scoring services use
+ * @param {string} type - Engagement object type
+ * @param {Object} engagement - HubSpot engagement object
+ * @returns {Object} timestamp, plus direction, threadId, status and opened for emails,
+ *   and durationMinutes for meetings
+ */
+function toEngagementDetails(type, engagement) {
+  const properties = engagement.properties || {};
+  const details = {
+    timestamp: toIsoDate(properties.hs_timestamp || properties.hs_createdate || engagement.createdAt)
+  };
+
+  if (type === 'emails') {
+    details.direction = INBOUND_EMAIL_DIRECTIONS.includes(properties.hs_email_direction) ? 'INBOUND'
+      : OUTBOUND_EMAIL_DIRECTIONS.includes(properties.hs_email_direction) ? 'OUTBOUND'
+        : null;
+    details.threadId = properties.hs_email_thread_id || null;
+    details.status = properties.hs_email_status || null;
+    // Opens are only known for tracked emails
+    const openCount = properties.hs_email_open_count;
+    details.opened = openCount === undefined || openCount === null || openCount === '' ? null : Number(openCount) > 0;
+  } else if (type === 'meetings') {
+    const start = new Date(properties.hs_meeting_start_time).getTime();
+    const end = new Date(properties.hs_meeting_end_time).getTime();
+    details.durationMinutes = end > start ? Math.round((end - start) / 60000) : null;
+  }
+
+  return details;
+}
+
+function emptyEngagements() {
+  return { emails: 0, meetings: 0, calls: 0, notes: 0, total: 0, activities: [] };
+}
+
+/**
+ * Shape a HubSpot contact and its engagements into the record used by the scoring services
+ * @param {Object} contact - HubSpot contact object
+ * @param {Object} engagements - Engagement counts and activities
+ * @returns {Object} Contact with engagement data and first/last engagement dates
+ */
+function buildContactRecord(contact, engagements = emptyEngagements()) {
+  const dated = engagements.activities.filter(activity => activity.timestamp);
+
+  return {
+    id: contact.id,
+    properties: contact.properties,
+    engagements,
+    firstEngagementDate: dated.length > 0 ? dated[dated.length - 1].timestamp : null,
+    lastEngagementDate: dated.length > 0 ? dated[0].timestamp : null
+  };
+}
 
 /**
  * HubSpot Service - Handles all HubSpot API interactions
  */
 class HubSpotService {
-  constructor(accessToken) {
-    this.client = new Client({ accessToken });
+  /**
+   * @param {string} accessToken - HubSpot access token
+   * @param {Object} options - Service options
+   * @param {number} options.concurrency - Maximum HubSpot requests in flight
+   * @param {string} options.engagementScope - One of ENGAGEMENT_SCOPES (default: deal)
+   * @param {boolean} options.includeCompanyActivity - In deal scope, also count activities
+   *   associated with the deal's companies, even if they predate the deal
+   * @param {string} options.portalId - Portal whose shared request scheduler to use
+   * @param {RequestScheduler} options.scheduler - Explicit scheduler (overrides portalId)
+   * @param {string} options.basePath - HubSpot API base URL (e.g. a local fake server)
+   * @param {boolean} options.useCache - Serve getDealWithContacts and getSuggestedStakeholders
+   *   from the shared deal cache
+   */
+  constructor(accessToken, options = {}) {
+    this.client = new Client({
+      accessToken,
+      basePath: options.basePath || process.env.HUBSPOT_API_BASE_URL
+    });
+    this.portalId = options.portalId || null;
+    this.scheduler = options.scheduler || getScheduler(this.portalId);
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.engagementScope = options.engagementScope || ENGAGEMENT_SCOPES.DEAL;
+    this.includeCompanyActivity = options.includeCompanyActivity || false;
+    this.useCache = options.useCache || false;
+
+    if (!Object.values(ENGAGEMENT_SCOPES).includes(this.engagementScope)) {
+      throw new Error(`Unknown engagement scope: ${this.engagementScope}`);
+    }
+  }
+
+  /**
+   * Run a HubSpot request through the portal's rate-limit aware scheduler
+   * @param {Function} fn - Async function performing one request
+   * @returns {Promise} Request result
+   */
+  request(fn) {
+    return this.scheduler.schedule(fn);
   }
 
   /**
    * Get deal by ID with associated contacts
+   * @param {string} dealId - Deal ID
+   * @param {Object} options - Per-call overrides for engagementScope and includeCompanyActivity;
+   *   pass refresh: true to bypass the cache
    */
-  async getDealWithContacts(dealId) {
+  async getDealWithContacts(dealId, options = {}) {
+    const {
+      engagementScope = this.engagementScope,
+      includeCompanyActivity = this.includeCompanyActivity,
+      refresh = false
+    } = options;
+
+    if (!this.useCache) {
+      return this.fetchDealWithContacts(dealId, { engagementScope, includeCompanyActivity });
+    }
+
+    const variant = getDealVariant({ engagementScope, includeCompanyActivity });
+    if (!refresh) {
+      const cached = await getCachedDeal(this.portalId, dealId, variant);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    const dealData = await this.fetchDealWithContacts(dealId, { engagementScope, includeCompanyActivity });
+    await cacheDeal(this.portalId, dealId, variant, dealData);
+    return dealData;
+  }
+
+  /**
+   * Fetch a deal with associated contacts from HubSpot, bypassing the cache
+   * @param {string} dealId - Deal ID
+   * @param {Object} options - engagementScope and includeCompanyActivity
+   */
+  async fetchDealWithContacts(dealId, options) {
+    const { engagementScope, includeCompanyActivity } = options;
+
     try {
-      // Get deal with associations
-      const deal = await this.client.crm.deals.basicApi.getById(
-        dealId,
-        ['dealname', 'amount', 'dealstage', 'closedate'],
-        undefined,
-        ['contacts']
-      );
+      const properties = await this.getDealProperties();
+      const deal = await this.request(() => this.client.crm.deals.basicApi.getById(dealId, properties));
 
       // Get associated contacts
-      const contactIds = deal.associations?.contacts?.results?.map(c => c.id) || [];
-      const contacts = [];
+      const contactIds = await this.getAssociatedIds('deals', dealId, 'contacts');
 
-      for (const contactId of contactIds) {
-        const contact = await this.getContactWithEngagement(contactId);
-        contacts.push(contact);
+      let activityFilter = null;
+      if (engagementScope === ENGAGEMENT_SCOPES.DEAL) {
+        activityFilter = await this.getDealActivityFilter(deal, { includeCompanyActivity });
       }
 
+      const contacts = await this.getContactsWithEngagement(contactIds, activityFilter);
+
       return {
         deal: deal.properties,
         dealId: deal.id,
-        contacts
+        contacts,
+        engagementScope: {
+          scope: engagementScope,
+          includeCompanyActivity: engagementScope === ENGAGEMENT_SCOPES.DEAL && includeCompanyActivity,
+          since: engagementScope === ENGAGEMENT_SCOPES.DEAL ? toIsoDate(deal.properties?.createdate) : null
+        }
       };
     } catch (error) {
       console.error('Error fetching deal with contacts:', error);
@@ -41,32 +282,320 @@ class HubSpotService {
     }
   }
 
+  /**
+   * Deal properties to fetch: DEAL_PROPERTIES, plus the property holding the portal's
+   * deal segment when its expectation profiles use one
+   * @returns {Promise<Array<string>>} Property names
+   */
+  async getDealProperties() {
+    const { segmentProperty } = (await getScoringConfig(this.portalId)).expectationProfiles;
+    return segmentProperty && !DEAL_PROPERTIES.includes(segmentProperty)
+      ? [...DEAL_PROPERTIES, segmentProperty]
+      : DEAL_PROPERTIES;
+  }
+
+  /**
+   * Get several deals with their contacts, tolerating individual failures
+   * Requests that still fail after the scheduler's retries are reported rather than
+   * failing the whole batch.
+   * @param {Array<string>} dealIds - Deal IDs
+   * @param {Object} options - Per-call options passed to getDealWithContacts
+   * @returns {Promise<Object>} Loaded deals and a partial results summary
+   */
+  async getDealsWithContacts(dealIds, options = {}) {
+    const failed = [];
+
+    const results = await mapWithConcurrency(dealIds, this.concurrency, async (dealId) => {
+      try {
+        return await this.getDealWithContacts(dealId, options);
+      } catch (error) {
+        failed.push({
+          dealId: String(dealId),
+          status: getStatusCode(error),
+          error: error.message
+        });
+        return null;
+      }
+    });
+
+    const deals = results.filter(Boolean);
+
+    return {
+      deals,
+      partialResults: {
+        isPartial: failed.length > 0,
+        requested: dealIds.length,
+        loaded: deals.length,
+        failed
+      }
+    };
+  }
+
+  /**
+   * Get contacts associated with a deal's companies that are not on the deal
+   * @param {string} dealId - Deal ID
+   * @param {Object} options - excludeContactIds (defaults to the deal's contacts) and maxContacts
+   * @returns {Promise<Object>} Company IDs and candidate contacts tagged with their company
+   */
+  async getCompanyContacts(dealId, options = {}) {
+    const { maxContacts = DEFAULT_MAX_COMPANY_CONTACTS } = options;
+    const excludeContactIds = options.excludeContactIds
+      || await this.getAssociatedIds('deals', dealId, 'contacts');
+    const excluded = new Set(excludeContactIds.map(String));
+
+    const companyIds = await this.getAssociatedIds('deals', dealId, 'companies');
+    const companyContactIds = await mapWithConcurrency(companyIds, this.concurrency, companyId =>
+      this.getAssociatedIds('companies', companyId, 'contacts')
+    );
+
+    const companyByContact = new Map();
+    companyIds.forEach((companyId, index) => {
+      companyContactIds[index].forEach(contactId => {
+        if (!excluded.has(contactId) && !companyByContact.has(contactId)) {
+          companyByContact.set(contactId, companyId);
+        }
+      });
+    });
+
+    const contactIds = Array.from(companyByContact.keys()).slice(0, maxContacts);
+    const batches = await mapWithConcurrency(
+      chunk(contactIds, BATCH_READ_LIMIT),
+      this.concurrency,
+      ids => this.request(() => this.client.crm.contacts.batchApi.read({
+        inputs: ids.map(id => ({ id })),
+        properties: COMPANY_CONTACT_PROPERTIES,
+        propertiesWithHistory: []
+      }))
+    );
+
+    const contacts = batches.flatMap(batch => batch.results || []).map(contact => ({
+      id: String(contact.id),
+      properties: contact.properties,
+      companyId: companyByContact.get(String(contact.id))
+    }));
+
+    return {
+      companyIds,
+      contacts,
+      truncated: companyByContact.size > contactIds.length
+    };
+  }
+
+  /**
+   * Suggest company contacts to add to a deal for each missing role
+   * @param {string} dealId - Deal ID
+   * @param {Array<string>} missingRoles - Roles with no stakeholder on the deal
+   * @param {Object} options - getCompanyContacts options plus maxPerRole and minConfidence;
+   *   pass refresh: true to bypass the cache
+   * @returns {Promise<Object>} Ranked suggestions keyed by role
+   */
+  async getSuggestedStakeholders(dealId, missingRoles, options = {}) {
+    if (missingRoles.length === 0) {
+      return { suggestions: {}, candidatesReviewed: 0, companyIds: [], truncated: false };
+    }
+
+    if (!this.useCache) {
+      return this.fetchSuggestedStakeholders(dealId, missingRoles, options);
+    }
+
+    const signature = JSON.stringify([
+      [...missingRoles].sort(),
+      options.maxPerRole || null,
+      options.minConfidence || null
+    ]);
+    if (!options.refresh) {
+      const cached = await getCachedStakeholders(this.portalId, dealId, signature);
+      if (cached) {
+        return cached;
+      }
+    }
+
+    const discovery = await this.fetchSuggestedStakeholders(dealId, missingRoles, options);
+    await cacheStakeholders(this.portalId, dealId, signature, discovery);
+    return discovery;
+  }
+
+  /**
+   * Suggest company contacts for missing roles from HubSpot, bypassing the cache
+   * @param {string} dealId - Deal ID
+   * @param {Array<string>} missingRoles - Roles with no stakeholder on the deal
+   * @param {Object} options - getCompanyContacts options plus maxPerRole and minConfidence
+   * @returns {Promise<Object>} Ranked suggestions keyed by role
+   */
+  async fetchSuggestedStakeholders(dealId, missingRoles, options = {}) {
+    const { companyIds, contacts, truncated } = await this.getCompanyContacts(dealId, options);
+
+    return {
+      suggestions: rankStakeholderSuggestions(contacts, missingRoles, options),
+      candidatesReviewed: contacts.length,
+      companyIds,
+      truncated
+    };
+  }
+
+  /**
+   * Get all IDs associated with an object, following association paging
+   * @param {string} fromObjectType - Source object type (e.g. 'deals')
+   * @param {string} objectId - Source object ID
+   * @param {string} toObjectType - Target object type (e.g. 'contacts')
+   * @returns {Promise<Array<string>>} Associated object IDs
+   */
+  async getAssociatedIds(fromObjectType, objectId, toObjectType) {
+    const ids = [];
+    let after;
+
+    do {
+      const page = await this.request(() => this.client.crm.associations.v4.basicApi.getPage(
+        fromObjectType,
+        objectId,
+        toObjectType,
+        after,
+        ASSOCIATION_PAGE_LIMIT
+      ));
+      (page.results || []).forEach(result => ids.push(String(result.toObjectId)));
+      after = page.paging?.next?.after;
+    } while (after);
+
+    return ids;
+  }
+
+  /**
+   * Get the IDs of the portal's open deals, following search paging
+   * @param {Object} options - maxDeals to stop after
+   * @returns {Promise<Object>} Deal IDs, and whether more open deals exist than were returned
+   */
+  async getOpenDealIds(options = {}) {
+    const { maxDeals = DEFAULT_MAX_OPEN_DEALS } = options;
+    const dealIds = [];
+    let after;
+
+    do {
+      const page = await this.request(() => this.client.crm.deals.searchApi.doSearch({
+        filterGroups: [{ filters: [{ propertyName: 'hs_is_closed', operator: 'EQ', value: 'false' }] }],
+        sorts: [{ propertyName: 'hs_object_id', direction: 'ASCENDING' }],
+        properties: ['dealname'],
+        limit: SEARCH_PAGE_LIMIT,
+        after
+      }));
+      (page.results || []).forEach(deal => dealIds.push(String(deal.id)));
+      after = page.paging?.next?.after;
+    } while (after && dealIds.length < maxDeals);
+
+    return {
+      dealIds: dealIds.slice(0, maxDeals),
+      truncated: Boolean(after) || dealIds.length > maxDeals
+    };
+  }
+
+  /**
+   * Get the portal's deal pipelines and their stages, in display order
+   * @returns {Promise<Array>} Pipelines with id, label and stages; each stage has id,
+   *   label, probability (0-1, or null) and isClosed
+   */
+  async getDealPipelines() {
+    const response = await this.request(() => this.client.crm.pipelines.pipelinesApi.getAll('deals'));
+    const byDisplayOrder = (a, b) => (a.displayOrder || 0) - (b.displayOrder || 0);
+
+    return (response.results || []).slice().sort(byDisplayOrder).map(pipeline => ({
+      id: String(pipeline.id),
+      label: pipeline.label,
+      stages: (pipeline.stages || []).slice().sort(byDisplayOrder).map(stage => {
+        const probability = parseFloat(stage.metadata?.probability);
+        return {
+          id: String(stage.id),
+          label: stage.label,
+          probability: Number.isNaN(probability) ? null : probability,
+          isClosed: stage.metadata?.isClosed === 'true'
+        };
+      })
+    }));
+  }
+
+  /**
+   * Build a predicate that keeps only activities relevant to a deal
+   * @param {Object} deal - HubSpot deal object
+   * @param {Object} options - includeCompanyActivity flag
+   * @returns {Promise<Function>} Filter called with each { id, type, timestamp } activity
+   */
+  async getDealActivityFilter(deal, options = {}) {
+    const { includeCompanyActivity = false } = options;
+
+    const sources = ENGAGEMENT_TYPES.map(type => ({ objectType: 'deals', objectId: deal.id, type }));
+    if (includeCompanyActivity) {
+      const companyIds = await this.getAssociatedIds('deals', deal.id, 'companies');
+      companyIds.forEach(companyId => {
+        ENGAGEMENT_TYPES.forEach(type => sources.push({ objectType: 'companies', objectId: companyId, type }));
+      });
+    }
+
+    const associated = await mapWithConcurrency(sources, this.concurrency, ({ objectType, objectId, type }) =>
+      this.getAssociatedIds(objectType, objectId, type)
+    );
+
+    const scopedKeys = new Set();
+    sources.forEach(({ type }, index) => {
+      associated[index].forEach(id => scopedKeys.add(`${type}:${id}`));
+    });
+
+    const dealCreatedAt = toIsoDate(deal.properties?.createdate);
+
+    return (activity) => {
+      if (scopedKeys.has(`${activity.type}:${activity.id}`)) {
+        return true;
+      }
+      return Boolean(dealCreatedAt && activity.timestamp && activity.timestamp >= dealCreatedAt);
+    };
+  }
+
+  /**
+   * Get contacts with engagement data using the batch read API
+   * @param {Array<string>} contactIds - Contact IDs
+   * @param {Function|null} activityFilter - Optional predicate limiting which activities count
+   * @returns {Promise<Array>} Contacts in the order the IDs were given
+   */
+  async getContactsWithEngagement(contactIds, activityFilter = null) {
+    if (contactIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const batches = await mapWithConcurrency(
+        chunk(contactIds, BATCH_READ_LIMIT),
+        this.concurrency,
+        ids => this.request(() => this.client.crm.contacts.batchApi.read({
+          inputs: ids.map(id => ({ id })),
+          properties: CONTACT_PROPERTIES,
+          propertiesWithHistory: []
+        }))
+      );
+
+      const contactsById = new Map();
+      batches.forEach(batch => {
+        (batch.results || []).forEach(contact => contactsById.set(String(contact.id), contact));
+      });
+
+      const engagementsById = await this.getEngagementsForContacts(contactIds, activityFilter);
+
+      return contactIds
+        .filter(contactId => contactsById.has(String(contactId)))
+        .map(contactId => buildContactRecord(contactsById.get(String(contactId)), engagementsById.get(contactId)));
+    } catch (error) {
+      console.error('Error fetching contacts:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get contact with engagement data
    */
   async getContactWithEngagement(contactId) {
     try {
-      const contact = await this.client.crm.contacts.basicApi.getById(
-        contactId,
-        [
-          'firstname',
-          'lastname',
-          'email',
-          'jobtitle',
-          'hs_buying_role',
-          'hs_lead_status',
-          'hs_lifecyclestage'
-        ]
-      );
+      const contact = await this.request(() => this.client.crm.contacts.basicApi.getById(contactId, CONTACT_PROPERTIES));
 
       // Get engagement activities for this contact
       const engagements = await this.getContactEngagements(contactId);
 
-      return {
-        id: contact.id,
-        properties: contact.properties,
-        engagements
-      };
+      return buildContactRecord(contact, engagements);
     } catch (error) {
       console.error('Error fetching contact:', error);
       throw error;
@@ -74,78 +603,228 @@ class HubSpotService {
   }
 
   /**
-   * Get engagement activities for a contact
+   * Get engagement counts and activity timestamps for many contacts, sharing one concurrency limit
+   * @param {Array<string>} contactIds - Contact IDs
+   * @param {Function|null} activityFilter - Optional predicate limiting which activities count
+   * @returns {Promise<Map>} Engagement data keyed by contact ID
    */
-  async getContactEngagements(contactId) {
-    try {
-      // Get emails
-      const emails = await this.client.crm.objects.searchApi.doSearch('emails', {
-        filterGroups: [{
-          filters: [{
-            propertyName: 'associations.contact',
-            operator: 'EQ',
-            value: contactId
-          }]
-        }],
-        limit: 100
-      });
+  async getEngagementsForContacts(contactIds, activityFilter = null) {
+    const tasks = contactIds.flatMap(contactId =>
+      ENGAGEMENT_TYPES.map(type => ({ contactId, type }))
+    );
 
-      // Get meetings
-      const meetings = await this.client.crm.objects.searchApi.doSearch('meetings', {
-        filterGroups: [{
-          filters: [{
-            propertyName: 'associations.contact',
-            operator: 'EQ',
-            value: contactId
-          }]
-        }],
-        limit: 100
+    const associatedIds = await mapWithConcurrency(tasks, this.concurrency, async ({ contactId, type }) => {
+      try {
+        return await this.getAssociatedIds('contacts', contactId, type);
+      } catch (error) {
+        console.error(`Error fetching ${type} for contact ${contactId}:`, error.message);
+        return null;
+      }
+    });
+
+    // A failed lookup for any type falls back to zero engagement for that contact
+    const failedContacts = new Set(
+      tasks.filter((task, index) => associatedIds[index] === null).map(task => task.contactId)
+    );
+
+    // Engagements are often shared between contacts, so read each one only once
+    const idsByType = {};
+    tasks.forEach(({ contactId, type }, index) => {
+      if (failedContacts.has(contactId)) return;
+      idsByType[type] = idsByType[type] || new Set();
+      associatedIds[index].forEach(id => idsByType[type].add(id));
+    });
+    const details = await this.getEngagementDetails(idsByType);
+
+    // A meeting's attendees are the deal's contacts associated with it
+    const meetingAttendees = new Map();
+    tasks.forEach(({ contactId, type }, index) => {
+      if (failedContacts.has(contactId) || type !== 'meetings') return;
+      associatedIds[index].forEach(id => meetingAttendees.set(id, (meetingAttendees.get(id) || 0) + 1));
+    });
+    const engagementsById = new Map();
+    contactIds.forEach(contactId => {
+      engagementsById.set(contactId, emptyEngagements());
+    });
+
+    tasks.forEach(({ contactId, type }, index) => {
+      if (failedContacts.has(contactId)) return;
+      const engagements = engagementsById.get(contactId);
+
+      associatedIds[index].forEach(id => {
+        const { timestamp = null, direction, threadId, status, opened, durationMinutes } = details.get(`${type}:${id}`) || {};
+        const activity = { id, type, timestamp };
+        if (type === 'emails') {
+          activity.direction = direction || null;
+          activity.isReply = false;
+          activity.threadId = threadId || null;
+          activity.status = status || null;
+          activity.opened = opened ?? null;
+        } else if (type === 'meetings') {
+          activity.durationMinutes = durationMinutes ?? null;
+          activity.attendees = meetingAttendees.get(id);
+        }
+        if (activityFilter && !activityFilter(activity)) return;
+
+        engagements.activities.push(activity);
+        engagements[type]++;
+        if (INTERACTION_TYPES.includes(type)) {
+          engagements.total++;
+        }
       });
+    });
 
-      // Get calls
-      const calls = await this.client.crm.objects.searchApi.doSearch('calls', {
-        filterGroups: [{
-          filters: [{
-            propertyName: 'associations.contact',
-            operator: 'EQ',
-            value: contactId
-          }]
-        }],
-        limit: 100
+    engagementsById.forEach(engagements => {
+      // Replies are matched per contact, as contact responsiveness measures them
+      matchEmailReplies(engagements.activities).replies.forEach(({ reply }) => {
+        reply.isReply = true;
       });
+      engagements.activities.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+    });
 
-      return {
-        emails: emails.total || 0,
-        meetings: meetings.total || 0,
-        calls: calls.total || 0,
-        total: (emails.total || 0) + (meetings.total || 0) + (calls.total || 0)
-      };
-    } catch (error) {
-      console.error('Error fetching engagements:', error);
-      // Return defaults if engagement fetch fails
-      return { emails: 0, meetings: 0, calls: 0, total: 0 };
-    }
+    return engagementsById;
+  }
+
+  /**
+   * Read engagement objects in batches to get their timestamps, email directions and meeting lengths
+   * @param {Object} idsByType - Sets of engagement IDs keyed by object type
+   * @returns {Promise<Map>} Engagement details (see toEngagementDetails) keyed by "type:id"
+   */
+  async getEngagementDetails(idsByType) {
+    const batches = Object.entries(idsByType).flatMap(([type, ids]) =>
+      chunk(Array.from(ids), BATCH_READ_LIMIT).map(batchIds => ({ type, batchIds }))
+    );
+
+    const details = new Map();
+    await mapWithConcurrency(batches, this.concurrency, async ({ type, batchIds }) => {
+      try {
+        const response = await this.request(() => this.client.crm.objects.batchApi.read(type, {
+          inputs: batchIds.map(id => ({ id })),
+          properties: ENGAGEMENT_PROPERTIES[type] || ENGAGEMENT_DATE_PROPERTIES,
+          propertiesWithHistory: []
+        }));
+        (response.results || []).forEach(engagement => {
+          details.set(`${type}:${engagement.id}`, toEngagementDetails(type, engagement));
+        });
+      } catch (error) {
+        // Counts are still accurate without details, so don't fail the whole fetch
+        console.error(`Error reading ${type} details:`, error.message);
+      }
+    });
+
+    return details;
   }
 
   /**
-   * Update custom properties on a deal
+   * Get engagement activities for a contact
    */
-  async updateDealScore(dealId, scoreData) {
+  async getContactEngagements(contactId) {
+    const engagementsById = await this.getEngagementsForContacts([contactId]);
+    return engagementsById.get(contactId);
+  }
+
+  /**
+   * Write score data to the deal's multi-threading properties
+   * Skips the write when the deal already holds the same values.
+   * @param {string} dealId - Deal ID
+   * @param {Object} scoreData - Result of calculateMultiThreadingScore
+   * @param {Object} options - coverageAnalysis, currentValues (the deal's current properties) and force
+   * @returns {Promise<boolean>} Whether the deal was updated
+   */
+  async updateDealScore(dealId, scoreData, options = {}) {
+    const { coverageAnalysis = null, currentValues = null, force = false } = options;
+    const properties = buildScoreProperties(scoreData, coverageAnalysis);
+
+    if (!force && currentValues && getChangedScoreProperties(properties, currentValues).length === 0) {
+      return false;
+    }
+
     try {
-      await this.client.crm.deals.basicApi.update(dealId, {
-        properties: {
-          multi_thread_score: scoreData.overallScore.toString(),
-          stakeholder_count: scoreData.contactCount.toString(),
-          engagement_score: scoreData.engagementScore.toString(),
-          role_coverage_score: scoreData.roleCoverageScore.toString()
-        }
-      });
+      await this.request(() => this.client.crm.deals.basicApi.update(dealId, { properties }));
+      // Cached snapshots hold the previous values
+      await invalidateDeal(this.portalId, dealId);
       return true;
     } catch (error) {
       console.error('Error updating deal score:', error);
       throw error;
     }
   }
+
+  /**
+   * Create or update the "Multi-Threading" property groups, deal score properties
+   * and contact role properties. Safe to run repeatedly; only missing or outdated
+   * definitions are changed.
+   * @returns {Promise<Object>} What the install created and updated, per object type
+   */
+  async installScoreProperties() {
+    return {
+      deals: await this.installPropertyGroup('deals', SCORE_PROPERTIES),
+      contacts: await this.installPropertyGroup('contacts', CONTACT_ROLE_PROPERTIES)
+    };
+  }
+
+  /**
+   * Ensure the app's property group and properties exist on one object type
+   * @param {string} objectType - CRM object type (e.g. 'deals')
+   * @param {Array} definitions - Property definitions
+   * @returns {Promise<Object>} Whether the group was created, and properties created and updated
+   */
+  async installPropertyGroup(objectType, definitions) {
+    const groups = await this.request(() => this.client.crm.properties.groupsApi.getAll(objectType));
+    const groupExists = (groups.results || []).some(group => group.name === PROPERTY_GROUP.name);
+    if (!groupExists) {
+      await this.request(() => this.client.crm.properties.groupsApi.create(objectType, PROPERTY_GROUP));
+    }
+
+    const existing = await this.request(() => this.client.crm.properties.coreApi.getAll(objectType, false));
+    const { toCreate, toUpdate } = planScorePropertyInstall(existing.results || [], definitions);
+
+    if (toCreate.length > 0) {
+      await this.request(() => this.client.crm.properties.batchApi.create(objectType, { inputs: toCreate }));
+    }
+    for (const { name, update } of toUpdate) {
+      await this.request(() => this.client.crm.properties.coreApi.update(objectType, name, update));
+    }
+
+    return {
+      groupCreated: !groupExists,
+      created: toCreate.map(p => p.name),
+      updated: toUpdate.map(p => p.name)
+    };
+  }
+
+  /**
+   * Write buying roles to contacts
+   * @param {Array} updates - { contactId, role, property } entries
+   * @param {Object} options - dealId whose cached snapshot should be dropped afterwards
+   * @returns {Promise<number>} Number of contacts updated
+   */
+  async updateContactRoles(updates, options = {}) {
+    if (updates.length === 0) {
+      return 0;
+    }
+
+    try {
+      await mapWithConcurrency(chunk(updates, BATCH_READ_LIMIT), this.concurrency, batch =>
+        this.request(() => this.client.crm.contacts.batchApi.update({
+          inputs: batch.map(({ contactId, role, property }) => ({
+            id: String(contactId),
+            properties: { [property]: role }
+          }))
+        }))
+      );
+
+      if (options.dealId) {
+        await invalidateDeal(this.portalId, options.dealId);
+      }
+      return updates.length;
+    } catch (error) {
+      console.error('Error updating contact roles:', error);
+      throw error;
+    }
+  }
 }
 
+HubSpotService.ENGAGEMENT_SCOPES = ENGAGEMENT_SCOPES;
+
 module.exports = HubSpotService;
@@ -0,0 +1,368 @@
+/**
+ * Job Queue - Durable background jobs, deduplicated and debounced by key
+ *
+ * This service provides:
+ * 1. Handlers registered per job type, each with a retry policy
+ * 2. Deduplication: jobs with the same key waiting to run are merged into one
+ * 3. Debouncing: a job waits for a quiet period before running, up to a maximum wait
+ * 4. A concurrency limit, and a re-run when a job's key is enqueued while it is running
+ * 5. Persistence (see dataStore for backends), so queued jobs survive a restart
+ * 6. Retries with exponential backoff, then dead-letter storage for inspection and replay
+ */
+
+const crypto = require('crypto');
+const { createStore, MemoryStore } = require('./dataStore');
+const { getStatusCode, isRetryableError, getRetryDelay } = require('./requestScheduler');
+
+const DEFAULT_QUEUE_OPTIONS = {
+  // Quiet period before a job runs; every new event for the key restarts it
+  debounceMs: parseInt(process.env.JOB_DEBOUNCE_MS, 10) || 5000,
+  // Longest a job is held back by a steady stream of events
+  maxWaitMs: 30000,
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2
+};
+
+const DEFAULT_RETRY_POLICY = {
+  // Runs, including the first, before a job is dead-lettered
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 5 * 60 * 1000
+};
+
+/**
+ * Decide whether a failed job is worth running again
+ * HTTP errors follow the request scheduler's rules (429 and 5xx); errors without a
+ * status, such as network failures, are retried unless marked `retryable: false`.
+ * @param {Error} error - Error thrown by the handler
+ * @returns {boolean} Whether to retry
+ */
+function shouldRetryError(error) {
+  if (getStatusCode(error) === null) {
+    return error?.retryable !== false;
+  }
+  return isRetryableError(error);
+}
+
+/**
+ * The fields of a job that are persisted
+ */
+function serializeJob(job) {
+  const { id, type, key, data, events, attempts, firstEnqueuedAt, runAt, lastError } = job;
+  return { id, type, key, data, events, attempts, firstEnqueuedAt, runAt, lastError };
+}
+
+class JobQueue {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_QUEUE_OPTIONS, plus the store and
+   *   deadLetterStore to persist jobs in (in-memory when not given)
+   */
+  constructor(options = {}) {
+    const { store, deadLetterStore, ...queueOptions } = options;
+    this.options = { ...DEFAULT_QUEUE_OPTIONS, ...queueOptions };
+    this.store = store || new MemoryStore();
+    this.deadLetterStore = deadLetterStore || new MemoryStore();
+    this.handlers = new Map();
+    // Jobs waiting out their debounce window or retry delay, keyed by job key
+    this.pending = new Map();
+    this.ready = [];
+    this.running = new Map();
+    this.idleWaiters = [];
+    this.stats = { enqueued: 0, deduplicated: 0, completed: 0, failed: 0, retried: 0, deadLettered: 0 };
+  }
+
+  /**
+   * Register the function that runs jobs of a type
+   * @param {string} type - Job type
+   * @param {Function} handler - Called with the job's data; may return a result
+   * @param {Object} retryPolicy - Overrides for DEFAULT_RETRY_POLICY, and an optional
+   *   shouldRetry(error) predicate
+   */
+  registerHandler(type, handler, retryPolicy = {}) {
+    this.handlers.set(type, { handler, retryPolicy: { ...DEFAULT_RETRY_POLICY, ...retryPolicy } });
+  }
+
+  /**
+   * Add a job, merging it with a waiting job that has the same key
+   * @param {string} type - Job type
+   * @param {Object} data - Job data (JSON-serializable)
+   * @param {Object} options - key (defaults to the type and data), debounceMs and
+   *   merge(existingData, newData) to combine data of deduplicated jobs
+   * @returns {Promise<Object>} The queued job, once it has been persisted
+   */
+  async enqueue(type, data = {}, options = {}) {
+    const key = options.key || `${type}:${JSON.stringify(data)}`;
+    const debounceMs = options.debounceMs ?? this.options.debounceMs;
+    const merge = options.merge || ((existing, incoming) => ({ ...existing, ...incoming }));
+    const now = Date.now();
+    this.stats.enqueued++;
+
+    const existing = this.pending.get(key) || this.ready.find(job => job.key === key);
+    if (existing) {
+      this.stats.deduplicated++;
+      existing.data = merge(existing.data, data);
+      existing.events++;
+      // A job waiting to retry keeps its backoff
+      if (this.pending.has(key) && existing.attempts === 0) {
+        this.schedule(existing, Math.min(debounceMs, existing.firstEnqueuedAt + this.options.maxWaitMs - now));
+      }
+      await this.persist(existing);
+      return existing;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      key,
+      data,
+      events: 1,
+      attempts: 0,
+      firstEnqueuedAt: now,
+      runAt: now,
+      lastError: null,
+      timer: null
+    };
+    this.pending.set(key, job);
+    this.schedule(job, debounceMs);
+    await this.persist(job);
+    return job;
+  }
+
+  schedule(job, delayMs, now = Date.now()) {
+    clearTimeout(job.timer);
+    job.runAt = now + Math.max(0, delayMs);
+    job.timer = setTimeout(() => {
+      this.pending.delete(job.key);
+      this.ready.push(job);
+      this.drain();
+    }, Math.max(0, delayMs));
+    // Waiting jobs shouldn't keep the process alive
+    job.timer.unref?.();
+  }
+
+  async persist(job) {
+    await this.store.set(job.id, serializeJob(job));
+  }
+
+  drain() {
+    while (this.running.size < this.options.concurrency) {
+      // A key already running waits, so one deal is never processed twice at once
+      const index = this.ready.findIndex(job => !this.running.has(job.key));
+      if (index === -1) {
+        break;
+      }
+      const [job] = this.ready.splice(index, 1);
+      this.running.set(job.key, job);
+      this.run(job).finally(() => {
+        this.running.delete(job.key);
+        this.drain();
+        this.notifyIdle();
+      });
+    }
+  }
+
+  async run(job) {
+    const registration = this.handlers.get(job.type);
+    job.attempts++;
+    try {
+      if (!registration) {
+        throw Object.assign(new Error(`No handler registered for job type ${job.type}`), { retryable: false });
+      }
+      job.result = await registration.handler(job.data, job);
+      this.stats.completed++;
+      await this.store.delete(job.id);
+    } catch (error) {
+      this.stats.failed++;
+      await this.handleFailure(job, error, registration?.retryPolicy || DEFAULT_RETRY_POLICY);
+    }
+  }
+
+  async handleFailure(job, error, retryPolicy) {
+    const { maxAttempts, shouldRetry = shouldRetryError } = retryPolicy;
+    job.lastError = error.message;
+
+    try {
+      // A newer job for the same key was queued while this one ran and covers it
+      if (this.pending.has(job.key)) {
+        await this.store.delete(job.id);
+        return;
+      }
+
+      if (job.attempts < maxAttempts && shouldRetry(error)) {
+        const delayMs = getRetryDelay(error, job.attempts - 1, retryPolicy);
+        console.error(`Job ${job.key} failed (attempt ${job.attempts} of ${maxAttempts}), retrying in ${delayMs}ms:`, error.message);
+        this.stats.retried++;
+        this.pending.set(job.key, job);
+        this.schedule(job, delayMs);
+        await this.persist(job);
+        return;
+      }
+
+      console.error(`Job ${job.key} failed after ${job.attempts} attempt(s), moving to dead letters:`, error.message);
+      this.stats.deadLettered++;
+      await this.deadLetterStore.set(job.id, { ...serializeJob(job), failedAt: new Date().toISOString() });
+      await this.store.delete(job.id);
+    } catch (storeError) {
+      console.error(`Failed to record failure of job ${job.key}:`, storeError.message);
+    }
+  }
+
+  /**
+   * Reschedule jobs persisted by a previous process
+   * Jobs that were running when it stopped run again.
+   * @returns {Promise<number>} Jobs restored
+   */
+  async restore() {
+    const now = Date.now();
+    let restored = 0;
+    for (const [, saved] of await this.store.entries()) {
+      if (this.pending.has(saved.key) || this.running.has(saved.key) || this.ready.some(job => job.key === saved.key)) {
+        continue;
+      }
+      const job = { ...saved, timer: null };
+      this.pending.set(job.key, job);
+      // Measured from the same instant, so a job keeps its persisted runAt
+      this.schedule(job, (saved.runAt || now) - now, now);
+      restored++;
+    }
+    return restored;
+  }
+
+  /**
+   * List queued jobs
+   * @returns {Array} Pending, ready and running jobs
+   */
+  getJobs() {
+    const describe = (job, status) => ({ ...serializeJob(job), status });
+    return [
+      ...Array.from(this.running.values()).map(job => describe(job, 'running')),
+      ...this.ready.map(job => describe(job, 'ready')),
+      ...Array.from(this.pending.values()).map(job => describe(job, job.attempts > 0 ? 'retrying' : 'pending'))
+    ];
+  }
+
+  /**
+   * List dead-lettered jobs
+   * @returns {Promise<Array>} Failed jobs, most recent first
+   */
+  async getDeadLetters() {
+    const entries = await this.deadLetterStore.entries();
+    return entries
+      .map(([, job]) => job)
+      .sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+  }
+
+  /**
+   * Queue a dead-lettered job to run again with a fresh set of attempts
+   * @param {string} jobId - Dead-lettered job ID
+   * @returns {Promise<Object|null>} The queued job, or null if there is no such dead letter
+   */
+  async replayDeadLetter(jobId) {
+    const saved = await this.deadLetterStore.get(jobId);
+    if (!saved) {
+      return null;
+    }
+    const job = await this.enqueue(saved.type, saved.data, { key: saved.key, debounceMs: 0 });
+    await this.deadLetterStore.delete(jobId);
+    return job;
+  }
+
+  /**
+   * Delete a dead-lettered job
+   * @param {string} jobId - Dead-lettered job ID
+   * @returns {Promise<boolean>} Whether the dead letter existed
+   */
+  async discardDeadLetter(jobId) {
+    return this.deadLetterStore.delete(jobId);
+  }
+
+  /**
+   * Remove a portal's waiting jobs and dead letters
+   * Jobs identify their portal with a top-level `portalId` in their data.
+   * @param {string} portalId - HubSpot portal ID
+   * @returns {Promise<number>} Jobs removed
+   */
+  async purgePortal(portalId) {
+    const isPortalJob = job => job.data?.portalId === String(portalId);
+    let removed = 0;
+
+    this.pending.forEach(job => {
+      if (isPortalJob(job)) {
+        clearTimeout(job.timer);
+        this.pending.delete(job.key);
+      }
+    });
+    this.ready = this.ready.filter(job => !isPortalJob(job));
+
+    for (const store of [this.store, this.deadLetterStore]) {
+      for (const [id, job] of await store.entries()) {
+        if (isPortalJob(job)) {
+          await store.delete(id);
+          removed++;
+        }
+      }
+    }
+    this.notifyIdle();
+    return removed;
+  }
+
+  /**
+   * Wait until no jobs are pending, ready or running
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.isIdle()) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  isIdle() {
+    return this.pending.size === 0 && this.ready.length === 0 && this.running.size === 0;
+  }
+
+  notifyIdle() {
+    if (this.isIdle()) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Counts of waiting and running jobs and lifetime totals
+   */
+  getStats() {
+    return {
+      pending: this.pending.size,
+      ready: this.ready.length,
+      running: this.running.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Drop waiting jobs, persisted jobs and dead letters, and reset statistics (for testing)
+   */
+  async clear() {
+    this.pending.forEach(job => clearTimeout(job.timer));
+    this.pending.clear();
+    this.ready = [];
+    Object.keys(this.stats).forEach(key => { this.stats[key] = 0; });
+    await this.store.clear();
+    await this.deadLetterStore.clear();
+    this.notifyIdle();
+  }
+}
+
+// Queue shared by the webhook handlers, alert delivery and the recalculation worker
+const jobQueue = new JobQueue({
+  store: createStore('jobs'),
+  deadLetterStore: createStore('dead-letter-jobs')
+});
+
+module.exports = {
+  JobQueue,
+  jobQueue,
+  shouldRetryError,
+  DEFAULT_QUEUE_OPTIONS,
+  DEFAULT_RETRY_POLICY
+};
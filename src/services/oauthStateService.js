@@ -0,0 +1,166 @@
+/**
+ * OAuth State Service - Signed, expiring state values for the install flow
+ *
+ * This service provides:
+ * 1. HMAC-signed state tokens created on /oauth/authorize
+ * 2. Verification on /oauth/callback: signature, expiry, browser binding and single use
+ * 3. A return-to URL carried through the flow, limited to the app and HubSpot
+ */
+
+const crypto = require('crypto');
+
+// How long a user has to complete the HubSpot consent screen
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Cookie binding the state to the browser that started the flow
+const STATE_COOKIE = 'mts_oauth_state';
+
+// Hosts users may be sent back to besides the app itself
+const HUBSPOT_APP_HOST_PATTERN = /^app(-[a-z0-9]+)?\.hubspot\.com$/;
+
+// Without a configured secret, states only verify within this process
+const STATE_SECRET = process.env.OAUTH_STATE_SECRET ||
+  process.env.HUBSPOT_CLIENT_SECRET ||
+  crypto.randomBytes(32).toString('hex');
+
+// Nonces of states already used, with their expiry (use Redis in production)
+const usedNonces = new Map();
+
+function sign(payload) {
+  return crypto.createHmac('sha256', STATE_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Check a return-to URL, keeping only app paths and HubSpot app URLs
+ * @param {string} returnTo - Requested return URL
+ * @param {string} appBaseUrl - The app's public base URL
+ * @returns {string|null} Safe return URL, or null
+ */
+function sanitizeReturnTo(returnTo, appBaseUrl = process.env.APP_BASE_URL || 'http://localhost:3000') {
+  if (!returnTo || typeof returnTo !== 'string') {
+    return null;
+  }
+
+  // Relative app paths, but not protocol-relative URLs like //evil.com or /\evil.com
+  if (returnTo.startsWith('/') && !returnTo.startsWith('//') && !returnTo.startsWith('/\\')) {
+    return returnTo;
+  }
+
+  try {
+    const url = new URL(returnTo);
+    if (url.origin === new URL(appBaseUrl).origin) {
+      return url.toString();
+    }
+    if (url.protocol === 'https:' && HUBSPOT_APP_HOST_PATTERN.test(url.hostname)) {
+      return url.toString();
+    }
+  } catch (error) {
+    // Not a valid URL
+  }
+  return null;
+}
+
+/**
+ * Create a state value for an authorization request
+ * @param {Object} options - returnTo URL
+ * @returns {Object} state to send to HubSpot and nonce to set in the browser cookie
+ */
+function createState(options = {}) {
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const issuedAt = Date.now();
+  const payload = Buffer.from(JSON.stringify({
+    n: nonce,
+    exp: issuedAt + STATE_TTL_MS,
+    r: sanitizeReturnTo(options.returnTo)
+  })).toString('base64url');
+
+  return {
+    state: `${payload}.${sign(payload)}`,
+    nonce
+  };
+}
+
+/**
+ * Verify the state returned to the callback
+ * @param {string} state - state query parameter
+ * @param {string} cookieNonce - Nonce from the browser's state cookie
+ * @returns {Object} { valid, reason, returnTo }
+ */
+function verifyState(state, cookieNonce) {
+  if (!state || typeof state !== 'string') {
+    return { valid: false, reason: 'missing_state' };
+  }
+
+  const [payload, signature] = state.split('.');
+  if (!payload || !signature) {
+    return { valid: false, reason: 'malformed_state' };
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed_state' };
+  }
+
+  const now = Date.now();
+  if (!data.exp || data.exp < now) {
+    return { valid: false, reason: 'expired_state' };
+  }
+
+  // The browser finishing the flow must be the one that started it
+  if (!cookieNonce || cookieNonce !== data.n) {
+    return { valid: false, reason: 'state_mismatch' };
+  }
+
+  usedNonces.forEach((expiresAt, nonce) => {
+    if (expiresAt < now) {
+      usedNonces.delete(nonce);
+    }
+  });
+  if (usedNonces.has(data.n)) {
+    return { valid: false, reason: 'state_reused' };
+  }
+  usedNonces.set(data.n, data.exp);
+
+  return { valid: true, returnTo: data.r || null };
+}
+
+/**
+ * Read the state nonce from a request's cookies
+ * @param {Object} req - Express request
+ * @returns {string|null} Nonce
+ */
+function getStateCookie(req) {
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === STATE_COOKIE) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Clear used nonces (for testing)
+ */
+function clearUsedStates() {
+  usedNonces.clear();
+}
+
+module.exports = {
+  createState,
+  verifyState,
+  sanitizeReturnTo,
+  getStateCookie,
+  clearUsedStates,
+  STATE_COOKIE,
+  STATE_TTL_MS
+};
@@ -0,0 +1,142 @@
+/**
+ * Pipeline Stage Service - Maps custom pipeline stages to canonical deal phases
+ *
+ * Stage role expectations, velocity benchmarks, economic buyer timing and action
+ * plans are keyed by HubSpot's default stage IDs. Custom pipelines have their own
+ * (often numeric) stage IDs, which fall back to the default expectations until an
+ * admin maps them to a phase (early, mid, late or closed).
+ *
+ * This service provides:
+ * 1. The portal's pipelines with each stage's phase, mapped or default
+ * 2. A suggested phase for unmapped stages, from the stage's win probability
+ * 3. Validation of a mapping against the portal's pipelines
+ * 4. Saving a mapping as a new scoring configuration version (stageMapping)
+ *
+ * The mapping lives in the scoring configuration, so it is versioned, rolled back
+ * and purged with the rest of it.
+ */
+
+const {
+  getScoringConfigDetails,
+  saveScoringConfig,
+  validateScoringConfig,
+  getStagePhase,
+  resolveDealStage,
+  STAGE_PHASES,
+  DEFAULT_STAGE_PHASES
+} = require('./scoringConfigService');
+
+// Highest win probability of an early and a mid stage; HubSpot's default pipeline puts
+// qualifiedtobuy at 0.4 and decisionmakerboughtin at 0.8
+const PHASE_PROBABILITY_CUTOFFS = {
+  early: 0.4,
+  mid: 0.8
+};
+
+/**
+ * Suggest a phase for a pipeline stage
+ * @param {Object} stage - Stage from HubSpotService.getDealPipelines
+ * @returns {string|null} One of STAGE_PHASES, or null when the stage has no probability
+ */
+function suggestStagePhase(stage) {
+  if (DEFAULT_STAGE_PHASES[stage.id]) {
+    return DEFAULT_STAGE_PHASES[stage.id];
+  }
+  if (stage.isClosed) {
+    return STAGE_PHASES.CLOSED;
+  }
+  if (typeof stage.probability !== 'number') {
+    return null;
+  }
+  if (stage.probability <= PHASE_PROBABILITY_CUTOFFS.early) {
+    return STAGE_PHASES.EARLY;
+  }
+  return stage.probability <= PHASE_PROBABILITY_CUTOFFS.mid ? STAGE_PHASES.MID : STAGE_PHASES.LATE;
+}
+
+/**
+ * Describe a portal's pipelines with the phase each stage is scored in
+ * @param {Array} pipelines - Result of HubSpotService.getDealPipelines
+ * @param {Object} scoringConfig - The portal's scoring configuration
+ * @returns {Object} pipelines with phase, mapped, canonicalStage and suggestedPhase on
+ *   each stage, and the number of stages without a phase
+ */
+function describePipelines(pipelines, scoringConfig) {
+  const described = pipelines.map(pipeline => ({
+    ...pipeline,
+    stages: pipeline.stages.map(stage => {
+      const phase = getStagePhase(scoringConfig, stage.id);
+      return {
+        ...stage,
+        phase,
+        mapped: Boolean(scoringConfig.stageMapping?.[stage.id]),
+        // Stages without a phase are scored with the default expectations
+        canonicalStage: phase ? resolveDealStage(scoringConfig, stage.id) : 'default',
+        suggestedPhase: suggestStagePhase(stage)
+      };
+    })
+  }));
+
+  return {
+    pipelines: described,
+    unmappedStages: described.reduce((count, pipeline) =>
+      count + pipeline.stages.filter(stage => !stage.phase).length, 0)
+  };
+}
+
+/**
+ * Validate a stage mapping update
+ * @param {Object} mapping - Stage IDs mapped to a phase, or to null to remove the mapping
+ * @param {Array} pipelines - The portal's pipelines, from HubSpotService.getDealPipelines
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateStageMapping(mapping, pipelines) {
+  if (mapping === null || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return ['stageMapping must be an object'];
+  }
+
+  const stageIds = new Set(pipelines.flatMap(pipeline => pipeline.stages.map(stage => stage.id)));
+  // Mappings of stages since removed from HubSpot can still be removed
+  const errors = Object.entries(mapping)
+    .filter(([stageId, phase]) => phase !== null && !stageIds.has(stageId))
+    .map(([stageId]) => `stageMapping.${stageId} is not a stage of any deal pipeline`);
+
+  const phases = Object.fromEntries(Object.entries(mapping).filter(([, phase]) => phase !== null));
+  return [...errors, ...validateScoringConfig({ stageMapping: phases })];
+}
+
+/**
+ * Save changes to a portal's stage mapping as a new scoring configuration version
+ * Stages not in the update keep their mapping.
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} mapping - Stage IDs mapped to a phase, or to null to remove the mapping
+ * @param {Object} options - actor recorded with the version
+ * @returns {Promise<Object>} The new version
+ */
+async function saveStageMapping(portalId, mapping, options = {}) {
+  const { overrides } = await getScoringConfigDetails(portalId);
+  const { stageMapping: currentMapping = {}, ...otherOverrides } = overrides;
+
+  const stageMapping = { ...currentMapping };
+  for (const [stageId, phase] of Object.entries(mapping)) {
+    if (phase === null) {
+      delete stageMapping[stageId];
+    } else {
+      stageMapping[stageId] = phase;
+    }
+  }
+
+  return saveScoringConfig(
+    portalId,
+    Object.keys(stageMapping).length > 0 ? { ...otherOverrides, stageMapping } : otherOverrides,
+    { actor: options.actor, note: 'Stage mapping updated' }
+  );
+}
+
+module.exports = {
+  suggestStagePhase,
+  describePipelines,
+  validateStageMapping,
+  saveStageMapping,
+  PHASE_PROBABILITY_CUTOFFS
+};
@@ -8,6 +8,8 @@
  * 4. Stage-based action plans
  */
 
+const { resolveDealStage } = require('./scoringConfigService');
+
 // Email templates for common scenarios
 const EMAIL_TEMPLATES = {
   RE_ENGAGE_DM: {
@@ -436,7 +438,8 @@ const ROLE_CHECKLISTS = {
   }
 };
 
-// Stage-based action plans
+// Stage-based action plans, keyed by HubSpot's default stage IDs; custom stages use
+// the plan of their mapped phase
 const STAGE_ACTION_PLANS = {
   appointmentscheduled: {
     stage: 'Appointment Scheduled',
@@ -499,9 +502,10 @@ const STAGE_ACTION_PLANS = {
  * Get contextual recommendations based on deal state
  * @param {Object} scoreData - Multi-threading score data
  * @param {string} dealStage - Current deal stage
+ * @param {Object} options - The portal's scoringConfig, for its stage mapping
  * @returns {Object} Contextual playbook recommendations
  */
-function getContextualRecommendations(scoreData, dealStage) {
+function getContextualRecommendations(scoreData, dealStage, options = {}) {
   const recommendations = {
     templates: [],
     playbooks: [],
@@ -556,7 +560,7 @@ function getContextualRecommendations(scoreData, dealStage) {
   }
 
   // Stage-specific actions
-  const stageActions = STAGE_ACTION_PLANS[dealStage];
+  const stageActions = STAGE_ACTION_PLANS[resolveDealStage(options.scoringConfig, dealStage)];
   if (stageActions) {
     recommendations.actions.push({
       priority: 'MEDIUM',
@@ -0,0 +1,90 @@
+/**
+ * Portal Purge Service - Removes everything the app holds for a portal
+ *
+ * This service provides:
+ * 1. One purge across every store that keeps portal data: tokens, cached deals,
+ *    alert history, role reviews, queued and dead-lettered jobs, webhook events, deal
+ *    snapshots, the sweep schedule, the scoring configuration and the portal's request
+ *    scheduler
+ * 2. Registration of purgers for stores added later, so none is forgotten
+ * 3. A per-store summary of what was removed and what failed
+ *
+ * The audit log is deliberately not purged: it records the uninstall itself.
+ */
+
+const { deleteTokens } = require('./tokenStore');
+const { purgePortalCache } = require('./cacheService');
+const { clearPortalAlertHistory } = require('./alertService');
+const { purgePortalReviews } = require('./roleReviewService');
+const { removeScheduler } = require('./requestScheduler');
+const { jobQueue } = require('./jobQueue');
+const { purgePortalEvents } = require('./webhookEventService');
+const { purgePortalSnapshots } = require('./dealSnapshotService');
+const { purgePortalSchedule } = require('./sweepService');
+const { purgePortalScoringConfig } = require('./scoringConfigService');
+
+// Purge functions keyed by store name. Each takes a portal ID and returns the
+// number of entries removed (or whether anything was removed).
+const purgers = new Map([
+  ['tokens', deleteTokens],
+  ['cache', purgePortalCache],
+  ['alertHistory', clearPortalAlertHistory],
+  ['roleReviews', purgePortalReviews],
+  ['jobs', portalId => jobQueue.purgePortal(portalId)],
+  ['webhookEvents', purgePortalEvents],
+  ['snapshots', purgePortalSnapshots],
+  ['sweepSchedule', purgePortalSchedule],
+  ['scoringConfig', purgePortalScoringConfig],
+  ['scheduler', removeScheduler]
+]);
+
+/**
+ * Register a purger for a store holding portal data
+ * @param {string} name - Store name reported in purge summaries
+ * @param {Function} purger - Called with a portal ID; returns entries removed
+ */
+function registerPortalPurger(name, purger) {
+  purgers.set(name, purger);
+}
+
+/**
+ * Get the names of the stores a purge covers
+ * @returns {Array<string>} Store names
+ */
+function getPortalPurgers() {
+  return Array.from(purgers.keys());
+}
+
+/**
+ * Remove a portal's data from every store
+ * A failing store doesn't stop the others from being purged.
+ * @param {string|number} portalId - HubSpot portal ID
+ * @returns {Promise<Object>} { removed: { store: count }, failed: [{ store, error }] }
+ */
+async function purgePortalData(portalId) {
+  if (!portalId) {
+    throw new Error('A portal ID is required to purge portal data');
+  }
+
+  const id = String(portalId);
+  const removed = {};
+  const failed = [];
+
+  for (const [name, purger] of purgers) {
+    try {
+      const result = await purger(id);
+      removed[name] = typeof result === 'boolean' ? Number(result) : (result || 0);
+    } catch (error) {
+      console.error(`Portal purge failed for ${name}:`, error.message);
+      failed.push({ store: name, error: error.message });
+    }
+  }
+
+  return { removed, failed };
+}
+
+module.exports = {
+  purgePortalData,
+  registerPortalPurger,
+  getPortalPurgers
+};
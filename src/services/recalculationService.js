@@ -0,0 +1,191 @@
+/**
+ * Recalculation Service - Rescores deals in the background when HubSpot data changes
+ *
+ * This service provides:
+ * 1. Recalculation jobs queued from deal and contact webhooks, one per deal
+ * 2. Resolution of contact events to every deal the contact is associated with
+ * 3. A worker that rescores a deal, writes the score properties back, tracks stakeholder
+ *    lifecycle against the deal's last snapshot and evaluates alerts
+ */
+
+const HubSpotService = require('./hubspotService');
+const { jobQueue } = require('./jobQueue');
+const { getStatusCode } = require('./requestScheduler');
+const { calculateMultiThreadingScore } = require('./scoringService');
+const { calculateCoverageAnalysis } = require('./coverageAnalysisService');
+const { generateThreadingAlerts, sendAlerts } = require('./alertService');
+const { SCORE_PROPERTY_NAMES } = require('./scorePropertiesService');
+const { recordScoreSnapshot } = require('./dealSnapshotService');
+const { getScoringConfig } = require('./scoringConfigService');
+
+const JOB_TYPES = {
+  RECALCULATE_DEAL: 'deal.recalculate',
+  RESOLVE_CONTACT_DEALS: 'contact.resolveDeals'
+};
+
+function union(a, b) {
+  return Array.from(new Set([...a, ...b]));
+}
+
+function mergeDealJobs(existing, incoming) {
+  return { ...existing, reasons: union(existing.reasons, incoming.reasons) };
+}
+
+function mergeContactJobs(existing, incoming) {
+  return {
+    ...existing,
+    reasons: union(existing.reasons, incoming.reasons),
+    knownDealIds: union(existing.knownDealIds, incoming.knownDealIds)
+  };
+}
+
+/**
+ * Check whether a deal property change came from the app's own score write-back
+ * Rescoring on these would loop forever.
+ * @param {string} propertyName - Changed property
+ * @returns {boolean} Whether the property is a score property
+ */
+function isScoreProperty(propertyName) {
+  return SCORE_PROPERTY_NAMES.includes(propertyName);
+}
+
+/**
+ * Queue a deal for rescoring; repeated events for the deal within the debounce window share one job
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} dealId - Deal ID
+ * @param {string|Array<string>} reasons - What triggered the recalculation (e.g. subscription types)
+ * @param {JobQueue} queue - Queue to add the job to
+ * @returns {Promise<Object>} Queued job
+ */
+function enqueueDealRecalculation(portalId, dealId, reasons, queue = jobQueue) {
+  return queue.enqueue(
+    JOB_TYPES.RECALCULATE_DEAL,
+    { portalId: portalId ? String(portalId) : null, dealId: String(dealId), reasons: [].concat(reasons) },
+    { key: `deal:${portalId || 'default'}:${dealId}`, merge: mergeDealJobs }
+  );
+}
+
+/**
+ * Queue a contact change to be resolved to its deals, each of which is then rescored
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} contactId - Contact ID
+ * @param {string} reason - What triggered the recalculation
+ * @param {Array<string>} knownDealIds - Deals already known to include the contact
+ * @param {JobQueue} queue - Queue to add the job to
+ * @returns {Promise<Object>} Queued job
+ */
+function enqueueContactRecalculation(portalId, contactId, reason, knownDealIds = [], queue = jobQueue) {
+  return queue.enqueue(
+    JOB_TYPES.RESOLVE_CONTACT_DEALS,
+    {
+      portalId: portalId ? String(portalId) : null,
+      contactId: String(contactId),
+      reasons: [reason],
+      knownDealIds: knownDealIds.map(String)
+    },
+    { key: `contact:${portalId || 'default'}:${contactId}`, merge: mergeContactJobs }
+  );
+}
+
+/**
+ * Rescore a deal, write its score properties, track lifecycle changes and evaluate alerts
+ * @param {HubSpotService} hubspotService - Service for the deal's portal
+ * @param {string} dealId - Deal ID
+ * @param {Object} options - portalId, and slackWebhookUrl to send alerts to
+ * @returns {Promise<Object>} Score, whether HubSpot was updated, lifecycle changes and alerts raised
+ */
+async function recalculateDealScore(hubspotService, dealId, options = {}) {
+  const { portalId = null, slackWebhookUrl = null } = options;
+
+  // Skip the cache: the event that queued this job means the snapshot may be stale
+  const dealData = await hubspotService.getDealWithContacts(dealId, { refresh: true });
+  const scoringConfig = await getScoringConfig(portalId);
+  const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: true, scoringConfig });
+  const coverageAnalysis = calculateCoverageAnalysis(
+    dealData.contacts || [],
+    { dealStage: dealData.deal?.dealstage, deal: dealData.deal, scoringConfig }
+  );
+
+  const updated = await hubspotService.updateDealScore(dealData.dealId, scoreData, {
+    coverageAnalysis,
+    currentValues: dealData.deal
+  });
+
+  const { lifecycle } = await recordScoreSnapshot(portalId, dealData.dealId, scoreData, {
+    coverageAnalysis,
+    source: 'recalculation',
+    scoringConfig
+  });
+  const alerts = generateThreadingAlerts({ ...dealData, portalId }, scoreData, coverageAnalysis, lifecycle, { scoringConfig });
+  const sendResults = slackWebhookUrl && alerts.length > 0
+    ? await sendAlerts(alerts, { slackWebhookUrl })
+    : null;
+
+  return {
+    dealId: String(dealData.dealId),
+    score: scoreData.overallScore,
+    riskLevel: scoreData.riskLevel,
+    updated,
+    lifecycleChanges: lifecycle.changes.map(change => change.type),
+    alerts: alerts.map(alert => alert.type),
+    sendResults
+  };
+}
+
+/**
+ * Find every deal a contact is associated with
+ * @param {HubSpotService} hubspotService - Service for the contact's portal
+ * @param {string} contactId - Contact ID
+ * @param {Array<string>} knownDealIds - Deals already known to include the contact
+ * @returns {Promise<Array<string>>} Deal IDs
+ */
+async function resolveContactDeals(hubspotService, contactId, knownDealIds = []) {
+  let dealIds = [];
+  try {
+    dealIds = await hubspotService.getAssociatedIds('contacts', contactId, 'deals');
+  } catch (error) {
+    // A deleted contact has no associations left; its known deals still need rescoring
+    if (getStatusCode(error) !== 404) {
+      throw error;
+    }
+  }
+  return union(knownDealIds, dealIds);
+}
+
+/**
+ * Register the queue handlers that run recalculation jobs
+ * @param {Object} options - getAccessToken(portalId) and optional slackWebhookUrl for alerts
+ * @param {JobQueue} queue - Queue whose jobs to handle
+ */
+function registerRecalculationHandlers(options, queue = jobQueue) {
+  const { getAccessToken, slackWebhookUrl = process.env.ALERT_SLACK_WEBHOOK_URL || null } = options;
+
+  const createService = async (portalId) => {
+    const accessToken = await getAccessToken(portalId);
+    return new HubSpotService(accessToken, { portalId, useCache: true });
+  };
+
+  queue.registerHandler(JOB_TYPES.RECALCULATE_DEAL, async ({ portalId, dealId }) => {
+    const hubspotService = await createService(portalId);
+    return recalculateDealScore(hubspotService, dealId, { portalId, slackWebhookUrl });
+  });
+
+  queue.registerHandler(JOB_TYPES.RESOLVE_CONTACT_DEALS, async ({ portalId, contactId, reasons, knownDealIds }) => {
+    const hubspotService = await createService(portalId);
+    const dealIds = await resolveContactDeals(hubspotService, contactId, knownDealIds);
+    for (const dealId of dealIds) {
+      await enqueueDealRecalculation(portalId, dealId, reasons, queue);
+    }
+    return { contactId, dealIds };
+  });
+}
+
+module.exports = {
+  enqueueDealRecalculation,
+  enqueueContactRecalculation,
+  recalculateDealScore,
+  resolveContactDeals,
+  registerRecalculationHandlers,
+  isScoreProperty,
+  JOB_TYPES
+};
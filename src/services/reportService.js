@@ -11,25 +11,27 @@
 const { calculateMultiThreadingScore, generateRecommendations } = require('./scoringService');
 const { calculateCoverageAnalysis, generateMissingChecklist, calculateChampionStrength } = require('./coverageAnalysisService');
 const { predictDealRisk, analyzeStageVelocity } = require('./riskPredictionService');
+const { explainScore } = require('./scoreExplanationService');
 
 /**
  * Generate comprehensive deal health report
  * @param {Object} dealData - Deal with contacts
- * @param {Object} options - Report options
+ * @param {Object} options - Report options, including the portal's scoringConfig, and
+ *   includeExplanation to attribute the score to components, roles and contacts
  * @returns {Object} Complete report data
  */
 function generateDealHealthReport(dealData, options = {}) {
-  const { includeContacts = true, includeHistory = true } = options;
+  const { includeContacts = true, includeHistory = true, includeExplanation = false, scoringConfig } = options;
   
-  const scoreData = calculateMultiThreadingScore(dealData);
-  const recommendations = generateRecommendations(scoreData);
+  const scoreData = calculateMultiThreadingScore(dealData, { scoringConfig });
+  const recommendations = generateRecommendations(scoreData, { scoringConfig });
   const coverageAnalysis = calculateCoverageAnalysis(
     dealData.contacts || [], 
-    { dealStage: dealData.deal?.dealstage }
+    { dealStage: dealData.deal?.dealstage, deal: dealData.deal, scoringConfig }
   );
-  const missingChecklist = generateMissingChecklist(coverageAnalysis);
+  const missingChecklist = generateMissingChecklist(coverageAnalysis, { scoringConfig });
   const riskPrediction = predictDealRisk(dealData, scoreData, options);
-  const stageVelocity = analyzeStageVelocity(dealData);
+  const stageVelocity = analyzeStageVelocity(dealData, { scoringConfig });
   
   // Find champion for strength analysis
   const champion = scoreData.contacts?.find(c => 
@@ -53,6 +55,7 @@ function generateDealHealthReport(dealData, options = {}) {
     // Score summary
     scores: {
       overall: scoreData.overallScore,
+      stageAdjusted: scoreData.stageAdjusted.overallScore,
       engagement: scoreData.engagementScore,
       participation: scoreData.participationScore,
       roleCoverage: scoreData.roleCoverageScore,
@@ -76,6 +79,7 @@ function generateDealHealthReport(dealData, options = {}) {
       engaged: scoreData.threadDepth,
       coveredRoles: scoreData.coveredRoles,
       missingKeyRoles: scoreData.missingKeyRoles,
+      missingStageRoles: scoreData.stageAdjusted.missingRequiredRoles,
       roleDistribution: coverageAnalysis.breadth.roleContacts ? 
         Object.entries(coverageAnalysis.breadth.roleContacts).map(([role, contacts]) => ({
           role,
@@ -113,6 +117,9 @@ function generateDealHealthReport(dealData, options = {}) {
     // Recommendations
     recommendations: recommendations,
     
+    // Why the deal scored what it did (optional)
+    explanation: includeExplanation ? explainScore(dealData, scoreData, { scoringConfig }) : undefined,
+    
     // Detailed contacts (optional)
     contacts: includeContacts ? scoreData.contacts : undefined
   };
@@ -123,13 +130,13 @@ function generateDealHealthReport(dealData, options = {}) {
 /**
  * Generate manager coaching packet
  * @param {Array} deals - Array of deals with contacts
- * @param {Object} options - Packet options
+ * @param {Object} options - Packet options, including the portal's scoringConfig
  * @returns {Object} Coaching packet data
  */
 function generateCoachingPacket(deals, options = {}) {
-  const { repName = 'Sales Rep', period = '30 days' } = options;
+  const { repName = 'Sales Rep', period = '30 days', scoringConfig } = options;
   
-  const dealReports = deals.map(deal => generateDealHealthReport(deal, { includeContacts: false }));
+  const dealReports = deals.map(deal => generateDealHealthReport(deal, { includeContacts: false, scoringConfig }));
   
   // Calculate aggregate statistics
   const avgScore = dealReports.length > 0 
@@ -295,16 +302,48 @@ function generateCoachingPoints(reports, singleThreaded, stuck, noChampion, comm
   });
 }
 
+/**
+ * Compare deals' latest scores with their scores at the start of a period
+ * @param {Array} scoreHistory - { dealId, previous, current } snapshots per deal
+ * @param {number} periodDays - Length of the period
+ * @returns {Object} Average score change and health trend, or nulls without history
+ */
+function calculateScoreTrends(scoreHistory = [], periodDays = null) {
+  // A deal whose only snapshot is its latest one has nothing to compare against
+  const compared = scoreHistory.filter(({ previous, current }) =>
+    previous && current && previous.takenAt !== current.takenAt
+  );
+  
+  if (compared.length === 0) {
+    return { scoreChange: null, healthTrend: null, periodDays, dealsCompared: 0 };
+  }
+  
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const scoreChange = Math.round(
+    average(compared.map(d => d.current.overallScore)) - average(compared.map(d => d.previous.overallScore))
+  );
+  
+  let healthTrend = 'STABLE';
+  if (scoreChange >= 5) {
+    healthTrend = 'IMPROVING';
+  } else if (scoreChange <= -5) {
+    healthTrend = 'DECLINING';
+  }
+  
+  return { scoreChange, healthTrend, periodDays, dealsCompared: compared.length };
+}
+
 /**
  * Generate pipeline dashboard data
  * @param {Array} deals - Array of deals with contacts
- * @param {Object} options - Dashboard options
+ * @param {Object} options - Dashboard options; scoreHistory ({ dealId, previous, current }
+ *   snapshots) and trendPeriodDays populate the trends, scoringConfig scores the deals
  * @returns {Object} Dashboard data
  */
 function generatePipelineDashboard(deals, options = {}) {
-  const { groupByStage = true, groupByRep = false } = options;
+  const { groupByStage = true, groupByRep = false, scoreHistory = [], trendPeriodDays = null, scoringConfig } = options;
   
-  const dealReports = deals.map(deal => generateDealHealthReport(deal, { includeContacts: false }));
+  const dealReports = deals.map(deal => generateDealHealthReport(deal, { includeContacts: false, scoringConfig }));
   
   // Overall pipeline health
   const pipelineHealth = {
@@ -370,11 +409,7 @@ function generatePipelineDashboard(deals, options = {}) {
     stageBreakdown,
     topAtRiskDeals,
     
-    trends: {
-      // Would be populated with historical data in production
-      scoreChange: null,
-      healthTrend: null
-    }
+    trends: calculateScoreTrends(scoreHistory, trendPeriodDays)
   };
 }
 
@@ -560,6 +595,8 @@ function formatReportAsHtml(report) {
     <h2>Stakeholder Coverage</h2>
     <p><strong>Covered Roles:</strong> ${report.stakeholders.coveredRoles.join(', ') || 'None'}</p>
     <p><strong>Missing Key Roles:</strong> ${report.stakeholders.missingKeyRoles.join(', ') || 'None'}</p>
+    <p><strong>Missing for ${report.deal.stage}:</strong> ${report.stakeholders.missingStageRoles.join(', ') || 'None'}</p>
+    <p><strong>Stage-Adjusted Score:</strong> ${report.scores.stageAdjusted}</p>
   </div>
 
   <div class="section">
@@ -585,6 +622,7 @@ module.exports = {
   generateDealHealthReport,
   generateCoachingPacket,
   generatePipelineDashboard,
+  calculateScoreTrends,
   generateTimelineEvents,
   formatReportAsHtml
 };
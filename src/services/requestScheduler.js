@@ -0,0 +1,268 @@
+/**
+ * Request Scheduler - Rate-limit aware request layer for HubSpot API calls
+ *
+ * This service provides:
+ * 1. One shared scheduler per portal, so every route and job draws on the same limits
+ * 2. Client-side enforcement of HubSpot's rolling burst window
+ * 3. Backoff driven by Retry-After and X-HubSpot-RateLimit-* headers on 429 responses
+ * 4. Retries with jittered exponential backoff for transient failures
+ */
+
+// HubSpot allows OAuth apps 100 requests per 10 seconds per portal. Successful responses
+// from the generated API client don't expose headers, so the window is enforced here and
+// corrected from the headers HubSpot sends with 429 responses.
+const DEFAULT_SCHEDULER_OPTIONS = {
+  maxConcurrent: 5,
+  burstLimit: parseInt(process.env.HUBSPOT_BURST_LIMIT, 10) || 100,
+  burstIntervalMs: 10000,
+  maxRetries: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+// Network error codes worth retrying
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ESOCKETTIMEDOUT'];
+
+/**
+ * Get the HTTP status of a failed request
+ * Handles both @hubspot/api-client exceptions (numeric `code`) and axios errors
+ * @param {Error} error - Request error
+ * @returns {number|null} HTTP status code
+ */
+function getStatusCode(error) {
+  if (typeof error?.code === 'number') {
+    return error.code;
+  }
+  return error?.response?.status || null;
+}
+
+/**
+ * Read a header from a failed request, ignoring case
+ * @param {Error} error - Request error
+ * @param {string} name - Header name
+ * @returns {string|null} Header value
+ */
+function getErrorHeader(error, name) {
+  const headers = error?.headers || error?.response?.headers || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+}
+
+/**
+ * Check if a failed request is worth retrying
+ * @param {Error} error - Request error
+ * @returns {boolean} Whether the request should be retried
+ */
+function isRetryableError(error) {
+  const status = getStatusCode(error);
+  if (status) {
+    return status === 429 || status >= 500;
+  }
+  return RETRYABLE_NETWORK_CODES.includes(error?.code) || RETRYABLE_NETWORK_CODES.includes(error?.errno);
+}
+
+/**
+ * Calculate how long to wait before retrying a failed request
+ * @param {Error} error - Request error
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} options - Scheduler options
+ * @param {Function} random - Random number source (for testing)
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, options = DEFAULT_SCHEDULER_OPTIONS, random = Math.random) {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+  const jitter = random() * baseDelayMs;
+
+  if (getStatusCode(error) === 429) {
+    // Prefer HubSpot's own guidance on when the limit resets
+    const retryAfterSeconds = parseFloat(getErrorHeader(error, 'retry-after'));
+    if (!isNaN(retryAfterSeconds)) {
+      return Math.min(retryAfterSeconds * 1000 + jitter, maxDelayMs);
+    }
+
+    const remaining = parseInt(getErrorHeader(error, 'x-hubspot-ratelimit-remaining'), 10);
+    const intervalMs = parseInt(getErrorHeader(error, 'x-hubspot-ratelimit-interval-milliseconds'), 10);
+    if (remaining === 0 && !isNaN(intervalMs)) {
+      return Math.min(intervalMs + jitter, maxDelayMs);
+    }
+  }
+
+  // Full jitter exponential backoff
+  const ceiling = Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs);
+  return Math.round(random() * ceiling);
+}
+
+/**
+ * Queues requests for one portal and releases them within HubSpot's limits
+ */
+class RequestScheduler {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+    this.queue = [];
+    this.active = 0;
+    this.recentStarts = [];
+    this.pausedUntil = 0;
+    this.timer = null;
+    this.stats = {
+      scheduled: 0,
+      completed: 0,
+      failed: 0,
+      retried: 0,
+      rateLimited: 0
+    };
+  }
+
+  /**
+   * Schedule a request
+   * @param {Function} fn - Async function performing one HubSpot request
+   * @returns {Promise} Resolves with the request result once it succeeds
+   */
+  schedule(fn) {
+    this.stats.scheduled++;
+    return new Promise((resolve, reject) => {
+      this.queue.push({ fn, resolve, reject, attempt: 0 });
+      this.drain();
+    });
+  }
+
+  /**
+   * Start queued requests while concurrency and the burst window allow
+   */
+  drain() {
+    if (this.timer) {
+      return;
+    }
+
+    while (this.queue.length > 0 && this.active < this.options.maxConcurrent) {
+      const waitMs = this.getWaitTime();
+      if (waitMs > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, waitMs);
+        this.timer.unref?.();
+        return;
+      }
+
+      this.run(this.queue.shift());
+    }
+  }
+
+  /**
+   * Time until the next request may start
+   * @param {number} now - Current timestamp
+   * @returns {number} Milliseconds to wait
+   */
+  getWaitTime(now = Date.now()) {
+    if (this.pausedUntil > now) {
+      return this.pausedUntil - now;
+    }
+
+    const { burstLimit, burstIntervalMs } = this.options;
+    this.recentStarts = this.recentStarts.filter(startedAt => now - startedAt < burstIntervalMs);
+    if (this.recentStarts.length >= burstLimit) {
+      return this.recentStarts[0] + burstIntervalMs - now;
+    }
+
+    return 0;
+  }
+
+  async run(job) {
+    this.active++;
+    this.recentStarts.push(Date.now());
+
+    try {
+      const result = await job.fn();
+      this.stats.completed++;
+      job.resolve(result);
+    } catch (error) {
+      this.handleFailure(job, error);
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  handleFailure(job, error) {
+    if (!isRetryableError(error) || job.attempt >= this.options.maxRetries) {
+      this.stats.failed++;
+      job.reject(error);
+      return;
+    }
+
+    const delayMs = getRetryDelay(error, job.attempt, this.options);
+    job.attempt++;
+    this.stats.retried++;
+
+    if (getStatusCode(error) === 429) {
+      // The whole portal is over its limit, so hold every queued request
+      this.stats.rateLimited++;
+      this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delayMs);
+      this.queue.unshift(job);
+      return;
+    }
+
+    const retryTimer = setTimeout(() => {
+      this.queue.unshift(job);
+      this.drain();
+    }, delayMs);
+    retryTimer.unref?.();
+  }
+
+  /**
+   * Get scheduler statistics
+   * @returns {Object} Queue depth, in-flight requests and counters
+   */
+  getStats() {
+    return {
+      queued: this.queue.length,
+      active: this.active,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
+
+// One scheduler per portal, shared across HubSpotService instances
+const schedulers = new Map();
+
+/**
+ * Get the shared scheduler for a portal
+ * @param {string|number} portalId - HubSpot portal ID
+ * @param {Object} options - Scheduler options, used when the scheduler is first created
+ * @returns {RequestScheduler} Portal scheduler
+ */
+function getScheduler(portalId, options = {}) {
+  const key = String(portalId || 'default');
+  if (!schedulers.has(key)) {
+    schedulers.set(key, new RequestScheduler(options));
+  }
+  return schedulers.get(key);
+}
+
+/**
+ * Drop a portal's scheduler, e.g. once it has uninstalled the app
+ * @param {string|number} portalId - HubSpot portal ID
+ * @returns {boolean} Whether the portal had a scheduler
+ */
+function removeScheduler(portalId) {
+  return schedulers.delete(String(portalId || 'default'));
+}
+
+/**
+ * Clear all schedulers (for testing)
+ */
+function clearSchedulers() {
+  schedulers.clear();
+}
+
+module.exports = {
+  RequestScheduler,
+  getScheduler,
+  removeScheduler,
+  clearSchedulers,
+  getStatusCode,
+  isRetryableError,
+  getRetryDelay,
+  DEFAULT_SCHEDULER_OPTIONS
+};
@@ -8,7 +8,11 @@
  * 4. Meeting frequency patterns
  */
 
-// Risk factors and their weights based on typical B2B sales patterns
+const { calculateContactResponsiveness } = require('./scoringService');
+const { resolveDealStage } = require('./scoringConfigService');
+
+// Risk factors and their weights based on typical B2B sales patterns. Stage keys are
+// HubSpot's default stage IDs; custom stages are looked up by their mapped phase.
 const RISK_FACTORS = {
   // Champion-related risks
   CHAMPION_CHURN_INDICATORS: {
@@ -47,7 +51,8 @@ const STAGE_VELOCITY_BENCHMARKS = {
 /**
  * Predict champion churn risk
  * @param {Object} champion - Champion contact data
- * @param {Object} engagementHistory - Historical engagement data
+ * @param {Object} engagementHistory - Historical engagement data; responseRate defaults
+ *   to the champion's reply rate to the rep's emails
  * @returns {Object} Churn risk analysis
  */
 function predictChampionChurn(champion, engagementHistory = {}) {
@@ -65,8 +70,9 @@ function predictChampionChurn(champion, engagementHistory = {}) {
   let totalRiskScore = 0;
   
   const engagements = champion.engagements || { total: 0 };
+  const responsiveness = champion.responsiveness || calculateContactResponsiveness(champion.engagements);
   const { 
-    responseRate = null, 
+    responseRate = responsiveness.replyRate, 
     previousEngagementScore = null,
     missedMeetings = 0,
     daysSinceLastContact = null 
@@ -166,9 +172,10 @@ function predictChampionChurn(champion, engagementHistory = {}) {
  * Predict economic buyer involvement risk
  * @param {Object} scoreData - Current score data
  * @param {string} dealStage - Current deal stage
+ * @param {Object} options - The portal's scoringConfig, for its stage mapping
  * @returns {Object} Economic buyer risk analysis
  */
-function predictEconomicBuyerRisk(scoreData, dealStage) {
+function predictEconomicBuyerRisk(scoreData, dealStage, options = {}) {
   const factors = [];
   let totalRiskScore = 0;
   
@@ -178,7 +185,9 @@ function predictEconomicBuyerRisk(scoreData, dealStage) {
   const hasEconomicBuyer = hasDecisionMaker || hasBudgetHolder;
   
   // Check stage-specific requirements
-  const stageRequirements = RISK_FACTORS.ECONOMIC_BUYER_TIMING.notInvolvedByStageX[dealStage];
+  const stageRequirements = RISK_FACTORS.ECONOMIC_BUYER_TIMING.notInvolvedByStageX[
+    resolveDealStage(options.scoringConfig, dealStage)
+  ];
   
   if (stageRequirements && !hasEconomicBuyer) {
     factors.push({
@@ -331,14 +340,16 @@ function predictMeetingProgressionRisk(meetingData, dealData = {}) {
  * Calculate overall deal risk prediction
  * @param {Object} dealData - Complete deal data
  * @param {Object} scoreData - Multi-threading score data
- * @param {Object} additionalData - Additional context (meeting data, engagement history)
+ * @param {Object} additionalData - Additional context (meeting data, engagement history,
+ *   the portal's scoringConfig)
  * @returns {Object} Comprehensive risk prediction
  */
 function predictDealRisk(dealData, scoreData, additionalData = {}) {
   const {
     engagementHistory = {},
     meetingData = {},
-    championData = null
+    championData = null,
+    scoringConfig
   } = additionalData;
   
   const dealStage = dealData.deal?.dealstage || 'default';
@@ -349,7 +360,7 @@ function predictDealRisk(dealData, scoreData, additionalData = {}) {
   );
   
   const championRisk = predictChampionChurn(champion, engagementHistory);
-  const economicBuyerRisk = predictEconomicBuyerRisk(scoreData, dealStage);
+  const economicBuyerRisk = predictEconomicBuyerRisk(scoreData, dealStage, { scoringConfig });
   const meetingRisk = predictMeetingProgressionRisk(meetingData, dealData);
   
   // Calculate composite risk score
@@ -427,9 +438,10 @@ function predictDealRisk(dealData, scoreData, additionalData = {}) {
 /**
  * Analyze stage velocity to detect stuck deals
  * @param {Object} dealData - Deal with stage history
+ * @param {Object} options - The portal's scoringConfig, for its stage mapping
  * @returns {Object} Stage velocity analysis
  */
-function analyzeStageVelocity(dealData) {
+function analyzeStageVelocity(dealData, options = {}) {
   const currentStage = dealData.deal?.dealstage || 'unknown';
   
   // Parse and validate the date
@@ -452,7 +464,8 @@ function analyzeStageVelocity(dealData) {
   }
   
   const daysInStage = Math.floor((new Date() - stageEnteredAt) / (1000 * 60 * 60 * 24));
-  const benchmark = STAGE_VELOCITY_BENCHMARKS[currentStage] || { expectedDays: 21, maxDays: 45 };
+  const benchmark = STAGE_VELOCITY_BENCHMARKS[resolveDealStage(options.scoringConfig, currentStage)]
+    || { expectedDays: 21, maxDays: 45 };
   
   const isStuck = daysInStage > benchmark.maxDays;
   const isSlowing = daysInStage > benchmark.expectedDays;
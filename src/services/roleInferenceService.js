@@ -448,6 +448,65 @@ function inferRolesForContacts(contacts, options = {}) {
   });
 }
 
+// Ranking bonuses for suggested stakeholders
+const SUGGESTION_SENIORITY_BONUS = { EXECUTIVE: 15, SENIOR: 10, MID: 5, JUNIOR: 0, UNKNOWN: 0 };
+const RECENT_CONTACT_DAYS = 90;
+const RECENT_CONTACT_BONUS = 10;
+
+/**
+ * Rank contacts from the deal's companies as candidates for uncovered roles
+ * @param {Array} candidates - Company contacts not yet on the deal
+ * @param {Array<string>} missingRoles - Roles to find stakeholders for
+ * @param {Object} options - maxPerRole, minConfidence and now (for testing)
+ * @returns {Object} Ranked suggestions keyed by role
+ */
+function rankStakeholderSuggestions(candidates, missingRoles, options = {}) {
+  const { maxPerRole = 3, minConfidence = 25, now = Date.now() } = options;
+  const suggestions = {};
+  missingRoles.forEach(role => { suggestions[role] = []; });
+
+  candidates.forEach(contact => {
+    const inference = inferContactRole(contact);
+    if (!suggestions[inference.role] || inference.confidence < minConfidence) {
+      return;
+    }
+
+    const props = contact.properties || {};
+    const seniority = inference.seniority || inferSeniorityLevel(props.jobtitle);
+    const reasons = [inference.source === 'explicit'
+      ? 'Buying role already set in HubSpot'
+      : `Job title "${props.jobtitle}" suggests this role`];
+    let rankScore = inference.confidence + (SUGGESTION_SENIORITY_BONUS[seniority.level] || 0);
+
+    const lastContacted = props.notes_last_contacted ? new Date(props.notes_last_contacted).getTime() : NaN;
+    if (!isNaN(lastContacted) && now - lastContacted <= RECENT_CONTACT_DAYS * 24 * 60 * 60 * 1000) {
+      rankScore += RECENT_CONTACT_BONUS;
+      reasons.push(`Contacted in the last ${RECENT_CONTACT_DAYS} days`);
+    }
+
+    suggestions[inference.role].push({
+      contactId: contact.id,
+      name: `${props.firstname || ''} ${props.lastname || ''}`.trim() || props.email || 'Unknown',
+      email: props.email || null,
+      jobTitle: props.jobtitle || null,
+      companyId: contact.companyId || null,
+      confidence: inference.confidence,
+      source: inference.source,
+      seniority: seniority.level,
+      rankScore,
+      reasons
+    });
+  });
+
+  Object.keys(suggestions).forEach(role => {
+    suggestions[role] = suggestions[role]
+      .sort((a, b) => b.rankScore - a.rankScore)
+      .slice(0, maxPerRole);
+  });
+
+  return suggestions;
+}
+
 module.exports = {
   inferRoleFromJobTitle,
   inferSeniorityLevel,
@@ -455,6 +514,7 @@ module.exports = {
   analyzeLanguagePatterns,
   inferContactRole,
   inferRolesForContacts,
+  rankStakeholderSuggestions,
   JOB_TITLE_PATTERNS,
   SENIORITY_KEYWORDS
 };
@@ -0,0 +1,190 @@
+/**
+ * Role Review Service - Keeps inferred buying roles instead of discarding them after each request
+ *
+ * This service provides:
+ * 1. Selection of high-confidence inferences to write back to HubSpot
+ * 2. A review queue of lower-confidence suggestions for reps to accept or reject
+ * 3. Memory of accepted/rejected decisions so a contact isn't re-suggested the same role
+ */
+
+const { createStore } = require('./dataStore');
+
+// Contact property inferred roles are written to. `hs_buying_role` overwrites HubSpot's own
+// field; the default keeps inferences in a separate property the app creates.
+const ROLE_PROPERTIES = {
+  INFERRED: 'inferred_buying_role',
+  BUYING_ROLE: 'hs_buying_role'
+};
+
+// Roles that exist as options on HubSpot's default hs_buying_role property
+const HUBSPOT_BUYING_ROLES = ['DECISION_MAKER', 'BUDGET_HOLDER', 'CHAMPION', 'INFLUENCER', 'END_USER'];
+
+const REVIEW_STATUS = {
+  PENDING: 'PENDING',
+  ACCEPTED: 'ACCEPTED',
+  REJECTED: 'REJECTED',
+  AUTO_APPLIED: 'AUTO_APPLIED'
+};
+
+const DEFAULT_ROLE_REVIEW_CONFIG = {
+  // Write inferences at or above autoApplyConfidence without review
+  autoWriteback: process.env.ROLE_AUTO_WRITEBACK === 'true',
+  writebackProperty: process.env.ROLE_WRITEBACK_PROPERTY || ROLE_PROPERTIES.INFERRED,
+  autoApplyConfidence: parseInt(process.env.ROLE_AUTO_APPLY_CONFIDENCE, 10) || 80,
+  // Inferences below this are too weak to show a rep
+  minSuggestionConfidence: 40
+};
+
+// Role suggestions keyed by portal, contact and role
+const store = createStore('role-reviews');
+
+function getReviewKey(portalId, contactId, role) {
+  return `${portalId || 'default'}:${contactId}:${role}`;
+}
+
+/**
+ * Check whether a role can be written to a contact property
+ * @param {string} role - Buying role
+ * @param {string} property - Target contact property
+ * @returns {boolean} Whether the property accepts the role
+ */
+function canWriteRole(role, property) {
+  return property !== ROLE_PROPERTIES.BUYING_ROLE || HUBSPOT_BUYING_ROLES.includes(role);
+}
+
+/**
+ * Sort a deal's inferred roles into automatic writes and review suggestions
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} dealId - Deal the contacts were scored on
+ * @param {Array} scoredContacts - scoreData.contacts from calculateMultiThreadingScore
+ * @param {Object} config - Overrides for DEFAULT_ROLE_REVIEW_CONFIG
+ * @returns {Promise<Object>} Roles to write now and suggestions added to the review queue
+ */
+async function processInferredRoles(portalId, dealId, scoredContacts, config = {}) {
+  const { autoWriteback, writebackProperty, autoApplyConfidence, minSuggestionConfidence } = {
+    ...DEFAULT_ROLE_REVIEW_CONFIG,
+    ...config
+  };
+  const toWrite = [];
+  const queued = [];
+
+  for (const contact of scoredContacts) {
+    const role = contact.effectiveRole;
+    if (contact.roleSource !== 'inferred' || !role || role === 'OTHER') {
+      continue;
+    }
+
+    const key = getReviewKey(portalId, contact.contactId, role);
+    if (await store.get(key)) {
+      // Already decided or waiting for review
+      continue;
+    }
+
+    const review = {
+      portalId: portalId ? String(portalId) : null,
+      dealId: String(dealId),
+      contactId: String(contact.contactId),
+      name: contact.name,
+      jobTitle: contact.jobTitle,
+      role,
+      confidence: contact.roleConfidence,
+      status: REVIEW_STATUS.PENDING,
+      suggestedAt: new Date().toISOString(),
+      decidedAt: null,
+      decidedBy: null
+    };
+
+    if (autoWriteback && contact.roleConfidence >= autoApplyConfidence && canWriteRole(role, writebackProperty)) {
+      review.status = REVIEW_STATUS.AUTO_APPLIED;
+      review.decidedAt = review.suggestedAt;
+      await store.set(key, review);
+      toWrite.push({ contactId: review.contactId, role, property: writebackProperty });
+      continue;
+    }
+
+    if (contact.roleConfidence >= minSuggestionConfidence) {
+      await store.set(key, review);
+      queued.push(review);
+    }
+  }
+
+  return { toWrite, queued };
+}
+
+/**
+ * Get pending role suggestions
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} filters - Optional dealId
+ * @returns {Promise<Array>} Pending reviews, most confident first
+ */
+async function getReviewQueue(portalId, filters = {}) {
+  const prefix = `${portalId || 'default'}:`;
+  return (await store.entries())
+    .filter(([key, review]) =>
+      key.startsWith(prefix) &&
+      review.status === REVIEW_STATUS.PENDING &&
+      (!filters.dealId || review.dealId === String(filters.dealId))
+    )
+    .map(([, review]) => review)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Record a rep's decision on a role suggestion
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} contactId - Contact ID
+ * @param {string} role - Suggested role
+ * @param {boolean} accepted - Whether the rep accepted the suggestion
+ * @param {string} decidedBy - Who made the decision
+ * @returns {Promise<Object|null>} Updated review, or null if there is no such suggestion
+ */
+async function decideRole(portalId, contactId, role, accepted, decidedBy = null) {
+  const key = getReviewKey(portalId, contactId, role);
+  const review = await store.get(key);
+  if (!review) {
+    return null;
+  }
+
+  review.status = accepted ? REVIEW_STATUS.ACCEPTED : REVIEW_STATUS.REJECTED;
+  review.decidedAt = new Date().toISOString();
+  review.decidedBy = decidedBy;
+  await store.set(key, review);
+  return review;
+}
+
+/**
+ * Remove every role suggestion and decision for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Promise<number>} Reviews removed
+ */
+async function purgePortalReviews(portalId) {
+  const prefix = `${portalId}:`;
+  let removed = 0;
+  for (const [key] of await store.entries()) {
+    if (key.startsWith(prefix)) {
+      await store.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Clear all role reviews (for testing)
+ */
+async function clearRoleReviews() {
+  await store.clear();
+}
+
+module.exports = {
+  processInferredRoles,
+  getReviewQueue,
+  decideRole,
+  canWriteRole,
+  purgePortalReviews,
+  clearRoleReviews,
+  DEFAULT_ROLE_REVIEW_CONFIG,
+  ROLE_PROPERTIES,
+  REVIEW_STATUS,
+  HUBSPOT_BUYING_ROLES
+};
@@ -0,0 +1,230 @@
+/**
+ * Score Explanation Service - Why a deal has the score it has
+ *
+ * This service provides:
+ * 1. Points contributed by each score component, out of the most it can contribute
+ * 2. Attribution of those points to each buying role and each contact
+ * 3. "What-if" projections: how much adding a missing key role, or one more
+ *    meeting with a contact, would move the score
+ *
+ * Attribution follows calculateMultiThreadingScore: engagement is an average, so
+ * each contact adds its share; participation and the thread depth bonus are split
+ * between the contacts who earned them; role coverage is split between roles, then
+ * between the contacts holding each role.
+ */
+
+const {
+  calculateMultiThreadingScore,
+  ACTIVE_CONTACT_MIN_ENGAGEMENTS,
+  KEY_ROLE_COVERAGE_WEIGHT
+} = require('./scoringService');
+const { DEFAULT_SCORING_CONFIG } = require('./scoringConfigService');
+
+const COMPONENT_LABELS = {
+  engagement: 'engagement',
+  participation: 'participation',
+  roleCoverage: 'role coverage',
+  threadDepth: 'thread depth'
+};
+const COMPONENTS = Object.keys(COMPONENT_LABELS);
+
+// A stakeholder added in a what-if has been to one meeting
+const WHAT_IF_ENGAGEMENTS = { emails: 0, meetings: 1, calls: 0, total: 1 };
+
+// What-if meetings happen now, so the decayed engagement model counts them in full
+function whatIfMeeting(id, now) {
+  return { id, type: 'meetings', timestamp: new Date(now).toISOString() };
+}
+
+// "One more meeting" projections returned, best first
+const MAX_MEETING_SCENARIOS = 3;
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function formatRole(role) {
+  return role.toLowerCase().replace(/_/g, ' ');
+}
+
+function getRole(contact) {
+  return contact.effectiveRole?.toUpperCase() || 'OTHER';
+}
+
+/**
+ * Attribute a score's points to its components, roles and contacts
+ * @param {Object} scoreData - Result of calculateMultiThreadingScore
+ * @param {Object} options - The portal's scoringConfig the score was calculated with
+ * @returns {Object} components, roles and contacts, each with the points they contribute
+ */
+function attributeScore(scoreData, options = {}) {
+  const { weights, keyRoles } = options.scoringConfig || DEFAULT_SCORING_CONFIG;
+  const contacts = scoreData.contacts || [];
+  const isActive = contact => (contact.engagements?.total || 0) >= ACTIVE_CONTACT_MIN_ENGAGEMENTS;
+  const isEngaged = contact => (contact.engagements?.total || 0) > 0;
+  const activeCount = contacts.filter(isActive).length;
+
+  const componentScores = {
+    engagement: scoreData.engagementScore,
+    participation: scoreData.participationScore,
+    roleCoverage: scoreData.roleCoverageScore,
+    threadDepth: scoreData.threadDepthScore ?? (scoreData.threadDepth > 0 ? 100 : 0)
+  };
+  const components = COMPONENTS.map(component => ({
+    component,
+    label: COMPONENT_LABELS[component],
+    score: componentScores[component],
+    weight: weights[component],
+    points: round(componentScores[component] * weights[component]),
+    maxPoints: round(100 * weights[component])
+  }));
+
+  // Role coverage: each covered key role earns an equal part of the key role share,
+  // and every covered role an equal part of what's left (the diversity bonus)
+  const roleGroups = new Map();
+  contacts.forEach(contact => {
+    const role = getRole(contact);
+    roleGroups.set(role, [...(roleGroups.get(role) || []), contact]);
+  });
+  const coveredKeyRoles = keyRoles.filter(role => roleGroups.has(role));
+  const keyRoleScore = 100 * KEY_ROLE_COVERAGE_WEIGHT / keyRoles.length;
+  const diversityScore = roleGroups.size > 0
+    ? Math.max(scoreData.roleCoverageScore - keyRoleScore * coveredKeyRoles.length, 0) / roleGroups.size
+    : 0;
+  const roleCoveragePoints = role =>
+    ((keyRoles.includes(role) ? keyRoleScore : 0) + diversityScore) * weights.roleCoverage;
+
+  const roles = Array.from(roleGroups, ([role, roleContacts]) => ({
+    role,
+    isKeyRole: keyRoles.includes(role),
+    contactCount: roleContacts.length,
+    points: round(roleCoveragePoints(role)),
+    missedPoints: 0
+  }));
+  (scoreData.missingKeyRoles || []).forEach(role => {
+    roles.push({ role, isKeyRole: true, contactCount: 0, points: 0, missedPoints: round(keyRoleScore * weights.roleCoverage) });
+  });
+
+  const contactPoints = contacts.map(contact => {
+    const points = {
+      engagement: contact.engagementScore / contacts.length * weights.engagement,
+      participation: isActive(contact) ? scoreData.participationScore / activeCount * weights.participation : 0,
+      roleCoverage: roleCoveragePoints(getRole(contact)) / roleGroups.get(getRole(contact)).length,
+      threadDepth: isEngaged(contact) ? componentScores.threadDepth / scoreData.threadDepth * weights.threadDepth : 0
+    };
+    const totalPoints = Object.values(points).reduce((sum, value) => sum + value, 0);
+
+    return {
+      contactId: contact.contactId,
+      name: contact.name,
+      effectiveRole: getRole(contact),
+      engagementScore: contact.engagementScore,
+      points: Object.fromEntries(Object.entries(points).map(([component, value]) => [component, round(value)])),
+      totalPoints: round(totalPoints)
+    };
+  });
+
+  return {
+    components,
+    roles: roles.sort((a, b) => b.points - a.points),
+    contacts: contactPoints.sort((a, b) => b.totalPoints - a.totalPoints)
+  };
+}
+
+/**
+ * Project how the score would change with another stakeholder or another meeting
+ * @param {Object} dealData - Deal data with contacts, as scored
+ * @param {Object} scoreData - Result of calculateMultiThreadingScore for dealData
+ * @param {Object} options - The scoringConfig, enableRoleInference and now the score was calculated with
+ * @returns {Array} Scenarios with the projected score and the change, largest gain first
+ */
+function projectWhatIfs(dealData, scoreData, options = {}) {
+  const { scoringConfig, enableRoleInference = true, now = new Date() } = options;
+  const contacts = dealData.contacts || [];
+  const project = (changedContacts) => {
+    const projected = calculateMultiThreadingScore(
+      { ...dealData, contacts: changedContacts },
+      { enableRoleInference, scoringConfig, now }
+    );
+    return {
+      projectedScore: projected.overallScore,
+      projectedRiskLevel: projected.riskLevel,
+      delta: projected.overallScore - scoreData.overallScore
+    };
+  };
+
+  const roleScenarios = (scoreData.missingKeyRoles || []).map(role => ({
+    type: 'ADD_ROLE',
+    role,
+    title: `Add a ${formatRole(role)}`,
+    ...project([...contacts, {
+      id: `what-if-${role}`,
+      properties: { hs_buying_role: role },
+      engagements: { ...WHAT_IF_ENGAGEMENTS, activities: [whatIfMeeting(`what-if-${role}-meeting`, now)] }
+    }])
+  }));
+
+  const meetingScenarios = contacts.map((contact, index) => {
+    const engagements = contact.engagements || { emails: 0, meetings: 0, calls: 0, total: 0 };
+    const changedContacts = [...contacts];
+    changedContacts[index] = {
+      ...contact,
+      engagements: {
+        ...engagements,
+        meetings: (engagements.meetings || 0) + 1,
+        total: (engagements.total || 0) + 1,
+        activities: [whatIfMeeting(`what-if-meeting-${contact.id}`, now), ...(engagements.activities || [])]
+      }
+    };
+    const name = scoreData.contacts?.[index]?.name || 'Unknown';
+    return {
+      type: 'ADD_MEETING',
+      contactId: contact.id,
+      contactName: name,
+      title: `One more meeting with ${name}`,
+      ...project(changedContacts)
+    };
+  })
+    .sort((a, b) => b.delta - a.delta)
+    .slice(0, MAX_MEETING_SCENARIOS);
+
+  return [...roleScenarios, ...meetingScenarios].sort((a, b) => b.delta - a.delta);
+}
+
+/**
+ * Explain a deal's score
+ * @param {Object} dealData - Deal data with contacts, as scored
+ * @param {Object} scoreData - Result of calculateMultiThreadingScore for dealData
+ * @param {Object} options - The scoringConfig and enableRoleInference the score was calculated with
+ * @returns {Object} Score, summary, component/role/contact attribution and what-if scenarios
+ */
+function explainScore(dealData, scoreData, options = {}) {
+  const attribution = attributeScore(scoreData, options);
+
+  // The components that cost the deal the most points explain a low score
+  const gaps = attribution.components
+    .map(component => ({ component: component.component, missedPoints: round(component.maxPoints - component.points) }))
+    .filter(gap => gap.missedPoints > 0)
+    .sort((a, b) => b.missedPoints - a.missedPoints);
+  const summary = gaps.length > 0
+    ? `Score ${scoreData.overallScore}/100. Most points are missed on ${gaps.slice(0, 2)
+      .map(gap => `${COMPONENT_LABELS[gap.component]} (${gap.missedPoints})`).join(' and ')}.`
+    : `Score ${scoreData.overallScore}/100. No points are missed.`;
+
+  return {
+    overallScore: scoreData.overallScore,
+    configVersion: scoreData.configVersion ?? 0,
+    summary,
+    gaps,
+    ...attribution,
+    whatIf: projectWhatIfs(dealData, scoreData, options)
+  };
+}
+
+module.exports = {
+  explainScore,
+  attributeScore,
+  projectWhatIfs,
+  WHAT_IF_ENGAGEMENTS,
+  MAX_MEETING_SCENARIOS
+};
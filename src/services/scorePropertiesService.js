@@ -0,0 +1,189 @@
+/**
+ * Score Properties Service - Deal properties that hold the multi-threading score in HubSpot
+ *
+ * This service provides:
+ * 1. Definitions for the "Multi-Threading" property groups and their deal and contact properties
+ * 2. Conversion of score data into HubSpot property values
+ * 3. Change detection, so unchanged scores aren't rewritten
+ * 4. Planning of the property create/update calls an install needs
+ */
+
+const { KEY_ROLE_OPTIONS } = require('./scoringConfigService');
+const { JOB_TITLE_PATTERNS } = require('./roleInferenceService');
+
+const PROPERTY_GROUP = {
+  name: 'multi_threading',
+  label: 'Multi-Threading',
+  displayOrder: -1
+};
+
+const RISK_LEVEL_OPTIONS = ['LOW', 'MEDIUM', 'HIGH'];
+
+const toLabel = (value) => value.charAt(0) + value.slice(1).toLowerCase().replace('_', ' ');
+
+const numberProperty = (name, label, description) => ({
+  name,
+  label,
+  description,
+  type: 'number',
+  fieldType: 'number'
+});
+
+// Deal properties written after each scoring. Names are kept stable because
+// reports, lists and the CRM card manifest reference them.
+const SCORE_PROPERTIES = [
+  numberProperty('multi_thread_score', 'Multi-Threading Score', 'Overall stakeholder coverage score (0-100)'),
+  {
+    name: 'multi_thread_risk_level',
+    label: 'Multi-Threading Risk Level',
+    description: 'Single-thread risk based on the multi-threading score',
+    type: 'enumeration',
+    fieldType: 'select',
+    options: RISK_LEVEL_OPTIONS.map((value, index) => ({ label: toLabel(value), value, displayOrder: index }))
+  },
+  numberProperty('stakeholder_count', 'Stakeholders', 'Contacts associated with the deal'),
+  numberProperty('engaged_stakeholder_count', 'Engaged Stakeholders', 'Contacts with meaningful engagement'),
+  numberProperty('engagement_score', 'Engagement Score', 'Average contact engagement score (0-100)'),
+  numberProperty('participation_score', 'Participation Score', 'Rate and volume of engaged contacts (0-100)'),
+  numberProperty('role_coverage_score', 'Role Coverage Score', 'Coverage of key buying roles (0-100)'),
+  numberProperty('coverage_breadth_score', 'Coverage Breadth Score', 'How many buying roles are represented (0-100)'),
+  numberProperty('coverage_depth_score', 'Coverage Depth Score', 'How strongly represented roles are engaged (0-100)'),
+  {
+    name: 'missing_key_roles',
+    label: 'Missing Key Roles',
+    description: 'Key buying roles with no stakeholder on the deal',
+    type: 'enumeration',
+    fieldType: 'checkbox',
+    // Every role a portal can make a key role, so configured key roles can be written
+    options: KEY_ROLE_OPTIONS.map((value, index) => ({ label: toLabel(value), value, displayOrder: index }))
+  },
+  {
+    name: 'multi_thread_last_scored',
+    label: 'Multi-Threading Last Scored',
+    description: 'When the multi-threading properties last changed',
+    type: 'datetime',
+    fieldType: 'date'
+  }
+];
+
+const SCORE_PROPERTY_NAMES = SCORE_PROPERTIES.map(p => p.name);
+
+// Contact properties holding roles inferred by the app, kept apart from hs_buying_role
+const CONTACT_ROLE_PROPERTIES = [
+  {
+    name: 'inferred_buying_role',
+    label: 'Inferred Buying Role',
+    description: 'Buying role inferred by Multi-Threading from job title and engagement',
+    type: 'enumeration',
+    fieldType: 'select',
+    options: Object.keys(JOB_TITLE_PATTERNS).map((value, index) => ({ label: toLabel(value), value, displayOrder: index }))
+  }
+];
+
+// Set whenever the other properties change, but not itself compared
+const TIMESTAMP_PROPERTY = 'multi_thread_last_scored';
+
+/**
+ * Convert score data into HubSpot deal property values
+ * @param {Object} scoreData - Result of calculateMultiThreadingScore
+ * @param {Object} coverageAnalysis - Result of calculateCoverageAnalysis (optional)
+ * @param {Date} scoredAt - When the score was calculated
+ * @returns {Object} Property values keyed by property name
+ */
+function buildScoreProperties(scoreData, coverageAnalysis = null, scoredAt = new Date()) {
+  const properties = {
+    multi_thread_score: String(scoreData.overallScore),
+    multi_thread_risk_level: scoreData.riskLevel,
+    stakeholder_count: String(scoreData.contactCount),
+    engaged_stakeholder_count: String(scoreData.threadDepth),
+    engagement_score: String(scoreData.engagementScore),
+    participation_score: String(scoreData.participationScore),
+    role_coverage_score: String(scoreData.roleCoverageScore),
+    // HubSpot stores multi-select values separated by semicolons
+    missing_key_roles: (scoreData.missingKeyRoles || []).join(';'),
+    [TIMESTAMP_PROPERTY]: scoredAt.toISOString()
+  };
+
+  if (coverageAnalysis) {
+    properties.coverage_breadth_score = String(coverageAnalysis.breadth?.breadthScore ?? 0);
+    properties.coverage_depth_score = String(coverageAnalysis.depth?.overallDepthScore ?? 0);
+  }
+
+  return properties;
+}
+
+/**
+ * Normalize a property value read from HubSpot for comparison
+ */
+function normalizeValue(name, value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (name === 'missing_key_roles') {
+    return String(value).split(';').filter(Boolean).sort().join(';');
+  }
+  const number = Number(value);
+  return value !== '' && !isNaN(number) ? String(number) : String(value);
+}
+
+/**
+ * Get the score properties whose values differ from what HubSpot holds
+ * @param {Object} properties - New values from buildScoreProperties
+ * @param {Object} currentValues - Current deal property values
+ * @returns {Array<string>} Names of changed properties (excluding the timestamp)
+ */
+function getChangedScoreProperties(properties, currentValues = {}) {
+  return Object.keys(properties).filter(name =>
+    name !== TIMESTAMP_PROPERTY &&
+    normalizeValue(name, properties[name]) !== normalizeValue(name, currentValues[name])
+  );
+}
+
+/**
+ * Work out which property calls an install needs
+ * @param {Array} existingProperties - Properties currently defined in the portal for the object type
+ * @param {Array} definitions - Properties the app needs on that object type
+ * @returns {Object} Definitions to create and to update
+ */
+function planScorePropertyInstall(existingProperties, definitions = SCORE_PROPERTIES) {
+  const existingByName = new Map(existingProperties.map(p => [p.name, p]));
+  const toCreate = [];
+  const toUpdate = [];
+
+  definitions.forEach(definition => {
+    const existing = existingByName.get(definition.name);
+    if (!existing) {
+      toCreate.push({ ...definition, groupName: PROPERTY_GROUP.name });
+      return;
+    }
+
+    const existingOptions = (existing.options || []).map(o => o.value).sort().join(',');
+    const wantedOptions = (definition.options || []).map(o => o.value).sort().join(',');
+    if (existing.groupName !== PROPERTY_GROUP.name ||
+        existing.label !== definition.label ||
+        existingOptions !== wantedOptions) {
+      // Type changes would drop existing values, so only presentation is updated
+      toUpdate.push({
+        name: definition.name,
+        update: {
+          groupName: PROPERTY_GROUP.name,
+          label: definition.label,
+          description: definition.description,
+          ...(definition.options ? { options: definition.options } : {})
+        }
+      });
+    }
+  });
+
+  return { toCreate, toUpdate };
+}
+
+module.exports = {
+  buildScoreProperties,
+  getChangedScoreProperties,
+  planScorePropertyInstall,
+  PROPERTY_GROUP,
+  SCORE_PROPERTIES,
+  SCORE_PROPERTY_NAMES,
+  CONTACT_ROLE_PROPERTIES
+};
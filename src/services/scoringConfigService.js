@@ -0,0 +1,732 @@
+/**
+ * Scoring Config Service - Per-portal scoring weights and thresholds
+ *
+ * Different sales motions need different weightings: an SMB velocity team cares
+ * about engagement, an enterprise team about role coverage. Each portal can
+ * override any part of the default configuration below.
+ *
+ * This service provides:
+ * 1. The default scoring configuration (weights, risk cut-offs, buying roles,
+ *    engagement model, coverage expectations, alert and lifecycle thresholds)
+ * 2. Validation of a portal's overrides against the merged result
+ * 3. Versioned storage of overrides (see dataStore for backends), with rollback
+ * 4. The effective configuration the scoring, coverage and alert services read
+ * 5. The role expectations of a deal stage
+ * 6. The mapping of custom pipeline stages to canonical deal phases
+ * 7. The expectation profile of a deal, by segment or amount band
+ *
+ * Only overrides are stored, so a portal picks up changes to defaults it hasn't
+ * overridden. Version 0 is the defaults.
+ */
+
+const { createStore } = require('./dataStore');
+
+// How a contact's engagement score is calculated
+// - classic: activity counts, with a cap per activity type
+// - decayed: each activity weighted by its age, email direction and meeting length and size
+const ENGAGEMENT_MODELS = {
+  CLASSIC: 'classic',
+  DECAYED: 'decayed'
+};
+
+// Which score leads on the CRM card and drives recommendations
+// - absolute: role coverage measured against keyRoles
+// - stage: role coverage measured against the deal stage's required and recommended roles
+const SCORE_MODES = {
+  ABSOLUTE: 'absolute',
+  STAGE: 'stage'
+};
+
+// Canonical deal phases. Stage tables across the services (role expectations,
+// velocity benchmarks, economic buyer timing, action plans) are keyed by HubSpot's
+// default pipeline stage IDs, so a custom stage mapped to a phase reads the tables of
+// the phase's stage in PHASE_STAGES.
+const STAGE_PHASES = {
+  EARLY: 'early',
+  MID: 'mid',
+  LATE: 'late',
+  CLOSED: 'closed'
+};
+
+const PHASE_STAGES = {
+  early: 'qualifiedtobuy',
+  mid: 'presentationscheduled',
+  late: 'contractsent',
+  closed: 'closedwon'
+};
+
+// Phases of the default pipeline's stages, which need no mapping
+const DEFAULT_STAGE_PHASES = {
+  appointmentscheduled: STAGE_PHASES.EARLY,
+  qualifiedtobuy: STAGE_PHASES.EARLY,
+  presentationscheduled: STAGE_PHASES.MID,
+  decisionmakerboughtin: STAGE_PHASES.MID,
+  contractsent: STAGE_PHASES.LATE,
+  closedwon: STAGE_PHASES.CLOSED,
+  closedlost: STAGE_PHASES.CLOSED
+};
+
+const DEFAULT_SCORING_CONFIG = {
+  scoreMode: SCORE_MODES.ABSOLUTE,
+  // Custom pipeline stage IDs mapped to one of STAGE_PHASES
+  stageMapping: {},
+  // Share of the overall score from each component; must add up to 1
+  weights: {
+    engagement: 0.30,
+    participation: 0.25,
+    roleCoverage: 0.35,
+    threadDepth: 0.10
+  },
+  // Overall scores at or above low are LOW risk, at or above medium are MEDIUM risk
+  riskThresholds: {
+    low: 70,
+    medium: 40
+  },
+  // Buying roles and their importance weights
+  buyingRoleWeights: {
+    DECISION_MAKER: 30,
+    BUDGET_HOLDER: 25,
+    CHAMPION: 20,
+    INFLUENCER: 15,
+    END_USER: 10,
+    BLOCKER: 5,
+    LEGAL: 15,
+    PROCUREMENT: 10,
+    OTHER: 5
+  },
+  // Roles that should ideally be covered for a strong multi-threaded deal
+  keyRoles: ['DECISION_MAKER', 'BUDGET_HOLDER', 'CHAMPION'],
+  engagement: {
+    model: ENGAGEMENT_MODELS.CLASSIC,
+    // Settings below apply to the decayed model only
+    // An activity counts half as much after halfLifeDays
+    halfLifeDays: 30,
+    // Points for a fresh activity; inbound emails the contact started count for
+    // more than emails the rep sent, and replies to the rep count for most
+    activityPoints: {
+      outboundEmail: 3,
+      inboundEmail: 8,
+      emailReply: 10,
+      call: 12,
+      meeting: 20
+    },
+    // A meeting's points scale with its length, up to maxMeetingLengthMultiplier
+    meetingBaselineMinutes: 30,
+    maxMeetingLengthMultiplier: 2,
+    // Each other attendee lowers a contact's credit for a meeting, down to minAttendeeMultiplier
+    attendeeDiscount: 0.1,
+    minAttendeeMultiplier: 0.5,
+    // Points at which a contact's score reaches 63; scores approach 100 without a hard cap
+    saturationPoints: 60
+  },
+  // How many stakeholders and which roles a deal needs, by segment or deal size.
+  // A deal's segment (segmentProperty, matched to a profile's name or segmentValues)
+  // picks its profile; otherwise its amount does: the profile with the lowest
+  // maxAmount at or above it (null is unbounded). Deals with neither use fallbackProfile.
+  expectationProfiles: {
+    // Off until a portal opts in, so existing scores don't shift; deals use fallbackProfile
+    enabled: false,
+    segmentProperty: null,
+    fallbackProfile: 'midmarket',
+    profiles: {
+      smb: {
+        label: 'SMB',
+        segmentValues: ['smb', 'small business'],
+        maxAmount: 25000,
+        // Active contacts for the full participation volume bonus
+        targetActiveContacts: 2,
+        // Engaged contacts for the full thread depth bonus
+        targetThreadDepth: 1,
+        // Scales the stage's coverage threshold
+        thresholdMultiplier: 0.8,
+        // Roles dropped from the stage's required and recommended roles
+        waivedRoles: ['BUDGET_HOLDER', 'LEGAL', 'PROCUREMENT']
+      },
+      midmarket: {
+        label: 'Mid-Market',
+        segmentValues: ['mid-market', 'mid market'],
+        maxAmount: 250000,
+        targetActiveContacts: 4,
+        targetThreadDepth: 1,
+        thresholdMultiplier: 1.0,
+        waivedRoles: []
+      },
+      enterprise: {
+        label: 'Enterprise',
+        segmentValues: ['enterprise'],
+        maxAmount: null,
+        targetActiveContacts: 6,
+        targetThreadDepth: 3,
+        thresholdMultiplier: 1.1,
+        waivedRoles: []
+      }
+    }
+  },
+  coverage: {
+    breadthWeight: 0.5,
+    depthWeight: 0.5,
+    // Coverage score a deal needs, before the stage's thresholdMultiplier
+    baseThreshold: 70,
+    // Engagement recency weights (more recent = higher weight)
+    recencyWeights: {
+      LAST_7_DAYS: 1.0,
+      LAST_14_DAYS: 0.8,
+      LAST_30_DAYS: 0.6,
+      LAST_60_DAYS: 0.4,
+      OLDER: 0.2
+    },
+    // Deal stage expectations for role coverage
+    stageExpectations: {
+      // Early stages: Need Champion + Influencer
+      appointmentscheduled: {
+        required: ['CHAMPION', 'INFLUENCER'],
+        recommended: [],
+        thresholdMultiplier: 0.6
+      },
+      qualifiedtobuy: {
+        required: ['CHAMPION', 'INFLUENCER'],
+        recommended: ['DECISION_MAKER'],
+        thresholdMultiplier: 0.7
+      },
+      // Mid stages: Need Decision Maker + Finance
+      presentationscheduled: {
+        required: ['CHAMPION', 'DECISION_MAKER'],
+        recommended: ['BUDGET_HOLDER'],
+        thresholdMultiplier: 0.8
+      },
+      decisionmakerboughtin: {
+        required: ['DECISION_MAKER', 'BUDGET_HOLDER', 'CHAMPION'],
+        recommended: ['INFLUENCER'],
+        thresholdMultiplier: 0.9
+      },
+      // Late stages: Need Legal + Procurement
+      contractsent: {
+        required: ['DECISION_MAKER', 'BUDGET_HOLDER', 'CHAMPION'],
+        recommended: ['LEGAL', 'PROCUREMENT'],
+        thresholdMultiplier: 1.0
+      },
+      closedwon: {
+        required: ['DECISION_MAKER', 'BUDGET_HOLDER'],
+        recommended: [],
+        thresholdMultiplier: 1.0
+      },
+      // Default for unknown stages
+      default: {
+        required: ['CHAMPION'],
+        recommended: ['DECISION_MAKER', 'BUDGET_HOLDER'],
+        thresholdMultiplier: 0.7
+      }
+    }
+  },
+  // Threading alert thresholds
+  alerts: {
+    singleThreadedMaxContacts: 1,
+    noNewContactsDays: 14,
+    championEngagementMin: 30,
+    decisionMakerEngagementMin: 20,
+    scoreDropPoints: 15
+  },
+  // Stakeholder lifecycle tracking thresholds
+  lifecycle: {
+    engagementChangePoints: 20,
+    championInactiveDays: 9,
+    decisionMakerInactiveDays: 14,
+    scoreChangePoints: 10
+  }
+};
+
+// Sections whose keys are fixed; buyingRoleWeights, stageExpectations and expectation
+// profiles take any key
+const FIXED_SECTIONS = ['weights', 'riskThresholds', 'engagement', 'expectationProfiles', 'alerts', 'lifecycle'];
+const PROFILE_KEYS = Object.keys(DEFAULT_SCORING_CONFIG.expectationProfiles.profiles.smb);
+const FIXED_COVERAGE_KEYS = ['breadthWeight', 'depthWeight', 'baseThreshold', 'recencyWeights', 'stageExpectations'];
+
+// Roles a portal can make key roles: the options of the missing_key_roles deal property,
+// which HubSpot requires every written value to be one of
+const KEY_ROLE_OPTIONS = Object.keys(DEFAULT_SCORING_CONFIG.buyingRoleWeights).filter(role => role !== 'OTHER');
+
+// Weights are fractions, so allow for floating point error when summing them
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+const store = createStore('scoring-config');
+
+function getConfigKey(portalId) {
+  return portalId ? String(portalId) : 'default';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge overrides into a configuration; arrays and values replace, objects merge
+ * @param {Object} base - Configuration to start from
+ * @param {Object} overrides - Partial configuration
+ * @returns {Object} Merged configuration
+ */
+function mergeScoringConfig(base, overrides = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeScoringConfig(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+function isNumberBetween(value, min, max) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function checkUnknownKeys(errors, section, value, allowed) {
+  if (!isPlainObject(value)) {
+    errors.push(`${section} must be an object`);
+    return false;
+  }
+  Object.keys(value)
+    .filter(key => !allowed.includes(key))
+    .forEach(key => errors.push(`${section}.${key} is not a known setting`));
+  return true;
+}
+
+function checkWeightSum(errors, section, weights) {
+  const sum = Object.values(weights).reduce((total, weight) => total + weight, 0);
+  if (Math.abs(sum - 1) > WEIGHT_SUM_TOLERANCE) {
+    errors.push(`${section} must add up to 1 (got ${Math.round(sum * 1000) / 1000})`);
+  }
+}
+
+function validateExpectationProfiles(errors, config) {
+  const { enabled, segmentProperty, fallbackProfile, profiles } = config.expectationProfiles;
+  if (typeof enabled !== 'boolean') {
+    errors.push('expectationProfiles.enabled must be true or false');
+  }
+  if (segmentProperty !== null && (typeof segmentProperty !== 'string' || segmentProperty.trim() === '')) {
+    errors.push('expectationProfiles.segmentProperty must be a deal property name or null');
+  }
+  if (!profiles[fallbackProfile]) {
+    errors.push('expectationProfiles.fallbackProfile must be one of the profiles');
+  }
+  for (const [name, profile] of Object.entries(profiles)) {
+    const prefix = `expectationProfiles.profiles.${name}`;
+    const { label, segmentValues, maxAmount, targetActiveContacts, targetThreadDepth, thresholdMultiplier, waivedRoles } = profile;
+    if (label !== undefined && typeof label !== 'string') {
+      errors.push(`${prefix}.label must be a string`);
+    }
+    if (!Array.isArray(segmentValues) || segmentValues.some(value => typeof value !== 'string')) {
+      errors.push(`${prefix}.segmentValues must be a list of segment names`);
+    }
+    if (maxAmount !== null && (!isNumberBetween(maxAmount, 0, Infinity) || maxAmount === 0)) {
+      errors.push(`${prefix}.maxAmount must be a number above 0 or null`);
+    }
+    for (const [setting, value] of Object.entries({ targetActiveContacts, targetThreadDepth })) {
+      if (!Number.isInteger(value) || value < 1) {
+        errors.push(`${prefix}.${setting} must be a whole number of at least 1`);
+      }
+    }
+    if (!isNumberBetween(thresholdMultiplier, 0, 2) || thresholdMultiplier === 0) {
+      errors.push(`${prefix}.thresholdMultiplier must be a number above 0 and at most 2`);
+    }
+    if (!Array.isArray(waivedRoles)) {
+      errors.push(`${prefix}.waivedRoles must be a list of roles`);
+    } else {
+      waivedRoles.forEach((role, i) => {
+        if (!KEY_ROLE_OPTIONS.includes(role)) {
+          errors.push(`${prefix}.waivedRoles[${i}] must be one of ${KEY_ROLE_OPTIONS.join(', ')}`);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Validate a portal's overrides
+ * Overrides are checked for unknown settings, then merged into the defaults and the
+ * result checked as a whole, so weights must still add up after a partial override.
+ * @param {Object} overrides - Partial scoring configuration
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateScoringConfig(overrides) {
+  const errors = [];
+  if (!checkUnknownKeys(errors, 'config', overrides, Object.keys(DEFAULT_SCORING_CONFIG))) {
+    return errors;
+  }
+  for (const section of FIXED_SECTIONS) {
+    if (overrides[section] !== undefined) {
+      checkUnknownKeys(errors, section, overrides[section], Object.keys(DEFAULT_SCORING_CONFIG[section]));
+    }
+  }
+  if (isPlainObject(overrides.engagement) && overrides.engagement.activityPoints !== undefined) {
+    checkUnknownKeys(errors, 'engagement.activityPoints', overrides.engagement.activityPoints,
+      Object.keys(DEFAULT_SCORING_CONFIG.engagement.activityPoints));
+  }
+  const profileOverrides = isPlainObject(overrides.expectationProfiles) ? overrides.expectationProfiles.profiles : undefined;
+  if (profileOverrides !== undefined) {
+    if (!isPlainObject(profileOverrides)) {
+      errors.push('expectationProfiles.profiles must be an object');
+    } else {
+      for (const [name, profile] of Object.entries(profileOverrides)) {
+        checkUnknownKeys(errors, `expectationProfiles.profiles.${name}`, profile, PROFILE_KEYS);
+      }
+    }
+  }
+  if (overrides.coverage !== undefined && checkUnknownKeys(errors, 'coverage', overrides.coverage, FIXED_COVERAGE_KEYS)
+    && overrides.coverage.recencyWeights !== undefined) {
+    checkUnknownKeys(errors, 'coverage.recencyWeights', overrides.coverage.recencyWeights,
+      Object.keys(DEFAULT_SCORING_CONFIG.coverage.recencyWeights));
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const config = mergeScoringConfig(DEFAULT_SCORING_CONFIG, overrides);
+
+  for (const [name, weight] of Object.entries(config.weights)) {
+    if (!isNumberBetween(weight, 0, 1)) {
+      errors.push(`weights.${name} must be a number from 0 to 1`);
+    }
+  }
+  if (errors.length === 0) {
+    checkWeightSum(errors, 'weights', config.weights);
+  }
+
+  const { low, medium } = config.riskThresholds;
+  if (!isNumberBetween(low, 0, 100) || !isNumberBetween(medium, 0, 100)) {
+    errors.push('riskThresholds.low and riskThresholds.medium must be numbers from 0 to 100');
+  } else if (low <= medium) {
+    errors.push('riskThresholds.low must be above riskThresholds.medium');
+  }
+
+  if (!isPlainObject(config.buyingRoleWeights)) {
+    errors.push('buyingRoleWeights must be an object');
+  } else {
+    for (const [role, weight] of Object.entries(config.buyingRoleWeights)) {
+      if (!isNumberBetween(weight, 0, 100)) {
+        errors.push(`buyingRoleWeights.${role} must be a number from 0 to 100`);
+      }
+    }
+    if (config.buyingRoleWeights.OTHER === undefined) {
+      errors.push('buyingRoleWeights.OTHER is required');
+    }
+  }
+
+  if (!Array.isArray(config.keyRoles) || config.keyRoles.length === 0) {
+    errors.push('keyRoles must be a non-empty list of roles');
+  } else {
+    const weights = isPlainObject(config.buyingRoleWeights) ? config.buyingRoleWeights : {};
+    config.keyRoles.forEach(role => {
+      if (weights[role] === undefined) {
+        errors.push(`keyRoles includes ${role}, which has no buying role weight`);
+      } else if (!KEY_ROLE_OPTIONS.includes(role)) {
+        errors.push(`keyRoles includes ${role}, which must be one of ${KEY_ROLE_OPTIONS.join(', ')}`);
+      }
+    });
+  }
+
+  if (!Object.values(SCORE_MODES).includes(config.scoreMode)) {
+    errors.push(`scoreMode must be one of ${Object.values(SCORE_MODES).join(', ')}`);
+  }
+
+  if (!isPlainObject(config.stageMapping)) {
+    errors.push('stageMapping must be an object');
+  } else {
+    Object.entries(config.stageMapping)
+      .filter(([, phase]) => !Object.values(STAGE_PHASES).includes(phase))
+      .forEach(([stage]) => errors.push(`stageMapping.${stage} must be one of ${Object.values(STAGE_PHASES).join(', ')}`));
+  }
+
+  const { model, activityPoints, ...engagementSettings } = config.engagement;
+  if (!Object.values(ENGAGEMENT_MODELS).includes(model)) {
+    errors.push(`engagement.model must be one of ${Object.values(ENGAGEMENT_MODELS).join(', ')}`);
+  }
+  for (const [name, points] of Object.entries(activityPoints)) {
+    if (!isNumberBetween(points, 0, 100)) {
+      errors.push(`engagement.activityPoints.${name} must be a number from 0 to 100`);
+    }
+  }
+  for (const name of ['halfLifeDays', 'meetingBaselineMinutes', 'saturationPoints']) {
+    if (!isNumberBetween(engagementSettings[name], 0, Infinity) || engagementSettings[name] === 0) {
+      errors.push(`engagement.${name} must be a number above 0`);
+    }
+  }
+  if (!isNumberBetween(engagementSettings.maxMeetingLengthMultiplier, 1, Infinity)) {
+    errors.push('engagement.maxMeetingLengthMultiplier must be a number of at least 1');
+  }
+  for (const name of ['attendeeDiscount', 'minAttendeeMultiplier']) {
+    if (!isNumberBetween(engagementSettings[name], 0, 1)) {
+      errors.push(`engagement.${name} must be a number from 0 to 1`);
+    }
+  }
+
+  validateExpectationProfiles(errors, config);
+
+  const { breadthWeight, depthWeight, baseThreshold, recencyWeights, stageExpectations } = config.coverage;
+  if (!isNumberBetween(breadthWeight, 0, 1) || !isNumberBetween(depthWeight, 0, 1)) {
+    errors.push('coverage.breadthWeight and coverage.depthWeight must be numbers from 0 to 1');
+  } else {
+    checkWeightSum(errors, 'coverage.breadthWeight and coverage.depthWeight', { breadthWeight, depthWeight });
+  }
+  if (!isNumberBetween(baseThreshold, 0, 100)) {
+    errors.push('coverage.baseThreshold must be a number from 0 to 100');
+  }
+  for (const [name, weight] of Object.entries(recencyWeights)) {
+    if (!isNumberBetween(weight, 0, 1)) {
+      errors.push(`coverage.recencyWeights.${name} must be a number from 0 to 1`);
+    }
+  }
+
+  if (!isPlainObject(stageExpectations)) {
+    errors.push('coverage.stageExpectations must be an object');
+  } else {
+    if (!stageExpectations.default) {
+      errors.push('coverage.stageExpectations.default is required');
+    }
+    for (const [stage, expectations] of Object.entries(stageExpectations)) {
+      const prefix = `coverage.stageExpectations.${stage}`;
+      if (!isPlainObject(expectations)) {
+        errors.push(`${prefix} must be an object`);
+        continue;
+      }
+      const { required, recommended, thresholdMultiplier } = expectations;
+      if (!Array.isArray(required) || !Array.isArray(recommended)) {
+        errors.push(`${prefix}.required and ${prefix}.recommended must be lists of roles`);
+      }
+      if (!isNumberBetween(thresholdMultiplier, 0, 2) || thresholdMultiplier === 0) {
+        errors.push(`${prefix}.thresholdMultiplier must be a number above 0 and at most 2`);
+      }
+    }
+  }
+
+  for (const section of ['alerts', 'lifecycle']) {
+    for (const [name, value] of Object.entries(config[section])) {
+      if (!isNumberBetween(value, 0, Infinity)) {
+        errors.push(`${section}.${name} must be a number of at least 0`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the phase of a deal stage
+ * @param {Object} scoringConfig - Scoring configuration
+ * @param {string} dealStage - Deal stage ID
+ * @returns {string|null} One of STAGE_PHASES, or null for an unmapped custom stage
+ */
+function getStagePhase(scoringConfig, dealStage) {
+  return scoringConfig?.stageMapping?.[dealStage] || DEFAULT_STAGE_PHASES[dealStage] || null;
+}
+
+/**
+ * Resolve a deal stage to the stage ID the stage tables are keyed by
+ * @param {Object} scoringConfig - Scoring configuration
+ * @param {string} dealStage - Deal stage ID
+ * @returns {string} The mapped phase's default stage ID, or dealStage if it isn't mapped
+ */
+function resolveDealStage(scoringConfig, dealStage) {
+  const phase = scoringConfig?.stageMapping?.[dealStage];
+  return phase ? PHASE_STAGES[phase] : dealStage;
+}
+
+/**
+ * Get the role expectations for a deal stage
+ * @param {Object} scoringConfig - Scoring configuration
+ * @param {string} dealStage - Deal stage ID
+ * @param {Object} expectationProfile - The deal's profile (see getExpectationProfile);
+ *   its waived roles are dropped and its thresholdMultiplier applied
+ * @returns {Object} required and recommended roles and thresholdMultiplier: the stage's
+ *   own, else those of its mapped phase, else the default expectations
+ */
+function getStageExpectations(scoringConfig, dealStage, expectationProfile = null) {
+  const { stageExpectations } = scoringConfig.coverage;
+  const expectations = stageExpectations[dealStage]
+    || stageExpectations[resolveDealStage(scoringConfig, dealStage)]
+    || stageExpectations.default;
+  if (!expectationProfile) {
+    return expectations;
+  }
+
+  const isExpected = role => !expectationProfile.waivedRoles.includes(role);
+  return {
+    required: expectations.required.filter(isExpected),
+    recommended: expectations.recommended.filter(isExpected),
+    thresholdMultiplier: expectations.thresholdMultiplier * expectationProfile.thresholdMultiplier
+  };
+}
+
+/**
+ * Get the expectation profile a deal is scored with
+ * @param {Object} scoringConfig - Scoring configuration
+ * @param {Object} deal - HubSpot deal properties (amount, and the segment property)
+ * @returns {Object} The profile's settings, plus its name, the basis it was picked on
+ *   ('segment', 'amount' or 'fallback') and the segment or amount that picked it
+ */
+function getExpectationProfile(scoringConfig, deal = {}) {
+  const { enabled, segmentProperty, fallbackProfile, profiles } = (scoringConfig || DEFAULT_SCORING_CONFIG).expectationProfiles;
+  const toProfile = (name, basis, details = {}) => ({
+    name,
+    ...profiles[name],
+    label: profiles[name].label || name,
+    basis,
+    segment: null,
+    amount: null,
+    ...details
+  });
+  if (!enabled) {
+    return toProfile(fallbackProfile, 'fallback');
+  }
+
+  const segment = segmentProperty ? String(deal?.[segmentProperty] ?? '').trim() : '';
+  if (segment) {
+    const matches = value => value.toLowerCase() === segment.toLowerCase();
+    const name = Object.keys(profiles).find(profileName =>
+      matches(profileName) || profiles[profileName].segmentValues.some(matches));
+    if (name) {
+      return toProfile(name, 'segment', { segment });
+    }
+  }
+
+  const amount = parseFloat(deal?.amount);
+  if (amount > 0) {
+    const [band] = Object.entries(profiles)
+      .filter(([, profile]) => profile.maxAmount === null || amount <= profile.maxAmount)
+      .sort(([, a], [, b]) => (a.maxAmount ?? Infinity) - (b.maxAmount ?? Infinity));
+    if (band) {
+      return toProfile(band[0], 'amount', { amount });
+    }
+  }
+
+  return toProfile(fallbackProfile, 'fallback');
+}
+
+async function loadVersions(portalId) {
+  const saved = await store.get(getConfigKey(portalId));
+  return saved?.versions || [];
+}
+
+function toVersionInfo(version, activeVersion) {
+  return { ...version, active: version.version === activeVersion };
+}
+
+/**
+ * Get the configuration a portal scores with
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Promise<Object>} Defaults merged with the portal's overrides, plus the version
+ */
+async function getScoringConfig(portalId) {
+  const versions = await loadVersions(portalId);
+  const active = versions[versions.length - 1];
+  if (!active) {
+    return { ...DEFAULT_SCORING_CONFIG, version: 0 };
+  }
+  return { ...mergeScoringConfig(DEFAULT_SCORING_CONFIG, active.overrides), version: active.version };
+}
+
+/**
+ * Get a portal's active configuration with the overrides and who set them
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Promise<Object>} portalId, version, overrides, note, actor, createdAt and config
+ */
+async function getScoringConfigDetails(portalId) {
+  const versions = await loadVersions(portalId);
+  const active = versions[versions.length - 1]
+    || { version: 0, overrides: {}, note: 'Defaults', actor: null, createdAt: null };
+
+  return {
+    portalId: portalId ? String(portalId) : null,
+    ...active,
+    config: mergeScoringConfig(DEFAULT_SCORING_CONFIG, active.overrides)
+  };
+}
+
+/**
+ * Save overrides as a portal's new configuration version
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} overrides - Partial scoring configuration
+ * @param {Object} options - actor and note recorded with the version
+ * @returns {Promise<Object>} The new version
+ * @throws {Error} With an errors list when the overrides are invalid
+ */
+async function saveScoringConfig(portalId, overrides, options = {}) {
+  const errors = validateScoringConfig(overrides);
+  if (errors.length > 0) {
+    throw Object.assign(new Error('Invalid scoring configuration'), { errors });
+  }
+
+  const versions = await loadVersions(portalId);
+  const version = {
+    version: (versions[versions.length - 1]?.version || 0) + 1,
+    overrides,
+    note: options.note || null,
+    actor: options.actor || 'admin',
+    createdAt: new Date().toISOString()
+  };
+  await store.set(getConfigKey(portalId), { versions: [...versions, version] });
+  return toVersionInfo(version, version.version);
+}
+
+/**
+ * List a portal's configuration versions
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Promise<Array>} Versions, newest first, flagged with whether each is active
+ */
+async function listScoringConfigVersions(portalId) {
+  const versions = await loadVersions(portalId);
+  const activeVersion = versions[versions.length - 1]?.version || 0;
+  return versions.map(version => toVersionInfo(version, activeVersion)).reverse();
+}
+
+/**
+ * Roll a portal back to an earlier configuration
+ * The earlier overrides are saved as a new version, so the history stays linear.
+ * Version 0 restores the defaults.
+ * @param {string} portalId - HubSpot portal ID
+ * @param {number} versionNumber - Version to restore
+ * @param {Object} options - actor recorded with the new version
+ * @returns {Promise<Object|null>} The new version, or null if the version doesn't exist
+ */
+async function activateScoringConfigVersion(portalId, versionNumber, options = {}) {
+  const versions = await loadVersions(portalId);
+  const target = versionNumber === 0
+    ? { overrides: {} }
+    : versions.find(version => version.version === versionNumber);
+  if (!target) {
+    return null;
+  }
+  return saveScoringConfig(portalId, target.overrides, {
+    actor: options.actor,
+    note: `Restored version ${versionNumber}`
+  });
+}
+
+/**
+ * Remove a portal's scoring configuration and its versions
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Promise<boolean>} Whether a configuration was stored
+ */
+async function purgePortalScoringConfig(portalId) {
+  return store.delete(getConfigKey(portalId));
+}
+
+module.exports = {
+  getScoringConfig,
+  getScoringConfigDetails,
+  saveScoringConfig,
+  listScoringConfigVersions,
+  activateScoringConfigVersion,
+  validateScoringConfig,
+  mergeScoringConfig,
+  getStageExpectations,
+  getExpectationProfile,
+  getStagePhase,
+  resolveDealStage,
+  purgePortalScoringConfig,
+  DEFAULT_SCORING_CONFIG,
+  KEY_ROLE_OPTIONS,
+  ENGAGEMENT_MODELS,
+  SCORE_MODES,
+  STAGE_PHASES,
+  PHASE_STAGES,
+  DEFAULT_STAGE_PHASES
+};
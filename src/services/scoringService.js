@@ -8,25 +8,52 @@
  * 4. Overall Multi-Threading Score - Combined stakeholder coverage assessment
  * 5. Role Inference - AI-based role inference from job titles and behavior
  * 6. Breadth vs Depth Analysis - Coverage depth and breadth metrics
+ * 7. Engagement Models - The classic count-based model and a time-decayed model,
+ *    selectable per portal and comparable on the same deal
+ * 8. Responsiveness - How often and how quickly each contact replies to the rep
+ * 9. Stage-Adjusted Score - Role coverage measured against the deal stage's
+ *    expectations, reported next to the absolute score
+ * 10. Expectation Profiles - Participation, thread depth and stage roles scaled to
+ *    the deal's segment or size
  */
 
 const { inferContactRole } = require('./roleInferenceService');
+const {
+  DEFAULT_SCORING_CONFIG,
+  ENGAGEMENT_MODELS,
+  SCORE_MODES,
+  getStageExpectations,
+  getExpectationProfile,
+  getStagePhase
+} = require('./scoringConfigService');
 
-// Buying roles and their importance weights
-const BUYING_ROLE_WEIGHTS = {
-  'DECISION_MAKER': 30,
-  'BUDGET_HOLDER': 25,
-  'CHAMPION': 20,
-  'INFLUENCER': 15,
-  'END_USER': 10,
-  'BLOCKER': 5,
-  'LEGAL': 15,
-  'PROCUREMENT': 10,
-  'OTHER': 5
-};
+// Default buying role weights and key roles; portals can override both (see scoringConfigService)
+const BUYING_ROLE_WEIGHTS = DEFAULT_SCORING_CONFIG.buyingRoleWeights;
+const KEY_ROLES = DEFAULT_SCORING_CONFIG.keyRoles;
+
+// Engagements a contact needs to count as actively participating
+const ACTIVE_CONTACT_MIN_ENGAGEMENTS = 2;
+
+// Active contacts and engaged contacts for full participation volume and thread depth
+// credit when the deal has no expectation profile
+const DEFAULT_TARGET_ACTIVE_CONTACTS = 4;
+const DEFAULT_TARGET_THREAD_DEPTH = 1;
+
+// Share of the role coverage score from key roles; the rest rewards role diversity
+const KEY_ROLE_COVERAGE_WEIGHT = 0.7;
+
+// A stage's recommended roles count for this much of a required role
+const RECOMMENDED_ROLE_SHARE = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Emails a contact must have been sent before a reply rate is reported
+const MIN_EMAILS_FOR_REPLY_RATE = 3;
 
-// Key roles that should ideally be covered for a strong multi-threaded deal
-const KEY_ROLES = ['DECISION_MAKER', 'BUDGET_HOLDER', 'CHAMPION'];
+// Sent emails that never reached the contact can't be answered
+const UNDELIVERED_EMAIL_STATUSES = ['BOUNCED', 'FAILED'];
+const INTERACTION_TYPES = ['emails', 'meetings', 'calls'];
 
 /**
  * Calculate engagement score for a single contact
@@ -45,25 +72,167 @@ function calculateContactEngagementScore(engagements) {
   return Math.min(meetingPoints + callPoints + emailPoints, 100);
 }
 
+/**
+ * Points a single activity earns in the decayed engagement model, before decay
+ * @param {Object} activity - Activity with type, plus direction and isReply (emails)
+ *   or durationMinutes and attendees (meetings)
+ * @param {Object} engagementConfig - The engagement section of a scoring config
+ * @returns {number} Points
+ */
+function getActivityPoints(activity, engagementConfig) {
+  const { activityPoints } = engagementConfig;
+
+  if (activity.type === 'emails') {
+    if (activity.direction !== 'INBOUND') {
+      return activityPoints.outboundEmail;
+    }
+    return activity.isReply ? activityPoints.emailReply : activityPoints.inboundEmail;
+  }
+  if (activity.type === 'calls') {
+    return activityPoints.call;
+  }
+
+  const { meetingBaselineMinutes, maxMeetingLengthMultiplier, attendeeDiscount, minAttendeeMultiplier } = engagementConfig;
+  const lengthMultiplier = activity.durationMinutes
+    ? Math.min(activity.durationMinutes / meetingBaselineMinutes, maxMeetingLengthMultiplier)
+    : 1;
+  const attendeeMultiplier = Math.max(1 - attendeeDiscount * ((activity.attendees || 1) - 1), minAttendeeMultiplier);
+  return activityPoints.meeting * lengthMultiplier * attendeeMultiplier;
+}
+
+/**
+ * Calculate a contact's engagement score with each activity decayed by its age
+ * Counts without matching activities (cached or hand-built data) are scored as
+ * undated activities, which count as one half-life old.
+ * @param {Object} engagements - Contact engagement data with activities
+ * @param {Object} options - The portal's scoringConfig and the time to measure age from (now)
+ * @returns {number} Score between 0-100
+ */
+function calculateDecayedEngagementScore(engagements, options = {}) {
+  const { scoringConfig = DEFAULT_SCORING_CONFIG, now = new Date() } = options;
+  const engagementConfig = scoringConfig.engagement;
+  const activities = (engagements.activities || []).filter(activity => INTERACTION_TYPES.includes(activity.type));
+
+  INTERACTION_TYPES.forEach(type => {
+    const undated = (engagements[type] || 0) - activities.filter(activity => activity.type === type).length;
+    for (let i = 0; i < undated; i++) {
+      activities.push({ type, timestamp: null });
+    }
+  });
+
+  const points = activities.reduce((sum, activity) => {
+    // Scheduled meetings count as happening now
+    const ageDays = activity.timestamp
+      ? Math.max((new Date(now).getTime() - new Date(activity.timestamp).getTime()) / DAY_MS, 0)
+      : engagementConfig.halfLifeDays;
+    const decay = Math.pow(0.5, ageDays / engagementConfig.halfLifeDays);
+    return sum + getActivityPoints(activity, engagementConfig) * decay;
+  }, 0);
+
+  return Math.round(100 * (1 - Math.exp(-points / engagementConfig.saturationPoints)));
+}
+
+/**
+ * Calculate a contact's engagement score with the selected model
+ * @param {Object} engagements - Contact engagement data
+ * @param {Object} options - engagementModel (defaults to the scoringConfig's), scoringConfig and now
+ * @returns {number} Score between 0-100
+ */
+function scoreContactEngagement(engagements, options = {}) {
+  const { scoringConfig = DEFAULT_SCORING_CONFIG } = options;
+  const engagementModel = options.engagementModel || scoringConfig.engagement.model;
+
+  return engagementModel === ENGAGEMENT_MODELS.DECAYED
+    ? calculateDecayedEngagementScore(engagements, options)
+    : calculateContactEngagementScore(engagements);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Match a contact's emails to the rep's emails they answer
+ * Each email from the contact answers the latest unanswered email the rep sent earlier
+ * in the same thread, so follow-ups that needed chasing count as unanswered.
+ * Emails without a direction, thread or timestamp, and sent emails that never arrived,
+ * can't be matched and are left out.
+ * @param {Array} activities - The contact's activities
+ * @returns {Object} The matchable emails (oldest first) and { reply, answered } pairs
+ */
+function matchEmailReplies(activities = []) {
+  const emails = activities
+    .filter(activity => activity.type === 'emails' && activity.direction && activity.threadId && activity.timestamp)
+    .filter(activity => activity.direction === 'INBOUND' || !UNDELIVERED_EMAIL_STATUSES.includes(activity.status))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  const unanswered = new Map();
+  const replies = [];
+  emails.forEach(email => {
+    const waiting = unanswered.get(email.threadId) || [];
+    if (email.direction === 'OUTBOUND') {
+      unanswered.set(email.threadId, [...waiting, email]);
+    } else if (waiting.length > 0) {
+      replies.push({ reply: email, answered: waiting.pop() });
+    }
+  });
+
+  return { emails, replies };
+}
+
+/**
+ * Calculate how a contact responds to the rep's emails
+ * Replies are matched with matchEmailReplies.
+ * @param {Object} engagements - Contact engagement data with email activities
+ * @returns {Object} Sent, opened and replied email counts, openRate and replyRate (0-1,
+ *   null when unknown) and the median hours to reply
+ */
+function calculateContactResponsiveness(engagements) {
+  const { emails, replies } = matchEmailReplies(engagements?.activities);
+
+  const sent = emails.filter(email => email.direction === 'OUTBOUND');
+  const replyHours = replies.map(({ reply, answered }) =>
+    (new Date(reply.timestamp).getTime() - new Date(answered.timestamp).getTime()) / HOUR_MS
+  );
+
+  const tracked = sent.filter(email => email.opened !== null && email.opened !== undefined);
+  const opened = tracked.filter(email => email.opened).length;
+
+  return {
+    sentEmails: sent.length,
+    openedEmails: opened,
+    repliedEmails: replyHours.length,
+    openRate: tracked.length > 0 ? Math.round(opened / tracked.length * 100) / 100 : null,
+    replyRate: sent.length >= MIN_EMAILS_FOR_REPLY_RATE
+      ? Math.round(replyHours.length / sent.length * 100) / 100
+      : null,
+    medianReplyHours: replyHours.length > 0 ? Math.round(median(replyHours) * 10) / 10 : null
+  };
+}
+
 /**
  * Calculate participation frequency score
  * Measures how many contacts have meaningful engagement
  * @param {Array} contacts - Array of contact objects with engagement data
+ * @param {Object} options - targetActiveContacts for the full volume bonus
  * @returns {number} Score between 0-100
  */
-function calculateParticipationScore(contacts) {
+function calculateParticipationScore(contacts, options = {}) {
+  const { targetActiveContacts = DEFAULT_TARGET_ACTIVE_CONTACTS } = options;
   if (contacts.length === 0) return 0;
   
   const activeContacts = contacts.filter(contact => {
     const total = contact.engagements?.total || 0;
-    return total >= 2; // At least 2 engagements to be considered active
+    return total >= ACTIVE_CONTACT_MIN_ENGAGEMENTS;
   });
   
   const participationRate = activeContacts.length / contacts.length;
   
   // Score based on participation rate and absolute number of active contacts
   const rateScore = participationRate * 60;
-  const volumeBonus = Math.min(activeContacts.length * 10, 40);
+  const volumeBonus = Math.min(activeContacts.length / targetActiveContacts, 1) * 40;
   
   return Math.min(Math.round(rateScore + volumeBonus), 100);
 }
@@ -72,27 +241,29 @@ function calculateParticipationScore(contacts) {
  * Calculate buying role coverage score
  * Measures if key decision-making roles are represented
  * @param {Array} contacts - Array of contact objects with role data
+ * @param {Object} options - scoringConfig (defaults to DEFAULT_SCORING_CONFIG)
  * @returns {Object} Score and missing roles
  */
-function calculateRoleCoverageScore(contacts) {
+function calculateRoleCoverageScore(contacts, options = {}) {
+  const { buyingRoleWeights, keyRoles } = options.scoringConfig || DEFAULT_SCORING_CONFIG;
   const coveredRoles = new Set();
   let rolePoints = 0;
   
   contacts.forEach(contact => {
     const role = contact.properties?.hs_buying_role?.toUpperCase() || 'OTHER';
     coveredRoles.add(role);
-    rolePoints += BUYING_ROLE_WEIGHTS[role] || BUYING_ROLE_WEIGHTS.OTHER;
+    rolePoints += buyingRoleWeights[role] ?? buyingRoleWeights.OTHER;
   });
   
   // Check which key roles are missing
-  const missingKeyRoles = KEY_ROLES.filter(role => !coveredRoles.has(role));
+  const missingKeyRoles = keyRoles.filter(role => !coveredRoles.has(role));
   
   // Calculate coverage percentage of key roles
-  const keyCoverage = ((KEY_ROLES.length - missingKeyRoles.length) / KEY_ROLES.length) * 100;
+  const keyCoverage = ((keyRoles.length - missingKeyRoles.length) / keyRoles.length) * 100;
   
   // Score combines key role coverage and diversity of roles
   const diversityBonus = Math.min(coveredRoles.size * 10, 30);
-  const finalScore = Math.min(Math.round(keyCoverage * 0.7 + diversityBonus), 100);
+  const finalScore = Math.min(Math.round(keyCoverage * KEY_ROLE_COVERAGE_WEIGHT + diversityBonus), 100);
   
   return {
     score: finalScore,
@@ -102,15 +273,117 @@ function calculateRoleCoverageScore(contacts) {
   };
 }
 
+/**
+ * Calculate role coverage against a deal stage's expectations
+ * Required roles count in full and recommended roles for RECOMMENDED_ROLE_SHARE,
+ * so a late-stage deal is measured on legal and procurement rather than keyRoles.
+ * @param {Array} contacts - Array of contact objects with role data
+ * @param {string} dealStage - Deal stage ID
+ * @param {Object} options - scoringConfig (defaults to DEFAULT_SCORING_CONFIG), and the
+ *   deal's expectationProfile, whose waived roles aren't expected
+ * @returns {Object} Score, the stage's roles and which of them are missing
+ */
+function calculateStageRoleCoverageScore(contacts, dealStage, options = {}) {
+  const scoringConfig = options.scoringConfig || DEFAULT_SCORING_CONFIG;
+  const { required, recommended } = getStageExpectations(scoringConfig, dealStage, options.expectationProfile);
+  const coveredRoles = new Set(contacts.map(contact => contact.properties?.hs_buying_role?.toUpperCase() || 'OTHER'));
+
+  const missingRequiredRoles = required.filter(role => !coveredRoles.has(role));
+  const missingRecommendedRoles = recommended.filter(role => !coveredRoles.has(role));
+  const expectedWeight = required.length + recommended.length * RECOMMENDED_ROLE_SHARE;
+  const coveredWeight = (required.length - missingRequiredRoles.length) +
+    (recommended.length - missingRecommendedRoles.length) * RECOMMENDED_ROLE_SHARE;
+  const stageCoverage = expectedWeight > 0 ? (coveredWeight / expectedWeight) * 100 : 100;
+
+  // Same diversity bonus as calculateRoleCoverageScore
+  const diversityBonus = Math.min(coveredRoles.size * 10, 30);
+
+  return {
+    score: Math.min(Math.round(stageCoverage * KEY_ROLE_COVERAGE_WEIGHT + diversityBonus), 100),
+    requiredRoles: required,
+    recommendedRoles: recommended,
+    missingRequiredRoles,
+    missingRecommendedRoles
+  };
+}
+
+/**
+ * Get the risk level and its display color for a score
+ * @param {number} score - Overall score
+ * @param {Object} riskThresholds - low and medium cut-offs
+ * @returns {Object} riskLevel and riskColor
+ */
+function getRiskLevel(score, riskThresholds) {
+  if (score >= riskThresholds.low) {
+    return { riskLevel: 'LOW', riskColor: '#00a4bd' }; // HubSpot teal
+  }
+  if (score >= riskThresholds.medium) {
+    return { riskLevel: 'MEDIUM', riskColor: '#f5c26b' }; // HubSpot yellow
+  }
+  return { riskLevel: 'HIGH', riskColor: '#f2545b' }; // HubSpot red
+}
+
+/**
+ * Summarize the expectation profile a deal was scored with
+ * @param {Object} profile - Result of getExpectationProfile
+ * @returns {Object} The profile's name, label, targets and waived roles, what picked it,
+ *   and a description for display (e.g. "SMB (deal amount 5,000)")
+ */
+function summarizeExpectationProfile(profile) {
+  const reasons = {
+    segment: `segment ${profile.segment}`,
+    amount: `deal amount ${profile.amount?.toLocaleString('en-US')}`,
+    fallback: 'default profile'
+  };
+  return {
+    name: profile.name,
+    label: profile.label,
+    basis: profile.basis,
+    segment: profile.segment,
+    amount: profile.amount,
+    targetActiveContacts: profile.targetActiveContacts,
+    targetThreadDepth: profile.targetThreadDepth,
+    thresholdMultiplier: profile.thresholdMultiplier,
+    waivedRoles: profile.waivedRoles,
+    description: `${profile.label} (${reasons[profile.basis]})`
+  };
+}
+
+/**
+ * Get the score a portal reports: the absolute or the stage-adjusted one, per its scoreMode
+ * @param {Object} scoreData - Result of calculateMultiThreadingScore
+ * @returns {Object} overallScore, riskLevel, riskColor, the roles counted as missing, the
+ *   scoreMode used and a label
+ */
+function getReportedScore(scoreData) {
+  if (scoreData.scoreMode === SCORE_MODES.STAGE && scoreData.stageAdjusted) {
+    const { overallScore, riskLevel, riskColor, missingRequiredRoles } = scoreData.stageAdjusted;
+    return {
+      overallScore,
+      riskLevel,
+      riskColor,
+      missingRoles: missingRequiredRoles,
+      scoreMode: SCORE_MODES.STAGE,
+      label: 'Stage-Adjusted Score'
+    };
+  }
+  const { overallScore, riskLevel, riskColor, missingKeyRoles = [] } = scoreData;
+  return { overallScore, riskLevel, riskColor, missingRoles: missingKeyRoles, scoreMode: SCORE_MODES.ABSOLUTE, label: 'Overall Score' };
+}
+
 /**
  * Calculate overall multi-threading score
  * @param {Object} data - Deal data with contacts
- * @param {Object} options - Additional options including role inference settings
+ * @param {Object} options - Role inference settings, the portal's scoringConfig
+ *   (defaults to DEFAULT_SCORING_CONFIG), and engagementModel and now to override
+ *   the configured engagement model and the time activity age is measured from
  * @returns {Object} Comprehensive score breakdown
  */
 function calculateMultiThreadingScore(data, options = {}) {
   const { contacts = [] } = data;
-  const { enableRoleInference = true, inferenceOptions = {} } = options;
+  const { enableRoleInference = true, inferenceOptions = {}, scoringConfig = DEFAULT_SCORING_CONFIG, now } = options;
+  const { weights, riskThresholds } = scoringConfig;
+  const engagementModel = options.engagementModel || scoringConfig.engagement.model;
   
   // Calculate individual scores with role inference
   const contactEngagementScores = contacts.map(contact => {
@@ -137,8 +410,10 @@ function calculateMultiThreadingScore(data, options = {}) {
       roleSource: roleSource,
       roleInference: roleInference,
       jobTitle: contact.properties?.jobtitle || 'Not specified',
-      engagementScore: calculateContactEngagementScore(contact.engagements || {}),
+      engagementScore: scoreContactEngagement(contact.engagements || {}, { engagementModel, scoringConfig, now }),
       engagements: contact.engagements || { emails: 0, meetings: 0, calls: 0, total: 0 },
+      responsiveness: calculateContactResponsiveness(contact.engagements),
+      firstEngagementDate: contact.firstEngagementDate || null,
       lastEngagementDate: contact.lastEngagementDate || null
     };
   });
@@ -147,7 +422,10 @@ function calculateMultiThreadingScore(data, options = {}) {
     ? Math.round(contactEngagementScores.reduce((sum, c) => sum + c.engagementScore, 0) / contactEngagementScores.length)
     : 0;
   
-  const participationScore = calculateParticipationScore(contacts);
+  // Participation, thread depth and stage roles are measured against what a deal of
+  // this segment or size needs
+  const expectationProfile = getExpectationProfile(scoringConfig, data.deal);
+  const participationScore = calculateParticipationScore(contacts, expectationProfile);
   
   // Use effective roles (inferred if available) for role coverage calculation
   const contactsWithEffectiveRoles = contactEngagementScores.map(ces => ({
@@ -156,37 +434,36 @@ function calculateMultiThreadingScore(data, options = {}) {
     },
     engagements: ces.engagements
   }));
-  const roleCoverage = calculateRoleCoverageScore(contactsWithEffectiveRoles);
+  const roleCoverage = calculateRoleCoverageScore(contactsWithEffectiveRoles, { scoringConfig });
+  const dealStage = data.deal?.dealstage || 'default';
+  const stageRoleCoverage = calculateStageRoleCoverageScore(
+    contactsWithEffectiveRoles,
+    dealStage,
+    { scoringConfig, expectationProfile }
+  );
   
   // Calculate thread depth (number of engaged stakeholders)
   const threadDepth = contacts.filter(c => (c.engagements?.total || 0) > 0).length;
   
-  // Overall score calculation with weights
-  // - Engagement: 30%
-  // - Participation: 25%
-  // - Role Coverage: 35%
-  // - Thread Depth Bonus: 10%
-  const threadDepthBonus = Math.min(threadDepth * 10, 10);
-  const overallScore = Math.round(
-    avgEngagementScore * 0.30 +
-    participationScore * 0.25 +
-    roleCoverage.score * 0.35 +
+  // Overall score calculation with the portal's weights (by default
+  // engagement 30%, participation 25%, role coverage 35%, thread depth bonus 10%)
+  // The thread depth bonus grows with each engaged stakeholder up to the profile's
+  // target; with a target of 1, any engaged stakeholder earns all of it
+  const targetThreadDepth = expectationProfile.targetThreadDepth || DEFAULT_TARGET_THREAD_DEPTH;
+  const threadDepthScore = Math.round(Math.min(threadDepth / targetThreadDepth, 1) * 100);
+  const threadDepthBonus = threadDepthScore * weights.threadDepth;
+  const combineScores = roleCoverageScore => Math.round(
+    avgEngagementScore * weights.engagement +
+    participationScore * weights.participation +
+    roleCoverageScore * weights.roleCoverage +
     threadDepthBonus
   );
+  const overallScore = combineScores(roleCoverage.score);
+  const { riskLevel, riskColor } = getRiskLevel(overallScore, riskThresholds);
   
-  // Determine risk level
-  let riskLevel;
-  let riskColor;
-  if (overallScore >= 70) {
-    riskLevel = 'LOW';
-    riskColor = '#00a4bd'; // HubSpot teal
-  } else if (overallScore >= 40) {
-    riskLevel = 'MEDIUM';
-    riskColor = '#f5c26b'; // HubSpot yellow
-  } else {
-    riskLevel = 'HIGH';
-    riskColor = '#f2545b'; // HubSpot red
-  }
+  // The stage-adjusted score swaps in role coverage against the stage's expectations
+  const stageAdjustedScore = combineScores(stageRoleCoverage.score);
+  const { score: stageRoleCoverageScore, ...stageRoles } = stageRoleCoverage;
   
   // Count contacts with inferred roles
   const inferredRoleCount = contactEngagementScores.filter(c => c.roleSource === 'inferred').length;
@@ -198,29 +475,81 @@ function calculateMultiThreadingScore(data, options = {}) {
     roleCoverageScore: roleCoverage.score,
     contactCount: contacts.length,
     threadDepth,
+    threadDepthScore,
     riskLevel,
     riskColor,
     coveredRoles: roleCoverage.coveredRoles,
     missingKeyRoles: roleCoverage.missingKeyRoles,
+    scoreMode: scoringConfig.scoreMode,
+    expectationProfile: summarizeExpectationProfile(expectationProfile),
+    stageAdjusted: {
+      dealStage,
+      stagePhase: getStagePhase(scoringConfig, dealStage),
+      overallScore: stageAdjustedScore,
+      roleCoverageScore: stageRoleCoverageScore,
+      ...getRiskLevel(stageAdjustedScore, riskThresholds),
+      ...stageRoles
+    },
     contacts: contactEngagementScores,
     roleInferenceStats: {
       totalContacts: contacts.length,
       inferredRoles: inferredRoleCount,
       explicitRoles: contacts.length - inferredRoleCount
-    }
+    },
+    engagementModel,
+    configVersion: scoringConfig.version || 0
+  };
+}
+
+/**
+ * Score a deal with every engagement model, to compare them on the same data
+ * @param {Object} data - Deal data with contacts
+ * @param {Object} options - Same as calculateMultiThreadingScore
+ * @returns {Object} The configured model, each model's scores, and each contact's
+ *   engagement score under each model
+ */
+function compareEngagementModels(data, options = {}) {
+  const { scoringConfig = DEFAULT_SCORING_CONFIG } = options;
+  const models = Object.values(ENGAGEMENT_MODELS);
+  const scores = models.map(engagementModel => calculateMultiThreadingScore(data, { ...options, engagementModel }));
+
+  return {
+    activeModel: scoringConfig.engagement.model,
+    models: Object.fromEntries(models.map((model, index) => [model, {
+      overallScore: scores[index].overallScore,
+      engagementScore: scores[index].engagementScore,
+      riskLevel: scores[index].riskLevel
+    }])),
+    contacts: scores[0].contacts.map((contact, contactIndex) => ({
+      contactId: contact.contactId,
+      name: contact.name,
+      effectiveRole: contact.effectiveRole,
+      engagementScores: Object.fromEntries(models.map((model, index) => [
+        model,
+        scores[index].contacts[contactIndex].engagementScore
+      ]))
+    }))
   };
 }
 
 /**
  * Generate actionable recommendations based on score analysis
+ * In stage mode, missing roles, the champion check and score cut-offs follow the
+ * stage-adjusted score (see getReportedScore).
  * @param {Object} scoreData - Score breakdown from calculateMultiThreadingScore
+ * @param {Object} options - suggestedStakeholders keyed by role, from HubSpotService.getSuggestedStakeholders,
+ *   and the portal's scoringConfig
  * @returns {Array} Array of recommendation objects
  */
-function generateRecommendations(scoreData) {
+function generateRecommendations(scoreData, options = {}) {
+  const { suggestedStakeholders = {}, scoringConfig = DEFAULT_SCORING_CONFIG } = options;
+  const { riskThresholds, alerts: alertThresholds } = scoringConfig;
+  const reported = getReportedScore(scoreData);
+  const stageMode = reported.scoreMode === SCORE_MODES.STAGE;
   const recommendations = [];
   
   // Single-thread exposure warning
-  if (scoreData.contactCount <= 1) {
+  if (scoreData.contactCount <= alertThresholds.singleThreadedMaxContacts) {
     recommendations.push({
       priority: 'HIGH',
       type: 'SINGLE_THREAD_RISK',
@@ -231,17 +560,38 @@ function generateRecommendations(scoreData) {
   }
   
   // Missing key decision makers
-  if (scoreData.missingKeyRoles.length > 0) {
-    const missingRolesFormatted = scoreData.missingKeyRoles.map(r => r.toLowerCase().replace('_', ' ')).join(', ');
+  if (reported.missingRoles.length > 0) {
+    const missingRolesFormatted = reported.missingRoles.map(r => r.toLowerCase().replace('_', ' ')).join(', ');
     recommendations.push({
       priority: 'HIGH',
       type: 'MISSING_ROLES',
       title: '🎯 Missing Key Roles',
-      message: `Key buying roles not yet identified: ${missingRolesFormatted}.`,
+      message: stageMode
+        ? `Buying roles this stage needs, not yet identified: ${missingRolesFormatted}.`
+        : `Key buying roles not yet identified: ${missingRolesFormatted}.`,
       action: 'Research the organization structure and identify contacts filling these roles.'
     });
   }
   
+  // Company contacts who could fill the missing roles
+  reported.missingRoles.forEach(role => {
+    const [topSuggestion] = suggestedStakeholders[role] || [];
+    if (!topSuggestion) {
+      return;
+    }
+    const roleFormatted = role.toLowerCase().replace('_', ' ');
+    const titleSuffix = topSuggestion.jobTitle ? ` (${topSuggestion.jobTitle})` : '';
+    recommendations.push({
+      priority: 'HIGH',
+      type: 'SUGGESTED_STAKEHOLDER',
+      title: `👤 Suggested ${roleFormatted}`,
+      message: `${topSuggestion.name}${titleSuffix} at this account is a likely ${roleFormatted}.`,
+      action: `Add ${topSuggestion.name} to the deal and engage them.`,
+      role,
+      contactId: topSuggestion.contactId
+    });
+  });
+  
   // Low engagement contacts
   const lowEngagementContacts = scoreData.contacts.filter(c => c.engagementScore < 30);
   if (lowEngagementContacts.length > 0) {
@@ -254,8 +604,10 @@ function generateRecommendations(scoreData) {
     });
   }
   
-  // No champion identified
-  if (!scoreData.coveredRoles.includes('CHAMPION')) {
+  // No champion identified, when the stage expects one
+  const championExpected = !stageMode ||
+    [...scoreData.stageAdjusted.requiredRoles, ...scoreData.stageAdjusted.recommendedRoles].includes('CHAMPION');
+  if (championExpected && !scoreData.coveredRoles.includes('CHAMPION')) {
     recommendations.push({
       priority: 'MEDIUM',
       type: 'NO_CHAMPION',
@@ -266,7 +618,7 @@ function generateRecommendations(scoreData) {
   }
   
   // Good multi-threading
-  if (scoreData.overallScore >= 70 && scoreData.contactCount >= 3) {
+  if (reported.overallScore >= riskThresholds.low && scoreData.contactCount >= 3) {
     recommendations.push({
       priority: 'LOW',
       type: 'STRONG_POSITION',
@@ -277,7 +629,7 @@ function generateRecommendations(scoreData) {
   }
   
   // Low overall score
-  if (scoreData.overallScore < 40) {
+  if (reported.overallScore < riskThresholds.medium) {
     recommendations.push({
       priority: 'HIGH',
       type: 'CRITICAL_COVERAGE',
@@ -296,9 +648,22 @@ function generateRecommendations(scoreData) {
 module.exports = {
   calculateMultiThreadingScore,
   calculateContactEngagementScore,
+  calculateDecayedEngagementScore,
+  getActivityPoints,
+  scoreContactEngagement,
+  compareEngagementModels,
+  matchEmailReplies,
+  calculateContactResponsiveness,
   calculateParticipationScore,
   calculateRoleCoverageScore,
+  calculateStageRoleCoverageScore,
+  getRiskLevel,
+  getReportedScore,
+  summarizeExpectationProfile,
   generateRecommendations,
   BUYING_ROLE_WEIGHTS,
-  KEY_ROLES
+  KEY_ROLES,
+  ACTIVE_CONTACT_MIN_ENGAGEMENTS,
+  KEY_ROLE_COVERAGE_WEIGHT,
+  MIN_EMAILS_FOR_REPLY_RATE
 };
@@ -0,0 +1,242 @@
+/**
+ * Sweep Service - Scheduled portfolio sweeps for time-based alerts
+ *
+ * Alerts such as an inactive champion or no new contacts in 14 days depend on time
+ * passing rather than on a HubSpot change, so no webhook triggers them. A sweep
+ * queues a recalculation of every open deal in a portal, which rescores the deal,
+ * tracks lifecycle changes against its last snapshot and dispatches alerts.
+ *
+ * This service provides:
+ * 1. Per-portal sweep schedules (enabled, interval), persisted through the data store
+ * 2. A timer that queues sweeps as they fall due
+ * 3. A job handler that resolves a portal's open deals to recalculation jobs
+ * 4. Sweep status: last and next run, and the outcome of the last sweep
+ */
+
+const HubSpotService = require('./hubspotService');
+const { createStore } = require('./dataStore');
+const { jobQueue } = require('./jobQueue');
+const { listPortals } = require('./tokenStore');
+const { enqueueDealRecalculation } = require('./recalculationService');
+
+const SWEEP_JOB_TYPE = 'portal.sweep';
+const SWEEP_REASON = 'sweep';
+
+const DEFAULT_SWEEP_SCHEDULE = {
+  enabled: process.env.SWEEP_ENABLED !== 'false',
+  intervalMinutes: parseInt(process.env.SWEEP_INTERVAL_MINUTES, 10) || 1440
+};
+
+// Sweeps reload every open deal, so they can't run more often than this
+const MIN_INTERVAL_MINUTES = 15;
+
+// How often the timer checks for sweeps that are due
+const TICK_INTERVAL_MS = 60 * 1000;
+
+const store = createStore('sweep-schedules');
+let timer = null;
+
+function getScheduleKey(portalId) {
+  return portalId ? String(portalId) : 'default';
+}
+
+/**
+ * Get a portal's sweep schedule and status
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Promise<Object>} enabled, intervalMinutes, lastQueuedAt, lastRunAt, lastResult,
+ *   lastError and nextRunAt
+ */
+async function getSchedule(portalId) {
+  const saved = await store.get(getScheduleKey(portalId));
+  const schedule = {
+    portalId: portalId ? String(portalId) : null,
+    ...DEFAULT_SWEEP_SCHEDULE,
+    lastQueuedAt: null,
+    lastRunAt: null,
+    lastResult: null,
+    lastError: null,
+    ...saved
+  };
+
+  let nextRunAt = null;
+  if (schedule.enabled) {
+    nextRunAt = schedule.lastQueuedAt
+      ? new Date(new Date(schedule.lastQueuedAt).getTime() + schedule.intervalMinutes * 60 * 1000).toISOString()
+      : new Date().toISOString();
+  }
+  return { ...schedule, nextRunAt };
+}
+
+/**
+ * Change a portal's sweep schedule
+ * @param {string} portalId - HubSpot portal ID
+ * @param {Object} changes - enabled and/or intervalMinutes (at least MIN_INTERVAL_MINUTES)
+ * @returns {Promise<Object>} Updated schedule
+ */
+async function updateSchedule(portalId, changes) {
+  const key = getScheduleKey(portalId);
+  const saved = await store.get(key) || {};
+  const update = {};
+  if (changes.enabled !== undefined) {
+    update.enabled = Boolean(changes.enabled);
+  }
+  if (changes.intervalMinutes !== undefined) {
+    update.intervalMinutes = Math.max(MIN_INTERVAL_MINUTES, parseInt(changes.intervalMinutes, 10));
+  }
+  await store.set(key, { ...saved, ...update });
+  return getSchedule(portalId);
+}
+
+async function recordSweep(portalId, fields) {
+  const key = getScheduleKey(portalId);
+  await store.set(key, { ...await store.get(key), ...fields });
+}
+
+/**
+ * List the portals that can be swept
+ * In private app mode that is the configured portal, otherwise every installed portal.
+ * @returns {Promise<Array<string|null>>} Portal IDs (null for a private app without a portal ID)
+ */
+async function listSweepPortals() {
+  if (process.env.HUBSPOT_PRIVATE_APP_TOKEN) {
+    return [process.env.HUBSPOT_PORTAL_ID || null];
+  }
+  return listPortals();
+}
+
+/**
+ * Queue a sweep of a portal's open deals
+ * @param {string} portalId - HubSpot portal ID
+ * @param {JobQueue} queue - Queue to add the job to
+ * @returns {Promise<Object>} Queued job
+ */
+async function queuePortalSweep(portalId, queue = jobQueue) {
+  const job = await queue.enqueue(
+    SWEEP_JOB_TYPE,
+    { portalId: portalId ? String(portalId) : null },
+    { key: `sweep:${getScheduleKey(portalId)}`, debounceMs: 0 }
+  );
+  await recordSweep(portalId, { lastQueuedAt: new Date().toISOString() });
+  return job;
+}
+
+/**
+ * Queue sweeps for every portal whose schedule is due
+ * @param {Object} options - queue, and now (for testing)
+ * @returns {Promise<Array<string|null>>} Portals swept
+ */
+async function runDueSweeps(options = {}) {
+  const { queue = jobQueue, now = Date.now() } = options;
+  const queued = [];
+
+  for (const portalId of await listSweepPortals()) {
+    const schedule = await getSchedule(portalId);
+    // A portal that has never been swept is due straight away
+    const dueAt = schedule.lastQueuedAt ? new Date(schedule.nextRunAt).getTime() : 0;
+    if (schedule.enabled && dueAt <= now) {
+      await queuePortalSweep(portalId, queue);
+      queued.push(portalId);
+    }
+  }
+  return queued;
+}
+
+/**
+ * Queue a recalculation of every open deal in a portal
+ * @param {HubSpotService} hubspotService - Service for the portal
+ * @param {string} portalId - HubSpot portal ID
+ * @param {JobQueue} queue - Queue to add recalculation jobs to
+ * @returns {Promise<Object>} dealsQueued, and whether the portal had more open deals than were swept
+ */
+async function sweepPortal(hubspotService, portalId, queue = jobQueue) {
+  const { dealIds, truncated } = await hubspotService.getOpenDealIds();
+  for (const dealId of dealIds) {
+    await enqueueDealRecalculation(portalId, dealId, SWEEP_REASON, queue);
+  }
+  return { dealsQueued: dealIds.length, truncated };
+}
+
+/**
+ * Register the queue handler that runs portal sweeps
+ * @param {Object} options - getAccessToken(portalId)
+ * @param {JobQueue} queue - Queue whose jobs to handle
+ */
+function registerSweepHandler(options, queue = jobQueue) {
+  const { getAccessToken } = options;
+
+  queue.registerHandler(SWEEP_JOB_TYPE, async ({ portalId }) => {
+    try {
+      const accessToken = await getAccessToken(portalId);
+      const hubspotService = new HubSpotService(accessToken, { portalId, useCache: true });
+      const result = await sweepPortal(hubspotService, portalId, queue);
+      await recordSweep(portalId, { lastRunAt: new Date().toISOString(), lastResult: result, lastError: null });
+      return result;
+    } catch (error) {
+      await recordSweep(portalId, { lastError: error.message });
+      throw error;
+    }
+  });
+}
+
+/**
+ * Start checking for due sweeps every minute
+ * @param {Object} options - queue, and tickMs (for testing)
+ */
+function startSweepScheduler(options = {}) {
+  const { queue = jobQueue, tickMs = TICK_INTERVAL_MS } = options;
+  stopSweepScheduler();
+
+  const tick = () => runDueSweeps({ queue })
+    .then(portals => portals.length > 0 && console.log(`Queued portfolio sweeps for ${portals.length} portal(s)`))
+    .catch(error => console.error('Sweep scheduling error:', error.message));
+
+  tick();
+  timer = setInterval(tick, tickMs);
+  timer.unref?.();
+}
+
+/**
+ * Stop the sweep timer
+ */
+function stopSweepScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Get the sweep schedule of every portal that can be swept
+ * @returns {Promise<Array>} Schedules
+ */
+async function getSweepStatus() {
+  const schedules = [];
+  for (const portalId of await listSweepPortals()) {
+    schedules.push(await getSchedule(portalId));
+  }
+  return schedules;
+}
+
+/**
+ * Remove a portal's sweep schedule
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Promise<boolean>} Whether a schedule was stored
+ */
+async function purgePortalSchedule(portalId) {
+  return store.delete(getScheduleKey(portalId));
+}
+
+module.exports = {
+  getSchedule,
+  updateSchedule,
+  listSweepPortals,
+  queuePortalSweep,
+  runDueSweeps,
+  sweepPortal,
+  registerSweepHandler,
+  startSweepScheduler,
+  stopSweepScheduler,
+  getSweepStatus,
+  purgePortalSchedule,
+  SWEEP_JOB_TYPE,
+  DEFAULT_SWEEP_SCHEDULE,
+  MIN_INTERVAL_MINUTES
+};
@@ -0,0 +1,54 @@
+/**
+ * Token Store - OAuth tokens for every portal that has installed the app
+ *
+ * This service provides:
+ * 1. Persistent per-portal token storage (see dataStore for backends)
+ * 2. Lookup of installed portals
+ */
+
+const { createStore } = require('./dataStore');
+
+const store = createStore('tokens');
+
+/**
+ * Save a portal's tokens
+ * @param {string|number} portalId - HubSpot portal (hub) ID
+ * @param {Object} tokens - accessToken, refreshToken, expiresAt and install metadata
+ */
+async function saveTokens(portalId, tokens) {
+  await store.set(String(portalId), { ...tokens, portalId: String(portalId) });
+}
+
+/**
+ * Get a portal's tokens
+ * @param {string|number} portalId - HubSpot portal ID
+ * @returns {Promise<Object|null>} Stored tokens
+ */
+async function getTokens(portalId) {
+  return store.get(String(portalId));
+}
+
+/**
+ * Remove a portal's tokens
+ * @param {string|number} portalId - HubSpot portal ID
+ * @returns {Promise<boolean>} Whether tokens were stored
+ */
+async function deleteTokens(portalId) {
+  return store.delete(String(portalId));
+}
+
+/**
+ * List installed portals
+ * @returns {Promise<Array<string>>} Portal IDs with stored tokens
+ */
+async function listPortals() {
+  const entries = await store.entries();
+  return entries.map(([portalId]) => portalId);
+}
+
+module.exports = {
+  saveTokens,
+  getTokens,
+  deleteTokens,
+  listPortals
+};
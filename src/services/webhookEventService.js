@@ -0,0 +1,181 @@
+/**
+ * Webhook Event Service - Idempotent handling of HubSpot webhook deliveries
+ *
+ * This service provides:
+ * 1. Deduplication by eventId, so HubSpot's retries are only processed once
+ * 2. Ordering by occurredAt: events older than the last one processed for the same
+ *    object (and property, for property changes) are discarded as stale
+ * 3. A per-deal event history, including contact events for the deal's contacts
+ *
+ * Events are stored without property values, which may hold personal data.
+ */
+
+const { createStore } = require('./dataStore');
+
+const EVENT_STATUS = {
+  PROCESSED: 'PROCESSED',
+  DUPLICATE: 'DUPLICATE',
+  STALE: 'STALE'
+};
+
+// How long events are kept for deduplication and history. HubSpot retries for up to a day.
+const EVENT_RETENTION_MS = (parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const events = createStore('webhook-events');
+const objectState = createStore('webhook-object-state');
+
+// Events being recorded right now, so concurrent deliveries of one event can't both pass
+const inFlight = new Set();
+let lastPrunedAt = 0;
+
+function getEventKey(portalId, eventId) {
+  return `${portalId || 'default'}:${eventId}`;
+}
+
+function getStateKey(portalId, objectType, event) {
+  // Property changes are ordered per property; other events per subscription type
+  const stream = event.propertyName || event.subscriptionType;
+  return `${portalId || 'default'}:${objectType}:${event.objectId}:${stream}`;
+}
+
+/**
+ * Record a webhook event and decide whether it should be processed
+ * Events without an eventId or occurredAt skip the corresponding check.
+ * @param {Object} event - HubSpot webhook event
+ * @param {string} objectType - 'deal' or 'contact'
+ * @param {Object} options - dealIds the event affects (for contact events)
+ * @returns {Promise<Object>} Stored entry, with status PROCESSED, DUPLICATE or STALE
+ */
+async function recordWebhookEvent(event, objectType, options = {}) {
+  const portalId = event.portalId ? String(event.portalId) : null;
+  const eventKey = event.eventId !== undefined && event.eventId !== null
+    ? getEventKey(portalId, event.eventId)
+    : null;
+  const occurredAt = Number(event.occurredAt) || null;
+
+  const entry = {
+    eventId: eventKey ? String(event.eventId) : null,
+    portalId,
+    objectType,
+    objectId: String(event.objectId),
+    subscriptionType: event.subscriptionType || null,
+    propertyName: event.propertyName || null,
+    attemptNumber: event.attemptNumber ?? null,
+    occurredAt,
+    receivedAt: Date.now(),
+    dealIds: objectType === 'deal' ? [String(event.objectId)] : (options.dealIds || []).map(String),
+    status: EVENT_STATUS.PROCESSED
+  };
+
+  if (eventKey) {
+    if (inFlight.has(eventKey)) {
+      return { ...entry, status: EVENT_STATUS.DUPLICATE };
+    }
+    inFlight.add(eventKey);
+  }
+
+  try {
+    if (eventKey && await events.get(eventKey)) {
+      return { ...entry, status: EVENT_STATUS.DUPLICATE };
+    }
+
+    if (occurredAt) {
+      const stateKey = getStateKey(portalId, objectType, event);
+      const state = await objectState.get(stateKey);
+      if (state && occurredAt < state.occurredAt) {
+        entry.status = EVENT_STATUS.STALE;
+      } else {
+        await objectState.set(stateKey, { occurredAt, updatedAt: entry.receivedAt });
+      }
+    }
+
+    if (eventKey) {
+      await events.set(eventKey, entry);
+    }
+  } finally {
+    if (eventKey) {
+      inFlight.delete(eventKey);
+    }
+  }
+
+  await pruneWebhookEvents();
+  return entry;
+}
+
+/**
+ * Get the webhook events that affected a deal
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} dealId - Deal ID
+ * @param {Object} options - limit
+ * @returns {Promise<Array>} Events, most recent first
+ */
+async function getDealEventHistory(portalId, dealId, options = {}) {
+  const { limit = 100 } = options;
+  const prefix = `${portalId || 'default'}:`;
+  const entries = await events.entries();
+
+  return entries
+    .filter(([key, entry]) => key.startsWith(prefix) && entry.dealIds.includes(String(dealId)))
+    .map(([, entry]) => entry)
+    .sort((a, b) => (b.occurredAt || b.receivedAt) - (a.occurredAt || a.receivedAt))
+    .slice(0, limit);
+}
+
+/**
+ * Drop events and object state past the retention period
+ * Runs at most once an hour unless forced.
+ * @param {Object} options - force, and now (for testing)
+ * @returns {Promise<number>} Entries removed
+ */
+async function pruneWebhookEvents(options = {}) {
+  const { force = false, now = Date.now() } = options;
+  if (!force && now - lastPrunedAt < PRUNE_INTERVAL_MS) {
+    return 0;
+  }
+  lastPrunedAt = now;
+
+  const cutoff = now - EVENT_RETENTION_MS;
+  let removed = 0;
+  for (const [key, entry] of await events.entries()) {
+    if (entry.receivedAt < cutoff) {
+      await events.delete(key);
+      removed++;
+    }
+  }
+  for (const [key, state] of await objectState.entries()) {
+    if (state.updatedAt < cutoff) {
+      await objectState.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Remove every event and object state recorded for a portal
+ * @param {string} portalId - HubSpot portal ID
+ * @returns {Promise<number>} Entries removed
+ */
+async function purgePortalEvents(portalId) {
+  const prefix = `${portalId}:`;
+  let removed = 0;
+  for (const store of [events, objectState]) {
+    for (const [key] of await store.entries()) {
+      if (key.startsWith(prefix)) {
+        await store.delete(key);
+        removed++;
+      }
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  recordWebhookEvent,
+  getDealEventHistory,
+  pruneWebhookEvents,
+  purgePortalEvents,
+  EVENT_STATUS,
+  EVENT_RETENTION_MS
+};
@@ -0,0 +1,124 @@
+/**
+ * Webhook Signature Service - Validates HubSpot request signatures
+ *
+ * This service provides:
+ * 1. v1 and v2 signatures: SHA-256 of the client secret and request (X-HubSpot-Signature)
+ * 2. v3 signatures: HMAC-SHA256 over method, decoded URI, body and timestamp
+ *    (X-HubSpot-Signature-v3), with a five-minute replay window
+ * 3. Constant-time comparison of expected and received signatures
+ *
+ * Signatures cover the exact bytes HubSpot sent, so callers must pass the raw
+ * request body rather than re-serialized JSON.
+ * https://developers.hubspot.com/docs/api/webhooks/validating-requests
+ */
+
+const crypto = require('crypto');
+
+// v3 requests older than this are rejected as possible replays
+const MAX_TIMESTAMP_AGE_MS = 5 * 60 * 1000;
+
+// Characters HubSpot decodes in the URI before signing a v3 request
+const V3_DECODED_CHARACTERS = {
+  '%3A': ':',
+  '%2F': '/',
+  '%3F': '?',
+  '%40': '@',
+  '%21': '!',
+  '%24': '$',
+  '%27': "'",
+  '%28': '(',
+  '%29': ')',
+  '%2A': '*',
+  '%2C': ',',
+  '%3B': ';'
+};
+
+/**
+ * Decode a request URI the way HubSpot does before signing it
+ * @param {string} uri - Full request URI
+ * @returns {string} Decoded URI
+ */
+function decodeSignedUri(uri) {
+  return uri.replace(/%(3A|2F|3F|40|21|24|27|28|29|2A|2C|3B)/gi, match => V3_DECODED_CHARACTERS[match.toUpperCase()]);
+}
+
+/**
+ * Compute the signature HubSpot would send for a request
+ * @param {string} version - v1, v2 or v3
+ * @param {Object} request - secret, method, uri (full URL), body (raw string) and timestamp (v3)
+ * @returns {string} Hex (v1, v2) or base64 (v3) signature
+ */
+function computeSignature(version, request) {
+  const { secret, method = 'POST', uri = '', body = '', timestamp = '' } = request;
+
+  switch (version) {
+    case 'v1':
+      return crypto.createHash('sha256').update(secret + body).digest('hex');
+    case 'v2':
+      return crypto.createHash('sha256').update(secret + method + uri + body).digest('hex');
+    case 'v3':
+      return crypto
+        .createHmac('sha256', secret)
+        .update(`${method}${decodeSignedUri(uri)}${body}${timestamp}`)
+        .digest('base64');
+    default:
+      throw new Error(`Unsupported signature version: ${version}`);
+  }
+}
+
+function safeEqual(expected, received) {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(String(received));
+  return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Check a request's HubSpot signature, preferring v3 when present
+ * @param {Object} request - headers (lower-cased), method, uri (full URL) and rawBody
+ * @param {string} secret - App client secret
+ * @param {number} now - Current time in milliseconds (for testing)
+ * @returns {Object} { valid, version, reason }
+ */
+function verifySignature(request, secret, now = Date.now()) {
+  const { headers = {}, method = 'POST', uri = '' } = request;
+  const body = request.rawBody === undefined || request.rawBody === null ? '' : request.rawBody.toString('utf8');
+
+  const v3Signature = headers['x-hubspot-signature-v3'];
+  if (v3Signature) {
+    const timestamp = headers['x-hubspot-request-timestamp'];
+    const requestTime = parseInt(timestamp, 10);
+    if (isNaN(requestTime)) {
+      return { valid: false, version: 'v3', reason: 'missing_timestamp' };
+    }
+    if (Math.abs(now - requestTime) > MAX_TIMESTAMP_AGE_MS) {
+      return { valid: false, version: 'v3', reason: 'stale_timestamp' };
+    }
+
+    const expected = computeSignature('v3', { secret, method, uri, body, timestamp });
+    return safeEqual(expected, v3Signature)
+      ? { valid: true, version: 'v3' }
+      : { valid: false, version: 'v3', reason: 'invalid_signature' };
+  }
+
+  const signature = headers['x-hubspot-signature'];
+  if (signature) {
+    const version = (headers['x-hubspot-signature-version'] || 'v1').toLowerCase();
+    if (version !== 'v1' && version !== 'v2') {
+      return { valid: false, version, reason: 'unsupported_version' };
+    }
+
+    const expected = computeSignature(version, { secret, method, uri, body });
+    return safeEqual(expected, signature.toLowerCase())
+      ? { valid: true, version }
+      : { valid: false, version, reason: 'invalid_signature' };
+  }
+
+  return { valid: false, version: null, reason: 'missing_signature' };
+}
+
+module.exports = {
+  verifySignature,
+  computeSignature,
+  decodeSignedUri,
+  MAX_TIMESTAMP_AGE_MS
+};
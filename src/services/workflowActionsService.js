@@ -34,11 +34,12 @@ const ACTION_RESULTS = {
  * Handle workflow action: Check if score is below threshold
  * @param {Object} params - Action parameters
  * @param {Object} dealData - Deal with contacts
+ * @param {Object} options - The portal's scoringConfig
  * @returns {Object} Action result
  */
-function handleScoreThresholdCheck(params, dealData) {
+function handleScoreThresholdCheck(params, dealData, options = {}) {
   const { threshold = 40, comparison = 'LESS_THAN' } = params;
-  const scoreData = calculateMultiThreadingScore(dealData);
+  const scoreData = calculateMultiThreadingScore(dealData, options);
   
   let conditionMet = false;
   
@@ -79,11 +80,12 @@ function handleScoreThresholdCheck(params, dealData) {
  * Handle workflow action: Check if specific role is engaged
  * @param {Object} params - Action parameters
  * @param {Object} dealData - Deal with contacts
+ * @param {Object} options - The portal's scoringConfig
  * @returns {Object} Action result
  */
-function handleRoleCoverageCheck(params, dealData) {
+function handleRoleCoverageCheck(params, dealData, options = {}) {
   const { role = 'DECISION_MAKER', engagementThreshold = 0 } = params;
-  const scoreData = calculateMultiThreadingScore(dealData);
+  const scoreData = calculateMultiThreadingScore(dealData, options);
   
   const roleContacts = scoreData.contacts.filter(c => 
     (c.role || '').toUpperCase() === role.toUpperCase() ||
@@ -114,11 +116,12 @@ function handleRoleCoverageCheck(params, dealData) {
  * Handle workflow action: Check stakeholder count
  * @param {Object} params - Action parameters
  * @param {Object} dealData - Deal with contacts
+ * @param {Object} options - The portal's scoringConfig
  * @returns {Object} Action result
  */
-function handleStakeholderCountCheck(params, dealData) {
+function handleStakeholderCountCheck(params, dealData, options = {}) {
   const { minCount = 3, countEngagedOnly = false, engagementThreshold = 20 } = params;
-  const scoreData = calculateMultiThreadingScore(dealData);
+  const scoreData = calculateMultiThreadingScore(dealData, options);
   
   let count;
   if (countEngagedOnly) {
@@ -246,21 +249,23 @@ function generateNotificationPayload(params, dealData, scoreData) {
  * @param {string} actionType - Type of action
  * @param {Object} params - Action parameters
  * @param {Object} dealData - Deal with contacts
+ * @param {Object} options - The portal's scoringConfig
  * @returns {Object} Action result
  */
-function handleWorkflowAction(actionType, params, dealData) {
+function handleWorkflowAction(actionType, params, dealData, options = {}) {
+  const { scoringConfig } = options;
   try {
-    const scoreData = calculateMultiThreadingScore(dealData);
+    const scoreData = calculateMultiThreadingScore(dealData, { scoringConfig });
     
     switch (actionType) {
       case WORKFLOW_ACTIONS.CHECK_SCORE_THRESHOLD:
-        return handleScoreThresholdCheck(params, dealData);
+        return handleScoreThresholdCheck(params, dealData, { scoringConfig });
         
       case WORKFLOW_ACTIONS.CHECK_ROLE_COVERAGE:
-        return handleRoleCoverageCheck(params, dealData);
+        return handleRoleCoverageCheck(params, dealData, { scoringConfig });
         
       case WORKFLOW_ACTIONS.CHECK_STAKEHOLDER_COUNT:
-        return handleStakeholderCountCheck(params, dealData);
+        return handleStakeholderCountCheck(params, dealData, { scoringConfig });
         
       case WORKFLOW_ACTIONS.CREATE_TASK:
         return {
@@ -277,7 +282,7 @@ function handleWorkflowAction(actionType, params, dealData) {
       case WORKFLOW_ACTIONS.RECALCULATE_SCORE:
         const coverageAnalysis = calculateCoverageAnalysis(
           dealData.contacts || [], 
-          { dealStage: dealData.deal?.dealstage }
+          { dealStage: dealData.deal?.dealstage, deal: dealData.deal, scoringConfig }
         );
         return {
           result: ACTION_RESULTS.ACTION_COMPLETED,
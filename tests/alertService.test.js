@@ -1,11 +1,21 @@
+jest.mock('axios');
+
+const axios = require('axios');
 const {
   generateThreadingAlerts,
   formatSlackAlert,
   formatEmailAlert,
+  sendAlerts,
   shouldThrottle,
+  recordAlertSent,
   clearAlertHistory,
-  ALERT_CONFIGS
+  clearPortalAlertHistory,
+  deliverQueuedAlert,
+  ALERT_CONFIGS,
+  ALERT_JOB_TYPE
 } = require('../src/services/alertService');
+const { jobQueue } = require('../src/services/jobQueue');
+const { DEFAULT_SCORING_CONFIG, mergeScoringConfig } = require('../src/services/scoringConfigService');
 
 describe('Alert Service', () => {
   beforeEach(() => {
@@ -115,9 +125,57 @@ describe('Alert Service', () => {
       };
       
       const alerts = generateThreadingAlerts(dealData, scoreData, coverageAnalysis);
-      
+
       expect(alerts.length).toBe(0);
     });
+
+    describe('with lifecycle data', () => {
+      const dealData = { dealId: '123', deal: { dealname: 'Test Deal' } };
+      const scoreData = {
+        contactCount: 3,
+        overallScore: 70,
+        contacts: [{ role: 'DECISION_MAKER', effectiveRole: 'DECISION_MAKER', engagementScore: 60 }]
+      };
+
+      test('generates NO_NEW_CONTACTS from the days since a stakeholder was added', () => {
+        const lifecycleData = { changes: [], alerts: [], daysSinceNewContact: 15 };
+
+        const alert = generateThreadingAlerts(dealData, scoreData, null, lifecycleData).find(a => a.type === 'NO_NEW_CONTACTS');
+
+        expect(alert.data.daysSinceNewContact).toBe(15);
+      });
+
+      test('generates one STAKEHOLDER_INACTIVE alert for inactive key stakeholders', () => {
+        const lifecycleData = {
+          changes: [],
+          daysSinceNewContact: 2,
+          alerts: [
+            { type: 'DM_INACTIVE', title: '⏰ DM hasn\'t engaged in 20 days', message: 'Dana (Decision Maker) last engaged 20 days ago', action: 'Reach out' },
+            { type: 'CHAMPION_INACTIVE', title: '⏰ Champion inactive 9 days', message: 'Chris (Champion) last engaged 9 days ago', action: 'Check in' }
+          ]
+        };
+
+        const alerts = generateThreadingAlerts(dealData, scoreData, null, lifecycleData).filter(a => a.type === 'STAKEHOLDER_INACTIVE');
+
+        expect(alerts).toHaveLength(1);
+        expect(alerts[0].message).toBe('Dana (Decision Maker) last engaged 20 days ago. Chris (Champion) last engaged 9 days ago.');
+        expect(alerts[0].data.inactiveStakeholders.map(s => s.type)).toEqual(['DM_INACTIVE', 'CHAMPION_INACTIVE']);
+      });
+
+      test('uses the portal\'s alert thresholds', () => {
+        const lifecycleData = { changes: [{ type: 'SCORE_CHANGE', previousScore: 80, currentScore: 70, change: -10 }], alerts: [], daysSinceNewContact: 8 };
+        const scoringConfig = mergeScoringConfig(DEFAULT_SCORING_CONFIG, {
+          alerts: { singleThreadedMaxContacts: 3, noNewContactsDays: 7, scoreDropPoints: 10, decisionMakerEngagementMin: 70 }
+        });
+
+        const types = generateThreadingAlerts(dealData, scoreData, null, lifecycleData, { scoringConfig }).map(a => a.type);
+        clearAlertHistory();
+        const defaultTypes = generateThreadingAlerts(dealData, scoreData, null, lifecycleData).map(a => a.type);
+
+        expect(types).toEqual(['SINGLE_THREADED', 'NO_NEW_CONTACTS', 'DM_NOT_ENGAGED', 'SCORE_DROPPED']);
+        expect(defaultTypes).toEqual([]);
+      });
+    });
   });
 
   describe('formatSlackAlert', () => {
@@ -168,6 +226,123 @@ describe('Alert Service', () => {
       const result = shouldThrottle('deal123', 'SINGLE_THREADED');
       expect(result).toBe(false);
     });
+
+    test('throttles per portal', () => {
+      recordAlertSent('deal123', 'SINGLE_THREADED', '111');
+
+      expect(shouldThrottle('deal123', 'SINGLE_THREADED', '111')).toBe(true);
+      expect(shouldThrottle('deal123', 'SINGLE_THREADED', '222')).toBe(false);
+    });
+
+    test('throttles alerts once they have been sent to Slack', async () => {
+      axios.post.mockResolvedValue({ status: 200 });
+      const alerts = generateThreadingAlerts(
+        { dealId: '123', portalId: '111', deal: { dealname: 'Test Deal' } },
+        { contactCount: 1, overallScore: 20, contacts: [] }
+      );
+
+      const first = await sendAlerts(alerts, { slackWebhookUrl: 'https://hooks.slack.com/test' });
+      const second = await sendAlerts(alerts, { slackWebhookUrl: 'https://hooks.slack.com/test' });
+
+      expect(first.sent.length).toBeGreaterThan(0);
+      expect(second.sent).toEqual([]);
+      expect(second.throttled.length).toBe(first.sent.length);
+      expect(shouldThrottle('123', 'SINGLE_THREADED', '111')).toBe(true);
+      expect(shouldThrottle('123', 'SINGLE_THREADED')).toBe(false);
+    });
+  });
+
+  describe('failed deliveries', () => {
+    const alert = {
+      type: 'SINGLE_THREADED',
+      ...ALERT_CONFIGS.SINGLE_THREADED,
+      dealId: '123',
+      portalId: '111',
+      dealName: 'Test Deal',
+      message: 'Only one contact',
+      data: {}
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      await jobQueue.clear();
+      console.error.mockRestore();
+    });
+
+    test('queues failed Slack alerts for retry', async () => {
+      axios.post.mockRejectedValue(new Error('Slack is down'));
+
+      const results = await sendAlerts([alert], { slackWebhookUrl: 'https://hooks.slack.com/test' });
+
+      expect(results.failed).toEqual([expect.objectContaining({ type: 'SINGLE_THREADED', error: 'Slack is down', retryJobId: expect.any(String) })]);
+      expect(jobQueue.getJobs()).toEqual([expect.objectContaining({
+        id: results.failed[0].retryJobId,
+        type: ALERT_JOB_TYPE,
+        data: { portalId: '111', alert }
+      })]);
+    });
+
+    test('retries with the webhook URL the alert was sent to, without persisting it', async () => {
+      axios.post.mockRejectedValueOnce(new Error('Slack is down')).mockResolvedValueOnce({ status: 200 });
+
+      await sendAlerts([alert], { slackWebhookUrl: 'https://hooks.slack.com/secret' });
+      const [job] = jobQueue.getJobs();
+
+      expect(JSON.stringify(await jobQueue.store.entries())).not.toContain('hooks.slack.com');
+      await expect(deliverQueuedAlert(job.data, job)).resolves.toMatchObject({ success: true });
+      expect(axios.post).toHaveBeenLastCalledWith('https://hooks.slack.com/secret', expect.any(Object));
+    });
+
+    test('dead-letters retries with no webhook URL to send to', async () => {
+      const error = await deliverQueuedAlert({ alert }, { key: 'alert:restored' }).catch(e => e);
+
+      expect(error.message).toMatch('ALERT_SLACK_WEBHOOK_URL');
+      expect(error.retryable).toBe(false);
+    });
+
+    test('queues retries that the portal\'s uninstall purges, whatever the portal ID type', async () => {
+      axios.post.mockRejectedValue(new Error('Slack is down'));
+
+      await sendAlerts([{ ...alert, portalId: 111 }], { slackWebhookUrl: 'https://hooks.slack.com/test' });
+
+      expect(jobQueue.getJobs()[0].data.portalId).toBe('111');
+      expect(await jobQueue.purgePortal('111')).toBe(1);
+      expect(jobQueue.getJobs()).toEqual([]);
+    });
+
+    test('does not queue retries when disabled', async () => {
+      axios.post.mockRejectedValue(new Error('Slack is down'));
+
+      const results = await sendAlerts([alert], { slackWebhookUrl: 'https://hooks.slack.com/test', retryFailed: false });
+
+      expect(results.failed[0]).not.toHaveProperty('retryJobId');
+      expect(jobQueue.getJobs()).toEqual([]);
+    });
+
+    test('throws while Slack is failing so the queue retries', async () => {
+      process.env.ALERT_SLACK_WEBHOOK_URL = 'https://hooks.slack.com/test';
+      axios.post.mockRejectedValueOnce(new Error('Slack is down')).mockResolvedValueOnce({ status: 200 });
+
+      await expect(deliverQueuedAlert({ alert })).rejects.toThrow('Slack is down');
+      await expect(deliverQueuedAlert({ alert })).resolves.toMatchObject({ success: true });
+      await expect(deliverQueuedAlert({ alert })).resolves.toMatchObject({ skipped: 'throttled' });
+      delete process.env.ALERT_SLACK_WEBHOOK_URL;
+    });
+  });
+
+  describe('clearPortalAlertHistory', () => {
+    test('removes only the given portal\'s history', () => {
+      recordAlertSent('deal1', 'SINGLE_THREADED', '111');
+      recordAlertSent('deal2', 'COVERAGE_GAP', '111');
+      recordAlertSent('deal1', 'SINGLE_THREADED', '1111');
+
+      expect(clearPortalAlertHistory('111')).toBe(2);
+      expect(shouldThrottle('deal1', 'SINGLE_THREADED', '111')).toBe(false);
+      expect(shouldThrottle('deal1', 'SINGLE_THREADED', '1111')).toBe(true);
+    });
   });
 
   describe('ALERT_CONFIGS', () => {
@@ -1,5 +1,14 @@
 const request = require('supertest');
 const app = require('../src/app');
+const { cacheDeal, getCachedDeal, clearCache } = require('../src/services/cacheService');
+const { processInferredRoles, clearRoleReviews } = require('../src/services/roleReviewService');
+const { jobQueue } = require('../src/services/jobQueue');
+const { clearStores } = require('../src/services/dataStore');
+const { saveTokens } = require('../src/services/tokenStore');
+const { recordScoreSnapshot } = require('../src/services/dealSnapshotService');
+const { getAuditEvents } = require('../src/services/auditLogService');
+const HubSpotService = require('../src/services/hubspotService');
+const { saveScoringConfig } = require('../src/services/scoringConfigService');
 
 describe('App Routes', () => {
   describe('GET /', () => {
@@ -32,6 +41,14 @@ describe('OAuth Routes', () => {
       expect(response.status).toBe(302);
       expect(response.headers.location).toContain('app.hubspot.com/oauth/authorize');
     });
+
+    test('sends a signed state and sets the state cookie', async () => {
+      const response = await request(app).get('/oauth/authorize');
+      const state = new URL(response.headers.location).searchParams.get('state');
+
+      expect(state).toMatch(/^[\w-]+\.[\w-]+$/);
+      expect(response.headers['set-cookie'][0]).toMatch(/^mts_oauth_state=.+HttpOnly/);
+    });
   });
 
   describe('GET /oauth/callback', () => {
@@ -61,6 +78,42 @@ describe('CRM Card Routes', () => {
     });
   });
 
+  describe('GET /crm-card/deal with a scored deal', () => {
+    beforeEach(async () => {
+      await clearStores();
+      await saveTokens('111', { accessToken: 'a', refreshToken: 'r', expiresAt: Date.now() + 3600000 });
+      jest.spyOn(HubSpotService.prototype, 'getSuggestedStakeholders').mockResolvedValue({ suggestions: {} });
+      jest.spyOn(HubSpotService.prototype, 'updateDealScore').mockResolvedValue({});
+      jest.spyOn(HubSpotService.prototype, 'updateContactRoles').mockResolvedValue({});
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await clearStores();
+      await clearCache();
+    });
+
+    test('states the expectation profile the deal was scored with', async () => {
+      await saveScoringConfig('111', { expectationProfiles: { enabled: true } });
+      await cacheDeal('111', '123', 'deal', {
+        dealId: '123',
+        deal: { dealname: 'Acme starter', amount: '5000' },
+        contacts: [{
+          id: '456',
+          properties: { firstname: 'Ada', lastname: 'Lovelace', hs_buying_role: 'CHAMPION' },
+          engagements: { emails: 2, meetings: 1, calls: 0, total: 3 }
+        }]
+      });
+
+      const response = await request(app).get('/crm-card/deal?hs_object_id=123&portalId=111');
+
+      expect(response.status).toBe(200);
+      expect(response.body.results[0].properties).toContainEqual(
+        { label: 'Expectation Profile', dataType: 'STRING', value: 'SMB (deal amount 5,000)' }
+      );
+    });
+  });
+
   describe('POST /crm-card/refresh', () => {
     test('returns reload card response', async () => {
       const response = await request(app)
@@ -89,6 +142,10 @@ describe('CRM Card Routes', () => {
 });
 
 describe('Webhook Routes', () => {
+  afterEach(async () => {
+    await jobQueue.clear();
+  });
+
   describe('POST /webhooks/deal', () => {
     test('accepts deal webhook events', async () => {
       const webhookPayload = {
@@ -119,6 +176,208 @@ describe('Webhook Routes', () => {
     });
   });
 
+  describe('cache invalidation', () => {
+    beforeEach(async () => {
+      await clearCache();
+    });
+
+    test('deal events drop the cached deal snapshot', async () => {
+      await cacheDeal('111', '123', 'deal', { dealId: '123', contacts: [] });
+
+      await request(app)
+        .post('/webhooks/deal')
+        .send({ objectId: '123', portalId: 111, subscriptionType: 'deal.propertyChange' });
+
+      expect(await getCachedDeal('111', '123', 'deal')).toBeNull();
+    });
+
+    test('contact events drop cached snapshots of deals with that contact', async () => {
+      await cacheDeal('111', '123', 'deal', { dealId: '123', contacts: [{ id: '456' }] });
+      await cacheDeal('111', '124', 'deal', { dealId: '124', contacts: [{ id: '789' }] });
+
+      await request(app)
+        .post('/webhooks/contact')
+        .send({ objectId: '456', portalId: 111, subscriptionType: 'contact.propertyChange' });
+
+      expect(await getCachedDeal('111', '123', 'deal')).toBeNull();
+      expect(await getCachedDeal('111', '124', 'deal')).not.toBeNull();
+    });
+  });
+
+  describe('recalculation jobs', () => {
+    test('queues one recalculation per deal for repeated events', async () => {
+      await request(app)
+        .post('/webhooks/deal')
+        .send([
+          { objectId: '123', portalId: 111, subscriptionType: 'deal.propertyChange', propertyName: 'amount' },
+          { objectId: '123', portalId: 111, subscriptionType: 'deal.associationChange' },
+          { objectId: '124', portalId: 111, subscriptionType: 'deal.creation' }
+        ]);
+
+      expect(jobQueue.getStats()).toMatchObject({ pending: 2, enqueued: 3, deduplicated: 1 });
+      expect(jobQueue.pending.get('deal:111:123').data.reasons).toEqual(['deal.propertyChange', 'deal.associationChange']);
+    });
+
+    test('ignores changes to the app\'s own score properties', async () => {
+      await request(app)
+        .post('/webhooks/deal')
+        .send({ objectId: '123', portalId: 111, subscriptionType: 'deal.propertyChange', propertyName: 'multi_thread_score' });
+
+      expect(jobQueue.getStats().pending).toBe(0);
+    });
+
+    test('queues contact events to be resolved to their deals', async () => {
+      await cacheDeal('111', '123', 'deal', { dealId: '123', contacts: [{ id: '456' }] });
+
+      await request(app)
+        .post('/webhooks/contact')
+        .send({ objectId: '456', portalId: 111, subscriptionType: 'contact.deletion' });
+
+      expect(jobQueue.pending.get('contact:111:456').data).toEqual({
+        portalId: '111',
+        contactId: '456',
+        reasons: ['contact.deletion'],
+        knownDealIds: ['123']
+      });
+    });
+  });
+
+  describe('event idempotency', () => {
+    beforeEach(async () => {
+      await clearStores();
+    });
+
+    const event = (overrides = {}) => ({
+      eventId: 1,
+      objectId: 123,
+      portalId: 111,
+      subscriptionType: 'deal.propertyChange',
+      propertyName: 'amount',
+      occurredAt: 1700000000000,
+      ...overrides
+    });
+
+    test('skips retried and out-of-order events', async () => {
+      const first = await request(app)
+        .post('/webhooks/deal')
+        .send([event({ eventId: 2, occurredAt: 1700000005000 }), event()]);
+      const retry = await request(app)
+        .post('/webhooks/deal')
+        .send([event({ eventId: 2, occurredAt: 1700000005000, attemptNumber: 1 })]);
+
+      expect(first.body).toEqual({ received: true, processed: 1, duplicates: 0, stale: 1 });
+      expect(retry.body).toEqual({ received: true, processed: 0, duplicates: 1, stale: 0 });
+      expect(jobQueue.getStats().enqueued).toBe(1);
+    });
+
+    test('keeps cached deals when a contact event is a duplicate', async () => {
+      const contactEvent = { eventId: 3, objectId: 456, portalId: 111, subscriptionType: 'contact.propertyChange', occurredAt: 1700000005000 };
+      await request(app).post('/webhooks/contact').send(contactEvent);
+      await cacheDeal('111', '123', 'deal', { dealId: '123', contacts: [{ id: '456' }] });
+
+      const retry = await request(app).post('/webhooks/contact').send({ ...contactEvent, attemptNumber: 1 });
+
+      expect(retry.body).toEqual({ received: true, processed: 0, duplicates: 1, stale: 0 });
+      expect(await getCachedDeal('111', '123', 'deal')).not.toBeNull();
+    });
+
+    test('records the deal\'s event history', async () => {
+      await cacheDeal('111', '123', 'deal', { dealId: '123', contacts: [{ id: '456' }] });
+      await request(app).post('/webhooks/deal').send(event());
+      await request(app)
+        .post('/webhooks/contact')
+        .send({ eventId: 2, objectId: 456, portalId: 111, subscriptionType: 'contact.propertyChange', occurredAt: 1700000005000 });
+
+      const response = await request(app).get('/api/analysis/events/123?portalId=111');
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(2);
+      expect(response.body.events.map(entry => [entry.objectType, entry.status])).toEqual([
+        ['contact', 'PROCESSED'],
+        ['deal', 'PROCESSED']
+      ]);
+    });
+  });
+
+  describe('signature verification', () => {
+    // Signed with HubSpot's v3 algorithm; the spacing and escapes must survive verification
+    const SECRET = 'yyyyyyyy-yyyy-yyyy-yyyy-yyyyyyyyyyyy';
+    const TIMESTAMP = '1700000000000';
+    const BODY = '[{ "objectId": 123, "portalId": 111, "subscriptionType": "deal.propertyChange", "propertyName": "dealname", "propertyValue": "Caf\\u00e9 expansion" }]';
+    const DEAL_SIGNATURE = '+hGv8YCbhvajfX9MzQkmTuV1Co0QSh7UANYNqMBPA4k=';
+
+    const post = (path, headers = {}) => request(app)
+      .post(path)
+      .set('Content-Type', 'application/json')
+      .set(headers)
+      .send(BODY);
+
+    beforeEach(() => {
+      process.env.HUBSPOT_CLIENT_SECRET = SECRET;
+      process.env.APP_BASE_URL = 'https://example.com';
+      jest.spyOn(Date, 'now').mockReturnValue(Number(TIMESTAMP) + 1000);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      delete process.env.HUBSPOT_CLIENT_SECRET;
+      delete process.env.APP_BASE_URL;
+      delete process.env.WEBHOOK_STRICT_SIGNATURES;
+      jest.restoreAllMocks();
+    });
+
+    test('accepts a request signed over the raw body', async () => {
+      const response = await post('/webhooks/deal', {
+        'X-HubSpot-Signature-v3': DEAL_SIGNATURE,
+        'X-HubSpot-Request-Timestamp': TIMESTAMP
+      });
+
+      expect(response.status).toBe(200);
+    });
+
+    test('rejects a signature for another endpoint', async () => {
+      const response = await post('/webhooks/contact', {
+        'X-HubSpot-Signature-v3': DEAL_SIGNATURE,
+        'X-HubSpot-Request-Timestamp': TIMESTAMP
+      });
+
+      expect(response.status).toBe(401);
+      expect(response.body).toEqual({ error: 'Invalid signature', reason: 'invalid_signature' });
+    });
+
+    test('rejects unsigned requests once a secret is configured', async () => {
+      const response = await post('/webhooks/deal');
+
+      expect(response.status).toBe(401);
+      expect(response.body.reason).toBe('missing_signature');
+    });
+
+    test('strict mode refuses requests when no secret is configured', async () => {
+      delete process.env.HUBSPOT_CLIENT_SECRET;
+      process.env.WEBHOOK_STRICT_SIGNATURES = 'true';
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await post('/webhooks/deal');
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Webhook signature verification is not configured');
+    });
+
+    test('strict mode refuses unsigned requests in development', async () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'development';
+      process.env.WEBHOOK_STRICT_SIGNATURES = 'true';
+
+      const strict = await post('/webhooks/deal');
+      delete process.env.WEBHOOK_STRICT_SIGNATURES;
+      const lenient = await post('/webhooks/deal');
+      process.env.NODE_ENV = nodeEnv;
+
+      expect(strict.status).toBe(401);
+      expect(lenient.status).toBe(200);
+    });
+  });
+
   describe('POST /webhooks/contact', () => {
     test('accepts contact webhook events', async () => {
       const webhookPayload = {
@@ -135,3 +394,366 @@ describe('Webhook Routes', () => {
     });
   });
 });
+
+describe('Role Review Routes', () => {
+  beforeEach(async () => {
+    await clearRoleReviews();
+    await processInferredRoles('111', '99', [{
+      contactId: '5',
+      name: 'Ana',
+      effectiveRole: 'CHAMPION',
+      roleConfidence: 60,
+      roleSource: 'inferred'
+    }]);
+  });
+
+  test('lists pending suggestions', async () => {
+    const response = await request(app).get('/api/analysis/roles/review?portalId=111&dealId=99');
+
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(1);
+    expect(response.body.reviews[0]).toMatchObject({ contactId: '5', role: 'CHAMPION', status: 'PENDING' });
+  });
+
+  test('records a rejection without writing to HubSpot', async () => {
+    const response = await request(app)
+      .post('/api/analysis/roles/review/5')
+      .send({ portalId: '111', role: 'CHAMPION', decision: 'reject' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.review.status).toBe('REJECTED');
+    expect(response.body.written).toBe(false);
+  });
+
+  test('validates the decision', async () => {
+    const response = await request(app)
+      .post('/api/analysis/roles/review/5')
+      .send({ portalId: '111', role: 'CHAMPION', decision: 'maybe' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('returns 404 for unknown suggestions', async () => {
+    const response = await request(app)
+      .post('/api/analysis/roles/review/6')
+      .send({ portalId: '111', role: 'CHAMPION', decision: 'reject' });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('Score History Routes', () => {
+  beforeEach(async () => {
+    await clearStores();
+  });
+
+  test('returns a deal\'s score history', async () => {
+    const scoreData = score => ({ overallScore: score, engagementScore: 40, threadDepth: 1, contactCount: 1, contacts: [] });
+    await recordScoreSnapshot('111', '123', scoreData(50), { now: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) });
+    await recordScoreSnapshot('111', '123', scoreData(65));
+
+    const response = await request(app).get('/api/analysis/history/123?portalId=111');
+    const recent = await request(app).get('/api/analysis/history/123?portalId=111&days=1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.count).toBe(2);
+    expect(response.body.history.map(snapshot => snapshot.overallScore)).toEqual([50, 65]);
+    expect(recent.body.history.map(snapshot => snapshot.overallScore)).toEqual([65]);
+  });
+});
+
+describe('Pipeline Dashboard Routes', () => {
+  beforeEach(async () => {
+    await clearStores();
+    await saveTokens('111', { accessToken: 'a', refreshToken: 'r', expiresAt: Date.now() + 3600000 });
+    jest.spyOn(HubSpotService.prototype, 'getDealsWithContacts')
+      .mockResolvedValue({ deals: [], partialResults: { loaded: 0, failed: [] } });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await clearStores();
+  });
+
+  test('rejects trend periods that are not a positive whole number of days', async () => {
+    for (const trendDays of ['soon', -7, 0, 2.5]) {
+      const response = await request(app)
+        .post('/api/analysis/report/dashboard')
+        .send({ dealIds: [], portalId: '111', trendDays });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'trendDays must be a whole number of at least 1' });
+    }
+  });
+
+  test('caps the trend period', async () => {
+    const response = await request(app)
+      .post('/api/analysis/report/dashboard')
+      .send({ dealIds: [], portalId: '111', trendDays: '5000' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.trends.periodDays).toBe(365);
+  });
+});
+
+describe('Score Explanation and Engagement Routes', () => {
+  beforeEach(async () => {
+    await clearStores();
+    await saveTokens('111', { accessToken: 'a', refreshToken: 'r', expiresAt: Date.now() + 3600000 });
+  });
+
+  test('explains a deal\'s score', async () => {
+    await cacheDeal('111', '123', 'deal', {
+      dealId: '123',
+      deal: { dealname: 'Acme renewal' },
+      contacts: [{
+        id: '456',
+        properties: { firstname: 'Ada', lastname: 'Lovelace', hs_buying_role: 'DECISION_MAKER' },
+        engagements: { emails: 2, meetings: 1, calls: 0, total: 3 }
+      }]
+    });
+
+    const response = await request(app).get('/api/analysis/explain/123?portalId=111');
+
+    expect(response.status).toBe(200);
+    expect(response.body.dealName).toBe('Acme renewal');
+    expect(response.body.explanation.contacts[0]).toMatchObject({ contactId: '456', effectiveRole: 'DECISION_MAKER' });
+    expect(response.body.explanation.whatIf).toContainEqual(expect.objectContaining({ type: 'ADD_ROLE', role: 'CHAMPION' }));
+  });
+
+  test('compares engagement models on a deal', async () => {
+    await cacheDeal('111', '123', 'deal', {
+      dealId: '123',
+      deal: { dealname: 'Acme renewal' },
+      contacts: [{ id: '456', properties: { firstname: 'Ada' }, engagements: { emails: 2, meetings: 1, calls: 0, total: 3 } }]
+    });
+
+    const response = await request(app).get('/api/analysis/engagement/123?portalId=111');
+
+    expect(response.status).toBe(200);
+    expect(response.body.activeModel).toBe('classic');
+    expect(Object.keys(response.body.models)).toEqual(['classic', 'decayed']);
+    expect(response.body.contacts[0].engagementScores).toEqual({ classic: 30, decayed: expect.any(Number) });
+  });
+});
+
+describe('Admin Routes', () => {
+  const ADMIN_KEY = 'test-admin-key';
+
+  beforeEach(() => {
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+  });
+
+  afterEach(async () => {
+    delete process.env.ADMIN_API_KEY;
+    await jobQueue.clear();
+  });
+
+  async function deadLetter(id) {
+    await jobQueue.deadLetterStore.set(id, {
+      id,
+      type: 'test.noop',
+      key: `test:${id}`,
+      data: { portalId: '111' },
+      attempts: 5,
+      lastError: 'Service unavailable',
+      failedAt: new Date().toISOString()
+    });
+  }
+
+  test('requires the admin API key', async () => {
+    const response = await request(app).get('/admin/jobs');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('lists queued jobs and statistics', async () => {
+    await jobQueue.enqueue('test.noop', { portalId: '111' }, { debounceMs: 60000 });
+
+    const response = await request(app).get('/admin/jobs').set('x-admin-api-key', ADMIN_KEY);
+
+    expect(response.status).toBe(200);
+    expect(response.body.stats).toMatchObject({ pending: 1, enqueued: 1 });
+    expect(response.body.jobs).toEqual([expect.objectContaining({ type: 'test.noop', status: 'pending', attempts: 0 })]);
+  });
+
+  test('lists, replays and discards dead-lettered jobs', async () => {
+    jobQueue.registerHandler('test.noop', async () => {});
+    await deadLetter('dead-1');
+    await deadLetter('dead-2');
+
+    const list = await request(app).get('/admin/jobs/dead-letter').set('x-admin-api-key', ADMIN_KEY);
+    expect(list.body.count).toBe(2);
+    expect(list.body.jobs[0]).toMatchObject({ lastError: 'Service unavailable', attempts: 5 });
+
+    const replay = await request(app).post('/admin/jobs/dead-letter/dead-1/replay').set('x-admin-api-key', ADMIN_KEY);
+    expect(replay.status).toBe(200);
+    expect(replay.body).toMatchObject({ success: true, replayedJobId: 'dead-1' });
+    await jobQueue.onIdle();
+    expect(jobQueue.getStats().completed).toBe(1);
+
+    const discard = await request(app).delete('/admin/jobs/dead-letter/dead-2').set('x-admin-api-key', ADMIN_KEY);
+    expect(discard.status).toBe(200);
+    expect(await jobQueue.getDeadLetters()).toEqual([]);
+
+    const missing = await request(app).post('/admin/jobs/dead-letter/dead-1/replay').set('x-admin-api-key', ADMIN_KEY);
+    expect(missing.status).toBe(404);
+  });
+
+  describe('sweeps', () => {
+    beforeEach(async () => {
+      await clearStores();
+      await saveTokens('111', { accessToken: 'a', refreshToken: 'r', expiresAt: Date.now() + 3600000 });
+    });
+
+    test('lists each portal\'s sweep schedule', async () => {
+      const response = await request(app).get('/admin/sweeps').set('x-admin-api-key', ADMIN_KEY);
+
+      expect(response.status).toBe(200);
+      expect(response.body.count).toBe(1);
+      expect(response.body.schedules[0]).toMatchObject({ portalId: '111', enabled: true, lastRunAt: null });
+    });
+
+    test('updates a portal\'s schedule', async () => {
+      const response = await request(app)
+        .put('/admin/sweeps/111')
+        .set('x-admin-api-key', ADMIN_KEY)
+        .send({ enabled: false, intervalMinutes: 720 });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ portalId: '111', enabled: false, intervalMinutes: 720, nextRunAt: null });
+    });
+
+    test('rejects intervals below the minimum', async () => {
+      const response = await request(app)
+        .put('/admin/sweeps/111')
+        .set('x-admin-api-key', ADMIN_KEY)
+        .send({ intervalMinutes: 1 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('queues a sweep on demand', async () => {
+      const response = await request(app).post('/admin/sweeps/111/run').set('x-admin-api-key', ADMIN_KEY);
+
+      expect(response.status).toBe(200);
+      expect(jobQueue.getJobs()).toEqual([expect.objectContaining({ id: response.body.jobId, type: 'portal.sweep' })]);
+
+      const schedule = await request(app).get('/admin/sweeps/111').set('x-admin-api-key', ADMIN_KEY);
+      expect(schedule.body.lastQueuedAt).not.toBeNull();
+    });
+  });
+
+  describe('scoring config', () => {
+    beforeEach(async () => {
+      await clearStores();
+    });
+
+    test('returns the defaults for a portal without overrides', async () => {
+      const response = await request(app).get('/admin/scoring-config/111').set('x-admin-api-key', ADMIN_KEY);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ portalId: '111', version: 0, overrides: {} });
+      expect(response.body.config.weights).toEqual({ engagement: 0.3, participation: 0.25, roleCoverage: 0.35, threadDepth: 0.1 });
+    });
+
+    test('saves overrides as a new version and audits the change', async () => {
+      const response = await request(app)
+        .put('/admin/scoring-config/111')
+        .set('x-admin-api-key', ADMIN_KEY)
+        .send({ config: { riskThresholds: { low: 80 } }, note: 'Enterprise motion', updatedBy: 'ops@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ version: 1, note: 'Enterprise motion', active: true });
+
+      const current = await request(app).get('/admin/scoring-config/111').set('x-admin-api-key', ADMIN_KEY);
+      expect(current.body.config.riskThresholds).toEqual({ low: 80, medium: 40 });
+      expect(await getAuditEvents({ portalId: '111' })).toEqual([
+        expect.objectContaining({ action: 'scoring_config.changed', actor: 'ops@example.com', details: { version: 1 } })
+      ]);
+    });
+
+    test('rejects invalid configurations', async () => {
+      const response = await request(app)
+        .put('/admin/scoring-config/111')
+        .set('x-admin-api-key', ADMIN_KEY)
+        .send({ config: { weights: { engagement: 0.9 } } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(['weights must add up to 1 (got 1.6)']);
+    });
+
+    test('lists versions and rolls back to an earlier one', async () => {
+      for (const low of [80, 75]) {
+        await request(app).put('/admin/scoring-config/111').set('x-admin-api-key', ADMIN_KEY).send({ config: { riskThresholds: { low } } });
+      }
+
+      const rollback = await request(app).post('/admin/scoring-config/111/versions/1/activate').set('x-admin-api-key', ADMIN_KEY);
+      expect(rollback.status).toBe(200);
+      expect(rollback.body).toMatchObject({ version: 3, overrides: { riskThresholds: { low: 80 } } });
+
+      const versions = await request(app).get('/admin/scoring-config/111/versions').set('x-admin-api-key', ADMIN_KEY);
+      expect(versions.body.count).toBe(3);
+      expect(versions.body.versions[0]).toMatchObject({ version: 3, active: true });
+
+      const missing = await request(app).post('/admin/scoring-config/111/versions/9/activate').set('x-admin-api-key', ADMIN_KEY);
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('pipelines', () => {
+    const pipelines = [{
+      id: '555',
+      label: 'Enterprise',
+      stages: [
+        { id: '1001', label: 'Discovery', probability: 0.1, isClosed: false },
+        { id: '1002', label: 'Negotiation', probability: 0.9, isClosed: false }
+      ]
+    }];
+
+    beforeEach(async () => {
+      await clearStores();
+      await saveTokens('111', { accessToken: 'a', refreshToken: 'r', expiresAt: Date.now() + 3600000 });
+      jest.spyOn(HubSpotService.prototype, 'getDealPipelines').mockResolvedValue(pipelines);
+    });
+
+    afterEach(() => {
+      HubSpotService.prototype.getDealPipelines.mockRestore();
+    });
+
+    test('lists pipelines with each stage\'s phase', async () => {
+      const response = await request(app).get('/admin/pipelines/111').set('x-admin-api-key', ADMIN_KEY);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ portalId: '111', configVersion: 0, unmappedStages: 2 });
+      expect(response.body.pipelines[0].stages[1]).toMatchObject({ id: '1002', phase: null, suggestedPhase: 'late' });
+    });
+
+    test('maps stages to phases and audits the change', async () => {
+      const response = await request(app)
+        .put('/admin/pipelines/111/stage-mapping')
+        .set('x-admin-api-key', ADMIN_KEY)
+        .send({ stageMapping: { 1001: 'early', 1002: 'late' }, updatedBy: 'ops@example.com' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ version: 1, overrides: { stageMapping: { 1001: 'early', 1002: 'late' } } });
+
+      const listed = await request(app).get('/admin/pipelines/111').set('x-admin-api-key', ADMIN_KEY);
+      expect(listed.body.unmappedStages).toBe(0);
+      expect(listed.body.pipelines[0].stages[1]).toMatchObject({ phase: 'late', mapped: true, canonicalStage: 'contractsent' });
+      expect(await getAuditEvents({ portalId: '111' })).toEqual([
+        expect.objectContaining({ action: 'scoring_config.changed', actor: 'ops@example.com' })
+      ]);
+    });
+
+    test('rejects stages outside the portal\'s pipelines', async () => {
+      const response = await request(app)
+        .put('/admin/pipelines/111/stage-mapping')
+        .set('x-admin-api-key', ADMIN_KEY)
+        .send({ stageMapping: { 9999: 'early' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.details).toEqual(['stageMapping.9999 is not a stage of any deal pipeline']);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const {
+  MemoryCacheBackend,
+  RedisCacheBackend,
+  setCacheBackend,
+  getCacheBackend,
+  getDealVariant,
+  getCachedDeal,
+  cacheDeal,
+  getCachedStakeholders,
+  cacheStakeholders,
+  invalidateDeal,
+  invalidateContact,
+  purgePortalCache,
+  getCacheStats,
+  clearCache
+} = require('../src/services/cacheService');
+
+const dealData = (dealId, contactIds) => ({
+  dealId,
+  deal: { dealname: `Deal ${dealId}` },
+  contacts: contactIds.map(id => ({ id, properties: {} }))
+});
+
+describe('Cache Service', () => {
+  beforeEach(async () => {
+    await clearCache();
+  });
+
+  describe('MemoryCacheBackend', () => {
+    test('expires entries after their TTL', async () => {
+      const cache = new MemoryCacheBackend();
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      await cache.set('key', 'value', 60);
+      expect(await cache.get('key')).toBe('value');
+
+      Date.now.mockReturnValue(now + 61000);
+      expect(await cache.get('key')).toBeNull();
+      Date.now.mockRestore();
+    });
+
+    test('evicts the oldest entries past maxEntries', async () => {
+      const cache = new MemoryCacheBackend({ maxEntries: 2 });
+
+      await cache.set('a', '1', 60);
+      await cache.set('b', '2', 60);
+      await cache.set('c', '3', 60);
+
+      expect(await cache.get('a')).toBeNull();
+      expect(await cache.get('c')).toBe('3');
+    });
+  });
+
+  describe('getDealVariant', () => {
+    test('maps engagement options to a cache variant', () => {
+      expect(getDealVariant({})).toBe('deal');
+      expect(getDealVariant({ engagementScope: 'deal', includeCompanyActivity: true })).toBe('deal+company');
+      expect(getDealVariant({ engagementScope: 'all', includeCompanyActivity: true })).toBe('all');
+    });
+  });
+
+  describe('deal snapshots', () => {
+    test('caches per portal and variant', async () => {
+      await cacheDeal('111', '1', 'deal', dealData('1', ['5']));
+
+      expect(await getCachedDeal('111', '1', 'deal')).toEqual(dealData('1', ['5']));
+      expect(await getCachedDeal('222', '1', 'deal')).toBeNull();
+      expect(await getCachedDeal('111', '1', 'all')).toBeNull();
+      expect(getCacheStats()).toMatchObject({ hits: 1, misses: 2, writes: 1 });
+    });
+
+    test('returns copies that callers cannot mutate', async () => {
+      await cacheDeal('111', '1', 'deal', dealData('1', []));
+
+      const first = await getCachedDeal('111', '1', 'deal');
+      first.deal.dealname = 'Changed';
+
+      expect((await getCachedDeal('111', '1', 'deal')).deal.dealname).toBe('Deal 1');
+    });
+
+    test('invalidates every variant of a deal', async () => {
+      await cacheDeal('111', '1', 'deal', dealData('1', []));
+      await cacheDeal('111', '1', 'all', dealData('1', []));
+
+      await invalidateDeal('111', '1');
+
+      expect(await getCachedDeal('111', '1', 'deal')).toBeNull();
+      expect(await getCachedDeal('111', '1', 'all')).toBeNull();
+    });
+
+    test('invalidates the deals a contact appears in', async () => {
+      await cacheDeal('111', '1', 'deal', dealData('1', ['5', '6']));
+      await cacheDeal('111', '2', 'deal', dealData('2', ['5']));
+      await cacheDeal('111', '3', 'deal', dealData('3', ['6']));
+
+      const invalidated = await invalidateContact('111', '5');
+
+      expect(invalidated).toEqual(['1', '2']);
+      expect(await getCachedDeal('111', '1', 'deal')).toBeNull();
+      expect(await getCachedDeal('111', '2', 'deal')).toBeNull();
+      expect(await getCachedDeal('111', '3', 'deal')).not.toBeNull();
+    });
+
+    test('purges everything cached for one portal', async () => {
+      await cacheDeal('111', '1', 'deal', dealData('1', ['5']));
+      await cacheDeal('111', '1', 'all', dealData('1', ['5']));
+      await cacheDeal('11', '1', 'deal', dealData('1', ['5']));
+      await cacheStakeholders('111', '1', 'CHAMPION', { suggestions: {} });
+
+      const removed = await purgePortalCache('111');
+
+      expect(removed).toBe(4);
+      expect(await getCachedStakeholders('111', '1', 'CHAMPION')).toBeNull();
+      expect(await getCachedDeal('111', '1', 'deal')).toBeNull();
+      expect(await invalidateContact('111', '5')).toEqual([]);
+      expect(await getCachedDeal('11', '1', 'deal')).not.toBeNull();
+    });
+  });
+
+  describe('stakeholder suggestions', () => {
+    test('are served only for the roles they were made for', async () => {
+      await cacheStakeholders('111', '1', 'CHAMPION', { suggestions: { CHAMPION: [] } });
+
+      expect(await getCachedStakeholders('111', '1', 'CHAMPION')).toEqual({ suggestions: { CHAMPION: [] } });
+      expect(await getCachedStakeholders('111', '1', 'BUDGET_HOLDER')).toBeNull();
+      expect(await getCachedStakeholders('222', '1', 'CHAMPION')).toBeNull();
+    });
+
+    test('are dropped with the deal and with its contacts', async () => {
+      await cacheDeal('111', '1', 'deal', dealData('1', ['5']));
+      await cacheStakeholders('111', '1', 'CHAMPION', { suggestions: {} });
+      await invalidateDeal('111', '1');
+      expect(await getCachedStakeholders('111', '1', 'CHAMPION')).toBeNull();
+
+      await cacheDeal('111', '1', 'deal', dealData('1', ['5']));
+      await cacheStakeholders('111', '1', 'CHAMPION', { suggestions: {} });
+      await invalidateContact('111', '5');
+      expect(await getCachedStakeholders('111', '1', 'CHAMPION')).toBeNull();
+    });
+  });
+
+  describe('pluggable backends', () => {
+    let originalBackend;
+
+    beforeEach(() => {
+      originalBackend = getCacheBackend();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      setCacheBackend(originalBackend);
+      console.error.mockRestore();
+    });
+
+    test('works with a Redis-compatible client', async () => {
+      const store = new Map();
+      const client = {
+        get: jest.fn(async key => store.get(key) ?? null),
+        set: jest.fn(async (key, value) => { store.set(key, value); return 'OK'; }),
+        del: jest.fn(async (...keys) => keys.forEach(key => store.delete(key)))
+      };
+      setCacheBackend(new RedisCacheBackend(client));
+
+      await cacheDeal('111', '1', 'deal', dealData('1', ['5']), 120);
+      expect(client.set).toHaveBeenCalledWith('mts:deal:111:1:deal', expect.any(String), 'EX', 120);
+      expect(await getCachedDeal('111', '1', 'deal')).toEqual(dealData('1', ['5']));
+
+      await invalidateContact('111', '5');
+      expect(await getCachedDeal('111', '1', 'deal')).toBeNull();
+    });
+
+    test('purges a portal from Redis with SCAN', async () => {
+      const keys = ['mts:deal:111:1:deal', 'mts:deal:111:2:deal', 'mts:contact-deals:111:5'];
+      const client = {
+        scan: jest.fn(async (cursor, match, pattern) => {
+          const matching = keys.filter(key => key.startsWith(pattern.slice(0, -1)));
+          // Return matches one page at a time
+          const index = Number(cursor);
+          const nextCursor = index + 1 < matching.length ? String(index + 1) : '0';
+          return [nextCursor, matching.slice(index, index + 1)];
+        }),
+        del: jest.fn(async () => 1)
+      };
+      setCacheBackend(new RedisCacheBackend(client));
+
+      expect(await purgePortalCache('111')).toBe(3);
+      expect(client.scan).toHaveBeenCalledWith('0', 'MATCH', 'mts:deal:111:*', 'COUNT', 100);
+      expect(client.del).toHaveBeenCalledWith('mts:contact-deals:111:5');
+    });
+
+    test('treats backend failures as cache misses', async () => {
+      setCacheBackend({
+        get: async () => { throw new Error('connection lost'); },
+        set: async () => { throw new Error('connection lost'); },
+        del: async () => { throw new Error('connection lost'); }
+      });
+
+      await expect(cacheDeal('111', '1', 'deal', dealData('1', []))).resolves.toBeUndefined();
+      await expect(getCachedDeal('111', '1', 'deal')).resolves.toBeNull();
+      await expect(invalidateDeal('111', '1')).resolves.toBeUndefined();
+      expect(getCacheStats().errors).toBe(3);
+    });
+  });
+});
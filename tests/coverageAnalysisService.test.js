@@ -8,6 +8,7 @@ const {
   generateMissingChecklist,
   STAGE_ROLE_EXPECTATIONS
 } = require('../src/services/coverageAnalysisService');
+const { DEFAULT_SCORING_CONFIG, mergeScoringConfig } = require('../src/services/scoringConfigService');
 
 describe('Coverage Analysis Service', () => {
   describe('calculateBreadthScore', () => {
@@ -156,6 +157,41 @@ describe('Coverage Analysis Service', () => {
       expect(result.depth).toBeDefined();
       expect(result.meetsStageExpectations).toBeDefined();
     });
+
+    test('uses the portal\'s stage expectations and threshold', () => {
+      const contacts = [
+        { properties: { hs_buying_role: 'CHAMPION' }, engagements: { total: 10 } }
+      ];
+      const scoringConfig = mergeScoringConfig(DEFAULT_SCORING_CONFIG, {
+        coverage: {
+          baseThreshold: 50,
+          stageExpectations: { demo: { required: ['CHAMPION'], recommended: [], thresholdMultiplier: 1 } }
+        }
+      });
+      
+      const result = calculateCoverageAnalysis(contacts, { dealStage: 'demo', scoringConfig });
+      
+      expect(result.breadth.stageAnalysis.requiredRoles).toEqual(['CHAMPION']);
+      expect(result.adjustedThreshold).toBe(50);
+    });
+
+    test('scales expectations to the deal\'s size', () => {
+      const contacts = [
+        { properties: { hs_buying_role: 'CHAMPION' }, engagements: { total: 10 } },
+        { properties: { hs_buying_role: 'DECISION_MAKER' }, engagements: { total: 8 } }
+      ];
+
+      const scoringConfig = mergeScoringConfig(DEFAULT_SCORING_CONFIG, { expectationProfiles: { enabled: true } });
+
+      const smb = calculateCoverageAnalysis(contacts, { dealStage: 'contractsent', deal: { amount: '8000' }, scoringConfig });
+      const enterprise = calculateCoverageAnalysis(contacts, { dealStage: 'contractsent', deal: { amount: '400000' }, scoringConfig });
+
+      expect(smb.breadth.stageAnalysis.missingRequired).toEqual([]);
+      expect(smb.adjustedThreshold).toBe(56);
+      expect(smb.expectationProfile).toMatchObject({ name: 'smb', description: 'SMB (deal amount 8,000)' });
+      expect(enterprise.breadth.stageAnalysis.missingRequired).toEqual(['BUDGET_HOLDER']);
+      expect(enterprise.adjustedThreshold).toBe(77);
+    });
   });
 
   describe('calculateChampionStrength', () => {
@@ -192,6 +228,24 @@ describe('Coverage Analysis Service', () => {
       
       expect(result.reliability).toBe('STRONG');
     });
+
+    test('measures responsiveness from the champion\'s replies', () => {
+      const champion = {
+        engagements: { emails: 4, meetings: 0, calls: 0, total: 4 },
+        responsiveness: { sentEmails: 4, repliedEmails: 3, replyRate: 0.75, medianReplyHours: 5 },
+        properties: { jobtitle: 'Analyst' }
+      };
+
+      const measured = calculateChampionStrength(champion);
+      const supplied = calculateChampionStrength(champion, { responseRate: 0.2 });
+
+      expect(measured.factors[0]).toMatchObject({
+        name: 'Responsiveness',
+        score: 19,
+        description: 'Response rate: 75%, median reply in 5 hours'
+      });
+      expect(supplied.factors[0]).toMatchObject({ score: 5, description: 'Response rate: 20%' });
+    });
   });
 
   describe('generateMissingChecklist', () => {
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, FileStore, createStore, registerStoreBackend } = require('../src/services/dataStore');
+
+describe('Data Store', () => {
+  describe('MemoryStore', () => {
+    test('stores copies of JSON values', async () => {
+      const store = new MemoryStore();
+      const value = { accessToken: 'a', nested: { count: 1 } };
+
+      await store.set('111', value);
+      value.nested.count = 2;
+
+      expect(await store.get('111')).toEqual({ accessToken: 'a', nested: { count: 1 } });
+      expect(await store.get('missing')).toBeNull();
+      expect(await store.entries()).toEqual([['111', { accessToken: 'a', nested: { count: 1 } }]]);
+      expect(await store.delete('111')).toBe(true);
+      expect(await store.get('111')).toBeNull();
+    });
+  });
+
+  describe('FileStore', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mts-store-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('persists values across store instances', async () => {
+      const filePath = path.join(dir, 'tokens.json');
+      const first = new FileStore(filePath);
+      await first.set('111', { accessToken: 'a' });
+      await first.set('222', { accessToken: 'b' });
+      await first.delete('222');
+
+      const second = new FileStore(filePath);
+
+      expect(await second.get('111')).toEqual({ accessToken: 'a' });
+      expect(await second.get('222')).toBeNull();
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ 111: { accessToken: 'a' } });
+    });
+
+    test('keeps writes in order and leaves no temporary files', async () => {
+      const filePath = path.join(dir, 'nested', 'jobs.json');
+      const store = new FileStore(filePath);
+
+      await Promise.all([1, 2, 3].map(n => store.set('counter', { n })));
+
+      expect(await new FileStore(filePath).get('counter')).toEqual({ n: 3 });
+      expect(fs.readdirSync(path.dirname(filePath))).toEqual(['jobs.json']);
+    });
+
+    test('keeps writing after one write fails', async () => {
+      const filePath = path.join(dir, 'tokens.json');
+      const store = new FileStore(filePath);
+      jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(Object.assign(new Error('No space left'), { code: 'ENOSPC' }));
+
+      await expect(store.set('111', { accessToken: 'a' })).rejects.toThrow('No space left');
+      await store.set('222', { accessToken: 'b' });
+
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({
+        111: { accessToken: 'a' },
+        222: { accessToken: 'b' }
+      });
+      jest.restoreAllMocks();
+    });
+
+    test('loads the file once for overlapping callers', async () => {
+      const filePath = path.join(dir, 'jobs.json');
+      fs.writeFileSync(filePath, JSON.stringify({ old: { n: 1 } }));
+      const store = new FileStore(filePath);
+
+      await Promise.all([store.set('new', { n: 2 }), store.entries()]);
+
+      expect(await new FileStore(filePath).entries()).toEqual([['old', { n: 1 }], ['new', { n: 2 }]]);
+    });
+  });
+
+  describe('createStore', () => {
+    const originalBackend = process.env.DATA_STORE;
+
+    afterEach(() => {
+      if (originalBackend === undefined) {
+        delete process.env.DATA_STORE;
+      } else {
+        process.env.DATA_STORE = originalBackend;
+      }
+    });
+
+    test('returns one shared store per namespace', () => {
+      expect(createStore('shared-namespace')).toBe(createStore('shared-namespace'));
+      expect(createStore('shared-namespace')).toBeInstanceOf(MemoryStore);
+    });
+
+    test('uses registered backends', () => {
+      const custom = new MemoryStore();
+      registerStoreBackend('custom', () => custom);
+      process.env.DATA_STORE = 'custom';
+
+      expect(createStore('custom-namespace')).toBe(custom);
+    });
+
+    test('rejects unknown backends', () => {
+      process.env.DATA_STORE = 'nosuchbackend';
+
+      expect(() => createStore('unknown-backend-namespace')).toThrow('Unknown data store backend: nosuchbackend');
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const {
+  buildSnapshot,
+  recordScoreSnapshot,
+  getLatestSnapshot,
+  getSnapshotAt,
+  getScoreHistory,
+  purgePortalSnapshots
+} = require('../src/services/dealSnapshotService');
+const { clearStores } = require('../src/services/dataStore');
+const { DEFAULT_SCORING_CONFIG, mergeScoringConfig } = require('../src/services/scoringConfigService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = new Date('2026-01-01T00:00:00.000Z');
+const day = n => new Date(START.getTime() + n * DAY_MS);
+
+const contact = (contactId, overrides = {}) => ({
+  contactId,
+  name: `Contact ${contactId}`,
+  email: `${contactId}@example.com`,
+  role: 'Not specified',
+  effectiveRole: 'CHAMPION',
+  engagementScore: 50,
+  lastEngagementDate: null,
+  ...overrides
+});
+
+const scoreData = (contacts, overallScore = 60) => ({
+  overallScore,
+  engagementScore: 50,
+  participationScore: 40,
+  roleCoverageScore: 30,
+  riskLevel: 'MEDIUM',
+  threadDepth: contacts.length,
+  contactCount: contacts.length,
+  coveredRoles: ['CHAMPION'],
+  contacts
+});
+
+const coverageAnalysis = { coverageScore: 45, breadth: { breadthScore: 40 }, depth: { overallDepthScore: 50 } };
+
+describe('Deal Snapshot Service', () => {
+  beforeEach(async () => {
+    await clearStores();
+  });
+
+  test('builds snapshots with every score and without contact details history does not use', () => {
+    const snapshot = buildSnapshot(scoreData([contact('1')]), {
+      coverageAnalysis,
+      source: 'crm-card',
+      takenAt: '2026-01-01T00:00:00.000Z'
+    });
+
+    expect(snapshot).toMatchObject({
+      takenAt: '2026-01-01T00:00:00.000Z',
+      lastNewContactAt: '2026-01-01T00:00:00.000Z',
+      source: 'crm-card',
+      overallScore: 60,
+      engagementScore: 50,
+      participationScore: 40,
+      roleCoverageScore: 30,
+      coverageScore: 45,
+      breadthScore: 40,
+      depthScore: 50,
+      contacts: [{ contactId: '1', name: 'Contact 1', effectiveRole: 'CHAMPION', engagementScore: 50 }]
+    });
+    expect(snapshot.contacts[0]).not.toHaveProperty('email');
+  });
+
+  test('records the first snapshot of a deal', async () => {
+    const { lifecycle } = await recordScoreSnapshot('111', '1', scoreData([contact('1')]));
+
+    expect(lifecycle).toMatchObject({ isFirstSnapshot: true, previousSnapshotAt: null, daysSinceNewContact: 0 });
+    expect(await getLatestSnapshot('111', '1')).toMatchObject({ overallScore: 60 });
+  });
+
+  test('compares against the previous snapshot and counts days since a stakeholder was added', async () => {
+    await recordScoreSnapshot('111', '1', scoreData([contact('1')]), { now: START });
+    await recordScoreSnapshot('111', '1', scoreData([contact('1')], 55), { now: day(7) });
+
+    const { lifecycle } = await recordScoreSnapshot('111', '1', scoreData([contact('1')], 40), { now: day(15) });
+
+    expect(lifecycle.previousSnapshotAt).toBe('2026-01-08T00:00:00.000Z');
+    expect(lifecycle.daysSinceNewContact).toBe(15);
+    expect(lifecycle.changes).toContainEqual(expect.objectContaining({ type: 'SCORE_CHANGE', change: -15 }));
+  });
+
+  test('tracks lifecycle changes with the portal\'s thresholds', async () => {
+    const scoringConfig = mergeScoringConfig(DEFAULT_SCORING_CONFIG, { lifecycle: { scoreChangePoints: 5 } });
+    await recordScoreSnapshot('111', '1', scoreData([contact('1')], 60), { now: START });
+
+    const { lifecycle } = await recordScoreSnapshot('111', '1', scoreData([contact('1')], 55), { now: day(1), scoringConfig });
+
+    expect(lifecycle.changes).toContainEqual(expect.objectContaining({ type: 'SCORE_CHANGE', change: -5 }));
+  });
+
+  test('resets the count when a stakeholder is added', async () => {
+    await recordScoreSnapshot('111', '1', scoreData([contact('1')]), { now: START });
+
+    const { lifecycle } = await recordScoreSnapshot('111', '1', scoreData([contact('1'), contact('2')]), { now: day(20) });
+
+    expect(lifecycle.daysSinceNewContact).toBe(0);
+    expect((await getLatestSnapshot('111', '1')).lastNewContactAt).toBe('2026-01-21T00:00:00.000Z');
+  });
+
+  test('folds unchanged runs into the latest snapshot', async () => {
+    await recordScoreSnapshot('111', '1', scoreData([contact('1')]), { now: START });
+    await recordScoreSnapshot('111', '1', scoreData([contact('1')]), { now: day(1) });
+
+    const history = await getScoreHistory('111', '1');
+
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ takenAt: '2026-01-01T00:00:00.000Z', scoredAt: '2026-01-02T00:00:00.000Z' });
+  });
+
+  test('returns score history oldest first without stakeholder details', async () => {
+    await recordScoreSnapshot('111', '1', scoreData([contact('1')], 50), { coverageAnalysis, now: START });
+    await recordScoreSnapshot('111', '1', scoreData([contact('1')], 60), { coverageAnalysis, now: day(10) });
+    await recordScoreSnapshot('111', '1', scoreData([contact('1')], 70), { coverageAnalysis, now: day(20) });
+
+    const history = await getScoreHistory('111', '1');
+    const recent = await getScoreHistory('111', '1', { since: day(5) });
+
+    expect(history.map(snapshot => snapshot.overallScore)).toEqual([50, 60, 70]);
+    expect(history[0]).toMatchObject({ breadthScore: 40, depthScore: 50 });
+    expect(history[0]).not.toHaveProperty('contacts');
+    expect(recent.map(snapshot => snapshot.overallScore)).toEqual([60, 70]);
+  });
+
+  test('finds the snapshot current at a point in time', async () => {
+    await recordScoreSnapshot('111', '1', scoreData([contact('1')], 50), { now: day(5) });
+    await recordScoreSnapshot('111', '1', scoreData([contact('1')], 60), { now: day(10) });
+
+    expect((await getSnapshotAt('111', '1', day(7))).overallScore).toBe(50);
+    expect((await getSnapshotAt('111', '1', day(12))).overallScore).toBe(60);
+    // History that doesn't reach back far enough starts at the oldest snapshot
+    expect((await getSnapshotAt('111', '1', START)).overallScore).toBe(50);
+    expect(await getSnapshotAt('111', '2', START)).toBeNull();
+  });
+
+  test('purges only the portal\'s snapshots', async () => {
+    await recordScoreSnapshot('111', '1', scoreData([contact('1')]));
+    await recordScoreSnapshot('222', '1', scoreData([contact('1')]));
+
+    expect(await purgePortalSnapshots('111')).toBe(1);
+    expect(await getLatestSnapshot('111', '1')).toBeNull();
+    expect(await getLatestSnapshot('222', '1')).not.toBeNull();
+  });
+});
@@ -0,0 +1,798 @@
+const HubSpotService = require('../src/services/hubspotService');
+const { RequestScheduler } = require('../src/services/requestScheduler');
+const { clearCache, invalidateDeal } = require('../src/services/cacheService');
+const { saveScoringConfig, getScoringConfig } = require('../src/services/scoringConfigService');
+const { calculateMultiThreadingScore, calculateContactResponsiveness } = require('../src/services/scoringService');
+const { SCORE_PROPERTIES } = require('../src/services/scorePropertiesService');
+const { clearStores } = require('../src/services/dataStore');
+
+/**
+ * Build a stub HubSpot client backed by in-memory records
+ * @param {Object} data - contacts keyed by ID and associations keyed by "type:id:toType"
+ */
+function createStubClient(data) {
+  const calls = { associationPages: [], batchReads: [], engagementReads: [], inFlight: 0, maxInFlight: 0 };
+
+  const track = async (fn) => {
+    calls.inFlight++;
+    calls.maxInFlight = Math.max(calls.maxInFlight, calls.inFlight);
+    await new Promise(resolve => setImmediate(resolve));
+    try {
+      return fn();
+    } finally {
+      calls.inFlight--;
+    }
+  };
+
+  const client = {
+    crm: {
+      deals: {
+        basicApi: {
+          getById: jest.fn(async (dealId) => ({
+            id: dealId,
+            properties: data.deals[dealId]
+          }))
+        }
+      },
+      contacts: {
+        basicApi: {
+          getById: jest.fn(async (contactId) => ({
+            id: contactId,
+            properties: data.contacts[contactId]
+          }))
+        },
+        batchApi: {
+          read: jest.fn((request) => track(() => {
+            calls.batchReads.push(request.inputs.map(input => input.id));
+            return {
+              results: request.inputs
+                .filter(input => data.contacts[input.id])
+                .map(input => ({ id: input.id, properties: data.contacts[input.id] }))
+            };
+          }))
+        }
+      },
+      objects: {
+        batchApi: {
+          read: jest.fn((objectType, request) => track(() => {
+            calls.engagementReads.push({ objectType, ids: request.inputs.map(input => input.id) });
+            return {
+              results: request.inputs.map(input => ({
+                id: input.id,
+                properties: {
+                  hs_timestamp: data.timestamps?.[`${objectType}:${input.id}`] || null,
+                  ...data.engagementProperties?.[`${objectType}:${input.id}`]
+                }
+              }))
+            };
+          }))
+        }
+      },
+      associations: {
+        v4: {
+          basicApi: {
+            getPage: jest.fn((fromType, objectId, toType, after, limit) => track(() => {
+              const key = `${fromType}:${objectId}:${toType}`;
+              if (data.failing?.includes(key)) {
+                throw new Error('association lookup failed');
+              }
+              calls.associationPages.push(key);
+              const ids = data.associations[key] || [];
+              const start = after ? parseInt(after, 10) : 0;
+              const page = ids.slice(start, start + limit);
+              const next = start + limit < ids.length ? { next: { after: String(start + limit) } } : undefined;
+              return {
+                results: page.map(id => ({ toObjectId: id, associationTypes: [] })),
+                paging: next
+              };
+            }))
+          }
+        }
+      }
+    }
+  };
+
+  return { client, calls };
+}
+
+/**
+ * Create a service backed by a stub client, without rate limiting
+ */
+function createService(client, options = {}) {
+  const scheduler = new RequestScheduler({ burstLimit: Infinity, maxConcurrent: Infinity });
+  const service = new HubSpotService('token', { scheduler, ...options });
+  service.client = client;
+  return service;
+}
+
+function range(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => i + offset);
+}
+
+describe('HubSpot Service', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('getAssociatedIds', () => {
+    test('follows paging past a single page of results', async () => {
+      const { client } = createStubClient({
+        associations: { 'contacts:1:emails': range(1234) }
+      });
+      const service = createService(client);
+
+      const ids = await service.getAssociatedIds('contacts', '1', 'emails');
+
+      expect(ids).toHaveLength(1234);
+      expect(ids[0]).toBe('0');
+      expect(client.crm.associations.v4.basicApi.getPage).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('getOpenDealIds', () => {
+    function stubSearch(client, total) {
+      client.crm.deals.searchApi = {
+        doSearch: jest.fn(async ({ limit, after }) => {
+          const start = after ? parseInt(after, 10) : 0;
+          const end = Math.min(start + limit, total);
+          return {
+            results: range(end - start, start).map(id => ({ id: String(id) })),
+            paging: end < total ? { next: { after: String(end) } } : undefined
+          };
+        })
+      };
+    }
+
+    test('searches for open deals across pages', async () => {
+      const { client } = createStubClient({});
+      stubSearch(client, 250);
+      const service = createService(client);
+
+      const result = await service.getOpenDealIds();
+
+      expect(result.dealIds).toHaveLength(250);
+      expect(result.truncated).toBe(false);
+      expect(client.crm.deals.searchApi.doSearch).toHaveBeenCalledTimes(3);
+      expect(client.crm.deals.searchApi.doSearch.mock.calls[0][0].filterGroups).toEqual([
+        { filters: [{ propertyName: 'hs_is_closed', operator: 'EQ', value: 'false' }] }
+      ]);
+    });
+
+    test('stops at maxDeals', async () => {
+      const { client } = createStubClient({});
+      stubSearch(client, 250);
+      const service = createService(client);
+
+      const result = await service.getOpenDealIds({ maxDeals: 150 });
+
+      expect(result.dealIds).toHaveLength(150);
+      expect(result.truncated).toBe(true);
+      expect(client.crm.deals.searchApi.doSearch).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('getDealPipelines', () => {
+    test('returns pipelines and stages in display order with parsed metadata', async () => {
+      const { client } = createStubClient({});
+      client.crm.pipelines = {
+        pipelinesApi: {
+          getAll: jest.fn(async () => ({
+            results: [
+              {
+                id: '555',
+                label: 'Enterprise',
+                displayOrder: 1,
+                stages: [
+                  { id: '1002', label: 'Won', displayOrder: 1, metadata: { probability: '1.0', isClosed: 'true' } },
+                  { id: '1001', label: 'Discovery', displayOrder: 0, metadata: { probability: '0.1', isClosed: 'false' } }
+                ]
+              },
+              { id: 'default', label: 'Sales Pipeline', displayOrder: 0, stages: [{ id: 'qualifiedtobuy', label: 'Qualified', metadata: {} }] }
+            ]
+          }))
+        }
+      };
+      const service = createService(client);
+
+      const pipelines = await service.getDealPipelines();
+
+      expect(client.crm.pipelines.pipelinesApi.getAll).toHaveBeenCalledWith('deals');
+      expect(pipelines).toEqual([
+        { id: 'default', label: 'Sales Pipeline', stages: [{ id: 'qualifiedtobuy', label: 'Qualified', probability: null, isClosed: false }] },
+        {
+          id: '555',
+          label: 'Enterprise',
+          stages: [
+            { id: '1001', label: 'Discovery', probability: 0.1, isClosed: false },
+            { id: '1002', label: 'Won', probability: 1, isClosed: true }
+          ]
+        }
+      ]);
+    });
+  });
+
+  describe('getDealWithContacts', () => {
+    test('reads contacts in batches and counts engagements past 100', async () => {
+      const contactIds = range(120, 1).map(String);
+      const contacts = {};
+      contactIds.forEach(id => {
+        contacts[id] = { firstname: `Contact ${id}`, hs_buying_role: 'INFLUENCER' };
+      });
+
+      const { client, calls } = createStubClient({
+        deals: { 99: { dealname: 'Enterprise Deal', dealstage: 'qualifiedtobuy' } },
+        contacts,
+        associations: {
+          'deals:99:contacts': contactIds,
+          'contacts:1:emails': range(250),
+          'contacts:1:meetings': range(3),
+          'contacts:1:calls': range(101)
+        }
+      });
+      const service = createService(client, { engagementScope: 'all' });
+
+      const result = await service.getDealWithContacts('99');
+
+      expect(result.dealId).toBe('99');
+      expect(result.deal.dealname).toBe('Enterprise Deal');
+      expect(result.contacts).toHaveLength(120);
+      expect(calls.batchReads.map(batch => batch.length)).toEqual([100, 20]);
+      expect(client.crm.contacts.basicApi.getById).not.toHaveBeenCalled();
+
+      const { activities, ...counts } = result.contacts[0].engagements;
+      expect(counts).toEqual({
+        emails: 250,
+        meetings: 3,
+        calls: 101,
+        notes: 0,
+        total: 354
+      });
+      expect(activities).toHaveLength(354);
+      expect(result.contacts[1].engagements.total).toBe(0);
+    });
+
+    test('fetches the portal\'s deal segment property', async () => {
+      await clearStores();
+      await saveScoringConfig('111', { expectationProfiles: { segmentProperty: 'deal_segment' } });
+      const { client } = createStubClient({
+        deals: { 1: { dealname: 'Deal', amount: '5000', deal_segment: 'Enterprise' } },
+        contacts: {},
+        associations: {}
+      });
+
+      const result = await createService(client, { portalId: '111', engagementScope: 'all' }).getDealWithContacts('1');
+      await createService(client, { portalId: '222', engagementScope: 'all' }).getDealWithContacts('1');
+
+      const [[, segmented], [, plain]] = client.crm.deals.basicApi.getById.mock.calls;
+      expect(segmented).toEqual(expect.arrayContaining(['amount', 'deal_segment']));
+      expect(plain).not.toContain('deal_segment');
+      expect(result.deal.deal_segment).toBe('Enterprise');
+    });
+
+    test('keeps concurrent requests within the configured limit', async () => {
+      const contactIds = range(10, 1).map(String);
+      const contacts = {};
+      contactIds.forEach(id => { contacts[id] = { firstname: id }; });
+
+      const { client, calls } = createStubClient({
+        deals: { 1: { dealname: 'Deal' } },
+        contacts,
+        associations: { 'deals:1:contacts': contactIds }
+      });
+      const service = createService(client, { concurrency: 3 });
+
+      await service.getDealWithContacts('1');
+
+      expect(calls.maxInFlight).toBeLessThanOrEqual(3);
+      // One association lookup per contact per engagement type
+      expect(calls.associationPages.filter(key => key.startsWith('contacts:'))).toHaveLength(40);
+    });
+
+    test('falls back to zero engagement when a contact lookup fails', async () => {
+      const { client } = createStubClient({
+        deals: { 1: { dealname: 'Deal' } },
+        contacts: { 5: { firstname: 'Failing' }, 6: { firstname: 'Working' } },
+        associations: {
+          'deals:1:contacts': ['5', '6'],
+          'contacts:5:emails': range(4),
+          'contacts:6:meetings': range(2)
+        },
+        failing: ['contacts:5:calls']
+      });
+      const service = createService(client, { engagementScope: 'all' });
+
+      const result = await service.getDealWithContacts('1');
+
+      expect(result.contacts[0].engagements).toEqual({
+        emails: 0, meetings: 0, calls: 0, notes: 0, total: 0, activities: []
+      });
+      expect(result.contacts[0].lastEngagementDate).toBeNull();
+      expect(result.contacts[1].engagements.meetings).toBe(2);
+      expect(result.contacts[1].engagements.total).toBe(2);
+    });
+
+    test('derives first and last engagement dates from activity timestamps', async () => {
+      const { client, calls } = createStubClient({
+        deals: { 1: { dealname: 'Deal' } },
+        contacts: { 5: { firstname: 'Ana' }, 6: { firstname: 'Ben' } },
+        associations: {
+          'deals:1:contacts': ['5', '6'],
+          'contacts:5:emails': ['e1', 'e2'],
+          'contacts:5:meetings': ['m1'],
+          'contacts:5:notes': ['n1'],
+          'contacts:6:meetings': ['m1']
+        },
+        timestamps: {
+          'emails:e1': '2024-03-01T10:00:00.000Z',
+          'emails:e2': '2024-03-15T10:00:00.000Z',
+          'meetings:m1': '2024-02-20T09:00:00.000Z',
+          'notes:n1': '2024-03-20T12:00:00.000Z'
+        }
+      });
+      const service = createService(client, { engagementScope: 'all' });
+
+      const result = await service.getDealWithContacts('1');
+      const [ana, ben] = result.contacts;
+
+      expect(ana.firstEngagementDate).toBe('2024-02-20T09:00:00.000Z');
+      expect(ana.lastEngagementDate).toBe('2024-03-20T12:00:00.000Z');
+      expect(ana.engagements.notes).toBe(1);
+      // Notes date activity but don't count as interactions
+      expect(ana.engagements.total).toBe(3);
+      expect(ana.engagements.activities[0]).toEqual({
+        id: 'n1', type: 'notes', timestamp: '2024-03-20T12:00:00.000Z'
+      });
+      expect(ben.lastEngagementDate).toBe('2024-02-20T09:00:00.000Z');
+
+      // The shared meeting is only read once
+      const meetingReads = calls.engagementReads.filter(read => read.objectType === 'meetings');
+      expect(meetingReads.flatMap(read => read.ids)).toEqual(['m1']);
+    });
+
+    test('reads email directions, replies and opens, and meeting lengths and attendees', async () => {
+      const { client, calls } = createStubClient({
+        deals: { 1: { dealname: 'Deal' } },
+        contacts: { 5: { firstname: 'Ana' }, 6: { firstname: 'Ben' } },
+        associations: {
+          'deals:1:contacts': ['5', '6'],
+          'contacts:5:emails': ['e1', 'e2', 'e3'],
+          'contacts:5:meetings': ['m1'],
+          'contacts:6:meetings': ['m1']
+        },
+        timestamps: {
+          'emails:e1': '2024-03-01T10:00:00.000Z',
+          'emails:e2': '2024-03-02T10:00:00.000Z',
+          'emails:e3': '2024-03-03T10:00:00.000Z',
+          'meetings:m1': '2024-03-04T09:00:00.000Z'
+        },
+        engagementProperties: {
+          'emails:e1': { hs_email_direction: 'EMAIL', hs_email_thread_id: 't1', hs_email_status: 'SENT', hs_email_open_count: '2' },
+          'emails:e2': { hs_email_direction: 'INCOMING_EMAIL', hs_email_thread_id: 't1' },
+          'emails:e3': { hs_email_direction: 'INCOMING_EMAIL', hs_email_thread_id: 't2' },
+          'meetings:m1': { hs_meeting_start_time: '2024-03-04T09:00:00.000Z', hs_meeting_end_time: '2024-03-04T09:45:00.000Z' }
+        }
+      });
+      const service = createService(client, { engagementScope: 'all' });
+
+      const result = await service.getDealWithContacts('1');
+      const activities = result.contacts[0].engagements.activities;
+
+      expect(activities).toEqual([
+        { id: 'm1', type: 'meetings', timestamp: '2024-03-04T09:00:00.000Z', durationMinutes: 45, attendees: 2 },
+        expect.objectContaining({ id: 'e3', direction: 'INBOUND', isReply: false, threadId: 't2', opened: null }),
+        expect.objectContaining({ id: 'e2', direction: 'INBOUND', isReply: true, threadId: 't1' }),
+        {
+          id: 'e1',
+          type: 'emails',
+          timestamp: '2024-03-01T10:00:00.000Z',
+          direction: 'OUTBOUND',
+          isReply: false,
+          threadId: 't1',
+          status: 'SENT',
+          opened: true
+        }
+      ]);
+      expect(calls.engagementReads.map(read => read.objectType).sort()).toEqual(['emails', 'meetings']);
+      expect(client.crm.objects.batchApi.read).toHaveBeenCalledWith('emails', expect.objectContaining({
+        properties: expect.arrayContaining(['hs_email_direction', 'hs_email_thread_id', 'hs_email_status', 'hs_email_open_count'])
+      }));
+    });
+
+    test('marks the same replies that contact responsiveness counts', async () => {
+      const { client } = createStubClient({
+        deals: { 1: { dealname: 'Deal' } },
+        contacts: { 5: { firstname: 'Ana' }, 6: { firstname: 'Ben' } },
+        associations: {
+          'deals:1:contacts': ['5', '6'],
+          'contacts:5:emails': ['e1', 'e2', 'e3'],
+          'contacts:6:emails': ['e1', 'e4']
+        },
+        timestamps: {
+          'emails:e1': '2024-03-01T10:00:00.000Z',
+          'emails:e2': '2024-03-02T10:00:00.000Z',
+          'emails:e3': '2024-03-03T10:00:00.000Z',
+          'emails:e4': '2024-03-04T10:00:00.000Z'
+        },
+        engagementProperties: {
+          'emails:e1': { hs_email_direction: 'EMAIL', hs_email_thread_id: 't1', hs_email_status: 'SENT' },
+          'emails:e2': { hs_email_direction: 'INCOMING_EMAIL', hs_email_thread_id: 't1' },
+          'emails:e3': { hs_email_direction: 'INCOMING_EMAIL', hs_email_thread_id: 't1' },
+          'emails:e4': { hs_email_direction: 'INCOMING_EMAIL', hs_email_thread_id: 't1' }
+        }
+      });
+      const service = createService(client, { engagementScope: 'all' });
+
+      const { contacts } = await service.getDealWithContacts('1');
+      const replyIds = contact => contact.engagements.activities.filter(a => a.isReply).map(a => a.id);
+
+      // Ana's second email has no unanswered email left; Ben answers the email sent to both
+      expect(replyIds(contacts[0])).toEqual(['e2']);
+      expect(replyIds(contacts[1])).toEqual(['e4']);
+      contacts.forEach(contact => {
+        expect(calculateContactResponsiveness(contact.engagements).repliedEmails).toBe(replyIds(contact).length);
+      });
+    });
+  });
+
+  describe('getDealsWithContacts', () => {
+    test('reports deals that fail instead of dropping them silently', async () => {
+      const { client } = createStubClient({
+        deals: { 1: { dealname: 'First' }, 3: { dealname: 'Third' } },
+        contacts: {},
+        associations: {}
+      });
+      client.crm.deals.basicApi.getById.mockImplementation(async (dealId) => {
+        if (dealId === '2') {
+          throw Object.assign(new Error('Not found'), { code: 404 });
+        }
+        return { id: dealId, properties: { dealname: dealId === '1' ? 'First' : 'Third' } };
+      });
+      const service = createService(client);
+
+      const result = await service.getDealsWithContacts(['1', '2', '3']);
+
+      expect(result.deals.map(deal => deal.dealId)).toEqual(['1', '3']);
+      expect(result.partialResults).toEqual({
+        isPartial: true,
+        requested: 3,
+        loaded: 2,
+        failed: [{ dealId: '2', status: 404, error: 'Not found' }]
+      });
+    });
+  });
+
+  describe('getSuggestedStakeholders', () => {
+    test('ranks company contacts that are not on the deal', async () => {
+      const { client, calls } = createStubClient({
+        deals: { 1: { dealname: 'Deal' } },
+        contacts: {
+          5: { firstname: 'On', lastname: 'Deal', jobtitle: 'CEO' },
+          7: { firstname: 'Vera', lastname: 'Ng', jobtitle: 'VP Engineering' },
+          8: { firstname: 'Finn', jobtitle: 'Finance Director' },
+          9: { firstname: 'Ida', jobtitle: 'Associate' }
+        },
+        associations: {
+          'deals:1:contacts': ['5'],
+          'deals:1:companies': ['c1', 'c2'],
+          'companies:c1:contacts': ['5', '7', '9'],
+          'companies:c2:contacts': ['8', '7']
+        }
+      });
+      const service = createService(client);
+
+      const result = await service.getSuggestedStakeholders('1', ['DECISION_MAKER', 'BUDGET_HOLDER']);
+
+      expect(result.candidatesReviewed).toBe(3);
+      expect(result.companyIds).toEqual(['c1', 'c2']);
+      expect(result.suggestions.DECISION_MAKER.map(s => s.contactId)).toEqual(['7']);
+      expect(result.suggestions.DECISION_MAKER[0].companyId).toBe('c1');
+      expect(result.suggestions.BUDGET_HOLDER.map(s => s.contactId)).toEqual(['8']);
+      expect(calls.batchReads).toEqual([['7', '9', '8']]);
+    });
+
+    test('skips HubSpot calls when no roles are missing', async () => {
+      const { client } = createStubClient({ deals: {}, contacts: {}, associations: {} });
+      const service = createService(client);
+
+      const result = await service.getSuggestedStakeholders('1', []);
+
+      expect(result.suggestions).toEqual({});
+      expect(client.crm.associations.v4.basicApi.getPage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('caching', () => {
+    const cachedData = () => ({
+      deals: { 1: { dealname: 'Cached Deal' } },
+      contacts: { 5: { firstname: 'Ana' } },
+      associations: { 'deals:1:contacts': ['5'] }
+    });
+
+    beforeEach(async () => {
+      await clearCache();
+    });
+
+    test('serves repeat requests for a deal from the cache', async () => {
+      const { client } = createStubClient(cachedData());
+      const service = createService(client, { portalId: '111', useCache: true });
+
+      const first = await service.getDealWithContacts('1');
+      const second = await service.getDealWithContacts('1');
+
+      expect(second).toEqual(first);
+      expect(client.crm.deals.basicApi.getById).toHaveBeenCalledTimes(1);
+    });
+
+    test('fetches again after invalidation or when refresh is requested', async () => {
+      const { client } = createStubClient(cachedData());
+      const service = createService(client, { portalId: '111', useCache: true });
+
+      await service.getDealWithContacts('1');
+      await invalidateDeal('111', '1');
+      await service.getDealWithContacts('1');
+      await service.getDealWithContacts('1', { refresh: true });
+
+      expect(client.crm.deals.basicApi.getById).toHaveBeenCalledTimes(3);
+    });
+
+    test('caches each engagement scope separately', async () => {
+      const { client } = createStubClient(cachedData());
+      const service = createService(client, { portalId: '111', useCache: true });
+
+      await service.getDealWithContacts('1');
+      const all = await service.getDealWithContacts('1', { engagementScope: 'all' });
+
+      expect(all.engagementScope.scope).toBe('all');
+      expect(client.crm.deals.basicApi.getById).toHaveBeenCalledTimes(2);
+    });
+
+    test('reuses stakeholder suggestions until the deal is invalidated', async () => {
+      const { client } = createStubClient({
+        deals: { 1: { dealname: 'Deal' } },
+        contacts: { 7: { firstname: 'Vera', jobtitle: 'VP Engineering' } },
+        associations: { 'deals:1:contacts': [], 'deals:1:companies': ['c1'], 'companies:c1:contacts': ['7'] }
+      });
+      const service = createService(client, { portalId: '111', useCache: true });
+
+      const first = await service.getSuggestedStakeholders('1', ['DECISION_MAKER']);
+      const second = await service.getSuggestedStakeholders('1', ['DECISION_MAKER']);
+      await service.getSuggestedStakeholders('1', ['DECISION_MAKER', 'CHAMPION']);
+      await invalidateDeal('111', '1');
+      await service.getSuggestedStakeholders('1', ['DECISION_MAKER', 'CHAMPION']);
+
+      expect(second).toEqual(first);
+      expect(client.crm.contacts.batchApi.read).toHaveBeenCalledTimes(3);
+    });
+
+    test('is off unless requested', async () => {
+      const { client } = createStubClient(cachedData());
+      const service = createService(client, { portalId: '111' });
+
+      await service.getDealWithContacts('1');
+      await service.getDealWithContacts('1');
+
+      expect(client.crm.deals.basicApi.getById).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('updateDealScore', () => {
+    const scoreData = {
+      overallScore: 62,
+      riskLevel: 'MEDIUM',
+      contactCount: 4,
+      threadDepth: 3,
+      engagementScore: 55,
+      participationScore: 70,
+      roleCoverageScore: 50,
+      missingKeyRoles: ['CHAMPION']
+    };
+
+    const stubUpdateClient = () => {
+      const { client } = createStubClient({ deals: {}, contacts: {}, associations: {} });
+      client.crm.deals.basicApi.update = jest.fn(async () => ({}));
+      return client;
+    };
+
+    test('writes the full score breakdown', async () => {
+      const client = stubUpdateClient();
+      const service = createService(client);
+
+      const updated = await service.updateDealScore('1', scoreData, {
+        coverageAnalysis: { breadth: { breadthScore: 40 }, depth: { overallDepthScore: 65 } }
+      });
+
+      expect(updated).toBe(true);
+      const [dealId, { properties }] = client.crm.deals.basicApi.update.mock.calls[0];
+      expect(dealId).toBe('1');
+      expect(properties).toMatchObject({
+        multi_thread_score: '62',
+        multi_thread_risk_level: 'MEDIUM',
+        coverage_depth_score: '65',
+        missing_key_roles: 'CHAMPION'
+      });
+      expect(properties.multi_thread_last_scored).toBeDefined();
+    });
+
+    test('writes missing key roles configured for the portal as property options', async () => {
+      await clearStores();
+      await saveScoringConfig('111', { keyRoles: ['DECISION_MAKER', 'LEGAL'] });
+      const client = stubUpdateClient();
+      const service = createService(client);
+      const portalScore = calculateMultiThreadingScore({
+        deal: { dealname: 'Deal' },
+        contacts: [{ id: '5', properties: { hs_buying_role: 'DECISION_MAKER' }, engagements: { emails: 2, meetings: 1, calls: 0, total: 3 } }]
+      }, { scoringConfig: await getScoringConfig('111') });
+
+      await service.updateDealScore('1', portalScore);
+
+      const [, { properties }] = client.crm.deals.basicApi.update.mock.calls[0];
+      const options = SCORE_PROPERTIES.find(p => p.name === 'missing_key_roles').options.map(o => o.value);
+      expect(properties.missing_key_roles).toBe('LEGAL');
+      expect(properties.missing_key_roles.split(';').every(role => options.includes(role))).toBe(true);
+    });
+
+    test('skips the write when the deal already holds the same values', async () => {
+      const client = stubUpdateClient();
+      const service = createService(client);
+      const currentValues = {
+        dealname: 'Deal',
+        multi_thread_score: '62',
+        multi_thread_risk_level: 'MEDIUM',
+        stakeholder_count: '4',
+        engaged_stakeholder_count: '3',
+        engagement_score: '55',
+        participation_score: '70',
+        role_coverage_score: '50',
+        missing_key_roles: 'CHAMPION'
+      };
+
+      expect(await service.updateDealScore('1', scoreData, { currentValues })).toBe(false);
+      expect(await service.updateDealScore('1', { ...scoreData, overallScore: 70 }, { currentValues })).toBe(true);
+      expect(await service.updateDealScore('1', scoreData, { currentValues, force: true })).toBe(true);
+      expect(client.crm.deals.basicApi.update).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('updateContactRoles', () => {
+    test('writes roles in batches to the requested property', async () => {
+      const { client } = createStubClient({ deals: {}, contacts: {}, associations: {} });
+      client.crm.contacts.batchApi.update = jest.fn(async () => ({ results: [] }));
+      const service = createService(client);
+      const updates = range(120, 1).map(id => ({ contactId: id, role: 'CHAMPION', property: 'inferred_buying_role' }));
+
+      const count = await service.updateContactRoles(updates);
+
+      expect(count).toBe(120);
+      const batches = client.crm.contacts.batchApi.update.mock.calls.map(([request]) => request.inputs);
+      expect(batches.map(batch => batch.length)).toEqual([100, 20]);
+      expect(batches[0][0]).toEqual({ id: '1', properties: { inferred_buying_role: 'CHAMPION' } });
+    });
+  });
+
+  describe('installScoreProperties', () => {
+    const stubPropertiesClient = ({ groups = [], properties = [] } = {}) => {
+      const { client } = createStubClient({ deals: {}, contacts: {}, associations: {} });
+      client.crm.properties = {
+        groupsApi: {
+          getAll: jest.fn(async () => ({ results: groups })),
+          create: jest.fn(async (objectType, group) => group)
+        },
+        coreApi: {
+          getAll: jest.fn(async () => ({ results: properties })),
+          update: jest.fn(async (objectType, name, update) => ({ name, ...update }))
+        },
+        batchApi: {
+          create: jest.fn(async (objectType, { inputs }) => ({ results: inputs }))
+        }
+      };
+      return client;
+    };
+
+    test('creates the property group and all score properties', async () => {
+      const client = stubPropertiesClient();
+      const service = createService(client);
+
+      const { deals, contacts } = await service.installScoreProperties();
+
+      expect(deals.groupCreated).toBe(true);
+      expect(deals.created).toContain('multi_thread_risk_level');
+      expect(deals.created).toContain('multi_thread_last_scored');
+      expect(contacts.created).toEqual(['inferred_buying_role']);
+      expect(client.crm.properties.groupsApi.create).toHaveBeenCalledWith('deals', expect.objectContaining({
+        name: 'multi_threading',
+        label: 'Multi-Threading'
+      }));
+      const [objectType, { inputs }] = client.crm.properties.batchApi.create.mock.calls[0];
+      expect(objectType).toBe('deals');
+      expect(inputs.every(input => input.groupName === 'multi_threading')).toBe(true);
+      expect(client.crm.properties.groupsApi.create).toHaveBeenCalledWith('contacts', expect.anything());
+    });
+
+    test('only touches missing or outdated properties on reinstall', async () => {
+      const client = stubPropertiesClient({
+        groups: [{ name: 'multi_threading' }],
+        properties: [
+          { name: 'multi_thread_score', label: 'Multi-Threading Score', groupName: 'multi_threading' },
+          { name: 'stakeholder_count', label: 'Stakeholder Count', groupName: 'dealinformation' }
+        ]
+      });
+      const service = createService(client);
+
+      const { deals } = await service.installScoreProperties();
+
+      expect(deals.groupCreated).toBe(false);
+      expect(deals.created).not.toContain('multi_thread_score');
+      expect(deals.updated).toEqual(['stakeholder_count']);
+      expect(client.crm.properties.groupsApi.create).not.toHaveBeenCalledWith('deals', expect.anything());
+    });
+  });
+
+  describe('engagement scope', () => {
+    const scopedData = () => ({
+      deals: { 1: { dealname: 'New Deal', createdate: '2024-03-01T00:00:00.000Z' } },
+      contacts: { 5: { firstname: 'Ana' } },
+      associations: {
+        'deals:1:contacts': ['5'],
+        'deals:1:emails': ['e-old-deal'],
+        'deals:1:companies': ['c1'],
+        'companies:c1:meetings': ['m-company'],
+        'contacts:5:emails': ['e-old', 'e-old-deal', 'e-new'],
+        'contacts:5:meetings': ['m-company', 'm-old']
+      },
+      timestamps: {
+        'emails:e-old': '2023-06-01T00:00:00.000Z',
+        'emails:e-old-deal': '2024-02-15T00:00:00.000Z',
+        'emails:e-new': '2024-03-10T00:00:00.000Z',
+        'meetings:m-company': '2023-12-01T00:00:00.000Z',
+        'meetings:m-old': '2023-01-01T00:00:00.000Z'
+      }
+    });
+
+    test('defaults to counting only deal activity and activity since the deal was created', async () => {
+      const { client } = createStubClient(scopedData());
+      const service = createService(client);
+
+      const result = await service.getDealWithContacts('1');
+      const contact = result.contacts[0];
+
+      expect(contact.engagements.emails).toBe(2);
+      expect(contact.engagements.meetings).toBe(0);
+      expect(contact.engagements.activities.map(a => a.id)).toEqual(['e-new', 'e-old-deal']);
+      expect(contact.firstEngagementDate).toBe('2024-02-15T00:00:00.000Z');
+      expect(result.engagementScope).toEqual({
+        scope: 'deal',
+        includeCompanyActivity: false,
+        since: '2024-03-01T00:00:00.000Z'
+      });
+    });
+
+    test('includes company-level activity when requested', async () => {
+      const { client } = createStubClient(scopedData());
+      const service = createService(client, { includeCompanyActivity: true });
+
+      const result = await service.getDealWithContacts('1');
+
+      expect(result.contacts[0].engagements.meetings).toBe(1);
+      expect(result.contacts[0].engagements.total).toBe(3);
+      expect(result.engagementScope.includeCompanyActivity).toBe(true);
+    });
+
+    test('counts all contact activity when the scope is all', async () => {
+      const { client } = createStubClient(scopedData());
+      const service = createService(client);
+
+      const result = await service.getDealWithContacts('1', { engagementScope: 'all' });
+
+      expect(result.contacts[0].engagements.total).toBe(5);
+      expect(result.engagementScope.since).toBeNull();
+    });
+
+    test('rejects unknown scopes', () => {
+      expect(() => new HubSpotService('token', { engagementScope: 'forever' })).toThrow('Unknown engagement scope');
+    });
+  });
+});
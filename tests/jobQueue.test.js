@@ -0,0 +1,196 @@
+const { JobQueue, shouldRetryError } = require('../src/services/jobQueue');
+const { MemoryStore } = require('../src/services/dataStore');
+
+describe('Job Queue', () => {
+  let queue;
+
+  afterEach(async () => {
+    await queue.clear();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('debouncing', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      queue = new JobQueue({ debounceMs: 1000, maxWaitMs: 5000, concurrency: 1 });
+    });
+
+    test('runs a job once its debounce window passes', async () => {
+      const handler = jest.fn(async () => 'done');
+      queue.registerHandler('test', handler);
+
+      const job = await queue.enqueue('test', { id: 1 });
+      jest.advanceTimersByTime(999);
+      expect(handler).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(1);
+      await queue.onIdle();
+
+      expect(handler).toHaveBeenCalledWith({ id: 1 }, job);
+      expect(job.result).toBe('done');
+      expect(queue.getStats()).toMatchObject({ enqueued: 1, completed: 1, failed: 0 });
+    });
+
+    test('merges jobs with the same key and restarts the window', async () => {
+      const handler = jest.fn(async () => {});
+      queue.registerHandler('test', handler);
+      const merge = (existing, incoming) => ({ ids: [...existing.ids, ...incoming.ids] });
+
+      await queue.enqueue('test', { ids: [1] }, { key: 'k', merge });
+      jest.advanceTimersByTime(800);
+      await queue.enqueue('test', { ids: [2] }, { key: 'k', merge });
+      jest.advanceTimersByTime(800);
+      expect(handler).not.toHaveBeenCalled();
+
+      jest.advanceTimersByTime(200);
+      await queue.onIdle();
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0]).toEqual({ ids: [1, 2] });
+      expect(queue.getStats()).toMatchObject({ enqueued: 2, deduplicated: 1 });
+    });
+
+    test('stops debouncing after the maximum wait', async () => {
+      const handler = jest.fn(async () => {});
+      queue.registerHandler('test', handler);
+
+      for (let i = 0; i < 6; i++) {
+        await queue.enqueue('test', {}, { key: 'k' });
+        jest.advanceTimersByTime(900);
+      }
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('running jobs', () => {
+    beforeEach(() => {
+      queue = new JobQueue({ debounceMs: 0, concurrency: 2 });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    test('runs a key again when it is enqueued while running', async () => {
+      const runs = [];
+      let release;
+      let started;
+      const blocked = new Promise(resolve => { release = resolve; });
+      const running = new Promise(resolve => { started = resolve; });
+      queue.registerHandler('test', async (data) => {
+        runs.push(data.run);
+        if (data.run === 1) {
+          started();
+          await blocked;
+        }
+      });
+
+      await queue.enqueue('test', { run: 1 }, { key: 'k' });
+      await running;
+      await queue.enqueue('test', { run: 2 }, { key: 'k' });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      expect(runs).toEqual([1]);
+
+      release();
+      await queue.onIdle();
+      expect(runs).toEqual([1, 2]);
+    });
+
+    test('retries failed jobs with backoff', async () => {
+      let attempts = 0;
+      queue.registerHandler('flaky', async () => {
+        attempts++;
+        if (attempts < 3) {
+          throw new Error('Service unavailable');
+        }
+        return 'ok';
+      }, { maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 });
+
+      const job = await queue.enqueue('flaky', {});
+      await queue.onIdle();
+
+      expect(job.attempts).toBe(3);
+      expect(job.result).toBe('ok');
+      expect(queue.getStats()).toMatchObject({ completed: 1, failed: 2, retried: 2, deadLettered: 0 });
+      expect(await queue.store.entries()).toEqual([]);
+    });
+
+    test('dead-letters jobs that fail every attempt, and replays them', async () => {
+      let healthy = false;
+      queue.registerHandler('flaky', async () => {
+        if (!healthy) {
+          throw new Error('Slack is down');
+        }
+      }, { maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 5 });
+
+      const job = await queue.enqueue('flaky', { portalId: '111' });
+      await queue.onIdle();
+
+      const [deadLetter] = await queue.getDeadLetters();
+      expect(deadLetter).toMatchObject({ id: job.id, type: 'flaky', attempts: 2, lastError: 'Slack is down' });
+      expect(deadLetter.failedAt).toBeDefined();
+
+      healthy = true;
+      const replayed = await queue.replayDeadLetter(job.id);
+      await queue.onIdle();
+
+      expect(replayed.attempts).toBe(1);
+      expect(await queue.getDeadLetters()).toEqual([]);
+      expect(await queue.replayDeadLetter('missing')).toBeNull();
+    });
+
+    test('dead-letters errors that are not worth retrying straight away', async () => {
+      const badRequest = Object.assign(new Error('Bad request'), { code: 400 });
+      queue.registerHandler('bad', async () => { throw badRequest; });
+
+      await queue.enqueue('bad', {});
+      await queue.enqueue('unknown', {});
+      await queue.onIdle();
+
+      const deadLetters = await queue.getDeadLetters();
+      expect(deadLetters.map(job => job.attempts)).toEqual([1, 1]);
+      expect(queue.getStats().retried).toBe(0);
+    });
+  });
+
+  describe('persistence', () => {
+    test('restores jobs persisted by a previous process', async () => {
+      const store = new MemoryStore();
+      const previous = new JobQueue({ store, debounceMs: 60000 });
+      const saved = await previous.enqueue('test', { dealId: '1' }, { key: 'deal:1' });
+      // The previous process stops before the job runs
+      clearTimeout(saved.timer);
+
+      queue = new JobQueue({ store, debounceMs: 0 });
+      const handler = jest.fn(async () => {});
+      queue.registerHandler('test', handler);
+
+      expect(await queue.restore()).toBe(1);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      expect(handler).not.toHaveBeenCalled();
+      expect(queue.getJobs()).toEqual([
+        expect.objectContaining({ id: saved.id, key: 'deal:1', status: 'pending', runAt: saved.runAt })
+      ]);
+    });
+
+    test('purges a portal\'s jobs and dead letters', async () => {
+      queue = new JobQueue({ debounceMs: 60000 });
+      await queue.enqueue('test', { portalId: '111', dealId: '1' });
+      await queue.enqueue('test', { portalId: '222', dealId: '1' });
+      await queue.deadLetterStore.set('dead-1', { id: 'dead-1', data: { portalId: '111' }, failedAt: new Date().toISOString() });
+
+      expect(await queue.purgePortal('111')).toBe(2);
+      expect(queue.getJobs().map(job => job.data.portalId)).toEqual(['222']);
+      expect(await queue.getDeadLetters()).toEqual([]);
+    });
+  });
+
+  describe('shouldRetryError', () => {
+    test('retries rate limits, server and network errors only', () => {
+      expect(shouldRetryError(Object.assign(new Error(), { code: 429 }))).toBe(true);
+      expect(shouldRetryError(Object.assign(new Error(), { response: { status: 503 } }))).toBe(true);
+      expect(shouldRetryError(Object.assign(new Error(), { code: 404 }))).toBe(false);
+      expect(shouldRetryError(Object.assign(new Error(), { code: 'ECONNRESET' }))).toBe(true);
+      expect(shouldRetryError(Object.assign(new Error(), { retryable: false }))).toBe(false);
+    });
+  });
+});
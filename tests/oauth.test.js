@@ -0,0 +1,260 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const request = require('supertest');
+const app = require('../src/app');
+const oauthRoutes = require('../src/routes/oauth');
+const HubSpotService = require('../src/services/hubspotService');
+const { saveTokens, getTokens, listPortals } = require('../src/services/tokenStore');
+const { clearStores } = require('../src/services/dataStore');
+const { cacheDeal, getCachedDeal } = require('../src/services/cacheService');
+const { getAuditEvents, AUDIT_ACTIONS } = require('../src/services/auditLogService');
+
+describe('OAuth token storage', () => {
+  beforeEach(async () => {
+    await clearStores();
+    axios.get.mockReset();
+    axios.post.mockReset();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(HubSpotService.prototype, 'installScoreProperties').mockResolvedValue({ deals: {}, contacts: {} });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  /**
+   * Start the install flow and return the state and cookie HubSpot's redirect would carry
+   */
+  async function startAuthorization(query = '') {
+    const response = await request(app).get(`/oauth/authorize${query}`);
+    const state = new URL(response.headers.location).searchParams.get('state');
+    const cookie = response.headers['set-cookie'][0].split(';')[0];
+    return { state, cookie };
+  }
+
+  function mockTokenExchange() {
+    axios.post.mockResolvedValue({ data: { access_token: 'access-1', refresh_token: 'refresh-1', expires_in: 1800 } });
+    axios.get.mockResolvedValue({ data: { hub_id: 4242, hub_domain: 'acme.com', user: 'admin@acme.com', scopes: ['crm.objects.deals.read'] } });
+  }
+
+  test('stores tokens under the portal ID from the token info endpoint', async () => {
+    mockTokenExchange();
+    const { state, cookie } = await startAuthorization();
+
+    const response = await request(app)
+      .get(`/oauth/callback?code=abc&state=${encodeURIComponent(state)}`)
+      .set('Cookie', cookie);
+
+    expect(response.status).toBe(200);
+    expect(response.body.portalId).toBe('4242');
+    expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('/oauth/v1/access-tokens/access-1'));
+    expect(await getTokens('4242')).toMatchObject({
+      portalId: '4242',
+      accessToken: 'access-1',
+      refreshToken: 'refresh-1',
+      hubDomain: 'acme.com',
+      installedBy: 'admin@acme.com'
+    });
+    expect(await listPortals()).toEqual(['4242']);
+  });
+
+  test('rejects callbacks without a valid state', async () => {
+    mockTokenExchange();
+    const { state } = await startAuthorization();
+
+    const noState = await request(app).get('/oauth/callback?code=abc');
+    const noCookie = await request(app).get(`/oauth/callback?code=abc&state=${encodeURIComponent(state)}`);
+
+    expect(noState.status).toBe(400);
+    expect(noState.body).toEqual({ error: 'Invalid OAuth state', reason: 'missing_state' });
+    expect(noCookie.status).toBe(400);
+    expect(noCookie.body.reason).toBe('state_mismatch');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('rejects a replayed callback', async () => {
+    mockTokenExchange();
+    const { state, cookie } = await startAuthorization();
+    const callbackUrl = `/oauth/callback?code=abc&state=${encodeURIComponent(state)}`;
+
+    await request(app).get(callbackUrl).set('Cookie', cookie);
+    const replay = await request(app).get(callbackUrl).set('Cookie', cookie);
+
+    expect(replay.status).toBe(400);
+    expect(replay.body.reason).toBe('state_reused');
+  });
+
+  test('returns the user to where they started', async () => {
+    mockTokenExchange();
+    const returnTo = 'https://app.hubspot.com/contacts/4242/deal/99';
+    const { state, cookie } = await startAuthorization(`?returnTo=${encodeURIComponent(returnTo)}`);
+
+    const response = await request(app)
+      .get(`/oauth/callback?code=abc&state=${encodeURIComponent(state)}`)
+      .set('Cookie', cookie);
+
+    expect(response.status).toBe(302);
+    expect(response.headers.location).toBe(returnTo);
+  });
+
+  test('serves tokens for any installed portal', async () => {
+    const expiresAt = Date.now() + 3600000;
+    await saveTokens('111', { accessToken: 'token-111', refreshToken: 'r', expiresAt });
+    await saveTokens('222', { accessToken: 'token-222', refreshToken: 'r', expiresAt });
+
+    expect(await oauthRoutes.getAccessToken('111')).toBe('token-111');
+    expect(await oauthRoutes.getAccessToken(222)).toBe('token-222');
+    await expect(oauthRoutes.getAccessToken('333')).rejects.toThrow('No tokens found for portal 333');
+    await expect(oauthRoutes.getAccessToken()).rejects.toThrow('A portal ID is required');
+  });
+
+  test('falls back to the only installed portal when none is given', async () => {
+    await saveTokens('111', { accessToken: 'token-111', refreshToken: 'r', expiresAt: Date.now() + 3600000 });
+
+    expect(await oauthRoutes.getAccessToken()).toBe('token-111');
+  });
+
+  test('refreshes expiring tokens once for concurrent requests', async () => {
+    await saveTokens('111', { accessToken: 'old', refreshToken: 'refresh-old', expiresAt: Date.now() + 1000, hubDomain: 'acme.com' });
+    axios.post.mockResolvedValue({ data: { access_token: 'new', refresh_token: 'refresh-new', expires_in: 1800 } });
+
+    const tokens = await Promise.all([
+      oauthRoutes.getAccessToken('111'),
+      oauthRoutes.getAccessToken('111')
+    ]);
+
+    expect(tokens).toEqual(['new', 'new']);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(await getTokens('111')).toMatchObject({ accessToken: 'new', refreshToken: 'refresh-new', hubDomain: 'acme.com' });
+  });
+});
+
+describe('Portal uninstall', () => {
+  const ADMIN_KEY = 'test-admin-key';
+
+  beforeEach(async () => {
+    await clearStores();
+    axios.delete.mockReset();
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+    jest.restoreAllMocks();
+  });
+
+  test('revokes tokens, purges portal data and records an audit entry', async () => {
+    axios.delete.mockResolvedValue({ status: 204 });
+    await saveTokens('111', { accessToken: 'token-111', refreshToken: 'refresh-111', expiresAt: Date.now() + 3600000, installedBy: 'admin@acme.com' });
+    await saveTokens('222', { accessToken: 'token-222', refreshToken: 'refresh-222', expiresAt: Date.now() + 3600000 });
+    await cacheDeal('111', '1', 'deal', { dealId: '1', contacts: [] });
+
+    const response = await request(app)
+      .delete('/oauth/portals/111')
+      .set('x-admin-api-key', ADMIN_KEY);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, portalId: '111', tokensRevoked: true, failed: [] });
+    expect(response.body.removed).toMatchObject({ tokens: 1, cache: 1 });
+    expect(axios.delete).toHaveBeenCalledWith(expect.stringContaining('/oauth/v1/refresh-tokens/refresh-111'));
+    expect(await getTokens('111')).toBeNull();
+    expect(await getCachedDeal('111', '1', 'deal')).toBeNull();
+    expect(await listPortals()).toEqual(['222']);
+
+    const [auditEvent] = await getAuditEvents({ portalId: '111' });
+    expect(auditEvent).toMatchObject({
+      id: response.body.auditEventId,
+      action: AUDIT_ACTIONS.PORTAL_UNINSTALLED,
+      actor: 'admin',
+      details: { hadTokens: true, tokensRevoked: true }
+    });
+    expect(JSON.stringify(auditEvent)).not.toContain('admin@acme.com');
+    expect(JSON.stringify(auditEvent)).not.toContain('refresh-111');
+  });
+
+  test('purges data even when HubSpot has already revoked the tokens', async () => {
+    axios.delete.mockRejectedValue({ response: { status: 404, data: { message: 'not found' } } });
+    await saveTokens('111', { accessToken: 'token-111', refreshToken: 'refresh-111', expiresAt: Date.now() + 3600000 });
+
+    const response = await request(app)
+      .delete('/oauth/portals/111')
+      .set('x-admin-api-key', ADMIN_KEY);
+
+    expect(response.status).toBe(200);
+    expect(response.body.tokensRevoked).toBe(false);
+    expect(await getTokens('111')).toBeNull();
+  });
+
+  test('requires the admin API key', async () => {
+    await saveTokens('111', { accessToken: 'token-111', refreshToken: 'r', expiresAt: Date.now() + 3600000 });
+
+    const missing = await request(app).delete('/oauth/portals/111');
+    const wrong = await request(app).delete('/oauth/portals/111').set('x-admin-api-key', 'nope');
+    delete process.env.ADMIN_API_KEY;
+    const unconfigured = await request(app).delete('/oauth/portals/111').set('x-admin-api-key', ADMIN_KEY);
+
+    expect(missing.status).toBe(401);
+    expect(wrong.status).toBe(401);
+    expect(unconfigured.status).toBe(503);
+    expect(await getTokens('111')).not.toBeNull();
+  });
+});
+
+describe('Private app mode', () => {
+  beforeEach(async () => {
+    await clearStores();
+    axios.post.mockReset();
+    process.env.HUBSPOT_PRIVATE_APP_TOKEN = 'pat-na1-private';
+  });
+
+  afterEach(() => {
+    delete process.env.HUBSPOT_PRIVATE_APP_TOKEN;
+    delete process.env.HUBSPOT_PORTAL_ID;
+  });
+
+  test('uses the private app token without stored tokens', async () => {
+    expect(await oauthRoutes.getAccessToken()).toBe('pat-na1-private');
+    expect(await oauthRoutes.getAccessToken('111')).toBe('pat-na1-private');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('prefers the private app token over stored OAuth tokens', async () => {
+    await saveTokens('111', { accessToken: 'oauth-token', refreshToken: 'r', expiresAt: Date.now() - 1000 });
+
+    expect(await oauthRoutes.getAccessToken('111')).toBe('pat-na1-private');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('rejects other portals when the portal ID is configured', async () => {
+    process.env.HUBSPOT_PORTAL_ID = '111';
+
+    expect(await oauthRoutes.getAccessToken('111')).toBe('pat-na1-private');
+    await expect(oauthRoutes.getAccessToken('222')).rejects.toThrow('only serves portal 111');
+  });
+
+  test('disables the install flow', async () => {
+    const authorize = await request(app).get('/oauth/authorize');
+    const callback = await request(app).get('/oauth/callback?code=abc&state=x');
+
+    expect(authorize.status).toBe(404);
+    expect(authorize.body.error).toContain('private app access token');
+    expect(callback.status).toBe(404);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('serves analysis routes with the private app token', async () => {
+    jest.spyOn(HubSpotService.prototype, 'getDealWithContacts').mockResolvedValue({
+      dealId: '99',
+      deal: { dealname: 'Private Deal', dealstage: 'qualifiedtobuy' },
+      contacts: []
+    });
+
+    const response = await request(app).get('/api/analysis/coverage/99');
+
+    expect(response.status).toBe(200);
+    expect(HubSpotService.prototype.getDealWithContacts).toHaveBeenCalledWith('99');
+    jest.restoreAllMocks();
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  createState,
+  verifyState,
+  sanitizeReturnTo,
+  getStateCookie,
+  clearUsedStates,
+  STATE_TTL_MS
+} = require('../src/services/oauthStateService');
+
+describe('OAuth State Service', () => {
+  beforeEach(() => {
+    clearUsedStates();
+  });
+
+  describe('verifyState', () => {
+    test('accepts a fresh state from the same browser once', () => {
+      const { state, nonce } = createState({ returnTo: '/crm-card/details?dealId=1' });
+
+      expect(verifyState(state, nonce)).toEqual({ valid: true, returnTo: '/crm-card/details?dealId=1' });
+      expect(verifyState(state, nonce)).toEqual({ valid: false, reason: 'state_reused' });
+    });
+
+    test('rejects missing and malformed states', () => {
+      expect(verifyState(undefined, 'n').reason).toBe('missing_state');
+      expect(verifyState('no-signature', 'n').reason).toBe('malformed_state');
+    });
+
+    test('rejects tampered states', () => {
+      const { state, nonce } = createState({ returnTo: '/safe' });
+      const [, signature] = state.split('.');
+      const forged = Buffer.from(JSON.stringify({ n: nonce, exp: Date.now() + 60000, r: 'https://evil.com' })).toString('base64url');
+
+      expect(verifyState(`${forged}.${signature}`, nonce).reason).toBe('invalid_signature');
+    });
+
+    test('rejects states from another browser', () => {
+      const { state } = createState();
+      const other = createState();
+
+      expect(verifyState(state, other.nonce).reason).toBe('state_mismatch');
+      expect(verifyState(state, null).reason).toBe('state_mismatch');
+    });
+
+    test('rejects expired states', () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      const { state, nonce } = createState();
+
+      Date.now.mockReturnValue(now + STATE_TTL_MS + 1);
+      expect(verifyState(state, nonce).reason).toBe('expired_state');
+      Date.now.mockRestore();
+    });
+  });
+
+  describe('sanitizeReturnTo', () => {
+    const appBaseUrl = 'https://mts.example.com';
+
+    test('allows app paths, app URLs and HubSpot app URLs', () => {
+      expect(sanitizeReturnTo('/crm-card/details?dealId=1', appBaseUrl)).toBe('/crm-card/details?dealId=1');
+      expect(sanitizeReturnTo('https://mts.example.com/welcome', appBaseUrl)).toBe('https://mts.example.com/welcome');
+      expect(sanitizeReturnTo('https://app.hubspot.com/contacts/111/deal/99', appBaseUrl))
+        .toBe('https://app.hubspot.com/contacts/111/deal/99');
+      expect(sanitizeReturnTo('https://app-eu1.hubspot.com/contacts/111/deal/99', appBaseUrl))
+        .toBe('https://app-eu1.hubspot.com/contacts/111/deal/99');
+    });
+
+    test('drops open redirects', () => {
+      expect(sanitizeReturnTo('https://evil.com/phish', appBaseUrl)).toBeNull();
+      expect(sanitizeReturnTo('//evil.com', appBaseUrl)).toBeNull();
+      expect(sanitizeReturnTo('/\\evil.com', appBaseUrl)).toBeNull();
+      expect(sanitizeReturnTo('http://app.hubspot.com/contacts', appBaseUrl)).toBeNull();
+      expect(sanitizeReturnTo('https://app.hubspot.com.evil.com/', appBaseUrl)).toBeNull();
+      expect(sanitizeReturnTo('javascript:alert(1)', appBaseUrl)).toBeNull();
+    });
+  });
+
+  describe('getStateCookie', () => {
+    test('reads the state cookie among others', () => {
+      const req = { headers: { cookie: 'theme=dark; mts_oauth_state=abc123; other=1' } };
+
+      expect(getStateCookie(req)).toBe('abc123');
+      expect(getStateCookie({ headers: {} })).toBeNull();
+    });
+  });
+});
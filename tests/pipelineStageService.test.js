@@ -0,0 +1,80 @@
+const {
+  suggestStagePhase,
+  describePipelines,
+  validateStageMapping,
+  saveStageMapping
+} = require('../src/services/pipelineStageService');
+const {
+  getScoringConfig,
+  getScoringConfigDetails,
+  saveScoringConfig,
+  DEFAULT_SCORING_CONFIG,
+  mergeScoringConfig
+} = require('../src/services/scoringConfigService');
+const { clearStores } = require('../src/services/dataStore');
+
+const stage = (id, probability, isClosed = false) => ({ id, label: `Stage ${id}`, probability, isClosed });
+
+// A custom enterprise pipeline next to the default one
+const pipelines = [
+  { id: 'default', label: 'Sales Pipeline', stages: [stage('appointmentscheduled', 0.2), stage('contractsent', 0.9)] },
+  {
+    id: '555',
+    label: 'Enterprise',
+    stages: [stage('1001', 0.1), stage('1002', 0.5), stage('1003', 0.95), stage('1004', 1, true), stage('1005', null)]
+  }
+];
+
+describe('Pipeline Stage Service', () => {
+  beforeEach(async () => {
+    await clearStores();
+  });
+
+  test('suggests a phase from the stage\'s win probability', () => {
+    expect(pipelines[1].stages.map(suggestStagePhase)).toEqual(['early', 'mid', 'late', 'closed', null]);
+    expect(suggestStagePhase(stage('appointmentscheduled', 0.9))).toBe('early');
+  });
+
+  test('describes each stage with the phase it is scored in', () => {
+    const scoringConfig = mergeScoringConfig(DEFAULT_SCORING_CONFIG, { stageMapping: { 1002: 'late' } });
+
+    const { pipelines: described, unmappedStages } = describePipelines(pipelines, scoringConfig);
+
+    expect(described[0].stages[1]).toMatchObject({ phase: 'late', mapped: false, canonicalStage: 'contractsent' });
+    expect(described[1].stages[0]).toMatchObject({ phase: null, mapped: false, canonicalStage: 'default', suggestedPhase: 'early' });
+    expect(described[1].stages[1]).toMatchObject({ phase: 'late', mapped: true, canonicalStage: 'contractsent', suggestedPhase: 'mid' });
+    expect(unmappedStages).toBe(4);
+  });
+
+  test('validates stages and phases', () => {
+    expect(validateStageMapping({ 1001: 'early', 1002: null }, pipelines)).toEqual([]);
+    expect(validateStageMapping({ 2001: 'early', 1001: 'discovery' }, pipelines)).toEqual([
+      'stageMapping.2001 is not a stage of any deal pipeline',
+      'stageMapping.1001 must be one of early, mid, late, closed'
+    ]);
+    // Stages removed from HubSpot can still be unmapped
+    expect(validateStageMapping({ 2001: null }, pipelines)).toEqual([]);
+    expect(validateStageMapping(undefined, pipelines)).toEqual(['stageMapping must be an object']);
+  });
+
+  test('saves mapping changes as a new version, keeping other overrides', async () => {
+    await saveScoringConfig('111', { riskThresholds: { low: 80 }, stageMapping: { 1001: 'early', 1002: 'mid' } });
+
+    const version = await saveStageMapping('111', { 1002: 'late', 1001: null }, { actor: 'ops@example.com' });
+
+    expect(version).toMatchObject({ version: 2, actor: 'ops@example.com', note: 'Stage mapping updated' });
+    expect((await getScoringConfigDetails('111')).overrides).toEqual({
+      riskThresholds: { low: 80 },
+      stageMapping: { 1002: 'late' }
+    });
+  });
+
+  test('drops the mapping override once every stage is unmapped', async () => {
+    await saveStageMapping('111', { 1001: 'early' });
+
+    await saveStageMapping('111', { 1001: null });
+
+    expect((await getScoringConfigDetails('111')).overrides).toEqual({});
+    expect((await getScoringConfig('111')).stageMapping).toEqual({});
+  });
+});
@@ -6,6 +6,7 @@ const {
   ROLE_CHECKLISTS,
   STAGE_ACTION_PLANS
 } = require('../src/services/playbookService');
+const { DEFAULT_SCORING_CONFIG, mergeScoringConfig } = require('../src/services/scoringConfigService');
 
 describe('Playbook Service', () => {
   describe('getContextualRecommendations', () => {
@@ -92,6 +93,18 @@ describe('Playbook Service', () => {
       const stageAction = result.actions.find(a => a.action.includes('Stage focus'));
       expect(stageAction).toBeDefined();
     });
+    test('uses the action plan of a custom stage\'s mapped phase', () => {
+      const scoringConfig = mergeScoringConfig(DEFAULT_SCORING_CONFIG, { stageMapping: { 5550001: 'early' } });
+      const scoreData = { contactCount: 2, missingKeyRoles: [], coveredRoles: ['CHAMPION'], contacts: [] };
+
+      const unmapped = getContextualRecommendations(scoreData, '5550001');
+      const mapped = getContextualRecommendations(scoreData, '5550001', { scoringConfig });
+
+      expect(unmapped.actions.find(a => a.action.includes('Stage focus'))).toBeUndefined();
+      expect(mapped.actions).toContainEqual(expect.objectContaining({
+        action: `Stage focus: ${STAGE_ACTION_PLANS.qualifiedtobuy.focus}`
+      }));
+    });
   });
 
   describe('renderEmailTemplate', () => {
@@ -0,0 +1,98 @@
+const { purgePortalData, registerPortalPurger, getPortalPurgers } = require('../src/services/portalPurgeService');
+const { saveTokens, getTokens } = require('../src/services/tokenStore');
+const { cacheDeal, getCachedDeal, clearCache } = require('../src/services/cacheService');
+const { recordAlertSent, shouldThrottle, clearAlertHistory } = require('../src/services/alertService');
+const { processInferredRoles, getReviewQueue, clearRoleReviews } = require('../src/services/roleReviewService');
+const { getScheduler, clearSchedulers } = require('../src/services/requestScheduler');
+const { clearStores } = require('../src/services/dataStore');
+const { jobQueue } = require('../src/services/jobQueue');
+const { recordWebhookEvent, getDealEventHistory } = require('../src/services/webhookEventService');
+const { recordScoreSnapshot, getLatestSnapshot } = require('../src/services/dealSnapshotService');
+const { updateSchedule, getSchedule } = require('../src/services/sweepService');
+const { saveScoringConfig, getScoringConfig } = require('../src/services/scoringConfigService');
+
+const champion = contactId => ({
+  contactId,
+  name: `Contact ${contactId}`,
+  effectiveRole: 'CHAMPION',
+  roleConfidence: 60,
+  roleSource: 'inferred'
+});
+
+describe('Portal Purge Service', () => {
+  beforeEach(async () => {
+    await clearStores();
+    await clearCache();
+    clearAlertHistory();
+    await clearRoleReviews();
+    clearSchedulers();
+    await jobQueue.clear();
+  });
+
+  async function seedPortal(portalId) {
+    await saveTokens(portalId, { accessToken: `token-${portalId}`, refreshToken: 'r', expiresAt: Date.now() + 3600000 });
+    await cacheDeal(portalId, '1', 'deal', { dealId: '1', contacts: [{ id: '5' }] });
+    recordAlertSent('1', 'SINGLE_THREADED', portalId);
+    await processInferredRoles(portalId, '1', [champion('5')]);
+    await jobQueue.enqueue('test', { portalId, dealId: '1' }, { debounceMs: 60000 });
+    await recordWebhookEvent({ eventId: 1, portalId, objectId: 1, subscriptionType: 'deal.creation', occurredAt: Date.now() }, 'deal');
+    await recordScoreSnapshot(portalId, '1', { overallScore: 50, threadDepth: 1, contactCount: 1, contacts: [] });
+    await updateSchedule(portalId, { intervalMinutes: 60 });
+    await saveScoringConfig(portalId, { riskThresholds: { low: 80 } });
+    return getScheduler(portalId);
+  }
+
+  test('removes a portal\'s data from every store', async () => {
+    const scheduler = await seedPortal('111');
+
+    const result = await purgePortalData('111');
+
+    expect(result).toEqual({
+      removed: { tokens: 1, cache: 2, alertHistory: 1, roleReviews: 1, jobs: 1, webhookEvents: 2, snapshots: 1, sweepSchedule: 1, scoringConfig: 1, scheduler: 1 },
+      failed: []
+    });
+    expect(await getTokens('111')).toBeNull();
+    expect(await getCachedDeal('111', '1', 'deal')).toBeNull();
+    expect(shouldThrottle('1', 'SINGLE_THREADED', '111')).toBe(false);
+    expect(await getReviewQueue('111')).toEqual([]);
+    expect(jobQueue.getJobs()).toEqual([]);
+    expect(await getDealEventHistory('111', '1')).toEqual([]);
+    expect(await getLatestSnapshot('111', '1')).toBeNull();
+    expect((await getSchedule('111')).intervalMinutes).not.toBe(60);
+    expect((await getScoringConfig('111')).version).toBe(0);
+    expect(getScheduler('111')).not.toBe(scheduler);
+  });
+
+  test('leaves other portals alone', async () => {
+    await seedPortal('111');
+    await seedPortal('222');
+
+    await purgePortalData('111');
+
+    expect(await getTokens('222')).not.toBeNull();
+    expect(await getCachedDeal('222', '1', 'deal')).not.toBeNull();
+    expect(shouldThrottle('1', 'SINGLE_THREADED', '222')).toBe(true);
+    expect(await getReviewQueue('222')).toHaveLength(1);
+    expect(jobQueue.getJobs().map(job => job.data.portalId)).toEqual(['222']);
+    expect(await getDealEventHistory('222', '1')).toHaveLength(1);
+    expect(await getLatestSnapshot('222', '1')).not.toBeNull();
+    expect((await getScoringConfig('222')).riskThresholds.low).toBe(80);
+  });
+
+  test('keeps purging when one store fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    registerPortalPurger('broken', async () => { throw new Error('disk full'); });
+    await seedPortal('111');
+
+    const result = await purgePortalData('111');
+
+    expect(result.failed).toEqual([{ store: 'broken', error: 'disk full' }]);
+    expect(result.removed.tokens).toBe(1);
+    expect(getPortalPurgers()).toContain('broken');
+    console.error.mockRestore();
+  });
+
+  test('requires a portal ID', async () => {
+    await expect(purgePortalData()).rejects.toThrow('A portal ID is required');
+  });
+});
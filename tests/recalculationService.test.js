@@ -0,0 +1,140 @@
+const HubSpotService = require('../src/services/hubspotService');
+const { JobQueue } = require('../src/services/jobQueue');
+const { clearAlertHistory } = require('../src/services/alertService');
+const { getLatestSnapshot } = require('../src/services/dealSnapshotService');
+const { clearStores } = require('../src/services/dataStore');
+const {
+  enqueueDealRecalculation,
+  enqueueContactRecalculation,
+  recalculateDealScore,
+  resolveContactDeals,
+  registerRecalculationHandlers,
+  isScoreProperty
+} = require('../src/services/recalculationService');
+
+const dealData = (dealId) => ({
+  dealId,
+  deal: { hs_object_id: dealId, dealname: `Deal ${dealId}`, dealstage: 'qualifiedtobuy' },
+  contacts: [
+    {
+      id: '5',
+      properties: { firstname: 'Dana', jobtitle: 'VP Sales', hs_buying_role: 'DECISION_MAKER' },
+      engagements: { emails: 2, meetings: 1, calls: 0, total: 3 }
+    }
+  ]
+});
+
+function createStubService(overrides = {}) {
+  return {
+    getDealWithContacts: jest.fn(async (dealId) => dealData(dealId)),
+    updateDealScore: jest.fn(async () => true),
+    getAssociatedIds: jest.fn(async () => []),
+    ...overrides
+  };
+}
+
+describe('Recalculation Service', () => {
+  beforeEach(async () => {
+    clearAlertHistory();
+    await clearStores();
+  });
+
+  describe('recalculateDealScore', () => {
+    test('rescores the deal from fresh data and writes it back', async () => {
+      const hubspotService = createStubService();
+
+      const result = await recalculateDealScore(hubspotService, '99', { portalId: '111' });
+
+      expect(hubspotService.getDealWithContacts).toHaveBeenCalledWith('99', { refresh: true });
+      expect(hubspotService.updateDealScore).toHaveBeenCalledWith('99', expect.objectContaining({ contactCount: 1 }), {
+        coverageAnalysis: expect.any(Object),
+        currentValues: expect.objectContaining({ dealname: 'Deal 99' })
+      });
+      expect(result).toMatchObject({ dealId: '99', updated: true, sendResults: null });
+      expect(result.alerts).toContain('SINGLE_THREADED');
+    });
+
+    test('tracks lifecycle changes against the deal\'s last snapshot', async () => {
+      const hubspotService = createStubService();
+      await recalculateDealScore(hubspotService, '99', { portalId: '111' });
+      const withChampion = dealData('99');
+      withChampion.contacts.push({
+        id: '6',
+        properties: { firstname: 'Chris', jobtitle: 'Sales Manager', hs_buying_role: 'CHAMPION' },
+        engagements: { emails: 1, meetings: 0, calls: 0, total: 1 }
+      });
+      hubspotService.getDealWithContacts.mockResolvedValue(withChampion);
+
+      const result = await recalculateDealScore(hubspotService, '99', { portalId: '111' });
+
+      expect(result.lifecycleChanges).toContain('NEW_STAKEHOLDER');
+      expect((await getLatestSnapshot('111', '99')).contactCount).toBe(2);
+    });
+  });
+
+  describe('resolveContactDeals', () => {
+    test('combines associated and already known deals', async () => {
+      const hubspotService = createStubService({ getAssociatedIds: jest.fn(async () => ['1', '2']) });
+
+      const dealIds = await resolveContactDeals(hubspotService, '5', ['2', '3']);
+
+      expect(hubspotService.getAssociatedIds).toHaveBeenCalledWith('contacts', '5', 'deals');
+      expect(dealIds).toEqual(['2', '3', '1']);
+    });
+
+    test('falls back to known deals for deleted contacts', async () => {
+      const notFound = Object.assign(new Error('Not found'), { code: 404 });
+      const hubspotService = createStubService({ getAssociatedIds: jest.fn(async () => { throw notFound; }) });
+
+      expect(await resolveContactDeals(hubspotService, '5', ['3'])).toEqual(['3']);
+    });
+  });
+
+  describe('isScoreProperty', () => {
+    test('recognizes the score properties the app writes', () => {
+      expect(isScoreProperty('multi_thread_score')).toBe(true);
+      expect(isScoreProperty('dealstage')).toBe(false);
+    });
+  });
+
+  describe('queued recalculation', () => {
+    let queue;
+    let hubspotService;
+
+    beforeEach(() => {
+      queue = new JobQueue({ debounceMs: 0, concurrency: 2 });
+      hubspotService = createStubService({ getAssociatedIds: jest.fn(async () => ['1', '2']) });
+      jest.spyOn(HubSpotService.prototype, 'getDealWithContacts').mockImplementation(hubspotService.getDealWithContacts);
+      jest.spyOn(HubSpotService.prototype, 'updateDealScore').mockImplementation(hubspotService.updateDealScore);
+      jest.spyOn(HubSpotService.prototype, 'getAssociatedIds').mockImplementation(hubspotService.getAssociatedIds);
+    });
+
+    afterEach(async () => {
+      await queue.clear();
+      jest.restoreAllMocks();
+    });
+
+    test('rescores every deal a contact is on', async () => {
+      const getAccessToken = jest.fn(async () => 'token');
+      registerRecalculationHandlers({ getAccessToken, slackWebhookUrl: null }, queue);
+
+      await enqueueContactRecalculation('111', '5', 'contact.propertyChange', [], queue);
+      await queue.onIdle();
+
+      expect(getAccessToken).toHaveBeenCalledWith('111');
+      expect(hubspotService.updateDealScore.mock.calls.map(call => call[0]).sort()).toEqual(['1', '2']);
+      expect(queue.getStats()).toMatchObject({ completed: 3, failed: 0 });
+    });
+
+    test('merges the reasons of deduplicated deal jobs', async () => {
+      await enqueueDealRecalculation('111', '1', 'deal.propertyChange', queue);
+      const job = await enqueueDealRecalculation('111', '1', ['deal.associationChange', 'deal.propertyChange'], queue);
+
+      expect(job.data).toEqual({
+        portalId: '111',
+        dealId: '1',
+        reasons: ['deal.propertyChange', 'deal.associationChange']
+      });
+    });
+  });
+});
@@ -0,0 +1,43 @@
+const { calculateScoreTrends, generatePipelineDashboard } = require('../src/services/reportService');
+
+const snapshot = (takenAt, overallScore) => ({ takenAt, overallScore });
+
+describe('Report Service', () => {
+  describe('calculateScoreTrends', () => {
+    test('averages the score change of deals with history', () => {
+      const trends = calculateScoreTrends([
+        { dealId: '1', previous: snapshot('2026-01-01', 40), current: snapshot('2026-01-20', 60) },
+        { dealId: '2', previous: snapshot('2026-01-01', 70), current: snapshot('2026-01-25', 66) },
+        { dealId: '3', previous: snapshot('2026-01-22', 10), current: snapshot('2026-01-22', 10) },
+        { dealId: '4', previous: null, current: null }
+      ], 30);
+
+      expect(trends).toEqual({ scoreChange: 8, healthTrend: 'IMPROVING', periodDays: 30, dealsCompared: 2 });
+    });
+
+    test('reports a declining trend', () => {
+      const trends = calculateScoreTrends([
+        { dealId: '1', previous: snapshot('2026-01-01', 60), current: snapshot('2026-01-20', 50) }
+      ], 30);
+
+      expect(trends.healthTrend).toBe('DECLINING');
+    });
+
+    test('leaves trends empty without history', () => {
+      expect(calculateScoreTrends([], 30)).toEqual({ scoreChange: null, healthTrend: null, periodDays: 30, dealsCompared: 0 });
+    });
+  });
+
+  describe('generatePipelineDashboard', () => {
+    test('includes score trends from the deals\' history', () => {
+      const deals = [{ dealId: '1', deal: { dealname: 'Deal', dealstage: 'qualifiedtobuy' }, contacts: [] }];
+
+      const dashboard = generatePipelineDashboard(deals, {
+        scoreHistory: [{ dealId: '1', previous: snapshot('2026-01-01', 50), current: snapshot('2026-01-20', 52) }],
+        trendPeriodDays: 30
+      });
+
+      expect(dashboard.trends).toEqual({ scoreChange: 2, healthTrend: 'STABLE', periodDays: 30, dealsCompared: 1 });
+    });
+  });
+});
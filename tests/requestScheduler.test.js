@@ -0,0 +1,274 @@
+const http = require('http');
+const HubSpotService = require('../src/services/hubspotService');
+const {
+  RequestScheduler,
+  getScheduler,
+  clearSchedulers,
+  isRetryableError,
+  getRetryDelay
+} = require('../src/services/requestScheduler');
+
+function httpError(status, headers = {}) {
+  const error = new Error(`HTTP ${status}`);
+  error.code = status;
+  error.headers = headers;
+  return error;
+}
+
+/**
+ * Minimal fake of the HubSpot CRM API endpoints used by HubSpotService
+ * @param {Object} options - failures: list of { match, status, headers, times }
+ */
+function startFakeHubSpot({ failures = [] } = {}) {
+  const requests = [];
+  const now = new Date().toISOString();
+  const record = (id, properties) => ({ id: String(id), properties, createdAt: now, updatedAt: now, archived: false });
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', data => { body += data; });
+    req.on('end', () => {
+      const path = req.url.split('?')[0];
+      requests.push(`${req.method} ${path}`);
+
+      const failure = failures.find(f => f.times > 0 && path.includes(f.match));
+      if (failure) {
+        failure.times--;
+        res.writeHead(failure.status, { 'content-type': 'application/json', ...failure.headers });
+        return res.end(JSON.stringify({ status: 'error', message: 'Injected failure' }));
+      }
+
+      const send = (payload) => {
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      let match;
+      if ((match = path.match(/^\/crm\/v3\/objects\/deals\/(\w+)$/))) {
+        return send(record(match[1], { dealname: 'Fake Deal', dealstage: 'qualifiedtobuy' }));
+      }
+      if ((match = path.match(/^\/crm\/v4\/objects\/(\w+)\/(\w+)\/associations\/(\w+)$/))) {
+        const [, from, , to] = match;
+        const ids = from === 'deals' && to === 'contacts' ? ['11', '12'] : from === 'contacts' && to === 'emails' ? ['e1'] : [];
+        return send({ results: ids.map(id => ({ toObjectId: id, associationTypes: [] })) });
+      }
+      if ((match = path.match(/^\/crm\/v3\/objects\/(\w+)\/batch\/read$/))) {
+        const { inputs } = JSON.parse(body);
+        return send({
+          status: 'COMPLETE',
+          results: inputs.map(input => record(input.id, match[1] === 'contacts'
+            ? { firstname: `Contact ${input.id}` }
+            : { hs_timestamp: now })),
+          startedAt: now,
+          completedAt: now
+        });
+      }
+
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ status: 'error', message: 'Not found' }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        server,
+        requests,
+        basePath: `http://127.0.0.1:${server.address().port}`
+      });
+    });
+  });
+}
+
+describe('Request Scheduler', () => {
+  afterEach(() => {
+    clearSchedulers();
+  });
+
+  describe('isRetryableError', () => {
+    test('retries rate limits, server errors and network failures', () => {
+      expect(isRetryableError(httpError(429))).toBe(true);
+      expect(isRetryableError(httpError(502))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    });
+
+    test('does not retry client errors', () => {
+      expect(isRetryableError(httpError(400))).toBe(false);
+      expect(isRetryableError(httpError(404))).toBe(false);
+      expect(isRetryableError(new Error('bug'))).toBe(false);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    test('honours Retry-After on 429 responses', () => {
+      const delay = getRetryDelay(httpError(429, { 'Retry-After': '2' }), 0, {}, () => 0);
+      expect(delay).toBe(2000);
+    });
+
+    test('waits out the rate-limit interval when no requests remain', () => {
+      const error = httpError(429, {
+        'x-hubspot-ratelimit-remaining': '0',
+        'x-hubspot-ratelimit-interval-milliseconds': '10000'
+      });
+      expect(getRetryDelay(error, 0, {}, () => 0)).toBe(10000);
+    });
+
+    test('uses capped exponential backoff with jitter', () => {
+      const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+      expect(getRetryDelay(httpError(503), 0, options, () => 1)).toBe(100);
+      expect(getRetryDelay(httpError(503), 3, options, () => 1)).toBe(800);
+      expect(getRetryDelay(httpError(503), 10, options, () => 1)).toBe(1000);
+      expect(getRetryDelay(httpError(503), 3, options, () => 0.5)).toBe(400);
+    });
+  });
+
+  describe('RequestScheduler', () => {
+    test('limits requests within the burst window', async () => {
+      const scheduler = new RequestScheduler({ burstLimit: 2, burstIntervalMs: 100 });
+      const startTimes = [];
+      const begin = Date.now();
+
+      await Promise.all([1, 2, 3, 4].map(() => scheduler.schedule(async () => {
+        startTimes.push(Date.now() - begin);
+      })));
+
+      expect(startTimes[1]).toBeLessThan(100);
+      expect(startTimes[2]).toBeGreaterThanOrEqual(95);
+      expect(startTimes[3]).toBeGreaterThanOrEqual(95);
+    });
+
+    test('limits concurrent requests', async () => {
+      const scheduler = new RequestScheduler({ maxConcurrent: 2 });
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.schedule(async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+      })));
+
+      expect(maxInFlight).toBe(2);
+    });
+
+    test('retries transient failures until they succeed', async () => {
+      const scheduler = new RequestScheduler({ baseDelayMs: 1 });
+      let attempts = 0;
+
+      const result = await scheduler.schedule(async () => {
+        attempts++;
+        if (attempts < 3) throw httpError(502);
+        return 'ok';
+      });
+
+      expect(result).toBe('ok');
+      expect(attempts).toBe(3);
+      expect(scheduler.getStats().retried).toBe(2);
+    });
+
+    test('gives up after the maximum number of retries', async () => {
+      const scheduler = new RequestScheduler({ baseDelayMs: 1, maxRetries: 2 });
+      let attempts = 0;
+
+      await expect(scheduler.schedule(async () => {
+        attempts++;
+        throw httpError(500);
+      })).rejects.toThrow('HTTP 500');
+
+      expect(attempts).toBe(3);
+      expect(scheduler.getStats().failed).toBe(1);
+    });
+
+    test('fails fast on non-retryable errors', async () => {
+      const scheduler = new RequestScheduler({ baseDelayMs: 1 });
+      let attempts = 0;
+
+      await expect(scheduler.schedule(async () => {
+        attempts++;
+        throw httpError(404);
+      })).rejects.toThrow('HTTP 404');
+
+      expect(attempts).toBe(1);
+    });
+
+    test('pauses all queued requests after a 429', async () => {
+      const scheduler = new RequestScheduler({ maxConcurrent: 1 });
+      const begin = Date.now();
+      let limited = false;
+      const startTimes = [];
+
+      await Promise.all([1, 2].map(() => scheduler.schedule(async () => {
+        startTimes.push(Date.now() - begin);
+        if (!limited) {
+          limited = true;
+          throw httpError(429, { 'Retry-After': '0.1' });
+        }
+      })));
+
+      expect(startTimes).toHaveLength(3);
+      expect(startTimes[1]).toBeGreaterThanOrEqual(95);
+      expect(scheduler.getStats().rateLimited).toBe(1);
+    });
+  });
+
+  describe('getScheduler', () => {
+    test('shares one scheduler per portal', () => {
+      expect(getScheduler('123')).toBe(getScheduler(123));
+      expect(getScheduler('123')).not.toBe(getScheduler('456'));
+    });
+  });
+
+  describe('against a fake HubSpot server', () => {
+    let fake;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+      console.error.mockRestore();
+      await new Promise(resolve => fake.server.close(resolve));
+    });
+
+    test('recovers from rate limits and server errors while fetching a deal', async () => {
+      fake = await startFakeHubSpot({
+        failures: [
+          { match: '/associations/contacts', status: 429, headers: { 'retry-after': '0.05' }, times: 1 },
+          { match: '/contacts/batch/read', status: 503, headers: {}, times: 2 }
+        ]
+      });
+      const scheduler = new RequestScheduler({ baseDelayMs: 5 });
+      const service = new HubSpotService('token', {
+        basePath: fake.basePath,
+        scheduler,
+        engagementScope: 'all'
+      });
+
+      const dealData = await service.getDealWithContacts('42');
+
+      expect(dealData.deal.dealname).toBe('Fake Deal');
+      expect(dealData.contacts.map(c => c.id)).toEqual(['11', '12']);
+      expect(dealData.contacts[0].engagements.emails).toBe(1);
+      expect(dealData.contacts[0].lastEngagementDate).not.toBeNull();
+
+      const stats = scheduler.getStats();
+      expect(stats.rateLimited).toBe(1);
+      expect(stats.retried).toBe(3);
+      expect(stats.failed).toBe(0);
+    });
+
+    test('surfaces errors that are not worth retrying', async () => {
+      fake = await startFakeHubSpot({
+        failures: [{ match: '/objects/deals/404', status: 404, headers: {}, times: 1 }]
+      });
+      const service = new HubSpotService('token', {
+        basePath: fake.basePath,
+        scheduler: new RequestScheduler({ baseDelayMs: 5 })
+      });
+
+      await expect(service.getDealWithContacts('404')).rejects.toMatchObject({ code: 404 });
+      expect(fake.requests.filter(r => r.includes('/objects/deals/404'))).toHaveLength(1);
+    });
+  });
+});
@@ -7,6 +7,10 @@ const {
   RISK_FACTORS,
   STAGE_VELOCITY_BENCHMARKS
 } = require('../src/services/riskPredictionService');
+const { DEFAULT_SCORING_CONFIG, mergeScoringConfig } = require('../src/services/scoringConfigService');
+
+// A custom pipeline's contract stage, mapped to the late phase
+const customStageConfig = mergeScoringConfig(DEFAULT_SCORING_CONFIG, { stageMapping: { 9876543: 'late' } });
 
 describe('Risk Prediction Service', () => {
   describe('predictChampionChurn', () => {
@@ -52,6 +56,18 @@ describe('Risk Prediction Service', () => {
       expect(result.churnRisk).toBe('NONE');
     });
 
+    test('flags a champion who doesn\'t reply to emails', () => {
+      const activities = ['t1', 't2', 't3', 't4'].map((threadId, i) => ({
+        id: String(i), type: 'emails', threadId, direction: 'OUTBOUND', status: 'SENT', timestamp: `2026-03-0${i + 1}T10:00:00.000Z`
+      }));
+      activities.push({ id: '5', type: 'emails', threadId: 't1', direction: 'INBOUND', timestamp: '2026-03-05T10:00:00.000Z' });
+      const champion = { engagements: { emails: 5, total: 5, activities }, engagementScore: 25 };
+
+      const result = predictChampionChurn(champion);
+
+      expect(result.factors).toContainEqual(expect.objectContaining({ factor: 'Low Response Rate', value: '25%' }));
+    });
+
     test('provides recommendation based on risk level', () => {
       const champion = {
         engagements: { total: 5 },
@@ -78,6 +94,14 @@ describe('Risk Prediction Service', () => {
       expect(result.hasEconomicBuyer).toBe(false);
     });
 
+    test('applies stage timing to custom stages mapped to a phase', () => {
+      const scoreData = { coveredRoles: ['CHAMPION'], contacts: [] };
+
+      expect(predictEconomicBuyerRisk(scoreData, '9876543').riskScore).toBe(0);
+      expect(predictEconomicBuyerRisk(scoreData, '9876543', { scoringConfig: customStageConfig }))
+        .toMatchObject({ riskLevel: 'HIGH', riskScore: 60 });
+    });
+
     test('identifies NONE risk when economic buyer present and engaged', () => {
       const scoreData = {
         coveredRoles: ['DECISION_MAKER', 'BUDGET_HOLDER', 'CHAMPION'],
@@ -228,6 +252,21 @@ describe('Risk Prediction Service', () => {
       expect(result.status).toBe('STUCK');
     });
 
+    test('benchmarks custom stages mapped to a phase', () => {
+      const dealData = {
+        deal: {
+          dealstage: '9876543',
+          hs_date_entered_currentstage: new Date(Date.now() - 35 * 24 * 60 * 60 * 1000).toISOString()
+        }
+      };
+
+      expect(analyzeStageVelocity(dealData).status).toBe('SLOWING');
+      expect(analyzeStageVelocity(dealData, { scoringConfig: customStageConfig })).toMatchObject({
+        status: 'STUCK',
+        benchmark: STAGE_VELOCITY_BENCHMARKS.contractsent
+      });
+    });
+
     test('identifies slowing deal', () => {
       const dealData = {
         deal: {
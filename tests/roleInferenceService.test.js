@@ -4,7 +4,8 @@ const {
   inferRoleFromBehavior,
   analyzeLanguagePatterns,
   inferContactRole,
-  inferRolesForContacts
+  inferRolesForContacts,
+  rankStakeholderSuggestions
 } = require('../src/services/roleInferenceService');
 
 describe('Role Inference Service', () => {
@@ -215,4 +216,44 @@ describe('Role Inference Service', () => {
       expect(result).toEqual([]);
     });
   });
+
+  describe('rankStakeholderSuggestions', () => {
+    const now = new Date('2024-06-01T00:00:00.000Z').getTime();
+    const candidate = (id, properties, companyId = 'c1') => ({ id, properties, companyId });
+
+    test('groups candidates under the missing role they would fill', () => {
+      const candidates = [
+        candidate('1', { firstname: 'Ana', lastname: 'Diaz', jobtitle: 'Chief Executive Officer' }),
+        candidate('2', { firstname: 'Ben', jobtitle: 'CFO' }),
+        candidate('3', { firstname: 'Cy', jobtitle: 'Software Engineer' })
+      ];
+
+      const result = rankStakeholderSuggestions(candidates, ['DECISION_MAKER', 'BUDGET_HOLDER'], { now });
+
+      expect(Object.keys(result)).toEqual(['DECISION_MAKER', 'BUDGET_HOLDER']);
+      expect(result.DECISION_MAKER[0]).toMatchObject({ contactId: '1', name: 'Ana Diaz', companyId: 'c1' });
+      expect(result.BUDGET_HOLDER[0].contactId).toBe('2');
+    });
+
+    test('ranks explicit roles, seniority and recent contact higher', () => {
+      const candidates = [
+        candidate('1', { firstname: 'Director', jobtitle: 'Director of Operations' }),
+        candidate('2', { firstname: 'Explicit', hs_buying_role: 'DECISION_MAKER' }),
+        candidate('3', { firstname: 'Recent', jobtitle: 'Director of Sales', notes_last_contacted: '2024-05-20T00:00:00.000Z' })
+      ];
+
+      const result = rankStakeholderSuggestions(candidates, ['DECISION_MAKER'], { now });
+
+      expect(result.DECISION_MAKER.map(s => s.contactId)).toEqual(['2', '3', '1']);
+      expect(result.DECISION_MAKER[1].reasons).toContain('Contacted in the last 90 days');
+    });
+
+    test('limits suggestions per role', () => {
+      const candidates = ['1', '2', '3', '4'].map(id => candidate(id, { jobtitle: 'VP Marketing' }));
+
+      const result = rankStakeholderSuggestions(candidates, ['DECISION_MAKER'], { maxPerRole: 2, now });
+
+      expect(result.DECISION_MAKER).toHaveLength(2);
+    });
+  });
 });
@@ -0,0 +1,149 @@
+const {
+  processInferredRoles,
+  getReviewQueue,
+  decideRole,
+  canWriteRole,
+  purgePortalReviews,
+  clearRoleReviews,
+  REVIEW_STATUS
+} = require('../src/services/roleReviewService');
+const { createStore } = require('../src/services/dataStore');
+
+const scoredContact = (contactId, role, confidence, roleSource = 'inferred') => ({
+  contactId,
+  name: `Contact ${contactId}`,
+  jobTitle: 'Title',
+  effectiveRole: role,
+  roleConfidence: confidence,
+  roleSource
+});
+
+describe('Role Review Service', () => {
+  beforeEach(async () => {
+    await clearRoleReviews();
+  });
+
+  describe('processInferredRoles', () => {
+    test('queues inferred roles for review when write-back is off', async () => {
+      const contacts = [
+        scoredContact('1', 'DECISION_MAKER', 90),
+        scoredContact('2', 'CHAMPION', 50),
+        scoredContact('3', 'INFLUENCER', 20),
+        scoredContact('4', 'BUDGET_HOLDER', 100, 'explicit'),
+        scoredContact('5', 'OTHER', 0, 'default')
+      ];
+
+      const result = await processInferredRoles('111', '99', contacts, { autoWriteback: false });
+
+      expect(result.toWrite).toEqual([]);
+      expect(result.queued.map(r => r.contactId)).toEqual(['1', '2']);
+    });
+
+    test('writes confident inferences back when enabled', async () => {
+      const contacts = [
+        scoredContact('1', 'DECISION_MAKER', 90),
+        scoredContact('2', 'CHAMPION', 50)
+      ];
+
+      const result = await processInferredRoles('111', '99', contacts, {
+        autoWriteback: true,
+        autoApplyConfidence: 80,
+        writebackProperty: 'inferred_buying_role'
+      });
+
+      expect(result.toWrite).toEqual([
+        { contactId: '1', role: 'DECISION_MAKER', property: 'inferred_buying_role' }
+      ]);
+      expect(result.queued.map(r => r.contactId)).toEqual(['2']);
+    });
+
+    test('only writes roles hs_buying_role supports', async () => {
+      const contacts = [scoredContact('1', 'LEGAL', 90)];
+
+      const result = await processInferredRoles('111', '99', contacts, {
+        autoWriteback: true,
+        writebackProperty: 'hs_buying_role'
+      });
+
+      expect(result.toWrite).toEqual([]);
+      expect(result.queued[0].role).toBe('LEGAL');
+    });
+
+    test('does not re-suggest roles already queued or decided', async () => {
+      const contacts = [scoredContact('1', 'CHAMPION', 60), scoredContact('2', 'CHAMPION', 60)];
+
+      await processInferredRoles('111', '99', contacts);
+      await decideRole('111', '1', 'CHAMPION', false);
+      const again = await processInferredRoles('111', '99', contacts);
+
+      expect(again.queued).toEqual([]);
+      expect((await getReviewQueue('111')).map(r => r.contactId)).toEqual(['2']);
+    });
+
+    test('suggests a different role after a rejection', async () => {
+      await processInferredRoles('111', '99', [scoredContact('1', 'CHAMPION', 60)]);
+      await decideRole('111', '1', 'CHAMPION', false);
+
+      const result = await processInferredRoles('111', '99', [scoredContact('1', 'INFLUENCER', 60)]);
+
+      expect(result.queued.map(r => r.role)).toEqual(['INFLUENCER']);
+    });
+  });
+
+  describe('getReviewQueue', () => {
+    test('filters by portal and deal, most confident first', async () => {
+      await processInferredRoles('111', '98', [scoredContact('1', 'CHAMPION', 50)]);
+      await processInferredRoles('111', '99', [scoredContact('2', 'CHAMPION', 60), scoredContact('3', 'INFLUENCER', 70)]);
+      await processInferredRoles('222', '99', [scoredContact('4', 'CHAMPION', 60)]);
+
+      expect((await getReviewQueue('111')).map(r => r.contactId)).toEqual(['3', '2', '1']);
+      expect((await getReviewQueue('111', { dealId: '99' })).map(r => r.contactId)).toEqual(['3', '2']);
+    });
+  });
+
+  describe('decideRole', () => {
+    test('records the decision and removes it from the queue', async () => {
+      await processInferredRoles('111', '99', [scoredContact('1', 'CHAMPION', 60)]);
+
+      const review = await decideRole('111', '1', 'CHAMPION', true, 'rep@example.com');
+
+      expect(review).toMatchObject({ status: REVIEW_STATUS.ACCEPTED, decidedBy: 'rep@example.com' });
+      expect(review.decidedAt).not.toBeNull();
+      expect(await getReviewQueue('111')).toEqual([]);
+    });
+
+    test('keeps decisions in the role-reviews store', async () => {
+      await processInferredRoles('111', '99', [scoredContact('1', 'CHAMPION', 60)]);
+      await decideRole('111', '1', 'CHAMPION', false, 'rep@example.com');
+
+      expect(await createStore('role-reviews').get('111:1:CHAMPION')).toMatchObject({
+        status: REVIEW_STATUS.REJECTED,
+        decidedBy: 'rep@example.com'
+      });
+    });
+
+    test('returns null for unknown suggestions', async () => {
+      expect(await decideRole('111', '1', 'CHAMPION', true)).toBeNull();
+    });
+  });
+
+  describe('purgePortalReviews', () => {
+    test('removes one portal\'s suggestions and decisions', async () => {
+      await processInferredRoles('111', '99', [scoredContact('1', 'CHAMPION', 60), scoredContact('2', 'CHAMPION', 60)]);
+      await decideRole('111', '1', 'CHAMPION', true);
+      await processInferredRoles('222', '99', [scoredContact('3', 'CHAMPION', 60)]);
+
+      expect(await purgePortalReviews('111')).toBe(2);
+      expect(await getReviewQueue('111')).toEqual([]);
+      expect((await getReviewQueue('222')).map(r => r.contactId)).toEqual(['3']);
+    });
+  });
+
+  describe('canWriteRole', () => {
+    test('allows any role on the inferred property', () => {
+      expect(canWriteRole('PROCUREMENT', 'inferred_buying_role')).toBe(true);
+      expect(canWriteRole('PROCUREMENT', 'hs_buying_role')).toBe(false);
+      expect(canWriteRole('CHAMPION', 'hs_buying_role')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { calculateMultiThreadingScore } = require('../src/services/scoringService');
+const { explainScore, attributeScore, projectWhatIfs, MAX_MEETING_SCENARIOS } = require('../src/services/scoreExplanationService');
+const { DEFAULT_SCORING_CONFIG, mergeScoringConfig } = require('../src/services/scoringConfigService');
+
+const contact = (id, role, engagements) => ({
+  id,
+  properties: { firstname: role, lastname: id, hs_buying_role: role },
+  engagements
+});
+
+// Decision maker with engagement 30 and an unengaged champion scores 48:
+// engagement 15 * 0.30 + participation 40 * 0.25 + role coverage 67 * 0.35 + thread depth bonus 10
+const dealData = {
+  dealId: '1',
+  deal: { dealname: 'Test Deal' },
+  contacts: [
+    contact('1', 'DECISION_MAKER', { emails: 2, meetings: 1, calls: 0, total: 3 }),
+    contact('2', 'CHAMPION', { emails: 0, meetings: 0, calls: 0, total: 0 })
+  ]
+};
+const options = { enableRoleInference: false };
+
+describe('Score Explanation Service', () => {
+  const scoreData = calculateMultiThreadingScore(dealData, options);
+
+  describe('attributeScore', () => {
+    test('gives the points of each component out of its maximum', () => {
+      const { components } = attributeScore(scoreData);
+
+      expect(scoreData.overallScore).toBe(48);
+      expect(components).toEqual([
+        { component: 'engagement', label: 'engagement', score: 15, weight: 0.3, points: 4.5, maxPoints: 30 },
+        { component: 'participation', label: 'participation', score: 40, weight: 0.25, points: 10, maxPoints: 25 },
+        { component: 'roleCoverage', label: 'role coverage', score: 67, weight: 0.35, points: 23.5, maxPoints: 35 },
+        { component: 'threadDepth', label: 'thread depth', score: 100, weight: 0.1, points: 10, maxPoints: 10 }
+      ]);
+    });
+
+    test('attributes points to each contact', () => {
+      const { contacts } = attributeScore(scoreData);
+
+      expect(contacts).toEqual([
+        expect.objectContaining({
+          contactId: '1',
+          effectiveRole: 'DECISION_MAKER',
+          points: { engagement: 4.5, participation: 10, roleCoverage: 11.7, threadDepth: 10 },
+          totalPoints: 36.2
+        }),
+        expect.objectContaining({
+          contactId: '2',
+          points: { engagement: 0, participation: 0, roleCoverage: 11.7, threadDepth: 0 },
+          totalPoints: 11.7
+        })
+      ]);
+      const total = contacts.reduce((sum, c) => sum + c.totalPoints, 0);
+      expect(Math.abs(total - scoreData.overallScore)).toBeLessThan(0.5);
+    });
+
+    test('attributes role coverage to covered roles and shows what missing roles cost', () => {
+      const { roles } = attributeScore(scoreData);
+
+      expect(roles.map(r => [r.role, r.points])).toEqual([['DECISION_MAKER', 11.7], ['CHAMPION', 11.7], ['BUDGET_HOLDER', 0]]);
+      expect(roles[2]).toMatchObject({ isKeyRole: true, contactCount: 0, missedPoints: 8.2 });
+    });
+
+    test('follows the portal\'s weights and key roles', () => {
+      const scoringConfig = mergeScoringConfig(DEFAULT_SCORING_CONFIG, {
+        weights: { engagement: 0.5, participation: 0.2, roleCoverage: 0.2, threadDepth: 0.1 },
+        keyRoles: ['DECISION_MAKER']
+      });
+      const configured = calculateMultiThreadingScore(dealData, { ...options, scoringConfig });
+
+      const { components, roles } = attributeScore(configured, { scoringConfig });
+
+      expect(components[0]).toMatchObject({ component: 'engagement', weight: 0.5, maxPoints: 50 });
+      expect(roles.find(r => r.role === 'CHAMPION').isKeyRole).toBe(false);
+    });
+  });
+
+  describe('projectWhatIfs', () => {
+    test('projects adding each missing key role', () => {
+      const scenarios = projectWhatIfs(dealData, scoreData, options);
+      const addBudgetHolder = scenarios.find(s => s.type === 'ADD_ROLE');
+
+      expect(addBudgetHolder).toMatchObject({ role: 'BUDGET_HOLDER', title: 'Add a budget holder' });
+      expect(addBudgetHolder.delta).toBeGreaterThan(0);
+      expect(addBudgetHolder.projectedScore).toBe(scoreData.overallScore + addBudgetHolder.delta);
+    });
+
+    test('projects one more meeting with the contacts where it helps most', () => {
+      const scenarios = projectWhatIfs(dealData, scoreData, options).filter(s => s.type === 'ADD_MEETING');
+
+      expect(scenarios.map(s => s.title).sort()).toEqual(['One more meeting with CHAMPION 2', 'One more meeting with DECISION_MAKER 1']);
+      expect(scenarios[0].delta).toBeGreaterThan(0);
+      expect(scenarios[0].delta).toBeGreaterThanOrEqual(scenarios[1].delta);
+    });
+
+    test('keeps only the best meeting projections', () => {
+      const crowded = {
+        ...dealData,
+        contacts: ['1', '2', '3', '4', '5'].map(id => contact(id, 'OTHER', { emails: 1, meetings: 0, calls: 0, total: 1 }))
+      };
+
+      const scenarios = projectWhatIfs(crowded, calculateMultiThreadingScore(crowded, options), options);
+
+      expect(scenarios.filter(s => s.type === 'ADD_MEETING')).toHaveLength(MAX_MEETING_SCENARIOS);
+    });
+  });
+
+  describe('explainScore', () => {
+    test('summarises the components that cost the most points', () => {
+      const explanation = explainScore(dealData, scoreData, options);
+
+      expect(explanation.summary).toBe('Score 48/100. Most points are missed on engagement (25.5) and participation (15).');
+      expect(explanation.gaps.map(gap => gap.component)).toEqual(['engagement', 'participation', 'roleCoverage']);
+      expect(explanation.whatIf[0].delta).toBeGreaterThanOrEqual(explanation.whatIf[explanation.whatIf.length - 1].delta);
+      expect(explanation.configVersion).toBe(0);
+    });
+
+    test('explains a deal without contacts', () => {
+      const empty = { ...dealData, contacts: [] };
+
+      const explanation = explainScore(empty, calculateMultiThreadingScore(empty, options), options);
+
+      expect(explanation.contacts).toEqual([]);
+      expect(explanation.whatIf.map(s => s.role)).toEqual(expect.arrayContaining(['DECISION_MAKER', 'BUDGET_HOLDER', 'CHAMPION']));
+    });
+  });
+});
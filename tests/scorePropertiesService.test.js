@@ -0,0 +1,136 @@
+const {
+  buildScoreProperties,
+  getChangedScoreProperties,
+  planScorePropertyInstall,
+  PROPERTY_GROUP,
+  SCORE_PROPERTIES,
+  SCORE_PROPERTY_NAMES
+} = require('../src/services/scorePropertiesService');
+
+const scoreData = {
+  overallScore: 62,
+  riskLevel: 'MEDIUM',
+  contactCount: 4,
+  threadDepth: 3,
+  engagementScore: 55,
+  participationScore: 70,
+  roleCoverageScore: 50,
+  missingKeyRoles: ['CHAMPION', 'BUDGET_HOLDER']
+};
+
+const coverageAnalysis = {
+  breadth: { breadthScore: 40 },
+  depth: { overallDepthScore: 65 }
+};
+
+describe('Score Properties Service', () => {
+  describe('SCORE_PROPERTIES', () => {
+    test('defines the risk level property the CRM card displays', () => {
+      const card = require('../MultiThreadingScoreCard.json');
+      const displayed = card.data.display.properties.map(p => p.name);
+
+      displayed.forEach(name => expect(SCORE_PROPERTY_NAMES).toContain(name));
+      expect(SCORE_PROPERTY_NAMES).toContain('multi_thread_risk_level');
+    });
+
+    test('uses valid HubSpot type and field type pairs', () => {
+      const validFieldTypes = {
+        number: ['number'],
+        enumeration: ['select', 'checkbox', 'radio'],
+        datetime: ['date']
+      };
+
+      SCORE_PROPERTIES.forEach(property => {
+        expect(validFieldTypes[property.type]).toContain(property.fieldType);
+      });
+    });
+  });
+
+  describe('buildScoreProperties', () => {
+    test('converts score data into property values', () => {
+      const scoredAt = new Date('2024-05-01T12:00:00.000Z');
+
+      const properties = buildScoreProperties(scoreData, coverageAnalysis, scoredAt);
+
+      expect(properties).toEqual({
+        multi_thread_score: '62',
+        multi_thread_risk_level: 'MEDIUM',
+        stakeholder_count: '4',
+        engaged_stakeholder_count: '3',
+        engagement_score: '55',
+        participation_score: '70',
+        role_coverage_score: '50',
+        coverage_breadth_score: '40',
+        coverage_depth_score: '65',
+        missing_key_roles: 'CHAMPION;BUDGET_HOLDER',
+        multi_thread_last_scored: '2024-05-01T12:00:00.000Z'
+      });
+    });
+
+    test('leaves coverage properties alone without coverage analysis', () => {
+      const properties = buildScoreProperties(scoreData);
+
+      expect(properties).not.toHaveProperty('coverage_breadth_score');
+      expect(properties).not.toHaveProperty('coverage_depth_score');
+    });
+  });
+
+  describe('getChangedScoreProperties', () => {
+    test('ignores formatting differences and the timestamp', () => {
+      const properties = buildScoreProperties(scoreData, coverageAnalysis);
+      const currentValues = {
+        ...properties,
+        multi_thread_score: '62.0',
+        missing_key_roles: 'BUDGET_HOLDER;CHAMPION',
+        multi_thread_last_scored: '2024-01-01T00:00:00.000Z'
+      };
+
+      expect(getChangedScoreProperties(properties, currentValues)).toEqual([]);
+    });
+
+    test('reports properties that differ or were never written', () => {
+      const properties = buildScoreProperties(scoreData, coverageAnalysis);
+      const currentValues = { ...properties, multi_thread_score: '48', coverage_depth_score: null };
+
+      expect(getChangedScoreProperties(properties, currentValues)).toEqual([
+        'multi_thread_score',
+        'coverage_depth_score'
+      ]);
+    });
+  });
+
+  describe('planScorePropertyInstall', () => {
+    test('creates every property in a fresh portal', () => {
+      const { toCreate, toUpdate } = planScorePropertyInstall([{ name: 'dealname', groupName: 'dealinformation' }]);
+
+      expect(toCreate.map(p => p.name)).toEqual(SCORE_PROPERTY_NAMES);
+      expect(toCreate.every(p => p.groupName === PROPERTY_GROUP.name)).toBe(true);
+      expect(toUpdate).toEqual([]);
+    });
+
+    test('moves existing properties into the group and leaves matching ones alone', () => {
+      const existing = SCORE_PROPERTIES.map(p => ({ ...p, groupName: PROPERTY_GROUP.name }));
+      existing[0] = { ...existing[0], groupName: 'dealinformation' };
+
+      const { toCreate, toUpdate } = planScorePropertyInstall(existing);
+
+      expect(toCreate).toEqual([]);
+      expect(toUpdate).toEqual([{
+        name: 'multi_thread_score',
+        update: expect.objectContaining({ groupName: PROPERTY_GROUP.name })
+      }]);
+      expect(toUpdate[0].update).not.toHaveProperty('type');
+    });
+
+    test('adds missing key role options to a property installed with fewer', () => {
+      const existing = SCORE_PROPERTIES.map(p => ({ ...p, groupName: PROPERTY_GROUP.name }));
+      const missingRoles = existing.find(p => p.name === 'missing_key_roles');
+      missingRoles.options = missingRoles.options.slice(0, 3);
+
+      const { toUpdate } = planScorePropertyInstall(existing);
+
+      expect(toUpdate.map(p => p.name)).toEqual(['missing_key_roles']);
+      expect(toUpdate[0].update.options.map(o => o.value)).toEqual(expect.arrayContaining(['LEGAL', 'PROCUREMENT']));
+    });
+  });
+});
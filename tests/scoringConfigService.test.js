@@ -0,0 +1,287 @@
+const {
+  getScoringConfig,
+  getScoringConfigDetails,
+  saveScoringConfig,
+  listScoringConfigVersions,
+  activateScoringConfigVersion,
+  validateScoringConfig,
+  mergeScoringConfig,
+  getStageExpectations,
+  getExpectationProfile,
+  getStagePhase,
+  resolveDealStage,
+  purgePortalScoringConfig,
+  DEFAULT_SCORING_CONFIG
+} = require('../src/services/scoringConfigService');
+const { clearStores } = require('../src/services/dataStore');
+
+// Weights for an SMB velocity motion: engagement matters more than role coverage
+const SMB_WEIGHTS = { engagement: 0.45, participation: 0.25, roleCoverage: 0.2, threadDepth: 0.1 };
+
+describe('Scoring Config Service', () => {
+  beforeEach(async () => {
+    await clearStores();
+  });
+
+  describe('validateScoringConfig', () => {
+    test('accepts the defaults and partial overrides', () => {
+      expect(validateScoringConfig({})).toEqual([]);
+      expect(validateScoringConfig(DEFAULT_SCORING_CONFIG)).toEqual([]);
+      expect(validateScoringConfig({ weights: SMB_WEIGHTS, riskThresholds: { low: 60 } })).toEqual([]);
+    });
+
+    test('requires weights that add up to 1', () => {
+      expect(validateScoringConfig({ weights: { engagement: 0.5 } }))
+        .toEqual(['weights must add up to 1 (got 1.2)']);
+    });
+
+    test('rejects unknown settings', () => {
+      expect(validateScoringConfig({ weightings: {} })).toEqual(['config.weightings is not a known setting']);
+      expect(validateScoringConfig({ alerts: { championMin: 10 } })).toEqual(['alerts.championMin is not a known setting']);
+      expect(validateScoringConfig(null)).toEqual(['config must be an object']);
+    });
+
+    test('checks risk thresholds, roles and stage expectations', () => {
+      const errors = validateScoringConfig({
+        riskThresholds: { low: 40, medium: 40 },
+        keyRoles: ['DECISION_MAKER', 'SPONSOR'],
+        coverage: { stageExpectations: { demo: { required: 'CHAMPION', recommended: [], thresholdMultiplier: 0 } } },
+        alerts: { noNewContactsDays: -1 }
+      });
+
+      expect(errors).toEqual([
+        'riskThresholds.low must be above riskThresholds.medium',
+        'keyRoles includes SPONSOR, which has no buying role weight',
+        'coverage.stageExpectations.demo.required and coverage.stageExpectations.demo.recommended must be lists of roles',
+        'coverage.stageExpectations.demo.thresholdMultiplier must be a number above 0 and at most 2',
+        'alerts.noNewContactsDays must be a number of at least 0'
+      ]);
+    });
+
+    test('limits key roles to those the missing key roles property can hold', () => {
+      expect(validateScoringConfig({ keyRoles: ['DECISION_MAKER', 'LEGAL'] })).toEqual([]);
+      expect(validateScoringConfig({
+        buyingRoleWeights: { ...DEFAULT_SCORING_CONFIG.buyingRoleWeights, SPONSOR: 20 },
+        keyRoles: ['SPONSOR']
+      })).toEqual([
+        'keyRoles includes SPONSOR, which must be one of DECISION_MAKER, BUDGET_HOLDER, CHAMPION, INFLUENCER, END_USER, BLOCKER, LEGAL, PROCUREMENT'
+      ]);
+    });
+
+    test('checks the score mode', () => {
+      expect(validateScoringConfig({ scoreMode: 'stage' })).toEqual([]);
+      expect(validateScoringConfig({ scoreMode: 'relative' })).toEqual(['scoreMode must be one of absolute, stage']);
+    });
+
+    test('checks stage mappings', () => {
+      expect(validateScoringConfig({ stageMapping: { 1234567: 'mid', closedlost: 'closed' } })).toEqual([]);
+      expect(validateScoringConfig({ stageMapping: { 1234567: 'negotiation' } }))
+        .toEqual(['stageMapping.1234567 must be one of early, mid, late, closed']);
+      expect(validateScoringConfig({ stageMapping: ['1234567'] })).toEqual(['stageMapping must be an object']);
+    });
+
+    test('checks expectation profiles', () => {
+      expect(validateScoringConfig({
+        expectationProfiles: {
+          segmentProperty: 'deal_segment',
+          profiles: {
+            strategic: { segmentValues: ['strategic'], maxAmount: null, targetActiveContacts: 8, targetThreadDepth: 5, thresholdMultiplier: 1.2, waivedRoles: [] }
+          }
+        }
+      })).toEqual([]);
+      expect(validateScoringConfig({ expectationProfiles: { profiles: { smb: { minAmount: 0 } } } }))
+        .toEqual(['expectationProfiles.profiles.smb.minAmount is not a known setting']);
+      expect(validateScoringConfig({
+        expectationProfiles: {
+          fallbackProfile: 'startup',
+          profiles: { smb: { maxAmount: 0, targetActiveContacts: 1.5 }, growth: { label: 'Growth' } }
+        }
+      })).toEqual([
+        'expectationProfiles.fallbackProfile must be one of the profiles',
+        'expectationProfiles.profiles.smb.maxAmount must be a number above 0 or null',
+        'expectationProfiles.profiles.smb.targetActiveContacts must be a whole number of at least 1',
+        'expectationProfiles.profiles.growth.segmentValues must be a list of segment names',
+        'expectationProfiles.profiles.growth.maxAmount must be a number above 0 or null',
+        'expectationProfiles.profiles.growth.targetActiveContacts must be a whole number of at least 1',
+        'expectationProfiles.profiles.growth.targetThreadDepth must be a whole number of at least 1',
+        'expectationProfiles.profiles.growth.thresholdMultiplier must be a number above 0 and at most 2',
+        'expectationProfiles.profiles.growth.waivedRoles must be a list of roles'
+      ]);
+      expect(validateScoringConfig({ expectationProfiles: { profiles: { smb: { waivedRoles: ['LEGAL', 'LEGAL_TEAM', 'OTHER'] } } } }))
+        .toEqual([
+          'expectationProfiles.profiles.smb.waivedRoles[1] must be one of DECISION_MAKER, BUDGET_HOLDER, CHAMPION, INFLUENCER, END_USER, BLOCKER, LEGAL, PROCUREMENT',
+          'expectationProfiles.profiles.smb.waivedRoles[2] must be one of DECISION_MAKER, BUDGET_HOLDER, CHAMPION, INFLUENCER, END_USER, BLOCKER, LEGAL, PROCUREMENT'
+        ]);
+    });
+
+    test('checks the engagement model and its settings', () => {
+      expect(validateScoringConfig({ engagement: { model: 'decayed', halfLifeDays: 14 } })).toEqual([]);
+      expect(validateScoringConfig({ engagement: { activityPoints: { voicemail: 2 } } }))
+        .toEqual(['engagement.activityPoints.voicemail is not a known setting']);
+      expect(validateScoringConfig({
+        engagement: { model: 'linear', halfLifeDays: 0, maxMeetingLengthMultiplier: 0.5, attendeeDiscount: 2 }
+      })).toEqual([
+        'engagement.model must be one of classic, decayed',
+        'engagement.halfLifeDays must be a number above 0',
+        'engagement.maxMeetingLengthMultiplier must be a number of at least 1',
+        'engagement.attendeeDiscount must be a number from 0 to 1'
+      ]);
+    });
+  });
+
+  describe('mergeScoringConfig', () => {
+    test('merges objects and replaces lists', () => {
+      const config = mergeScoringConfig(DEFAULT_SCORING_CONFIG, {
+        keyRoles: ['CHAMPION'],
+        coverage: { stageExpectations: { contractsent: { recommended: [] } } }
+      });
+
+      expect(config.keyRoles).toEqual(['CHAMPION']);
+      expect(config.coverage.stageExpectations.contractsent).toEqual({
+        ...DEFAULT_SCORING_CONFIG.coverage.stageExpectations.contractsent,
+        recommended: []
+      });
+      expect(config.coverage.baseThreshold).toBe(70);
+      expect(DEFAULT_SCORING_CONFIG.coverage.stageExpectations.contractsent.recommended).toEqual(['LEGAL', 'PROCUREMENT']);
+    });
+  });
+
+  describe('stage mapping', () => {
+    const scoringConfig = mergeScoringConfig(DEFAULT_SCORING_CONFIG, {
+      stageMapping: { 1234567: 'late', 7654321: 'early' },
+      coverage: { stageExpectations: { 7654321: { required: ['CHAMPION'], recommended: [], thresholdMultiplier: 0.5 } } }
+    });
+    const { stageExpectations } = DEFAULT_SCORING_CONFIG.coverage;
+
+    test('resolves mapped stages to their phase\'s default stage', () => {
+      expect(resolveDealStage(scoringConfig, '1234567')).toBe('contractsent');
+      expect(resolveDealStage(scoringConfig, 'qualifiedtobuy')).toBe('qualifiedtobuy');
+      expect(resolveDealStage(undefined, '1234567')).toBe('1234567');
+    });
+
+    test('gives default pipeline stages their phase without a mapping', () => {
+      expect(getStagePhase(scoringConfig, '1234567')).toBe('late');
+      expect(getStagePhase(DEFAULT_SCORING_CONFIG, 'decisionmakerboughtin')).toBe('mid');
+      expect(getStagePhase(DEFAULT_SCORING_CONFIG, '1234567')).toBeNull();
+    });
+
+    test('prefers a stage\'s own expectations over its phase\'s', () => {
+      expect(getStageExpectations(scoringConfig, '1234567')).toEqual(stageExpectations.contractsent);
+      expect(getStageExpectations(scoringConfig, '7654321').thresholdMultiplier).toBe(0.5);
+      expect(getStageExpectations(scoringConfig, '1111111')).toEqual(stageExpectations.default);
+    });
+  });
+
+  describe('expectation profiles', () => {
+    const profiled = mergeScoringConfig(DEFAULT_SCORING_CONFIG, { expectationProfiles: { enabled: true } });
+
+    test('band deals by amount, lowest band first', () => {
+      expect(getExpectationProfile(profiled, { amount: '25000' })).toMatchObject({ name: 'smb', basis: 'amount', amount: 25000 });
+      expect(getExpectationProfile(profiled, { amount: '25000.01' }).name).toBe('midmarket');
+      expect(getExpectationProfile(profiled, { amount: '2500000' }).name).toBe('enterprise');
+      expect(getExpectationProfile(profiled, { amount: '' })).toMatchObject({ name: 'midmarket', basis: 'fallback' });
+    });
+
+    test('match segments to a profile\'s name or segment values, ignoring case', () => {
+      const scoringConfig = mergeScoringConfig(profiled, { expectationProfiles: { segmentProperty: 'deal_segment' } });
+
+      expect(getExpectationProfile(scoringConfig, { deal_segment: 'Small Business' })).toMatchObject({ name: 'smb', basis: 'segment' });
+      expect(getExpectationProfile(scoringConfig, { deal_segment: 'MIDMARKET' }).name).toBe('midmarket');
+      // Unknown segments fall back to the amount band
+      expect(getExpectationProfile(scoringConfig, { deal_segment: 'Public Sector', amount: '900000' }))
+        .toMatchObject({ name: 'enterprise', basis: 'amount' });
+    });
+
+    test('use the fallback profile for every deal until a portal enables them', () => {
+      const scoringConfig = mergeScoringConfig(profiled, { expectationProfiles: { enabled: false } });
+
+      expect(getExpectationProfile(DEFAULT_SCORING_CONFIG, { amount: '5000' })).toMatchObject({ name: 'midmarket', basis: 'fallback' });
+      expect(getExpectationProfile(scoringConfig, { amount: '5000' })).toMatchObject({ name: 'midmarket', basis: 'fallback' });
+    });
+
+    test('drop waived roles from stage expectations and scale the threshold', () => {
+      const smb = getExpectationProfile(profiled, { amount: '5000' });
+
+      expect(getStageExpectations(DEFAULT_SCORING_CONFIG, 'contractsent', smb)).toEqual({
+        required: ['DECISION_MAKER', 'CHAMPION'],
+        recommended: [],
+        thresholdMultiplier: 0.8
+      });
+    });
+  });
+
+  describe('per-portal configuration', () => {
+    test('defaults to version 0', async () => {
+      const config = await getScoringConfig('111');
+
+      expect(config).toMatchObject({ version: 0, weights: DEFAULT_SCORING_CONFIG.weights });
+    });
+
+    test('merges a portal\'s overrides into the defaults', async () => {
+      const version = await saveScoringConfig('111', { weights: SMB_WEIGHTS }, { actor: 'ops@example.com', note: 'SMB motion' });
+
+      expect(version).toMatchObject({ version: 1, actor: 'ops@example.com', note: 'SMB motion', active: true });
+      expect(await getScoringConfig('111')).toMatchObject({
+        version: 1,
+        weights: SMB_WEIGHTS,
+        riskThresholds: DEFAULT_SCORING_CONFIG.riskThresholds
+      });
+      expect((await getScoringConfig('222')).version).toBe(0);
+    });
+
+    test('refuses invalid overrides', async () => {
+      await expect(saveScoringConfig('111', { riskThresholds: { low: 10 } }))
+        .rejects.toMatchObject({ errors: ['riskThresholds.low must be above riskThresholds.medium'] });
+      expect((await getScoringConfig('111')).version).toBe(0);
+    });
+
+    test('describes the active version and the merged result', async () => {
+      await saveScoringConfig('111', { riskThresholds: { low: 80 } });
+
+      const details = await getScoringConfigDetails('111');
+
+      expect(details).toMatchObject({ portalId: '111', version: 1, overrides: { riskThresholds: { low: 80 } } });
+      expect(details.config.riskThresholds).toEqual({ low: 80, medium: 40 });
+    });
+  });
+
+  describe('versions', () => {
+    test('are listed newest first', async () => {
+      await saveScoringConfig('111', { riskThresholds: { low: 80 } });
+      await saveScoringConfig('111', { riskThresholds: { low: 75 } });
+
+      const versions = await listScoringConfigVersions('111');
+
+      expect(versions.map(version => [version.version, version.active])).toEqual([[2, true], [1, false]]);
+    });
+
+    test('can be restored as a new version', async () => {
+      await saveScoringConfig('111', { riskThresholds: { low: 80 } });
+      await saveScoringConfig('111', { riskThresholds: { low: 75 } });
+
+      const restored = await activateScoringConfigVersion('111', 1, { actor: 'ops@example.com' });
+
+      expect(restored).toMatchObject({ version: 3, note: 'Restored version 1', overrides: { riskThresholds: { low: 80 } } });
+      expect((await getScoringConfig('111')).riskThresholds.low).toBe(80);
+    });
+
+    test('restore the defaults from version 0', async () => {
+      await saveScoringConfig('111', { riskThresholds: { low: 80 } });
+
+      await activateScoringConfigVersion('111', 0);
+
+      expect(await getScoringConfig('111')).toMatchObject({ version: 2, riskThresholds: DEFAULT_SCORING_CONFIG.riskThresholds });
+    });
+
+    test('that don\'t exist can\'t be restored', async () => {
+      expect(await activateScoringConfigVersion('111', 4)).toBeNull();
+    });
+  });
+
+  test('purges a portal\'s configuration', async () => {
+    await saveScoringConfig('111', { riskThresholds: { low: 80 } });
+
+    expect(await purgePortalScoringConfig('111')).toBe(true);
+    expect(await listScoringConfigVersions('111')).toEqual([]);
+  });
+});
@@ -1,12 +1,20 @@
 const {
   calculateMultiThreadingScore,
   calculateContactEngagementScore,
+  calculateDecayedEngagementScore,
+  getActivityPoints,
+  compareEngagementModels,
+  calculateContactResponsiveness,
+  matchEmailReplies,
   calculateParticipationScore,
   calculateRoleCoverageScore,
+  calculateStageRoleCoverageScore,
+  getReportedScore,
   generateRecommendations,
   BUYING_ROLE_WEIGHTS,
   KEY_ROLES
 } = require('../src/services/scoringService');
+const { DEFAULT_SCORING_CONFIG, mergeScoringConfig } = require('../src/services/scoringConfigService');
 
 describe('Scoring Service', () => {
   describe('calculateContactEngagementScore', () => {
@@ -36,6 +44,167 @@ describe('Scoring Service', () => {
     });
   });
 
+  describe('decayed engagement model', () => {
+    const NOW = new Date('2026-03-01T00:00:00.000Z');
+    const daysAgo = days => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+    const engagementConfig = DEFAULT_SCORING_CONFIG.engagement;
+    const withActivities = activities => ({
+      emails: activities.filter(a => a.type === 'emails').length,
+      meetings: activities.filter(a => a.type === 'meetings').length,
+      calls: activities.filter(a => a.type === 'calls').length,
+      activities
+    });
+
+    test('counts emails the contact sent, and replies to the rep, above emails the rep sent', () => {
+      expect(getActivityPoints({ type: 'emails', direction: 'OUTBOUND' }, engagementConfig)).toBe(3);
+      expect(getActivityPoints({ type: 'emails', direction: 'INBOUND', isReply: false }, engagementConfig)).toBe(8);
+      expect(getActivityPoints({ type: 'emails', direction: 'INBOUND', isReply: true }, engagementConfig)).toBe(10);
+      expect(getActivityPoints({ type: 'emails', direction: null }, engagementConfig)).toBe(3);
+    });
+
+    test('weights meetings by length and attendee count', () => {
+      const meeting = overrides => getActivityPoints({ type: 'meetings', attendees: 1, ...overrides }, engagementConfig);
+
+      expect(meeting({ durationMinutes: 30 })).toBe(20);
+      expect(meeting({ durationMinutes: 15 })).toBe(10);
+      expect(meeting({ durationMinutes: 180 })).toBe(40);
+      expect(meeting({ durationMinutes: null })).toBe(20);
+      expect(meeting({ durationMinutes: 30, attendees: 3 })).toBe(16);
+      expect(meeting({ durationMinutes: 30, attendees: 12 })).toBe(10);
+    });
+
+    test('halves an activity\'s points every half-life', () => {
+      const meetingAt = timestamp => withActivities([{ type: 'meetings', timestamp, durationMinutes: 30, attendees: 1 }]);
+
+      // 20 points saturate to 100 * (1 - e^(-20/60)); 10 points to 100 * (1 - e^(-10/60))
+      expect(calculateDecayedEngagementScore(meetingAt(daysAgo(0)), { now: NOW })).toBe(28);
+      expect(calculateDecayedEngagementScore(meetingAt(daysAgo(30)), { now: NOW })).toBe(15);
+      expect(calculateDecayedEngagementScore(meetingAt(daysAgo(-7)), { now: NOW })).toBe(28);
+    });
+
+    test('scores last year\'s emails below this week\'s, unlike the classic model', () => {
+      const emails = age => withActivities(Array.from({ length: 10 }, (_, i) => ({
+        id: String(i), type: 'emails', timestamp: daysAgo(age), direction: 'OUTBOUND', isReply: false
+      })));
+
+      expect(calculateDecayedEngagementScore(emails(2), { now: NOW })).toBe(38);
+      expect(calculateDecayedEngagementScore(emails(365), { now: NOW })).toBe(0);
+      expect(calculateContactEngagementScore(emails(2))).toBe(calculateContactEngagementScore(emails(365)));
+    });
+
+    test('scores counts without activities as one half-life old', () => {
+      expect(calculateDecayedEngagementScore({ emails: 0, meetings: 1, calls: 0 }, { now: NOW })).toBe(15);
+      expect(calculateDecayedEngagementScore({}, { now: NOW })).toBe(0);
+    });
+
+    test('is selected by the portal\'s configuration or per call', () => {
+      const dealData = {
+        contacts: [{
+          id: '1',
+          properties: { hs_buying_role: 'CHAMPION' },
+          engagements: withActivities([{ type: 'meetings', timestamp: daysAgo(0), durationMinutes: 30, attendees: 1 }])
+        }]
+      };
+      const scoringConfig = mergeScoringConfig(DEFAULT_SCORING_CONFIG, { engagement: { model: 'decayed' } });
+
+      const configured = calculateMultiThreadingScore(dealData, { scoringConfig, now: NOW });
+      const overridden = calculateMultiThreadingScore(dealData, { scoringConfig, engagementModel: 'classic', now: NOW });
+
+      expect(configured).toMatchObject({ engagementModel: 'decayed', engagementScore: 28 });
+      expect(overridden).toMatchObject({ engagementModel: 'classic', engagementScore: 20 });
+      expect(calculateMultiThreadingScore(dealData).engagementModel).toBe('classic');
+    });
+
+    test('can be compared with the classic model on the same deal', () => {
+      const dealData = {
+        contacts: [{
+          id: '1',
+          properties: { firstname: 'Ana', hs_buying_role: 'CHAMPION' },
+          engagements: withActivities([{ type: 'calls', timestamp: daysAgo(60) }, { type: 'calls', timestamp: daysAgo(60) }])
+        }]
+      };
+
+      const comparison = compareEngagementModels(dealData, { now: NOW });
+
+      expect(comparison.activeModel).toBe('classic');
+      expect(comparison.models.classic.engagementScore).toBe(30);
+      expect(comparison.models.decayed.engagementScore).toBe(10);
+      expect(comparison.contacts).toEqual([
+        { contactId: '1', name: 'Ana', effectiveRole: 'CHAMPION', engagementScores: { classic: 30, decayed: 10 } }
+      ]);
+    });
+  });
+
+  describe('calculateContactResponsiveness', () => {
+    const email = (id, threadId, direction, timestamp, extra = {}) => ({
+      id, type: 'emails', threadId, direction, timestamp, status: direction === 'OUTBOUND' ? 'SENT' : null, opened: null, ...extra
+    });
+
+    test('measures reply rate, reply time and opens', () => {
+      const activities = [
+        email('1', 't1', 'OUTBOUND', '2026-03-02T10:00:00.000Z', { opened: true }),
+        email('2', 't1', 'INBOUND', '2026-03-02T14:00:00.000Z'),
+        // Two sends before the reply: the reply answers the follow-up
+        email('3', 't2', 'OUTBOUND', '2026-03-03T10:00:00.000Z', { opened: false }),
+        email('4', 't2', 'OUTBOUND', '2026-03-04T10:00:00.000Z'),
+        email('5', 't2', 'INBOUND', '2026-03-05T10:00:00.000Z'),
+        email('6', 't3', 'OUTBOUND', '2026-03-06T10:00:00.000Z', { status: 'BOUNCED' }),
+        email('7', 't4', 'OUTBOUND', '2026-03-07T10:00:00.000Z'),
+        // Emails the contact starts aren't replies
+        email('8', 't5', 'INBOUND', '2026-03-08T10:00:00.000Z'),
+        email('9', null, 'OUTBOUND', '2026-03-09T10:00:00.000Z'),
+        { id: '10', type: 'meetings', timestamp: '2026-03-10T10:00:00.000Z' }
+      ];
+
+      expect(calculateContactResponsiveness({ activities })).toEqual({
+        sentEmails: 4,
+        openedEmails: 1,
+        repliedEmails: 2,
+        openRate: 0.5,
+        replyRate: 0.5,
+        medianReplyHours: 14
+      });
+    });
+
+    test('matches each reply to one unanswered email in its thread', () => {
+      const activities = [
+        email('1', 't1', 'OUTBOUND', '2026-03-02T10:00:00.000Z'),
+        email('2', 't1', 'INBOUND', '2026-03-02T14:00:00.000Z'),
+        // A second reply has nothing left to answer
+        email('3', 't1', 'INBOUND', '2026-03-02T15:00:00.000Z'),
+        email('4', 't2', 'OUTBOUND', '2026-03-03T10:00:00.000Z', { status: 'BOUNCED' }),
+        email('5', 't2', 'INBOUND', '2026-03-04T10:00:00.000Z')
+      ];
+
+      const { emails, replies } = matchEmailReplies(activities);
+
+      expect(emails.map(e => e.id)).toEqual(['1', '2', '3', '5']);
+      expect(replies.map(({ reply, answered }) => [reply.id, answered.id])).toEqual([['2', '1']]);
+      expect(calculateContactResponsiveness({ activities }).repliedEmails).toBe(replies.length);
+    });
+
+    test('doesn\'t report a reply rate until enough emails were sent', () => {
+      const activities = [
+        email('1', 't1', 'OUTBOUND', '2026-03-02T10:00:00.000Z'),
+        email('2', 't2', 'OUTBOUND', '2026-03-03T10:00:00.000Z')
+      ];
+
+      expect(calculateContactResponsiveness({ activities })).toMatchObject({ sentEmails: 2, replyRate: null, openRate: null });
+      expect(calculateContactResponsiveness({ emails: 4, total: 4 })).toMatchObject({ sentEmails: 0, replyRate: null });
+      expect(calculateContactResponsiveness(undefined).medianReplyHours).toBeNull();
+    });
+
+    test('is reported for each scored contact', () => {
+      const activities = ['t1', 't2', 't3'].map((thread, i) => email(String(i), thread, 'OUTBOUND', `2026-03-0${i + 1}T10:00:00.000Z`));
+
+      const scoreData = calculateMultiThreadingScore({
+        contacts: [{ id: '1', properties: { hs_buying_role: 'CHAMPION' }, engagements: { emails: 3, total: 3, activities } }]
+      });
+
+      expect(scoreData.contacts[0].responsiveness).toMatchObject({ sentEmails: 3, replyRate: 0 });
+    });
+  });
+
   describe('calculateParticipationScore', () => {
     test('returns 0 for empty contacts array', () => {
       const score = calculateParticipationScore([]);
@@ -187,6 +356,188 @@ describe('Scoring Service', () => {
       expect(result.contactCount).toBe(0);
       expect(result.riskLevel).toBe('HIGH');
     });
+
+    test('weighs and grades the score with the portal\'s configuration', () => {
+      const data = {
+        contacts: [
+          {
+            id: '1',
+            properties: { firstname: 'Champion', hs_buying_role: 'CHAMPION' },
+            engagements: { emails: 6, meetings: 4, calls: 3, total: 13 }
+          }
+        ]
+      };
+      const scoringConfig = {
+        ...mergeScoringConfig(DEFAULT_SCORING_CONFIG, {
+          weights: { engagement: 0.6, participation: 0.2, roleCoverage: 0.1, threadDepth: 0.1 },
+          riskThresholds: { low: 50, medium: 20 },
+          keyRoles: ['CHAMPION']
+        }),
+        version: 3
+      };
+      
+      const defaults = calculateMultiThreadingScore(data, { enableRoleInference: false });
+      const result = calculateMultiThreadingScore(data, { enableRoleInference: false, scoringConfig });
+      
+      // engagement 100, participation 70, role coverage 80 (champion is the only key role)
+      expect(result.overallScore).toBe(Math.round(100 * 0.6 + 70 * 0.2 + 80 * 0.1 + 10));
+      expect(result.missingKeyRoles).toEqual([]);
+      expect(result.riskLevel).toBe('LOW');
+      expect(result.configVersion).toBe(3);
+      expect(defaults.riskLevel).toBe('MEDIUM');
+      expect(defaults.configVersion).toBe(0);
+    });
+  });
+
+  describe('stage-adjusted score', () => {
+    const withRoles = (...roles) => roles.map((role, i) => ({
+      id: String(i + 1),
+      properties: { hs_buying_role: role },
+      engagements: { emails: 2, meetings: 1, calls: 0, total: 3 }
+    }));
+    const stageMode = mergeScoringConfig(DEFAULT_SCORING_CONFIG, { scoreMode: 'stage' });
+
+    test('measures role coverage against the stage\'s required and recommended roles', () => {
+      const coverage = calculateStageRoleCoverageScore(withRoles('DECISION_MAKER', 'BUDGET_HOLDER', 'LEGAL'), 'contractsent');
+
+      // Required 2 of 3 and recommended 1 of 2 at half weight: 2.5 / 4 * 70 + 30 diversity
+      expect(coverage).toEqual({
+        score: 74,
+        requiredRoles: ['DECISION_MAKER', 'BUDGET_HOLDER', 'CHAMPION'],
+        recommendedRoles: ['LEGAL', 'PROCUREMENT'],
+        missingRequiredRoles: ['CHAMPION'],
+        missingRecommendedRoles: ['PROCUREMENT']
+      });
+      expect(calculateStageRoleCoverageScore(withRoles('CHAMPION'), 'custom-stage').requiredRoles).toEqual(['CHAMPION']);
+    });
+
+    test('is reported next to the absolute score', () => {
+      const dealData = { deal: { dealstage: 'appointmentscheduled' }, contacts: withRoles('CHAMPION', 'INFLUENCER') };
+
+      const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: false });
+
+      expect(scoreData.scoreMode).toBe('absolute');
+      expect(scoreData.missingKeyRoles).toEqual(['DECISION_MAKER', 'BUDGET_HOLDER']);
+      expect(scoreData.stageAdjusted).toMatchObject({
+        dealStage: 'appointmentscheduled',
+        roleCoverageScore: 90,
+        missingRequiredRoles: [],
+        riskLevel: 'LOW'
+      });
+      expect(scoreData.stageAdjusted.overallScore).toBeGreaterThan(scoreData.overallScore);
+      expect(getReportedScore(scoreData)).toMatchObject({ overallScore: scoreData.overallScore, label: 'Overall Score' });
+    });
+
+    test('uses the expectations of a custom stage\'s mapped phase', () => {
+      const scoringConfig = mergeScoringConfig(DEFAULT_SCORING_CONFIG, { stageMapping: { 1234567: 'late' } });
+
+      const coverage = calculateStageRoleCoverageScore(withRoles('CHAMPION'), '1234567', { scoringConfig });
+      const scoreData = calculateMultiThreadingScore(
+        { deal: { dealstage: '1234567' }, contacts: withRoles('CHAMPION') },
+        { enableRoleInference: false, scoringConfig }
+      );
+
+      expect(coverage.recommendedRoles).toEqual(['LEGAL', 'PROCUREMENT']);
+      expect(scoreData.stageAdjusted).toMatchObject({ dealStage: '1234567', stagePhase: 'late' });
+    });
+
+    test('leads in stage mode', () => {
+      const dealData = { deal: { dealstage: 'appointmentscheduled' }, contacts: withRoles('CHAMPION', 'INFLUENCER') };
+
+      const scoreData = calculateMultiThreadingScore(dealData, { enableRoleInference: false, scoringConfig: stageMode });
+
+      expect(getReportedScore(scoreData)).toEqual({
+        overallScore: scoreData.stageAdjusted.overallScore,
+        riskLevel: 'LOW',
+        riskColor: '#00a4bd',
+        missingRoles: [],
+        scoreMode: 'stage',
+        label: 'Stage-Adjusted Score'
+      });
+    });
+
+    test('drives recommendations in stage mode', () => {
+      const dealData = { deal: { dealstage: 'closedwon' }, contacts: withRoles('DECISION_MAKER', 'END_USER', 'LEGAL') };
+      const absolute = calculateMultiThreadingScore(dealData, { enableRoleInference: false });
+      const staged = calculateMultiThreadingScore(dealData, { enableRoleInference: false, scoringConfig: stageMode });
+
+      const absoluteRecs = generateRecommendations(absolute);
+      const stagedRecs = generateRecommendations(staged, { scoringConfig: stageMode });
+
+      expect(absoluteRecs.map(r => r.type)).toEqual(expect.arrayContaining(['MISSING_ROLES', 'NO_CHAMPION']));
+      expect(stagedRecs.find(r => r.type === 'MISSING_ROLES').message)
+        .toBe('Buying roles this stage needs, not yet identified: budget holder.');
+      expect(stagedRecs.map(r => r.type)).not.toContain('NO_CHAMPION');
+    });
+  });
+
+  describe('expectation profiles', () => {
+    const engaged = count => Array.from({ length: count }, (_, i) => ({
+      id: String(i + 1),
+      properties: { hs_buying_role: i === 0 ? 'CHAMPION' : 'DECISION_MAKER' },
+      engagements: { emails: 2, meetings: 1, calls: 0, total: 3 }
+    }));
+    const profiled = mergeScoringConfig(DEFAULT_SCORING_CONFIG, { expectationProfiles: { enabled: true } });
+    const score = (deal, contacts, scoringConfig = profiled) =>
+      calculateMultiThreadingScore({ deal, contacts }, { enableRoleInference: false, scoringConfig });
+
+    test('scales the participation volume bonus to the target number of active contacts', () => {
+      const contacts = [...engaged(2), { engagements: { total: 0 } }, { engagements: { total: 0 } }];
+
+      expect(calculateParticipationScore(contacts)).toBe(50);
+      expect(calculateParticipationScore(contacts, { targetActiveContacts: 2 })).toBe(70);
+    });
+
+    test('picks the profile by deal amount', () => {
+      const smb = score({ amount: '5000' }, engaged(2));
+      const midMarket = score({ amount: '100000' }, engaged(2));
+
+      expect(smb.expectationProfile).toMatchObject({ name: 'smb', basis: 'amount', description: 'SMB (deal amount 5,000)' });
+      expect(smb.participationScore).toBe(100);
+      expect(midMarket.expectationProfile.name).toBe('midmarket');
+      expect(midMarket.participationScore).toBe(80);
+      expect(score({}, engaged(2)).expectationProfile.description).toBe('Mid-Market (default profile)');
+    });
+
+    test('leave scores unchanged until a portal enables them', () => {
+      const smb = score({ amount: '5000' }, engaged(2), DEFAULT_SCORING_CONFIG);
+
+      expect(smb.expectationProfile).toMatchObject({ name: 'midmarket', basis: 'fallback' });
+      expect(smb.participationScore).toBe(score({}, engaged(2)).participationScore);
+    });
+
+    test('needs more stakeholders for full participation and thread depth credit on enterprise deals', () => {
+      const enterprise = score({ amount: '500000' }, engaged(2));
+      const midMarket = score({ amount: '100000' }, engaged(2));
+
+      expect(enterprise.threadDepthScore).toBe(67);
+      expect(midMarket.threadDepthScore).toBe(100);
+      expect(enterprise.participationScore).toBe(73);
+      expect(enterprise.overallScore).toBeLessThan(midMarket.overallScore);
+    });
+
+    test('waives roles small deals rarely involve from the stage\'s expectations', () => {
+      const smb = score({ amount: '5000', dealstage: 'decisionmakerboughtin' }, engaged(2));
+
+      expect(smb.stageAdjusted).toMatchObject({
+        requiredRoles: ['DECISION_MAKER', 'CHAMPION'],
+        missingRequiredRoles: [],
+        recommendedRoles: ['INFLUENCER']
+      });
+    });
+
+    test('prefers the deal\'s segment over its amount', () => {
+      const scoringConfig = mergeScoringConfig(profiled, { expectationProfiles: { segmentProperty: 'deal_segment' } });
+
+      const scoreData = score({ amount: '5000', deal_segment: 'Enterprise' }, engaged(2), scoringConfig);
+
+      expect(scoreData.expectationProfile).toMatchObject({
+        name: 'enterprise',
+        basis: 'segment',
+        segment: 'Enterprise',
+        description: 'Enterprise (segment Enterprise)'
+      });
+    });
   });
 
   describe('generateRecommendations', () => {
@@ -221,6 +572,27 @@ describe('Scoring Service', () => {
       expect(missingRolesRec).toBeDefined();
     });
 
+    test('suggests company contacts for missing roles', () => {
+      const scoreData = {
+        contactCount: 2,
+        missingKeyRoles: ['DECISION_MAKER', 'CHAMPION'],
+        coveredRoles: ['BUDGET_HOLDER'],
+        contacts: [],
+        overallScore: 40
+      };
+      const suggestedStakeholders = {
+        DECISION_MAKER: [{ contactId: '9', name: 'Dana Lee', jobTitle: 'VP Operations' }],
+        CHAMPION: []
+      };
+      
+      const recommendations = generateRecommendations(scoreData, { suggestedStakeholders });
+      const suggestions = recommendations.filter(r => r.type === 'SUGGESTED_STAKEHOLDER');
+      
+      expect(suggestions).toHaveLength(1);
+      expect(suggestions[0]).toMatchObject({ priority: 'HIGH', role: 'DECISION_MAKER', contactId: '9' });
+      expect(suggestions[0].message).toContain('Dana Lee (VP Operations)');
+    });
+
     test('generates positive recommendation for strong multi-threading', () => {
       const scoreData = {
         contactCount: 5,
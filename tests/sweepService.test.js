@@ -0,0 +1,143 @@
+const HubSpotService = require('../src/services/hubspotService');
+const { JobQueue } = require('../src/services/jobQueue');
+const { saveTokens } = require('../src/services/tokenStore');
+const { clearStores } = require('../src/services/dataStore');
+const {
+  getSchedule,
+  updateSchedule,
+  listSweepPortals,
+  queuePortalSweep,
+  runDueSweeps,
+  sweepPortal,
+  registerSweepHandler,
+  getSweepStatus,
+  purgePortalSchedule,
+  SWEEP_JOB_TYPE,
+  DEFAULT_SWEEP_SCHEDULE,
+  MIN_INTERVAL_MINUTES
+} = require('../src/services/sweepService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Sweep Service', () => {
+  let queue;
+
+  beforeEach(async () => {
+    await clearStores();
+    queue = new JobQueue({ debounceMs: 60000 });
+    await saveTokens('111', { accessToken: 'a', refreshToken: 'r', expiresAt: Date.now() + HOUR_MS });
+    await saveTokens('222', { accessToken: 'b', refreshToken: 'r', expiresAt: Date.now() + HOUR_MS });
+  });
+
+  afterEach(async () => {
+    await queue.clear();
+    delete process.env.HUBSPOT_PRIVATE_APP_TOKEN;
+    delete process.env.HUBSPOT_PORTAL_ID;
+    jest.restoreAllMocks();
+  });
+
+  describe('schedules', () => {
+    test('default to the configured schedule and are due immediately', async () => {
+      const schedule = await getSchedule('111');
+
+      expect(schedule).toMatchObject({ portalId: '111', ...DEFAULT_SWEEP_SCHEDULE, lastRunAt: null });
+      expect(new Date(schedule.nextRunAt).getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    test('can be changed per portal', async () => {
+      const schedule = await updateSchedule('111', { intervalMinutes: 60 });
+      await updateSchedule('222', { enabled: false });
+
+      expect(schedule).toMatchObject({ enabled: true, intervalMinutes: 60 });
+      expect(await getSchedule('222')).toMatchObject({ enabled: false, nextRunAt: null });
+    });
+
+    test('never run more often than the minimum interval', async () => {
+      const schedule = await updateSchedule('111', { intervalMinutes: 1 });
+
+      expect(schedule.intervalMinutes).toBe(MIN_INTERVAL_MINUTES);
+    });
+
+    test('are listed for every installed portal', async () => {
+      const schedules = await getSweepStatus();
+
+      expect(schedules.map(schedule => schedule.portalId)).toEqual(['111', '222']);
+    });
+
+    test('can be purged', async () => {
+      await updateSchedule('111', { enabled: false });
+
+      expect(await purgePortalSchedule('111')).toBe(true);
+      expect((await getSchedule('111')).enabled).toBe(DEFAULT_SWEEP_SCHEDULE.enabled);
+    });
+  });
+
+  describe('listSweepPortals', () => {
+    test('uses the configured portal in private app mode', async () => {
+      process.env.HUBSPOT_PRIVATE_APP_TOKEN = 'pat-na1-test';
+      process.env.HUBSPOT_PORTAL_ID = '333';
+
+      expect(await listSweepPortals()).toEqual(['333']);
+    });
+  });
+
+  describe('runDueSweeps', () => {
+    test('queues sweeps for due portals only', async () => {
+      await updateSchedule('222', { enabled: false });
+
+      const queued = await runDueSweeps({ queue });
+
+      expect(queued).toEqual(['111']);
+      expect(queue.getJobs()).toEqual([expect.objectContaining({ type: SWEEP_JOB_TYPE, data: { portalId: '111' } })]);
+    });
+
+    test('waits for the interval before sweeping again', async () => {
+      await runDueSweeps({ queue });
+
+      expect(await runDueSweeps({ queue })).toEqual([]);
+      expect(await runDueSweeps({ queue, now: Date.now() + DEFAULT_SWEEP_SCHEDULE.intervalMinutes * 60 * 1000 + 1000 }))
+        .toEqual(['111', '222']);
+    });
+  });
+
+  describe('sweeping', () => {
+    test('queues a recalculation of every open deal', async () => {
+      const hubspotService = { getOpenDealIds: jest.fn(async () => ({ dealIds: ['1', '2'], truncated: false })) };
+
+      const result = await sweepPortal(hubspotService, '111', queue);
+
+      expect(result).toEqual({ dealsQueued: 2, truncated: false });
+      expect(queue.pending.get('deal:111:1').data).toEqual({ portalId: '111', dealId: '1', reasons: ['sweep'] });
+    });
+
+    test('records the outcome of queued sweeps', async () => {
+      const sweepQueue = new JobQueue({ debounceMs: 0 });
+      sweepQueue.registerHandler('deal.recalculate', async () => {});
+      jest.spyOn(HubSpotService.prototype, 'getOpenDealIds').mockResolvedValue({ dealIds: ['1'], truncated: false });
+      const getAccessToken = jest.fn(async () => 'token');
+      registerSweepHandler({ getAccessToken }, sweepQueue);
+
+      await queuePortalSweep('111', sweepQueue);
+      await sweepQueue.onIdle();
+
+      expect(getAccessToken).toHaveBeenCalledWith('111');
+      const schedule = await getSchedule('111');
+      expect(schedule.lastResult).toEqual({ dealsQueued: 1, truncated: false });
+      expect(schedule.lastRunAt).not.toBeNull();
+      expect(sweepQueue.getStats()).toMatchObject({ completed: 2, failed: 0 });
+    });
+
+    test('records sweep errors', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const sweepQueue = new JobQueue({ debounceMs: 0 });
+      const notInstalled = Object.assign(new Error('No tokens stored for portal 111'), { retryable: false });
+      registerSweepHandler({ getAccessToken: jest.fn(async () => { throw notInstalled; }) }, sweepQueue);
+
+      await queuePortalSweep('111', sweepQueue);
+      await sweepQueue.onIdle();
+
+      expect((await getSchedule('111')).lastError).toBe('No tokens stored for portal 111');
+      expect(await sweepQueue.getDeadLetters()).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const {
+  recordWebhookEvent,
+  getDealEventHistory,
+  pruneWebhookEvents,
+  purgePortalEvents,
+  EVENT_STATUS,
+  EVENT_RETENTION_MS
+} = require('../src/services/webhookEventService');
+const { clearStores } = require('../src/services/dataStore');
+
+const dealEvent = (overrides = {}) => ({
+  eventId: 1,
+  portalId: 111,
+  objectId: 123,
+  subscriptionType: 'deal.propertyChange',
+  propertyName: 'amount',
+  propertyValue: '5000',
+  occurredAt: 1700000000000,
+  attemptNumber: 0,
+  ...overrides
+});
+
+describe('Webhook Event Service', () => {
+  beforeEach(async () => {
+    await clearStores();
+  });
+
+  describe('recordWebhookEvent', () => {
+    test('processes a new event and stores it without its property value', async () => {
+      const entry = await recordWebhookEvent(dealEvent(), 'deal');
+
+      expect(entry).toMatchObject({
+        eventId: '1',
+        portalId: '111',
+        objectType: 'deal',
+        objectId: '123',
+        propertyName: 'amount',
+        dealIds: ['123'],
+        status: EVENT_STATUS.PROCESSED
+      });
+      expect(entry).not.toHaveProperty('propertyValue');
+    });
+
+    test('flags retried deliveries of an event as duplicates', async () => {
+      await recordWebhookEvent(dealEvent(), 'deal');
+
+      const retry = await recordWebhookEvent(dealEvent({ attemptNumber: 1 }), 'deal');
+
+      expect(retry.status).toBe(EVENT_STATUS.DUPLICATE);
+      expect(await getDealEventHistory('111', '123')).toHaveLength(1);
+    });
+
+    test('flags concurrent deliveries of an event as duplicates', async () => {
+      const [first, second] = await Promise.all([
+        recordWebhookEvent(dealEvent(), 'deal'),
+        recordWebhookEvent(dealEvent(), 'deal')
+      ]);
+
+      expect([first.status, second.status]).toEqual([EVENT_STATUS.PROCESSED, EVENT_STATUS.DUPLICATE]);
+    });
+
+    test('keeps event IDs separate per portal', async () => {
+      await recordWebhookEvent(dealEvent(), 'deal');
+
+      const entry = await recordWebhookEvent(dealEvent({ portalId: 222 }), 'deal');
+
+      expect(entry.status).toBe(EVENT_STATUS.PROCESSED);
+    });
+
+    test('discards events older than the last one processed for the property', async () => {
+      await recordWebhookEvent(dealEvent({ eventId: 2, occurredAt: 1700000005000 }), 'deal');
+
+      const older = await recordWebhookEvent(dealEvent({ eventId: 1 }), 'deal');
+      const otherProperty = await recordWebhookEvent(dealEvent({ eventId: 3, propertyName: 'dealstage' }), 'deal');
+
+      expect(older.status).toBe(EVENT_STATUS.STALE);
+      expect(otherProperty.status).toBe(EVENT_STATUS.PROCESSED);
+    });
+
+    test('orders non-property events by subscription type', async () => {
+      await recordWebhookEvent(dealEvent({ eventId: 2, subscriptionType: 'deal.associationChange', propertyName: undefined, occurredAt: 1700000005000 }), 'deal');
+
+      const older = await recordWebhookEvent(dealEvent({ eventId: 1, subscriptionType: 'deal.associationChange', propertyName: undefined }), 'deal');
+
+      expect(older.status).toBe(EVENT_STATUS.STALE);
+    });
+
+    test('processes events without an event ID or timestamp', async () => {
+      const event = { objectId: 123, subscriptionType: 'deal.creation' };
+
+      expect((await recordWebhookEvent(event, 'deal')).status).toBe(EVENT_STATUS.PROCESSED);
+      expect((await recordWebhookEvent(event, 'deal')).status).toBe(EVENT_STATUS.PROCESSED);
+    });
+  });
+
+  describe('getDealEventHistory', () => {
+    test('includes contact events for the deal, most recent first', async () => {
+      await recordWebhookEvent(dealEvent(), 'deal');
+      await recordWebhookEvent({
+        eventId: 2,
+        portalId: 111,
+        objectId: 456,
+        subscriptionType: 'contact.propertyChange',
+        propertyName: 'jobtitle',
+        occurredAt: 1700000005000
+      }, 'contact', { dealIds: ['123', '124'] });
+      await recordWebhookEvent(dealEvent({ eventId: 3, objectId: 124 }), 'deal');
+
+      const history = await getDealEventHistory('111', '123');
+
+      expect(history.map(entry => entry.eventId)).toEqual(['2', '1']);
+      expect(history[0]).toMatchObject({ objectType: 'contact', objectId: '456' });
+    });
+
+    test('limits the number of events returned', async () => {
+      await recordWebhookEvent(dealEvent({ eventId: 1 }), 'deal');
+      await recordWebhookEvent(dealEvent({ eventId: 2, occurredAt: 1700000005000 }), 'deal');
+
+      const history = await getDealEventHistory('111', '123', { limit: 1 });
+
+      expect(history.map(entry => entry.eventId)).toEqual(['2']);
+    });
+  });
+
+  describe('pruneWebhookEvents', () => {
+    test('drops events past the retention period', async () => {
+      await recordWebhookEvent(dealEvent(), 'deal');
+
+      expect(await pruneWebhookEvents({ force: true })).toBe(0);
+      expect(await pruneWebhookEvents({ force: true, now: Date.now() + EVENT_RETENTION_MS + 1000 })).toBe(2);
+      expect(await getDealEventHistory('111', '123')).toEqual([]);
+    });
+  });
+
+  describe('purgePortalEvents', () => {
+    test('removes only the portal\'s events and object state', async () => {
+      await recordWebhookEvent(dealEvent(), 'deal');
+      await recordWebhookEvent(dealEvent({ portalId: 222 }), 'deal');
+
+      expect(await purgePortalEvents('111')).toBe(2);
+      expect(await getDealEventHistory('111', '123')).toEqual([]);
+      expect(await getDealEventHistory('222', '123')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+const {
+  verifySignature,
+  computeSignature,
+  decodeSignedUri,
+  MAX_TIMESTAMP_AGE_MS
+} = require('../src/services/webhookSignatureService');
+
+// Signatures computed independently from HubSpot's documented algorithms
+const SECRET = 'yyyyyyyy-yyyy-yyyy-yyyy-yyyyyyyyyyyy';
+const BODY = '[{"eventId":1,"subscriptionId":12,"portalId":111,"occurredAt":1700000000000,"subscriptionType":"deal.propertyChange","attemptNumber":0,"objectId":123,"propertyName":"amount","propertyValue":"5000"}]';
+const URI = 'https://example.com/webhooks/deal';
+const TIMESTAMP = '1700000000000';
+const FIXTURES = {
+  v1: '572eaa60fa276cfc5b73e2df64a4ee2c5423783c07fdabc9855fe399332e6104',
+  v2: '67985d9907eb9e7b615a3f673addad9613842eb6c017f3861cf2c8571805c1b2',
+  v3: 'dbgRSqpiV4jO4reZ4uAwV5NGmIv2GMRmg6fD8BlTSPQ=',
+  // Signed over https://example.com/webhooks/deal?source=hub:spot&name=a,b
+  v3EncodedUri: 'sYUS5sWv3lUJ1Kh6qg3EAzvHt90BasNwVT/9uLthM90='
+};
+
+const signedRequest = (headers, overrides = {}) => ({
+  headers,
+  method: 'POST',
+  uri: URI,
+  rawBody: Buffer.from(BODY),
+  ...overrides
+});
+
+describe('Webhook Signature Service', () => {
+  describe('computeSignature', () => {
+    test('matches the signed fixtures', () => {
+      expect(computeSignature('v1', { secret: SECRET, body: BODY })).toBe(FIXTURES.v1);
+      expect(computeSignature('v2', { secret: SECRET, method: 'POST', uri: URI, body: BODY })).toBe(FIXTURES.v2);
+      expect(computeSignature('v3', { secret: SECRET, method: 'POST', uri: URI, body: BODY, timestamp: TIMESTAMP })).toBe(FIXTURES.v3);
+    });
+
+    test('rejects unknown versions', () => {
+      expect(() => computeSignature('v4', { secret: SECRET })).toThrow('Unsupported signature version');
+    });
+  });
+
+  describe('decodeSignedUri', () => {
+    test('decodes the characters HubSpot decodes before signing', () => {
+      expect(decodeSignedUri('https://example.com/hook?a=b%3Ac&d=%2f%40%21%24%27%28%29%2A%2C%3B%3F'))
+        .toBe("https://example.com/hook?a=b:c&d=/@!$'()*,;?");
+      expect(decodeSignedUri('https://example.com/hook?q=a%20b')).toBe('https://example.com/hook?q=a%20b');
+    });
+  });
+
+  describe('verifySignature', () => {
+    const now = Number(TIMESTAMP) + 1000;
+
+    test('accepts valid v1, v2 and v3 signatures', () => {
+      const v1 = verifySignature(signedRequest({ 'x-hubspot-signature': FIXTURES.v1 }), SECRET, now);
+      const v2 = verifySignature(signedRequest({ 'x-hubspot-signature': FIXTURES.v2, 'x-hubspot-signature-version': 'v2' }), SECRET, now);
+      const v3 = verifySignature(signedRequest({
+        'x-hubspot-signature-v3': FIXTURES.v3,
+        'x-hubspot-request-timestamp': TIMESTAMP
+      }), SECRET, now);
+
+      expect(v1).toEqual({ valid: true, version: 'v1' });
+      expect(v2).toEqual({ valid: true, version: 'v2' });
+      expect(v3).toEqual({ valid: true, version: 'v3' });
+    });
+
+    test('verifies v3 signatures over the decoded URI', () => {
+      const result = verifySignature(signedRequest(
+        { 'x-hubspot-signature-v3': FIXTURES.v3EncodedUri, 'x-hubspot-request-timestamp': TIMESTAMP },
+        { uri: 'https://example.com/webhooks/deal?source=hub%3Aspot&name=a%2Cb' }
+      ), SECRET, now);
+
+      expect(result.valid).toBe(true);
+    });
+
+    test('rejects a body that differs from the signed bytes', () => {
+      const reserialized = Buffer.from(JSON.stringify(JSON.parse(BODY), null, 1));
+
+      const result = verifySignature(signedRequest(
+        { 'x-hubspot-signature-v3': FIXTURES.v3, 'x-hubspot-request-timestamp': TIMESTAMP },
+        { rawBody: reserialized }
+      ), SECRET, now);
+
+      expect(result).toEqual({ valid: false, version: 'v3', reason: 'invalid_signature' });
+    });
+
+    test('rejects the wrong secret, method or URI', () => {
+      const headers = { 'x-hubspot-signature-v3': FIXTURES.v3, 'x-hubspot-request-timestamp': TIMESTAMP };
+
+      expect(verifySignature(signedRequest(headers), 'other-secret', now).valid).toBe(false);
+      expect(verifySignature(signedRequest(headers, { method: 'PUT' }), SECRET, now).valid).toBe(false);
+      expect(verifySignature(signedRequest(headers, { uri: 'https://example.com/webhooks/contact' }), SECRET, now).valid).toBe(false);
+    });
+
+    test('rejects stale or missing v3 timestamps', () => {
+      const stale = verifySignature(signedRequest({
+        'x-hubspot-signature-v3': FIXTURES.v3,
+        'x-hubspot-request-timestamp': TIMESTAMP
+      }), SECRET, Number(TIMESTAMP) + MAX_TIMESTAMP_AGE_MS + 1);
+      const missing = verifySignature(signedRequest({ 'x-hubspot-signature-v3': FIXTURES.v3 }), SECRET, now);
+
+      expect(stale.reason).toBe('stale_timestamp');
+      expect(missing.reason).toBe('missing_timestamp');
+    });
+
+    test('rejects malformed, unsupported and missing signatures', () => {
+      expect(verifySignature(signedRequest({ 'x-hubspot-signature': 'abc' }), SECRET, now).reason).toBe('invalid_signature');
+      expect(verifySignature(signedRequest({ 'x-hubspot-signature': FIXTURES.v1, 'x-hubspot-signature-version': 'v9' }), SECRET, now).reason)
+        .toBe('unsupported_version');
+      expect(verifySignature(signedRequest({}), SECRET, now)).toEqual({ valid: false, version: null, reason: 'missing_signature' });
+    });
+  });
+});